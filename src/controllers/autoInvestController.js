@@ -0,0 +1,137 @@
+// src/controllers/autoInvestController.js
+const prisma = require('../utils/prisma');
+const { getCommittedTodayCents } = require('../services/autoInvestService');
+const { NOT_DELETED } = require('../services/lenderListingService');
+
+const RULE_FIELDS = {
+  id: true,
+  headline: true,
+  apr: true,
+  minAmount: true,
+  maxAmount: true,
+  minMonths: true,
+  maxMonths: true,
+  isActive: true,
+  autoApprove: true,
+  autoApproveUpTo: true,
+  dailyAutoApproveCap: true,
+  autoRequireVerified: true,
+  autoMaxLatePayments: true,
+  autoMinTrustScore: true,
+  autoInvestMarketplace: true,
+  updatedAt: true,
+};
+
+const isObjectId = (v) => /^[a-f0-9]{24}$/i.test(String(v || ''));
+
+/**
+ * GET /api/auto-invest/rules
+ * The lender's listings with their auto-invest settings and how much each
+ * has committed automatically today.
+ */
+exports.getMyRules = async (req, res) => {
+  try {
+    const listings = await prisma.lenderListing.findMany({
+      where: { lenderId: req.user.userId, AND: [NOT_DELETED] },
+      select: RULE_FIELDS,
+      orderBy: { createdAt: 'asc' },
+    });
+    const rules = await Promise.all(
+      listings.map(async (l) => ({ ...l, committedTodayCents: await getCommittedTodayCents(l.id) }))
+    );
+    res.json(rules);
+  } catch (err) {
+    console.error('Error fetching auto-invest rules:', err);
+    res.status(500).json({ error: 'Failed to fetch auto-invest rules' });
+  }
+};
+
+/**
+ * PATCH /api/auto-invest/rules/:listingId
+ * Body (all optional): autoApprove, autoApproveUpTo, dailyAutoApproveCap,
+ * autoRequireVerified, autoMaxLatePayments, autoMinTrustScore,
+ * autoInvestMarketplace. Send null to clear a limit.
+ */
+exports.updateRule = async (req, res) => {
+  const { listingId } = req.params;
+  const body = req.body || {};
+  if (!isObjectId(listingId)) return res.status(404).json({ error: 'Listing not found' });
+
+  const data = {};
+  for (const key of ['autoApprove', 'autoRequireVerified', 'autoInvestMarketplace']) {
+    if (body[key] !== undefined) data[key] = Boolean(body[key]);
+  }
+  for (const key of ['autoApproveUpTo', 'dailyAutoApproveCap']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null) {
+      data[key] = null;
+      continue;
+    }
+    const n = Number(body[key]);
+    if (!Number.isFinite(n) || n <= 0) return res.status(400).json({ error: `${key} must be a positive amount` });
+    data[key] = Math.round(n * 100) / 100;
+  }
+  for (const key of ['autoMaxLatePayments', 'autoMinTrustScore']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null) {
+      data[key] = null;
+      continue;
+    }
+    const n = Number(body[key]);
+    if (!Number.isInteger(n) || n < 0) return res.status(400).json({ error: `${key} must be a whole number` });
+    data[key] = n;
+  }
+  if (data.autoMinTrustScore != null && data.autoMinTrustScore > 850) {
+    return res.status(400).json({ error: 'autoMinTrustScore cannot be above 850' });
+  }
+
+  try {
+    const listing = await prisma.lenderListing.findUnique({
+      where: { id: listingId },
+      select: { lenderId: true, deletedAt: true },
+    });
+    if (!listing || listing.deletedAt || listing.lenderId !== req.user.userId) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const updated = await prisma.lenderListing.update({
+      where: { id: listingId },
+      data,
+      select: RULE_FIELDS,
+    });
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating auto-invest rule:', err);
+    res.status(500).json({ error: 'Failed to update auto-invest rule' });
+  }
+};
+
+/**
+ * GET /api/auto-invest/decisions
+ * The lender's automatic decision log, newest first.
+ * ?outcome=RESERVED|OFFERED|APPROVED|SKIPPED|FAILED &listingId= &limit=50 (max 200) &cursor=
+ */
+exports.getMyDecisions = async (req, res) => {
+  const { outcome, listingId, cursor } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  if (cursor && !isObjectId(cursor)) return res.status(400).json({ error: 'Invalid cursor' });
+
+  try {
+    const rows = await prisma.autoInvestDecision.findMany({
+      where: {
+        lenderId: req.user.userId,
+        ...(outcome && { outcome: String(outcome).toUpperCase() }),
+        ...(isObjectId(listingId) && { listingId }),
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: limit + 1,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    const items = rows.slice(0, limit);
+    res.json({ items, nextCursor: rows.length > limit ? items[items.length - 1].id : null });
+  } catch (err) {
+    console.error('Error fetching auto-invest decisions:', err);
+    res.status(500).json({ error: 'Failed to fetch auto-invest decisions' });
+  }
+};
@@ -1,4 +1,9 @@
 const prisma = require('../utils/prisma');
+const contractService = require('../services/contractService');
+const { fundIfAutoApproved } = require('../services/directRequestService');
+const { sendContent } = require('../services/blobStorageService');
+
+const { requiredSigners, ensureLoanAgreement } = contractService;
 
 // GET: fetch a document by ID
 exports.getDocumentById = async (req, res) => {
@@ -19,62 +24,158 @@ exports.getDocumentById = async (req, res) => {
   }
 };
 
-// POST: create a contract document
+const isObjectId = (v) => /^[a-f0-9]{24}$/i.test(String(v || ''));
+
+const SIGN_ERROR_STATUS = {
+  AGREEMENT_NOT_FOUND: 404,
+  NOT_A_PARTY: 403,
+  ALREADY_SIGNED: 409,
+  HASH_MISMATCH: 409,
+};
+
+/** The loan's agreement (with signatures) if `userId` is one of its signers. */
+async function findPartyAgreement(loanId, userId) {
+  if (!isObjectId(loanId)) return null;
+  const agreement = await prisma.loanAgreement.findUnique({
+    where: { loanId },
+    include: { signatures: { orderBy: { signedAt: 'asc' } } },
+  });
+  if (!agreement) return null;
+  if (!requiredSigners(agreement.terms).some((s) => s.userId === userId)) return null;
+  return agreement;
+}
+
+/**
+ * POST /api/contracts/create  { loanId }
+ * Generate the server-side PDF agreement for a loan that has none yet
+ * (loans created before agreements existed). Client-supplied text is not
+ * accepted; returns the existing agreement if there already is one.
+ */
 exports.createContract = async (req, res) => {
-  const { loanId, title, content } = req.body;
+  const { loanId } = req.body || {};
   const userId = req.user.userId;
-
-  if (!loanId || !title || !content) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+  if (!isObjectId(loanId)) return res.status(400).json({ error: 'loanId is required' });
 
   try {
     const loan = await prisma.loan.findUnique({
       where: { id: loanId },
-      include: {
-        borrower: { select: { isSuperUser: true, name: true } },
-        lender: { select: { name: true } },
-      },
+      select: { id: true, borrowerId: true, lenderId: true, shares: { select: { lenderId: true } } },
     });
+    const parties = loan ? [loan.borrowerId, loan.lenderId, ...loan.shares.map((s) => s.lenderId)] : [];
+    if (!parties.includes(userId)) return res.status(404).json({ error: 'Loan not found' });
 
-    if (!loan) return res.status(404).json({ error: 'Loan not found' });
+    const agreement = await ensureLoanAgreement(loan.id);
+    res.status(201).json(agreement);
+  } catch (err) {
+    console.error('❌ Error creating contract:', err);
+    res.status(500).json({ error: 'Could not create contract' });
+  }
+};
 
-    const peerFundFeePercent = loan.borrower.isSuperUser ? 0 : 1;
-    const bankFeePercent = 1;
+/**
+ * GET /api/contracts/loan/:loanId
+ * Agreement status for a party: hashes, who signed and who still has to.
+ */
+exports.getAgreement = async (req, res) => {
+  const userId = req.user.userId;
+  try {
+    const agreement = await findPartyAgreement(req.params.loanId, userId);
+    if (!agreement) return res.status(404).json({ error: 'Agreement not found' });
+
+    const signed = new Set(agreement.signatures.map((s) => s.userId));
+    const pendingSigners = requiredSigners(agreement.terms).filter((s) => !signed.has(s.userId));
+    res.json({
+      id: agreement.id,
+      loanId: agreement.loanId,
+      documentId: agreement.documentId,
+      templateVersion: agreement.templateVersion,
+      status: agreement.status,
+      contentHash: agreement.contentHash,
+      signedHash: agreement.signedHash,
+      signedAt: agreement.signedAt,
+      signatures: agreement.signatures.map((s) => ({
+        userId: s.userId,
+        role: s.role,
+        signedAt: s.signedAt,
+      })),
+      pendingSigners,
+      canSign: pendingSigners.some((s) => s.userId === userId),
+    });
+  } catch (err) {
+    console.error('Error fetching agreement:', err);
+    res.status(500).json({ error: 'Could not fetch agreement' });
+  }
+};
 
-    const fullText = `
-      LOAN AGREEMENT
+// GET /api/contracts/loan/:loanId/pdf — the current PDF (signed once complete)
+exports.downloadAgreement = async (req, res) => {
+  try {
+    const agreement = await findPartyAgreement(req.params.loanId, req.user.userId);
+    if (!agreement) return res.status(404).json({ error: 'Agreement not found' });
 
-      Loan Title: ${title}
+    const doc = await prisma.document.findUnique({ where: { id: agreement.documentId } });
+    if (!doc) return res.status(404).json({ error: 'Agreement not found' });
 
-      Borrower: ${loan.borrower.name}
-      Lender: ${loan.lender.name}
+    res.setHeader('X-Document-SHA256', agreement.status === 'SIGNED' ? agreement.signedHash : agreement.contentHash);
+    await sendContent(req, res, doc);
+  } catch (err) {
+    console.error('Error downloading agreement:', err);
+    res.status(500).json({ error: 'Could not download agreement' });
+  }
+};
 
-      --- FEES PAID BY BORROWER ---
-      - Bank Fee (1%): ${bankFeePercent}%
-      - PeerFund Fee (1%): ${peerFundFeePercent}%
+/**
+ * POST /api/contracts/loan/:loanId/sign  { agree: true, documentHash? }
+ * Click-to-sign: records time, IP and user agent against the hash of the
+ * PDF the signer was shown. The last signature seals the document.
+ */
+exports.signAgreement = async (req, res) => {
+  const { agree, documentHash } = req.body || {};
+  if (agree !== true) {
+    return res.status(400).json({ error: 'You must agree to the terms to sign' });
+  }
+  if (!isObjectId(req.params.loanId)) return res.status(404).json({ error: 'Loan agreement not found' });
 
-      -----------------------------
+  try {
+    const { agreement, completed } = await contractService.signAgreement({
+      loanId: req.params.loanId,
+      userId: req.user.userId,
+      documentHash,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
 
-      TERMS:
-      ${content}
-    `;
+    // Auto-approve listings fund as soon as the paperwork is done
+    const funded = completed ? await fundIfAutoApproved(agreement.loanId) : false;
 
-    const contract = await prisma.document.create({
-      data: {
-        userId,
-        loanId,
-        title,
-        type: 'contract',
-        mimeType: 'text/plain',
-        fileName: `${title.replace(/\s+/g, '_')}_contract.txt`,
-        content: Buffer.from(fullText),
-      },
+    res.json({
+      status: agreement.status,
+      signedHash: agreement.signedHash,
+      signedAt: agreement.signedAt,
+      signatures: agreement.signatures.map((s) => ({ userId: s.userId, role: s.role, signedAt: s.signedAt })),
+      funded,
     });
+  } catch (err) {
+    if (SIGN_ERROR_STATUS[err.code]) {
+      return res.status(SIGN_ERROR_STATUS[err.code]).json({ error: err.message, code: err.code });
+    }
+    console.error('Error signing agreement:', err);
+    res.status(500).json({ error: 'Could not sign agreement' });
+  }
+};
+
+// GET /api/contracts/loan/:loanId/verify — recompute the stored PDF's hash
+exports.verifyAgreement = async (req, res) => {
+  try {
+    const agreement = await findPartyAgreement(req.params.loanId, req.user.userId);
+    if (!agreement) return res.status(404).json({ error: 'Agreement not found' });
+
+    const doc = await prisma.document.findUnique({ where: { id: agreement.documentId } });
+    if (!doc) return res.status(404).json({ error: 'Agreement not found' });
 
-    res.status(201).json(contract);
+    res.json({ status: agreement.status, ...(await contractService.verifyAgreement(agreement, doc)) });
   } catch (err) {
-    console.error('❌ Error creating contract:', err);
-    res.status(500).json({ error: 'Could not create contract' });
+    console.error('Error verifying agreement:', err);
+    res.status(500).json({ error: 'Could not verify agreement' });
   }
 };
@@ -1,5 +1,19 @@
 // src/controllers/directRequestController.js
 const prisma = require('../utils/prisma');
+const directRequestService = require('../services/directRequestService');
+const { evaluateDirectRequest } = require('../services/autoInvestService');
+const { createRequestFromListing, assertWithinListing } = require('../services/lenderListingService');
+const disclosureService = require('../services/disclosureService');
+const { parseScheduleOptions } = require('../utils/repaymentUtils');
+
+// createRequestFromListing error codes → HTTP status
+const LISTING_ERROR_STATUS = {
+  LISTING_NOT_FOUND: 404,
+  LISTING_INACTIVE: 400,
+  OWN_LISTING: 400,
+  AMOUNT_OUT_OF_RANGE: 400,
+  TERM_OUT_OF_RANGE: 400,
+};
 
 /**
  * Helpers
@@ -32,6 +46,29 @@ async function validateAgainstLenderTerms(lenderId, amount, apr) {
   return { ok: true, allowedApr };
 }
 
+/**
+ * Record the borrower's terms as proposal v1, run the lender's auto-invest
+ * rules on the new request (it may be approved on the spot) and send the 201.
+ */
+async function respondCreated(res, created) {
+  created.proposalExpiresAt = await directRequestService.recordInitialProposal(created);
+  created.currentVersion = 1;
+
+  let auto = { approved: false };
+  try {
+    auto = await evaluateDirectRequest(created.id);
+  } catch (e) {
+    console.error('createDirectRequest auto-approve error:', e);
+  }
+  if (auto.approved) {
+    created.status = 'AUTO_APPROVED';
+    created.loanId = auto.loanId;
+  }
+
+  // Return { id } so the client can navigate
+  return res.status(201).json({ id: created.id, request: created });
+}
+
 /**
  * POST /api/direct-requests
  * Borrower creates a PENDING direct request.
@@ -41,6 +78,15 @@ exports.createDirectRequest = async (req, res) => {
     const borrowerId = req.user.userId;
     const { lenderId, amount, months, apr: aprFromBody, notes = '', listingId = null } = req.body || {};
 
+    // Optional scheduleMethod / paymentFrequency (default AMORTIZING / MONTHLY)
+    const schedule = parseScheduleOptions(req.body || {});
+    if (schedule.error) return res.status(400).json({ message: schedule.error });
+
+    // Requests on a listing are checked against its bounds instead of lendingTerms
+    if (listingId) {
+      return createFromListingFor(res, { listingId, borrowerId, amount, months, notes, schedule });
+    }
+
     if (!lenderId || amount == null) {
       return res.status(400).json({ message: 'lenderId and amount are required' });
     }
@@ -77,23 +123,77 @@ exports.createDirectRequest = async (req, res) => {
         months: safeMonths,
         apr,
         notes,
-        listingId: listingId ? String(listingId) : null,
+        scheduleMethod: schedule.scheduleMethod,
+        paymentFrequency: schedule.paymentFrequency,
         status: 'PENDING',
       },
-      select: { id: true, status: true, amount: true, months: true, apr: true, lenderId: true, borrowerId: true, createdAt: true },
+      select: {
+        id: true,
+        status: true,
+        amount: true,
+        months: true,
+        apr: true,
+        notes: true,
+        scheduleMethod: true,
+        paymentFrequency: true,
+        lenderId: true,
+        borrowerId: true,
+        createdAt: true,
+      },
     });
 
-    // Return { id } so the client can navigate
-    return res.status(201).json({ id: created.id, request: created });
+    return respondCreated(res, created);
   } catch (e) {
     console.error('createDirectRequest error:', e);
     return res.status(500).json({ message: 'Failed to create request' });
   }
 };
 
+/**
+ * POST /api/listings/:id/request
+ * Borrower requests a loan on a listing's terms: amount and months must be
+ * within the listing's bounds; the APR is the listing's.
+ * Body: { amount, months, notes? }
+ */
+exports.createFromListing = async (req, res) => {
+  const { amount, months, notes = '' } = req.body || {};
+  const schedule = parseScheduleOptions(req.body || {});
+  if (schedule.error) return res.status(400).json({ message: schedule.error });
+  return createFromListingFor(res, {
+    listingId: req.params.id,
+    borrowerId: req.user.userId,
+    amount,
+    months,
+    notes,
+    schedule,
+  });
+};
+
+async function createFromListingFor(res, { listingId, borrowerId, amount, months, notes, schedule }) {
+  try {
+    if (!/^[a-f0-9]{24}$/i.test(String(listingId || ''))) {
+      return res.status(404).json({ message: 'Listing not found' });
+    }
+    if (amount == null || months == null) {
+      return res.status(400).json({ message: 'amount and months are required' });
+    }
+
+    const created = await createRequestFromListing({ listingId, borrowerId, amount, months, notes, schedule });
+    return respondCreated(res, created);
+  } catch (e) {
+    if (LISTING_ERROR_STATUS[e.code]) {
+      return res.status(LISTING_ERROR_STATUS[e.code]).json({ message: e.message, code: e.code });
+    }
+    console.error('createFromListing error:', e);
+    return res.status(500).json({ message: 'Failed to create request' });
+  }
+}
+
 /**
  * POST /api/direct-requests/:id/counter
- * Either party proposes new terms; request stays PENDING (open).
+ * Either party proposes new terms as the next proposal version; the request
+ * stays PENDING and the other party is asked to answer. Requests made on a
+ * listing must stay within its amount / term bounds.
  * Body may include: amount, months, apr, notes
  */
 exports.counterDirectRequest = async (req, res) => {
@@ -109,6 +209,9 @@ exports.counterDirectRequest = async (req, res) => {
     if (reqDoc.status !== 'PENDING') {
       return res.status(400).json({ message: 'Only PENDING requests can be countered' });
     }
+    if (directRequestService.proposalExpired(reqDoc)) {
+      return res.status(400).json({ message: 'The latest proposal has expired' });
+    }
 
     const next = {
       amount: reqDoc.amount,
@@ -120,46 +223,59 @@ exports.counterDirectRequest = async (req, res) => {
     if (amount != null) {
       const nAmt = Number(amount);
       if (!Number.isFinite(nAmt) || nAmt <= 0) return res.status(400).json({ message: 'Invalid amount' });
-      next.amount = nAmt;
+      next.amount = Math.round(nAmt * 100) / 100;
     }
     if (months != null) {
       const m = Number(months);
-      if (!Number.isFinite(m) || m < 1 || m > 12) return res.status(400).json({ message: 'Invalid months' });
+      if (!Number.isInteger(m) || m < 1 || (!reqDoc.listingId && m > 12)) {
+        return res.status(400).json({ message: 'Invalid months' });
+      }
       next.months = m;
     }
     if (apr != null) {
       const a = Number(apr);
-      if (!Number.isFinite(a) || a < 0) return res.status(400).json({ message: 'Invalid APR' });
+      if (!Number.isFinite(a) || a < 0 || a > 100) return res.status(400).json({ message: 'Invalid APR' });
       next.apr = a;
     }
     if (typeof notes === 'string') {
-      next.notes = notes;
+      next.notes = notes.slice(0, 1000);
     }
-
-    // Validate new terms against lender's allowed matrix
-    const termsCheck = await validateAgainstLenderTerms(reqDoc.lenderId, next.amount, next.apr);
-    if (!termsCheck.ok) return res.status(400).json({ message: termsCheck.message });
-
-    // If client omitted apr but changed amount, snap apr to lender rate for that amount
-    if (apr == null) {
-      next.apr = Number(termsCheck.allowedApr);
+    if (reqDoc.listingId) {
+      const listing = await prisma.lenderListing.findUnique({ where: { id: reqDoc.listingId } });
+      if (listing) assertWithinListing(listing, next);
+    }
+    if (
+      next.amount === reqDoc.amount &&
+      next.months === reqDoc.months &&
+      next.apr === reqDoc.apr &&
+      next.notes === (reqDoc.notes || '')
+    ) {
+      return res.status(400).json({ message: 'A counteroffer must change at least one term' });
     }
 
-    const updated = await prisma.directLoanRequest.update({
-      where: { id: String(id) },
-      data: {
-        amount: next.amount,
-        months: next.months,
-        apr: next.apr,
-        notes: next.notes,
-        status: 'PENDING', // stays open
-        decidedAt: null,   // clear any prior decision metadata just in case
+    const updated = await directRequestService.counterProposal(reqDoc, userId, next);
+
+    return res.json({
+      ok: true,
+      request: {
+        id: updated.id,
+        status: updated.status,
+        amount: updated.amount,
+        months: updated.months,
+        apr: updated.apr,
+        notes: updated.notes,
+        version: updated.currentVersion,
+        proposedBy: updated.lastProposedById,
+        expiresAt: updated.proposalExpiresAt,
       },
-      select: { id: true, status: true, amount: true, months: true, apr: true, notes: true, updatedAt: true },
     });
-
-    return res.json({ ok: true, request: updated });
   } catch (e) {
+    if (e.code === 'STALE_PROPOSAL') {
+      return res.status(409).json({ message: e.message });
+    }
+    if (LISTING_ERROR_STATUS[e.code]) {
+      return res.status(LISTING_ERROR_STATUS[e.code]).json({ message: e.message, code: e.code });
+    }
     console.error('counterDirectRequest error:', e);
     return res.status(500).json({ message: 'Failed to counter request' });
   }
@@ -167,41 +283,62 @@ exports.counterDirectRequest = async (req, res) => {
 
 /**
  * POST /api/direct-requests/:id/approve
- * Lender accepts current terms -> create Loan + mark request APPROVED.
+ * The party who did not write the latest proposal accepts it
+ * -> create the loan package + mark request APPROVED. It moves on to
+ * DISBURSED once both parties sign the agreement and the loan is funded.
  */
 exports.approveDirectRequest = async (req, res) => {
   try {
-    const lenderId = req.user.userId;
+    const userId = req.user.userId;
     const { id } = req.params;
 
     const request = await prisma.directLoanRequest.findUnique({ where: { id: String(id) } });
-    if (!request || request.lenderId !== lenderId) {
+    if (!ensureUserIsParty(request, userId)) {
       return res.status(404).json({ message: 'Request not found' });
     }
     if (request.status !== 'PENDING') {
       return res.status(400).json({ message: 'Request not pending' });
     }
+    if (directRequestService.approverId(request) !== userId) {
+      return res.status(403).json({ message: 'Only the other party can approve the latest proposal' });
+    }
+    if (directRequestService.proposalExpired(request)) {
+      return res.status(400).json({ message: 'The latest proposal has expired' });
+    }
 
-    // Create loan (Loan model requires disbursedAmount; has no status column)
-    const loan = await prisma.loan.create({
-      data: {
-        amount: request.amount,
-        interestRate: request.apr,
-        duration: request.months,
-        borrowerId: request.borrowerId,
-        lenderId: request.lenderId,
-        disbursedAmount: 0,
-      },
-      select: { id: true },
-    });
+    // A borrower accepting the lender's terms must have acknowledged the disclosure
+    if (userId === request.borrowerId) {
+      const disclosure = await disclosureService.disclosureForDirectRequest(request.id, userId);
+      if (!(await disclosureService.hasAcknowledged(disclosure))) {
+        return res.status(409).json({
+          message: 'Review and acknowledge the loan disclosure before approving',
+          code: 'DISCLOSURE_REQUIRED',
+          disclosureVersion: disclosure.version,
+        });
+      }
+    }
 
-    await prisma.directLoanRequest.update({
-      where: { id: String(id) },
-      data: { status: 'APPROVED', loanId: loan.id, decidedAt: new Date() },
-    });
+    const { loan } = await directRequestService.approveDirectRequest(request);
+
+    const otherId = userId === request.lenderId ? request.borrowerId : request.lenderId;
+    await directRequestService.notifyParties(
+      request,
+      { [otherId]: `✅ Your direct loan proposal for $${Number(request.amount).toFixed(2)} was approved.` },
+      { loanId: loan.id, version: request.currentVersion }
+    );
 
-    return res.json({ ok: true, loanId: loan.id });
+    return res.json({ ok: true, loanId: loan.id, status: 'APPROVED', agreementStatus: 'PENDING_SIGNATURES' });
   } catch (err) {
+    if (err.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        message: 'Insufficient wallet balance to approve this request',
+        availableCents: err.availableCents,
+        requiredCents: err.requiredCents,
+      });
+    }
+    if (err.code === 'STALE_PROPOSAL' || err.code === 'P2034') {
+      return res.status(409).json({ message: 'The request changed, reload and try again' });
+    }
     console.error('approveDirectRequest error:', err);
     return res.status(500).json({ message: 'Failed to approve request' });
   }
@@ -209,25 +346,41 @@ exports.approveDirectRequest = async (req, res) => {
 
 /**
  * POST /api/direct-requests/:id/decline
- * Lender declines -> mark DECLINED (closes thread)
+ * Lender declines, or the borrower turns down the lender's counter
+ * -> mark DECLINED (closes thread)
  */
 exports.declineDirectRequest = async (req, res) => {
   try {
-    const lenderId = req.user.userId;
+    const userId = req.user.userId;
     const { id } = req.params;
 
     const request = await prisma.directLoanRequest.findUnique({ where: { id: String(id) } });
-    if (!request || request.lenderId !== lenderId) {
+    if (!ensureUserIsParty(request, userId)) {
       return res.status(404).json({ message: 'Request not found' });
     }
     if (request.status !== 'PENDING') {
       return res.status(400).json({ message: 'Request not pending' });
     }
+    if (userId !== request.lenderId && directRequestService.approverId(request) !== userId) {
+      return res.status(403).json({ message: 'You can only decline the other party\'s proposal' });
+    }
 
-    await prisma.directLoanRequest.update({
-      where: { id: String(id) },
+    // Guarded so a decline can't overwrite a concurrent approval
+    const { count } = await prisma.directLoanRequest.updateMany({
+      where: { id: request.id, status: 'PENDING' },
       data: { status: 'DECLINED', decidedAt: new Date() },
     });
+    if (!count) {
+      return res.status(409).json({ message: 'Request is no longer pending' });
+    }
+    await directRequestService.resolveOpenProposal(request.id, 'DECLINED');
+
+    const otherId = userId === request.lenderId ? request.borrowerId : request.lenderId;
+    await directRequestService.notifyParties(
+      request,
+      { [otherId]: `❌ Your direct loan proposal for $${Number(request.amount).toFixed(2)} was declined.` },
+      { version: request.currentVersion }
+    );
 
     return res.json({ ok: true });
   } catch (err) {
@@ -236,6 +389,73 @@ exports.declineDirectRequest = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/direct-requests/:id/proposals
+ * Negotiation history, oldest first.
+ */
+exports.getProposals = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+
+    const request = await prisma.directLoanRequest.findUnique({ where: { id: String(id) } });
+    if (!ensureUserIsParty(request, userId)) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
+    const proposals = await prisma.directRequestProposal.findMany({
+      where: { directReqId: request.id },
+      orderBy: { version: 'asc' },
+    });
+    return res.json({
+      proposals,
+      canApprove: request.status === 'PENDING' && directRequestService.approverId(request) === userId,
+    });
+  } catch (e) {
+    console.error('getProposals error:', e);
+    return res.status(500).json({ message: 'Failed to load proposals' });
+  }
+};
+
+/**
+ * GET /api/direct-requests/:id/disclosure
+ * Truth-in-Lending style disclosure for the current terms (either party).
+ */
+exports.getDisclosure = async (req, res) => {
+  try {
+    const disclosure = await disclosureService.disclosureForDirectRequest(String(req.params.id), req.user.userId);
+    return res.json({ ...disclosure, acknowledged: await disclosureService.hasAcknowledged(disclosure) });
+  } catch (e) {
+    if (e.code === 'NOT_FOUND') return res.status(404).json({ message: e.message });
+    console.error('getDisclosure error:', e);
+    return res.status(500).json({ message: 'Failed to build disclosure' });
+  }
+};
+
+/**
+ * POST /api/direct-requests/:id/disclosure/acknowledge  { version }
+ * Borrower confirms they reviewed the current disclosure.
+ */
+exports.acknowledgeDisclosure = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const disclosure = await disclosureService.disclosureForDirectRequest(String(req.params.id), userId);
+    const ack = await disclosureService.acknowledgeDisclosure(disclosure, {
+      userId,
+      version: req.body?.version,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    return res.status(201).json(ack);
+  } catch (e) {
+    if (e.code === 'NOT_FOUND') return res.status(404).json({ message: e.message });
+    if (e.code === 'NOT_BORROWER') return res.status(403).json({ message: e.message });
+    if (e.code === 'STALE_DISCLOSURE') return res.status(409).json({ message: e.message, code: e.code });
+    console.error('acknowledgeDisclosure error:', e);
+    return res.status(500).json({ message: 'Failed to acknowledge disclosure' });
+  }
+};
+
 /**
  * GET /api/direct-requests/:id
  * Detail view with the counterpart's basic info for UI header
@@ -250,13 +470,17 @@ exports.getDirectRequestById = async (req, res) => {
       include: {
         borrower: { select: { id: true, name: true } },
         lender:   { select: { id: true, name: true } },
+        proposals: { orderBy: { version: 'asc' } },
       },
     });
 
     if (!ensureUserIsParty(row, userId)) {
       return res.status(404).json({ message: 'Not found' });
     }
-    return res.json(row);
+    return res.json({
+      ...row,
+      canApprove: row.status === 'PENDING' && directRequestService.approverId(row) === userId,
+    });
   } catch (e) {
     console.error('getDirectRequestById error:', e);
     return res.status(500).json({ message: 'Failed to load request' });
@@ -1,5 +1,8 @@
 // src/controllers/documentController.js
 const prisma = require('../utils/prisma');
+const { createContract } = require('./contractController');
+const { STORAGE_SELECT, readContent, sendContent, putBlob, deleteBlob } = require('../services/blobStorageService');
+const { GENERIC_UPLOAD_TYPES, processUpload, sendUploadError } = require('../services/uploadPolicyService');
 
 /**
  * GET /api/documents
@@ -53,7 +56,8 @@ exports.getDocumentById = async (req, res) => {
         fileName: true,
         mimeType: true,
         createdAt: true,
-        content: true, // IMPORTANT (Buffer for uploads)
+        content: true, // legacy rows; newer ones are in the blob store
+        ...STORAGE_SELECT,
       },
     });
 
@@ -66,19 +70,17 @@ exports.getDocumentById = async (req, res) => {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
-    // If content is a Buffer, return base64 for preview
+    // base64 for the in-page preview; large files should use contentUrl
     let base64 = null;
 
-    if (doc.content) {
-      // Prisma Bytes usually comes back as Buffer in Node
-      if (Buffer.isBuffer(doc.content)) {
-        base64 = doc.content.toString('base64');
-      } else if (typeof doc.content === 'string') {
-        // If you saved contracts as string content, you can return as base64 text/plain
-        base64 = Buffer.from(doc.content, 'utf8').toString('base64');
-        // If mimeType is missing for text docs, set a reasonable default
-        if (!doc.mimeType) doc.mimeType = 'text/plain';
-      }
+    if (typeof doc.content === 'string') {
+      // If you saved contracts as string content, you can return as base64 text/plain
+      base64 = Buffer.from(doc.content, 'utf8').toString('base64');
+      // If mimeType is missing for text docs, set a reasonable default
+      if (!doc.mimeType) doc.mimeType = 'text/plain';
+    } else {
+      const content = await readContent(doc);
+      if (content) base64 = content.toString('base64');
     }
 
     // Don’t return raw content directly
@@ -91,6 +93,8 @@ exports.getDocumentById = async (req, res) => {
       fileName: doc.fileName,
       mimeType: doc.mimeType,
       createdAt: doc.createdAt,
+      sizeBytes: doc.sizeBytes ?? (doc.content ? Buffer.from(doc.content).length : 0),
+      contentUrl: `/api/documents/${doc.id}/content`,
       base64, // THIS is what your viewer needs
     });
   } catch (err) {
@@ -99,51 +103,91 @@ exports.getDocumentById = async (req, res) => {
   }
 };
 
-exports.saveContract = async (req, res) => {
-  const userId = req.user.userId;
-  const { loanId, content, title = 'Loan Agreement', type = 'contract' } = req.body;
-
+/**
+ * GET /api/documents/:documentId/content[?download=1]
+ * Streams the file (Range requests supported, e.g. for PDF viewers / video).
+ * Access: owner OR ADMIN
+ */
+exports.getDocumentContent = async (req, res) => {
   try {
-    const document = await prisma.document.create({
-      data: {
-        userId,
-        loanId,
-        title,
-        type,
-        content, // likely string
+    const doc = await prisma.document.findUnique({
+      where: { id: req.params.documentId },
+      select: {
+        id: true,
+        userId: true,
+        fileName: true,
+        mimeType: true,
+        content: true,
+        ...STORAGE_SELECT,
       },
     });
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
 
-    res.status(201).json(document);
+    if (doc.userId !== req.user.userId && req.user.role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    await sendContent(req, res, doc, { disposition: req.query.download ? 'attachment' : 'inline' });
   } catch (err) {
-    console.error('Error saving contract document:', err);
-    res.status(500).json({ error: 'Could not save document' });
+    console.error('getDocumentContent error:', err);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to load document' });
   }
 };
 
+// POST /api/documents/contract — kept for older clients. Agreements are
+// generated server-side now, so any posted content/title is ignored.
+exports.saveContract = (req, res) => createContract(req, res);
+
 exports.uploadDocument = async (req, res) => {
   const userId = req.user.userId;
-  const { title, type } = req.body;
+  const { title } = req.body;
+  const type = String(req.body.type || '').trim().toUpperCase();
   const file = req.file;
 
   if (!file || !title || !type) {
     return res.status(400).json({ error: 'Missing required fields or file.' });
   }
+  const storedType = GENERIC_UPLOAD_TYPES[type];
+  if (!storedType) {
+    return res.status(400).json({
+      error: `Invalid document type: ${req.body.type}. Verification documents are uploaded under /api/verification`,
+      code: 'INVALID_DOCUMENT_TYPE',
+      details: { allowed: Object.values(GENERIC_UPLOAD_TYPES) },
+    });
+  }
 
+  let storage;
   try {
+    // Only validated, scanned (and for photos, EXIF-stripped) bytes are stored
+    const upload = await processUpload({ buffer: file.buffer, fileName: file.originalname, documentType: type });
+    storage = await putBlob(upload.buffer, { kind: storedType });
+
     const newDoc = await prisma.document.create({
       data: {
         userId,
         title,
-        type,
-        content: file.buffer, // Buffer
-        mimeType: file.mimetype,
+        type: storedType,
+        mimeType: upload.mimeType,
         fileName: file.originalname,
+        ...storage,
+      },
+      select: {
+        id: true,
+        userId: true,
+        title: true,
+        type: true,
+        fileName: true,
+        mimeType: true,
+        sizeBytes: true,
+        sha256: true,
+        createdAt: true,
       },
     });
 
     res.status(201).json({ message: 'Document uploaded', document: newDoc });
   } catch (err) {
+    if (sendUploadError(res, err)) return;
+    if (storage) await deleteBlob(storage).catch(() => {});
     console.error('Upload error:', err);
     res.status(500).json({ error: 'Upload failed' });
   }
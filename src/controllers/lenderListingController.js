@@ -0,0 +1,167 @@
+// src/controllers/lenderListingController.js
+const prisma = require('../utils/prisma');
+const {
+  NOT_DELETED,
+  DIRECTORY_SORTS,
+  parseListingInput,
+  searchDirectory,
+  withLenderInfo,
+  toPublicListing,
+} = require('../services/lenderListingService');
+
+const isObjectId = (v) => /^[a-f0-9]{24}$/i.test(String(v || ''));
+
+/** The caller's own (not deleted) listing, or null. */
+async function findOwnListing(id, userId) {
+  if (!isObjectId(id)) return null;
+  const listing = await prisma.lenderListing.findUnique({ where: { id } });
+  if (!listing || listing.deletedAt || listing.lenderId !== userId) return null;
+  return listing;
+}
+
+/* ---------------------------- Directory ---------------------------- */
+
+/**
+ * GET /api/listings   (public)
+ * Active listings with lender stats and trust score.
+ * ?amount= &months= (listing bounds must cover them) &maxApr= &q= &lenderId=
+ * ?sort=apr_asc|apr_desc|newest|amount_desc|term_desc &limit=20 &cursor=
+ */
+exports.getDirectory = async (req, res) => {
+  const { sort = 'apr_asc', cursor, lenderId } = req.query;
+  if (!DIRECTORY_SORTS[sort]) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(DIRECTORY_SORTS).join(', ')}` });
+  }
+  if (cursor && !isObjectId(cursor)) return res.status(400).json({ error: 'Invalid cursor' });
+  if (lenderId && !isObjectId(lenderId)) return res.status(400).json({ error: 'Invalid lenderId' });
+
+  try {
+    const page = await searchDirectory({ query: req.query, sort, cursor, limit: req.query.limit });
+    res.json(page);
+  } catch (err) {
+    console.error('Error fetching lender directory:', err);
+    res.status(500).json({ error: 'Failed to fetch listings' });
+  }
+};
+
+// GET /api/listings/:id   (public)
+exports.getListing = async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Listing not found' });
+
+  try {
+    const listing = await prisma.lenderListing.findUnique({
+      where: { id },
+      include: {
+        lender: { select: { id: true, name: true, location: true, isSuperUser: true, createdAt: true } },
+      },
+    });
+    if (!listing || listing.deletedAt) return res.status(404).json({ error: 'Listing not found' });
+
+    const [item] = await withLenderInfo([listing]);
+    res.json(item);
+  } catch (err) {
+    console.error('Error fetching listing:', err);
+    res.status(500).json({ error: 'Failed to fetch listing' });
+  }
+};
+
+/* ------------------------- Lender's listings ------------------------ */
+
+// GET /api/listings/mine — includes paused listings and auto-invest settings
+exports.getMyListings = async (req, res) => {
+  try {
+    const listings = await prisma.lenderListing.findMany({
+      where: { lenderId: req.user.userId, AND: [NOT_DELETED] },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(listings);
+  } catch (err) {
+    console.error('Error fetching my listings:', err);
+    res.status(500).json({ error: 'Failed to fetch listings' });
+  }
+};
+
+// POST /api/listings  { apr, minAmount, maxAmount, minMonths, maxMonths, headline?, description? }
+exports.createListing = async (req, res) => {
+  const { data, error } = parseListingInput(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const listing = await prisma.lenderListing.create({
+      data: { ...data, lenderId: req.user.userId, isActive: true },
+    });
+    res.status(201).json(listing);
+  } catch (err) {
+    console.error('Error creating listing:', err);
+    res.status(500).json({ error: 'Failed to create listing' });
+  }
+};
+
+// PUT /api/listings/:id — any of the create fields; bounds are checked on the result
+exports.updateListing = async (req, res) => {
+  try {
+    const listing = await findOwnListing(req.params.id, req.user.userId);
+    if (!listing) return res.status(404).json({ error: 'Listing not found' });
+
+    const { data, error } = parseListingInput(req.body || {}, listing);
+    if (error) return res.status(400).json({ error });
+
+    const updated = await prisma.lenderListing.update({ where: { id: listing.id }, data });
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating listing:', err);
+    res.status(500).json({ error: 'Failed to update listing' });
+  }
+};
+
+// POST /api/listings/:id/pause — hidden from the directory, auto-invest stops
+exports.pauseListing = async (req, res) => {
+  try {
+    const listing = await findOwnListing(req.params.id, req.user.userId);
+    if (!listing) return res.status(404).json({ error: 'Listing not found' });
+
+    const updated = await prisma.lenderListing.update({
+      where: { id: listing.id },
+      data: { isActive: false },
+    });
+    res.json(updated);
+  } catch (err) {
+    console.error('Error pausing listing:', err);
+    res.status(500).json({ error: 'Failed to pause listing' });
+  }
+};
+
+// POST /api/listings/:id/resume
+exports.resumeListing = async (req, res) => {
+  try {
+    const listing = await findOwnListing(req.params.id, req.user.userId);
+    if (!listing) return res.status(404).json({ error: 'Listing not found' });
+
+    const updated = await prisma.lenderListing.update({
+      where: { id: listing.id },
+      data: { isActive: true },
+    });
+    res.json(updated);
+  } catch (err) {
+    console.error('Error resuming listing:', err);
+    res.status(500).json({ error: 'Failed to resume listing' });
+  }
+};
+
+// DELETE /api/listings/:id — soft delete; existing direct requests keep their link
+exports.deleteListing = async (req, res) => {
+  try {
+    const listing = await findOwnListing(req.params.id, req.user.userId);
+    if (!listing) return res.status(404).json({ error: 'Listing not found' });
+
+    await prisma.lenderListing.update({
+      where: { id: listing.id },
+      data: { isActive: false, deletedAt: new Date() },
+    });
+    res.json({ message: 'Listing deleted', listing: toPublicListing(listing) });
+  } catch (err) {
+    console.error('Error deleting listing:', err);
+    res.status(500).json({ error: 'Failed to delete listing' });
+  }
+};
@@ -1,21 +1,79 @@
 // src/controllers/loanOfferController.js
 const prisma = require('../utils/prisma');
-const { PEERFUND_FEE_RATE, BANKING_FEE_RATE } = require('../utils/fees');
 const { ALLOWED_AMOUNTS, isAllowedAmount } = require('../utils/loanTiers');
 const { getUserId } = require('../middleware/authMiddleware');
 const { disburseLoanNow } = require('../services/disbursementService');
-const { WalletEntryType } = require('@prisma/client');
-const { getWalletOrCreate } = require('../utils/wallet');
+const { getCreditScores } = require('../services/creditScoreService');
+const { releaseHolds } = require('../services/walletHoldService');
+const {
+  revisionWhere,
+  parseOfferExpiry,
+  getSubscribedCents,
+  createOfferWithHold,
+  amendOffer,
+  withdrawOffer,
+} = require('../services/loanOfferService');
+const {
+  buildAgreementTerms,
+  newLoanId,
+  prepareLoanAgreement,
+  discardLoanAgreement,
+  createLoanAgreement,
+} = require('../services/contractService');
+const {
+  blendedRateBps,
+  disclosureForOffer,
+  acknowledgeDisclosure,
+  hasAcknowledged,
+} = require('../services/disclosureService');
+const { fundLoanShare } = require('../services/loanFundingService');
+const {
+  scheduleOptionsFor,
+  buildSchedule,
+  scheduleToRepaymentRows,
+} = require('../utils/repaymentUtils');
+
+function staleAcceptance() {
+  const err = new Error('The loan request changed, reload and try again');
+  err.code = 'STALE_REQUEST';
+  return err;
+}
+
+/**
+ * Inside an acceptance transaction: flip the offer OPEN → ACCEPTED only if it
+ * is still open on the revision the borrower saw (so a concurrent amendment
+ * can't be accepted unseen), and touch the (still OPEN) request so two
+ * acceptances on the same request write the same document and can't both
+ * commit.
+ */
+async function claimAcceptance(tx, { lr, offerId, revision, acceptanceTimestamp }) {
+  const request = await tx.loanRequest.updateMany({
+    where: { id: lr.id, status: 'OPEN' },
+    data: { updatedAt: acceptanceTimestamp },
+  });
+  const offer = await tx.loanOffer.updateMany({
+    where: { id: offerId, status: 'OPEN', ...revisionWhere(revision) },
+    data: { status: 'ACCEPTED', acceptedAt: acceptanceTimestamp },
+  });
+  if (!request.count || !offer.count) throw staleAcceptance();
+}
 
 /**
  * POST /api/loans/:loanId/offers
  * Create an offer for a given loan request.
- * Server pulls canonical amount/duration from the request and enforces tiers.
+ * Server pulls canonical duration from the request and enforces tiers.
+ * Body may include `amount` to fund only part of the request (fractional
+ * funding); it defaults to whatever is still unsubscribed.
+ * The offered amount is reserved in the lender's wallet (WalletHold) until
+ * the offer is funded, rejected, withdrawn or expires. Optional `expiresAt`
+ * makes the offer lapse on that date.
  */
 exports.submitLoanOffer = async (req, res) => {
   const { loanId } = req.params;
   const userId = req.user.userId;
-  const { interestRate, message } = req.body; // ignore client amount/duration
+  const { interestRate, message, amount } = req.body; // ignore client duration
+  const expiry = parseOfferExpiry(req.body.expiresAt);
+  if (expiry.error) return res.status(400).json({ error: expiry.error });
 
   try {
     const loanReq = await prisma.loanRequest.findUnique({
@@ -26,11 +84,12 @@ exports.submitLoanOffer = async (req, res) => {
         status: true,
         amount: true,
         duration: true,
+        expiresAt: true,
       },
     });
 
     if (!loanReq) return res.status(404).json({ error: 'Loan request not found' });
-    if (loanReq.status !== 'OPEN') {
+    if (loanReq.status !== 'OPEN' || (loanReq.expiresAt && loanReq.expiresAt <= new Date())) {
       return res.status(400).json({ error: 'Loan request is not open for offers' });
     }
     if (loanReq.borrowerId === userId) {
@@ -48,65 +107,123 @@ exports.submitLoanOffer = async (req, res) => {
     }
     const cleanMsg = message ? String(message).slice(0, 1000) : null;
 
-    const offer = await prisma.loanOffer.create({
-      data: {
-        loanRequestId: loanId,
-        lenderId: userId,
-        amount: Number(loanReq.amount),
-        duration: Number(loanReq.duration),
-        interestRate: rate,
-        message: cleanMsg,
-      },
-      include: { lender: { select: { id: true, name: true } } },
+    // Fractional funding: an offer may cover only part of what's left
+    const requestCents = Math.round(Number(loanReq.amount) * 100);
+    const remainingCents = requestCents - (await getSubscribedCents(loanId));
+    if (remainingCents <= 0) {
+      return res.status(400).json({ error: 'Loan request is already fully subscribed' });
+    }
+
+    let offerCents = remainingCents;
+    if (amount != null && amount !== '') {
+      offerCents = Math.round(Number(amount) * 100);
+      if (!Number.isFinite(offerCents) || offerCents <= 0) {
+        return res.status(400).json({ error: 'Offer amount must be a positive number' });
+      }
+      if (offerCents > remainingCents) {
+        return res.status(400).json({
+          error: `Offer amount cannot exceed the unfunded remainder ($${(remainingCents / 100).toFixed(2)})`,
+          remainingCents,
+        });
+      }
+    }
+
+    const offer = await createOfferWithHold({
+      loanRequestId: loanId,
+      lenderId: userId,
+      amountCents: offerCents,
+      duration: loanReq.duration,
+      interestRate: rate,
+      message: cleanMsg,
+      expiresAt: expiry.expiresAt || null,
     });
 
     return res.status(201).json(offer);
   } catch (err) {
+    if (err.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        error: 'Insufficient wallet balance to back this offer',
+        availableCents: err.availableCents,
+        requiredCents: err.requiredCents,
+      });
+    }
     console.error('Submit loan offer failed:', err);
     return res.status(500).json({ error: 'Failed to submit loan offer' });
   }
 };
 
-/** GET /api/loans/:loanId/offers */
+/**
+ * GET /api/loans/:loanId/offers
+ * Each offer carries the request's borrower trust score (the score is built
+ * from borrowing history, so it says nothing about the lenders).
+ */
 exports.getLoanOffers = async (req, res) => {
   const { loanId } = req.params;
   try {
-    const offers = await prisma.loanOffer.findMany({
-      where: { loanRequestId: loanId },
-      include: { lender: { select: { id: true, name: true } } },
-      orderBy: { createdAt: 'desc' },
-    });
-    res.status(200).json(offers);
+    const [offers, lr] = await Promise.all([
+      prisma.loanOffer.findMany({
+        where: { loanRequestId: loanId },
+        include: { lender: { select: { id: true, name: true } } },
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.loanRequest.findUnique({ where: { id: loanId }, select: { borrowerId: true } }),
+    ]);
+    const borrowerTrustScore = lr
+      ? (await getCreditScores([lr.borrowerId])).get(String(lr.borrowerId)) || null
+      : null;
+    res.status(200).json(offers.map((o) => ({ ...o, borrowerTrustScore })));
   } catch (err) {
     console.error('Error fetching loan offers:', err);
     res.status(500).json({ error: 'Could not retrieve loan offers' });
   }
 };
 
+const OFFER_STATUSES = ['OPEN', 'ACCEPTED', 'REJECTED', 'EXPIRED', 'WITHDRAWN'];
+
 /**
  * GET /api/loans/offers/mine
  * Return OPEN loan requests where the current user has submitted an offer.
  * Includes the borrower info and the user’s own offer as `myOffer`.
+ * ?status=OPEN,WITHDRAWN,... filters on the state of the user's offer instead
+ * (any request status).
  */
 exports.getMyOfferRequests = async (req, res) => {
   const userId = req.user.userId;
+
+  let statuses = null;
+  if (req.query.status) {
+    statuses = String(req.query.status)
+      .split(',')
+      .map((s) => s.trim().toUpperCase())
+      .filter(Boolean);
+    const bad = statuses.find((s) => !OFFER_STATUSES.includes(s));
+    if (bad) {
+      return res.status(400).json({ error: `status must be one of: ${OFFER_STATUSES.join(', ')}` });
+    }
+  }
+  const myOfferWhere = { lenderId: userId, ...(statuses && { status: { in: statuses } }) };
+
   try {
     const rows = await prisma.loanRequest.findMany({
       where: {
-        status: 'OPEN',
-        loanOffers: { some: { lenderId: userId } },
+        ...(!statuses && { status: 'OPEN' }),
+        loanOffers: { some: myOfferWhere },
       },
       include: {
         borrower: { select: { id: true, name: true } },
         loanOffers: {
-          where: { lenderId: userId },
+          where: myOfferWhere,
           select: {
             id: true,
             amount: true,
             duration: true,
             interestRate: true,
             message: true,
+            status: true,
+            revision: true,
+            expiresAt: true,
             createdAt: true,
+            updatedAt: true,
             lenderId: true,
           },
           orderBy: { createdAt: 'desc' },
@@ -135,17 +252,194 @@ exports.getMyOfferRequests = async (req, res) => {
   }
 };
 
+/* ------------------------ Lender manages offer ------------------------ */
+
+const isObjectId = (v) => /^[a-f0-9]{24}$/i.test(String(v || ''));
+
+/** The caller's own offer (with its request), or null. */
+async function findOwnOffer(offerId, userId) {
+  if (!isObjectId(offerId)) return null;
+  const offer = await prisma.loanOffer.findUnique({
+    where: { id: offerId },
+    include: {
+      loanRequest: { select: { id: true, status: true, amount: true, expiresAt: true } },
+    },
+  });
+  if (!offer || offer.lenderId !== userId) return null;
+  return offer;
+}
+
+/**
+ * PUT /api/loans/offers/:offerId   (LENDER action)
+ * Amend an OPEN offer. Body (all optional): amount, interestRate, message,
+ * expiresAt (null clears it). Creates a new revision and notifies the borrower.
+ */
+exports.amendLoanOffer = async (req, res) => {
+  const userId = req.user.userId;
+  const body = req.body || {};
+
+  try {
+    const offer = await findOwnOffer(req.params.offerId, userId);
+    if (!offer) return res.status(404).json({ error: 'Loan offer not found' });
+    if (offer.status !== 'OPEN') return res.status(400).json({ error: 'Only open offers can be amended' });
+
+    const lr = offer.loanRequest;
+    if (!lr || lr.status !== 'OPEN' || (lr.expiresAt && lr.expiresAt <= new Date())) {
+      return res.status(400).json({ error: 'Loan request is not open for offers' });
+    }
+
+    const changes = {};
+    if (body.amount !== undefined) {
+      const cents = Math.round(Number(body.amount) * 100);
+      if (!Number.isFinite(cents) || cents <= 0) {
+        return res.status(400).json({ error: 'Offer amount must be a positive number' });
+      }
+      const remainingCents = Math.round(Number(lr.amount) * 100) - (await getSubscribedCents(lr.id));
+      if (cents > remainingCents) {
+        return res.status(400).json({
+          error: `Offer amount cannot exceed the unfunded remainder ($${(remainingCents / 100).toFixed(2)})`,
+          remainingCents,
+        });
+      }
+      changes.amountCents = cents;
+    }
+    if (body.interestRate !== undefined) {
+      const rate = Number(body.interestRate);
+      if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        return res.status(400).json({ error: 'Interest rate must be between 0 and 100%' });
+      }
+      changes.interestRate = rate;
+    }
+    if (body.message !== undefined) {
+      changes.message = body.message ? String(body.message).slice(0, 1000) : null;
+    }
+    const expiry = parseOfferExpiry(body.expiresAt);
+    if (expiry.error) return res.status(400).json({ error: expiry.error });
+    if (expiry.expiresAt !== undefined) changes.expiresAt = expiry.expiresAt;
+
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ error: 'Nothing to change' });
+    }
+
+    const updated = await amendOffer(offer, changes);
+    return res.json(updated);
+  } catch (err) {
+    if (err.code === 'STALE_OFFER') return res.status(409).json({ error: err.message });
+    if (err.code === 'INSUFFICIENT_FUNDS') {
+      return res.status(400).json({
+        error: 'Insufficient wallet balance to back this offer',
+        availableCents: err.availableCents,
+        requiredCents: err.requiredCents,
+      });
+    }
+    console.error('Amend loan offer failed:', err);
+    return res.status(500).json({ error: 'Failed to amend loan offer' });
+  }
+};
+
+/**
+ * POST /api/loans/offers/:offerId/withdraw   (LENDER action)
+ * Withdraw an OPEN offer; the reserved money goes back to the wallet.
+ */
+exports.withdrawLoanOffer = async (req, res) => {
+  try {
+    const offer = await findOwnOffer(req.params.offerId, req.user.userId);
+    if (!offer) return res.status(404).json({ error: 'Loan offer not found' });
+    if (offer.status !== 'OPEN') return res.status(400).json({ error: 'Only open offers can be withdrawn' });
+
+    await withdrawOffer(offer);
+    return res.json({ message: 'Offer withdrawn', offerId: offer.id, status: 'WITHDRAWN' });
+  } catch (err) {
+    if (err.code === 'STALE_OFFER') return res.status(409).json({ error: err.message });
+    console.error('Withdraw loan offer failed:', err);
+    return res.status(500).json({ error: 'Failed to withdraw loan offer' });
+  }
+};
+
+/**
+ * GET /api/loans/offers/:offerId/disclosure
+ * Truth-in-Lending style disclosure for the offer: APR incl. fees, finance
+ * charge, total of payments and the full payment schedule. Borrower or lender.
+ */
+exports.getOfferDisclosure = async (req, res) => {
+  if (!isObjectId(req.params.offerId)) return res.status(404).json({ error: 'Loan offer not found' });
+  try {
+    const disclosure = await disclosureForOffer(req.params.offerId, req.user.userId);
+    return res.json({ ...disclosure, acknowledged: await hasAcknowledged(disclosure) });
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') return res.status(404).json({ error: err.message });
+    console.error('Error building offer disclosure:', err);
+    return res.status(500).json({ error: 'Failed to build disclosure' });
+  }
+};
+
+/**
+ * POST /api/loans/offers/:offerId/disclosure/acknowledge  { version }
+ * Borrower confirms they reviewed the current disclosure; required before
+ * the offer can be accepted.
+ */
+exports.acknowledgeOfferDisclosure = async (req, res) => {
+  if (!isObjectId(req.params.offerId)) return res.status(404).json({ error: 'Loan offer not found' });
+  try {
+    const disclosure = await disclosureForOffer(req.params.offerId, req.user.userId);
+    const ack = await acknowledgeDisclosure(disclosure, {
+      userId: req.user.userId,
+      version: req.body?.version,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+    return res.status(201).json(ack);
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') return res.status(404).json({ error: err.message });
+    if (err.code === 'NOT_BORROWER') return res.status(403).json({ error: err.message });
+    if (err.code === 'STALE_DISCLOSURE') return res.status(409).json({ error: err.message, code: err.code });
+    console.error('Error acknowledging offer disclosure:', err);
+    return res.status(500).json({ error: 'Failed to acknowledge disclosure' });
+  }
+};
+
+/**
+ * GET /api/loans/offers/:offerId/revisions
+ * Revision history of an offer, oldest first. Visible to the lender and the
+ * request's borrower.
+ */
+exports.getOfferRevisions = async (req, res) => {
+  const userId = req.user.userId;
+  const { offerId } = req.params;
+  if (!isObjectId(offerId)) return res.status(404).json({ error: 'Loan offer not found' });
+
+  try {
+    const offer = await prisma.loanOffer.findUnique({
+      where: { id: offerId },
+      include: { loanRequest: { select: { borrowerId: true } } },
+    });
+    if (!offer || (offer.lenderId !== userId && offer.loanRequest?.borrowerId !== userId)) {
+      return res.status(404).json({ error: 'Loan offer not found' });
+    }
+
+    const revisions = await prisma.loanOfferRevision.findMany({
+      where: { offerId },
+      orderBy: { revision: 'asc' },
+    });
+    return res.json({ offerId, status: offer.status, revision: offer.revision || 1, revisions });
+  } catch (err) {
+    console.error('Error fetching offer revisions:', err);
+    return res.status(500).json({ error: 'Failed to fetch offer revisions' });
+  }
+};
+
 // src/controllers/loanOfferController.js
 
 /** POST /api/loans/offers/:offerId/accept  (BORROWER action)
- *  Creates the Loan and marks it ACCEPTED.
- *  Lender can later fund via POST /api/loans/:loanId/fund.
+ *  Marks the offer ACCEPTED. Once the accepted offers add up to the full
+ *  request amount, creates the Loan (status: ACCEPTED) with one LoanShare
+ *  per accepted offer and the PDF loan agreement. Once borrower and lenders
+ *  have signed it, each lender funds their share via
+ *  POST /api/loans/:loanId/fund.
  */
 exports.acceptLoanOffer = async (req, res) => {
   const { offerId } = req.params;
   const userId = getUserId(req);
-  const r2 = (n) =>
-    Math.round((Number(n) + Number.EPSILON) * 100) / 100;
 
   if (!userId) {
     return res.status(401).json({ error: 'Unauthorized' });
@@ -177,7 +471,10 @@ exports.acceptLoanOffer = async (req, res) => {
         .json({ error: 'Only the borrower can accept this offer' });
     }
 
-    if ((lr.status || 'OPEN').toUpperCase() !== 'OPEN') {
+    if (
+      (lr.status || 'OPEN').toUpperCase() !== 'OPEN' ||
+      (lr.expiresAt && lr.expiresAt <= new Date())
+    ) {
       return res
         .status(400)
         .json({ error: 'Loan request is not open' });
@@ -188,6 +485,21 @@ exports.acceptLoanOffer = async (req, res) => {
         .status(400)
         .json({ error: 'Offer is not open' });
     }
+    if (offer.expiresAt && offer.expiresAt <= new Date()) {
+      return res
+        .status(400)
+        .json({ error: 'Offer has expired' });
+    }
+
+    // The borrower must have acknowledged the disclosure for these exact terms
+    const disclosure = await disclosureForOffer(offer.id, userId);
+    if (!(await hasAcknowledged(disclosure))) {
+      return res.status(409).json({
+        error: 'Review and acknowledge the loan disclosure before accepting',
+        code: 'DISCLOSURE_REQUIRED',
+        disclosureVersion: disclosure.version,
+      });
+    }
 
     const amount = Number(offer.amount);
     if (!Number.isFinite(amount) || amount <= 0) {
@@ -206,65 +518,144 @@ exports.acceptLoanOffer = async (req, res) => {
         .json({ error: 'Loan already accepted for this request' });
     }
 
+    // Fractional funding: the offer must fit in what's still unsubscribed
+    const requestCents = Math.round(Number(lr.amount) * 100);
+    const offerCents = Math.round(amount * 100);
+    const subscribedCents = await getSubscribedCents(lr.id);
+    if (subscribedCents + offerCents > requestCents) {
+      return res.status(400).json({
+        error: 'Offer exceeds the unfunded remainder of this request',
+        remainingCents: requestCents - subscribedCents,
+      });
+    }
+
     const acceptanceTimestamp = new Date();
+    const fullySubscribed = subscribedCents + offerCents === requestCents;
+
+    // The acknowledged disclosure must describe what this acceptance creates:
+    // the whole loan when it fills the request, otherwise just this offer
+    if (disclosure.fillsRequest !== fullySubscribed) {
+      return res.status(409).json({
+        error: 'The loan request changed, review the disclosure again',
+        code: 'DISCLOSURE_REQUIRED',
+      });
+    }
 
-    // Interest / schedule math
-    const termRatePct = (Number(offer.interestRate) || 0) + 2;
-    const termRate = termRatePct / 100;
-    const totalBaseRepayment = r2(amount * (1 + termRate));
-    const baseMonthlyPayment = r2(
-      totalBaseRepayment / Number(offer.duration)
-    );
+    // Request still has room → just mark this offer ACCEPTED and wait
+    if (!fullySubscribed) {
+      await prisma.$transaction(async (tx) => {
+        await claimAcceptance(tx, { lr, offerId, revision: offer.revision || 1, acceptanceTimestamp });
+        // Nothing else may have been accepted since the remainder check above
+        if ((await getSubscribedCents(lr.id, tx)) !== subscribedCents + offerCents) {
+          throw staleAcceptance();
+        }
+      });
 
-    const repaymentPeerfundEach = offer.lender.isSuperUser
-      ? 0
-      : r2(baseMonthlyPayment * PEERFUND_FEE_RATE);
-    const repaymentBankingEach = r2(
-      baseMonthlyPayment * BANKING_FEE_RATE
+      await prisma.notification.create({
+        data: {
+          userId: offer.lenderId,
+          type: 'OFFER',
+          message: `✅ Your $${amount.toFixed(2)} offer was accepted. The loan is created once the request is fully funded.`,
+          data: { loanRequestId: lr.id, offerId },
+        },
+      });
+
+      const remainingCents = requestCents - subscribedCents - offerCents;
+      return res.status(200).json({
+        message: `Offer accepted. $${(remainingCents / 100).toFixed(2)} of this request is still open to other lenders.`,
+        loan: null,
+        subscribedCents: subscribedCents + offerCents,
+        remainingCents,
+      });
+    }
+
+    // Fully subscribed → every ACCEPTED offer (plus this one) becomes a share
+    const priorAccepted = await prisma.loanOffer.findMany({
+      where: { loanRequestId: lr.id, status: 'ACCEPTED' },
+      include: { lender: { select: { id: true, name: true, isSuperUser: true } } },
+      orderBy: { acceptedAt: 'asc' },
+    });
+    const acceptedOffers = [...priorAccepted, offer];
+
+    // Lead lender = biggest share (first accepted wins ties)
+    const lead = acceptedOffers.reduce((best, o) =>
+      Number(o.amount) > Number(best.amount) ? o : best
     );
 
-    const scheduleRows = [];
-    let due = new Date();
-    for (let i = 0; i < Number(offer.duration); i++) {
-      due.setMonth(due.getMonth() + 1);
-      const totalCharged = r2(
-        baseMonthlyPayment + repaymentBankingEach + repaymentPeerfundEach
-      );
-      scheduleRows.push({
-        loanId: '', // will be filled in after create
-        dueDate: new Date(due),
-        basePayment: baseMonthlyPayment,
-        bankingFee: repaymentBankingEach,
-        peerfundFee: repaymentPeerfundEach,
-        totalCharged,
-        amountDue: totalCharged,
-        amountPaid: 0,
-        status: 'PENDING',
+    // Blended rate, weighted by each lender's principal; it must be the rate
+    // the borrower acknowledged
+    const interestRateBps = blendedRateBps(acceptedOffers, lr.amount);
+    const blendedRate = interestRateBps / 100;
+    if (interestRateBps !== Math.round(disclosure.noteRate * 100)) {
+      return res.status(409).json({
+        error: 'The loan request changed, review the disclosure again',
+        code: 'DISCLOSURE_REQUIRED',
       });
     }
 
-    const principalCents = Math.round(amount * 100);
+    // PeerFund fee is only waived when every lender on the loan is a SuperUser
+    const peerfundWaived = acceptedOffers.every((o) => o.lender?.isSuperUser);
+
+    // Schedule (cents, principal/interest split per installment)
+    const loanAmount = requestCents / 100;
+    const principalCents = requestCents;
     const termMonths = Number(offer.duration);
-    const interestRateBps = Math.round(
-      Number(offer.interestRate) * 100
+    const schedule = buildSchedule({
+      principalCents,
+      interestRateBps,
+      termMonths,
+      ...scheduleOptionsFor(lr), // the borrower's choice on the request
+      startDate: acceptanceTimestamp,
+    });
+    const scheduleRows = scheduleToRepaymentRows(schedule, { peerfundWaived });
+
+    // PDF agreement every party signs before any share can be funded.
+    // Rendered and stored before the transaction, which only records it.
+    const loanId = newLoanId();
+    const agreement = await prepareLoanAgreement(
+      buildAgreementTerms({
+        loanId,
+        borrower: { id: lr.borrowerId, name: lr.borrower?.name },
+        lenders: acceptedOffers.map((o) => ({
+          id: o.lenderId,
+          name: o.lender?.name,
+          amount: o.amount,
+          interestRate: o.interestRate,
+        })),
+        amount: loanAmount,
+        termMonths,
+        rate: blendedRate,
+        peerfundWaived,
+        schedule,
+        acceptedAt: acceptanceTimestamp,
+      })
     );
 
     const loan = await prisma.$transaction(async (tx) => {
+      // Same guard as the partial path: exactly the shares counted above
+      await claimAcceptance(tx, { lr, offerId, revision: offer.revision || 1, acceptanceTimestamp });
+      if ((await getSubscribedCents(lr.id, tx)) !== requestCents) throw staleAcceptance();
+
       // Create the loan
       const created = await tx.loan.create({
         data: {
+          id: loanId,
+
           // canonical
           principalCents,
           interestRateBps,
           termMonths,
+          scheduleMethod: schedule.method,
+          paymentFrequency: schedule.frequency,
+          dayCount: schedule.dayCount,
 
           // legacy mirrors
-          amount,
+          amount: loanAmount,
           duration: termMonths,
-          interestRate: Number(offer.interestRate),
+          interestRate: blendedRate,
 
           borrowerId: lr.borrowerId,
-          lenderId: offer.lenderId,
+          lenderId: lead.lenderId,
           loanRequestId: lr.id,
 
           status: 'ACCEPTED',
@@ -276,68 +667,72 @@ exports.acceptLoanOffer = async (req, res) => {
         include: { lender: true },
       });
 
-      // Mark offer + request
-      await tx.loanOffer.update({
-        where: { id: offerId },
-        data: {
-          status: 'ACCEPTED',
-          acceptedAt: acceptanceTimestamp,
-        },
-      });
+      // One share per accepted offer
+      for (const o of acceptedOffers) {
+        const shareCents = Math.round(Number(o.amount) * 100);
+        await tx.loanShare.create({
+          data: {
+            loanId: created.id,
+            lenderId: o.lenderId,
+            offerId: o.id,
+            principalCents: shareCents,
+            shareBps: Math.round((shareCents * 10000) / principalCents),
+            status: 'PENDING',
+          },
+        });
+      }
 
-      await tx.loanOffer.updateMany({
+      // Reject the rest
+      const rejected = await tx.loanOffer.findMany({
         where: {
           loanRequestId: lr.id,
           status: 'OPEN',
           NOT: { id: offerId },
         },
+        select: { id: true },
+      });
+      const rejectedIds = rejected.map((o) => o.id);
+      await tx.loanOffer.updateMany({
+        where: { id: { in: rejectedIds } },
         data: { status: 'REJECTED' },
       });
 
+      // Rejected lenders get their reserved money back; the accepted ones
+      // stay held until they fund, now tied to the loan
+      await releaseHolds({ offerId: { in: rejectedIds } }, {}, tx);
+      await tx.walletHold.updateMany({
+        where: { offerId: { in: acceptedOffers.map((o) => o.id) }, status: 'ACTIVE' },
+        data: { loanId: created.id },
+      });
+
       await tx.loanRequest.update({
         where: { id: lr.id },
         data: { status: 'CLOSED', offerAccepted: true },
       });
 
-      // Simple text contract
-      const contractContent = `Loan Contract Agreement
-
-Borrower: ${lr.borrower?.name || 'Borrower'}
-Lender: ${created.lender.name}
-Amount: $${amount}
-Duration: ${termMonths} months
-Base Interest Rate: ${offer.interestRate}%
-Per installment additional fees:
-- PeerFund: ${
-        offer.lender.isSuperUser
-          ? 'WAIVED (Super User)'
-          : `${(PEERFUND_FEE_RATE * 100).toFixed(2)}% of base`
-      }
-- Banking/Stripe: ${(BANKING_FEE_RATE * 100).toFixed(2)}% of base
-
-Total Effective Interest Rate (display): ${termRatePct}%
-Accepted At: ${acceptanceTimestamp.toISOString()}`;
-
-      await tx.document.create({
-        data: {
-          userId,
-          loanId: created.id,
-          type: 'contract',
-          title: `Loan Agreement with ${created.lender.name}`,
-          fileName: `loan_contract_${created.id}.txt`,
-          mimeType: 'text/plain',
-          content: Buffer.from(contractContent),
-        },
-      });
+      await createLoanAgreement(agreement, tx);
 
       await tx.notification.create({
         data: {
           userId,
           type: 'DOCUMENT',
-          message: `✅ Your loan contract with ${created.lender.name} has been finalized.`,
+          message: `✍️ Your loan agreement with ${created.lender.name} is ready to sign.`,
+          data: { loanId: created.id },
         },
       });
 
+      // Each lender signs, then funds their own share
+      for (const lenderId of new Set(acceptedOffers.map((o) => o.lenderId))) {
+        await tx.notification.create({
+          data: {
+            userId: lenderId,
+            type: 'LOAN',
+            message: '💸 A loan you offered on is fully subscribed. Sign the loan agreement, then fund your share.',
+            data: { loanId: created.id },
+          },
+        });
+      }
+
       const rowsWithLoanId = scheduleRows.map((r) => ({
         ...r,
         loanId: created.id,
@@ -345,14 +740,21 @@ Accepted At: ${acceptanceTimestamp.toISOString()}`;
       await tx.repayment.createMany({ data: rowsWithLoanId });
 
       return created;
+    }).catch(async (e) => {
+      await discardLoanAgreement(agreement);
+      throw e;
     });
 
     return res.status(201).json({
       message:
-        'Loan accepted and contract saved. Waiting for lender to fund.',
+        'Loan accepted and contract saved. Waiting for lenders to fund.',
       loan,
     });
   } catch (err) {
+    // P2034: write conflict with a concurrent acceptance on the same request
+    if (err.code === 'STALE_REQUEST' || err.code === 'P2034') {
+      return res.status(409).json({ error: 'The loan request changed, reload and try again' });
+    }
     console.error('🔥 acceptLoanOffer error:', err);
     return res
       .status(500)
@@ -363,11 +765,24 @@ Accepted At: ${acceptanceTimestamp.toISOString()}`;
 // ─────────────────────────────────────────────────────────────────────────────
 // POST /api/loans/:loanId/fund  (LENDER action, wallet → wallet only)
 //
-// 1) Debit lender's wallet.availableCents
-// 2) Credit borrower's wallet.availableCents
-// 3) (Best effort) create a Transaction row using *amount* (dollars)
-// 4) Mark loan FUNDED, set disbursedAmount (dollars) + updatedAt
+// Fractional funding: each lender funds only their own LoanShare, and only
+// once every party has signed the loan agreement.
+// 1) Debit lender's wallet by their share (held money from their offer /
+//    direct-request hold first, then availableCents)
+// 2) Credit borrower's wallet.availableCents by the same amount
+// 3) Mark the share FUNDED; once every share is funded mark the loan FUNDED
+// (see loanFundingService.fundLoanShare)
 // ─────────────────────────────────────────────────────────────────────────────
+const FUNDING_ERROR_STATUS = {
+  LOAN_NOT_FOUND: 404,
+  NOT_A_LENDER: 403,
+  ALREADY_FUNDED: 409,
+  NOT_READY: 400,
+  INVALID_PRINCIPAL: 400,
+  INSUFFICIENT_FUNDS: 400,
+  AGREEMENT_UNSIGNED: 409,
+};
+
 exports.fundLoanByLender = async (req, res) => {
   try {
     console.log('💸 fundLoanByLender (wallet-only) hit');
@@ -378,178 +793,29 @@ exports.fundLoanByLender = async (req, res) => {
     }
 
     const { loanId } = req.params;
-
-    // Load the loan with borrower + lender
-    const loan = await prisma.loan.findUnique({
-      where: { id: loanId },
-      include: { borrower: true, lender: true },
-    });
-
-    if (!loan) {
-      return res.status(404).json({ error: 'Loan not found' });
-    }
-
-    if (String(loan.lenderId) !== String(lenderId)) {
-      return res
-        .status(403)
-        .json({ error: 'Only the lender can fund this loan' });
-    }
-
-    const status = (loan.status || '').toUpperCase();
-    if (status === 'FUNDED') {
-      return res.status(409).json({ error: 'Loan already funded' });
-    }
-    if (status !== 'ACCEPTED') {
-      return res.status(400).json({
-        error: 'Loan is not ready to fund (status must be ACCEPTED)',
-      });
-    }
-
-    // Canonical amount in cents
-    const principalCents = Number.isFinite(loan.principalCents)
-      ? loan.principalCents
-      : Math.round((loan.amount || 0) * 100);
-
-    if (!principalCents || principalCents <= 0) {
-      return res.status(400).json({ error: 'Invalid principal amount' });
-    }
-
-    // Dollars version (for Transaction + disbursedAmount)
-    const principalDollars = principalCents / 100;
-
-    // Quick pre-check: lender wallet exists & has balance
-    const lenderWallet = await getWalletOrCreate(lenderId);
-    if (!lenderWallet) {
-      return res
-        .status(500)
-        .json({ error: 'Wallet not found for lender' });
-    }
-    if (lenderWallet.availableCents < principalCents) {
-      return res.status(400).json({
-        error: 'Insufficient wallet balance to fund this loan',
-        availableCents: lenderWallet.availableCents,
-        requiredCents: principalCents,
-      });
-    }
-
-    // Single DB transaction: debit lender, credit borrower, mark FUNDED
-    await prisma.$transaction(async (tx) => {
-      // Re-read lender wallet inside tx
-      const w = await tx.wallet.findUnique({
-        where: { id: lenderWallet.id },
-      });
-      if (!w) throw new Error('Wallet not found in transaction.');
-      if (w.availableCents < principalCents) {
-        throw new Error(
-          'Insufficient wallet balance (checked inside transaction).'
-        );
-      }
-
-      // 1) Debit lender wallet (cents)
-      const lenderNewBalance = w.availableCents - principalCents;
-      await tx.wallet.update({
-        where: { id: w.id },
-        data: { availableCents: lenderNewBalance },
-      });
-
-      await tx.walletLedger.create({
-        data: {
-          walletId: w.id,
-          type: WalletEntryType.DISBURSE,
-          amountCents: principalCents,
-          direction: 'DEBIT',
-          balanceAfterCents: lenderNewBalance,
-          referenceType: 'Loan',
-          referenceId: loan.id,
-          metadata: {
-            reason: 'LOAN_FUNDED_LENDER_DEBIT',
-            loanId: loan.id,
-            borrowerId: loan.borrowerId,
-            lenderId: loan.lenderId,
-          },
-        },
-      });
-
-      // 2) Ensure borrower wallet exists & credit it (cents)
-      const borrowerWallet = await tx.wallet.upsert({
-        where: { userId: loan.borrowerId },
-        update: {},
-        create: {
-          userId: loan.borrowerId,
-          availableCents: 0,
-          pendingCents: 0,
-        },
-      });
-
-      const borrowerNewBalance =
-        borrowerWallet.availableCents + principalCents;
-      await tx.wallet.update({
-        where: { id: borrowerWallet.id },
-        data: { availableCents: borrowerNewBalance },
-      });
-
-      await tx.walletLedger.create({
-        data: {
-          walletId: borrowerWallet.id,
-          type: WalletEntryType.DISBURSE,
-          amountCents: principalCents,
-          direction: 'CREDIT',
-          balanceAfterCents: borrowerNewBalance,
-          referenceType: 'Loan',
-          referenceId: loan.id,
-          metadata: {
-            reason: 'LOAN_FUNDED_BORROWER_CREDIT',
-            loanId: loan.id,
-            borrowerId: loan.borrowerId,
-            lenderId: loan.lenderId,
-          },
-        },
-      });
-
-      // 3) BEST-EFFORT Transaction row (dollars, no direction field)
-      try {
-        await tx.transaction.create({
-          data: {
-            type: 'DISBURSEMENT',
-            amount: principalDollars, // dollars
-            loanId: loan.id,
-            fromUserId: lenderId,
-            toUserId: loan.borrowerId,
-          },
-        });
-      } catch (e) {
-        console.warn(
-          '⚠️ transaction.create failed (non-fatal):',
-          e.message
-        );
-        // do NOT rethrow – funding should still succeed
-      }
-
-      // 4) Mark loan funded (no fundedAt field in your schema)
-      await tx.loan.update({
-        where: { id: loan.id },
-        data: {
-          status: 'FUNDED',
-          disbursedAmount: principalDollars, // dollars
-          updatedAt: new Date(),
-        },
-      });
-    });
-
-    const updated = await prisma.loan.findUnique({
-      where: { id: loan.id },
-    });
+    const { loan, fullyFunded, shareCents } = await fundLoanShare({ loanId, lenderId });
 
     return res.json({
       ok: true,
-      loan: updated,
+      loan,
+      fullyFunded,
       disbursement: {
         transferId: 'peerfund-internal-wallet',
-        netCents: principalCents,
+        netCents: shareCents,
         platformFeeCents: 0,
       },
     });
   } catch (err) {
+    if (FUNDING_ERROR_STATUS[err.code]) {
+      return res.status(FUNDING_ERROR_STATUS[err.code]).json({
+        error: err.message,
+        ...(err.code === 'INSUFFICIENT_FUNDS' && {
+          availableCents: err.availableCents,
+          heldCents: err.heldCents,
+          requiredCents: err.requiredCents,
+        }),
+      });
+    }
     console.error('fundLoanByLender error:', err);
     return res.status(500).json({ error: 'Failed to fund loan' });
   }
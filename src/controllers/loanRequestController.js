@@ -1,12 +1,21 @@
 // src/controllers/loanRequestController.js
 const prisma = require('../utils/prisma');
 const { ALLOWED_AMOUNTS, isAllowedAmount } = require('../utils/loanTiers');
+const {
+  resolveExpiresAt,
+  notExpiredWhere,
+  rejectOutstandingOffers,
+  notifyLenders,
+} = require('../services/loanRequestService');
+const { notifySavedSearchMatches } = require('../services/marketplaceService');
+const { evaluateLoanRequest } = require('../services/autoInvestService');
+const { parseScheduleOptions } = require('../utils/repaymentUtils');
 
 // 2. Get all open loan requests
 exports.getOpenLoanRequests = async (req, res) => {
   try {
     const openLoanRequests = await prisma.loanRequest.findMany({
-      where: { status: 'OPEN' },
+      where: { status: 'OPEN', ...notExpiredWhere() },
       include: {
         borrower: {
           select: {
@@ -33,20 +42,12 @@ exports.getOpenLoanRequests = async (req, res) => {
 // 3. Create a new loan request (POST from frontend)
 exports.createLoanRequest = async (req, res) => {
   const userId = req.user.userId;
-  const { amount, duration, interestRate, purpose } = req.body;
+  const { amount, duration, interestRate, purpose, expiresAt } = req.body;
 
   try {
-    // ✅ Gate: require verified docs + admin approval
-    /*const check = await getVerificationChecklist(userId);
-    if (!check.ok) {
-      return res.status(403).json({
-        error: 'Verification required before requesting a loan.',
-        checklist: check, // { ok, status, hasPhotoId, paystubCount, requiredPaystubs, missing: [...] }
-        howToFix: 'Upload an updated Photo ID and three recent paystubs, then wait for admin approval.',
-      });
-    }
-    */
-   
+    // Verification / funding-method gate runs in the route
+    // (requireVerified('CREATE_LOAN_REQUEST'))
+
     // Coerce inputs safely
     const amt = Number(amount);
     const dur = Number.parseInt(duration, 10);
@@ -66,6 +67,11 @@ exports.createLoanRequest = async (req, res) => {
     if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
       return res.status(400).json({ error: 'Interest rate must be between 0 and 100%.' });
     }
+    const expiry = resolveExpiresAt(expiresAt);
+    if (expiry.error) return res.status(400).json({ error: expiry.error });
+    // Optional scheduleMethod / paymentFrequency (default AMORTIZING / MONTHLY)
+    const schedule = parseScheduleOptions(req.body);
+    if (schedule.error) return res.status(400).json({ error: schedule.error });
 
     // Fetch user (for superuser info returned in response)
     const user = await prisma.user.findUnique({
@@ -81,6 +87,9 @@ exports.createLoanRequest = async (req, res) => {
         interestRate: rate,
         purpose: (purpose || '').trim(),
         status: 'OPEN',
+        expiresAt: expiry.expiresAt,
+        scheduleMethod: schedule.scheduleMethod,
+        paymentFrequency: schedule.paymentFrequency,
       },
     });
 
@@ -92,6 +101,14 @@ exports.createLoanRequest = async (req, res) => {
         ? 0
         : `${(amt * 0.01).toFixed(2)} (1% PeerFund Fee Estimate)`,
     });
+
+    // Saved-search alerts and auto-invest rules (best effort, after the response)
+    notifySavedSearchMatches(loanRequest.id).catch((e) =>
+      console.error('⚠️ Saved-search notifications failed:', e)
+    );
+    evaluateLoanRequest(loanRequest.id).catch((e) =>
+      console.error('⚠️ Auto-invest evaluation failed:', e)
+    );
   } catch (err) {
     console.error('❌ Error creating loan request:', err);
     res.status(500).json({ error: 'Failed to create loan request' });
@@ -99,11 +116,13 @@ exports.createLoanRequest = async (req, res) => {
 };
 
 
-// (Optional) Update loan request — if you add an edit feature, keep enforcement here too.
+// PUT /api/loans/:loanId — borrower edits their own OPEN request.
+// Amount, duration and schedule are locked once lenders have made offers on them;
+// status changes go through cancel / relist.
 exports.updateLoanRequest = async (req, res) => {
   const { loanId } = req.params;
   const userId = req.user.userId;
-  const { amount, duration, interestRate, purpose, status } = req.body;
+  const { amount, duration, interestRate, purpose, expiresAt } = req.body;
 
   try {
     // Only allow borrower to update their own open request (adjust to your rules)
@@ -142,7 +161,32 @@ exports.updateLoanRequest = async (req, res) => {
     }
 
     if (purpose != null) data.purpose = String(purpose).trim();
-    if (status != null) data.status = status; // optionally restrict allowed status transitions
+
+    if (expiresAt !== undefined) {
+      const expiry = resolveExpiresAt(expiresAt);
+      if (expiry.error) return res.status(400).json({ error: expiry.error });
+      data.expiresAt = expiry.expiresAt;
+    }
+
+    if (req.body.scheduleMethod !== undefined || req.body.paymentFrequency !== undefined) {
+      const schedule = parseScheduleOptions(req.body);
+      if (schedule.error) return res.status(400).json({ error: schedule.error });
+      if (req.body.scheduleMethod !== undefined) data.scheduleMethod = schedule.scheduleMethod;
+      if (req.body.paymentFrequency !== undefined) data.paymentFrequency = schedule.paymentFrequency;
+    }
+
+    // Offers were made (and disclosed) on these terms
+    const termsChanged = ['amount', 'duration', 'scheduleMethod', 'paymentFrequency'].some((k) => k in data);
+    if (termsChanged) {
+      const offerCount = await prisma.loanOffer.count({
+        where: { loanRequestId: loanId, status: { in: ['OPEN', 'ACCEPTED'] } },
+      });
+      if (offerCount > 0) {
+        return res.status(409).json({
+          error: 'Amount, duration and schedule cannot change once lenders have made offers. Cancel and relist instead.',
+        });
+      }
+    }
 
     const updated = await prisma.loanRequest.update({
       where: { id: loanId },
@@ -156,6 +200,88 @@ exports.updateLoanRequest = async (req, res) => {
   }
 };
 
+// POST /api/loans/:loanId/cancel — borrower takes an OPEN request off the market.
+// Outstanding offers are rejected and their lenders' reserved funds released.
+exports.cancelLoanRequest = async (req, res) => {
+  const { loanId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const existing = await prisma.loanRequest.findUnique({
+      where: { id: loanId },
+      select: { borrowerId: true, status: true },
+    });
+    if (!existing) return res.status(404).json({ error: 'Loan request not found' });
+    if (existing.borrowerId !== userId) return res.status(403).json({ error: 'Not authorized' });
+    if (existing.status !== 'OPEN') return res.status(400).json({ error: 'Only OPEN requests can be cancelled' });
+
+    const result = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.loanRequest.updateMany({
+        where: { id: loanId, status: 'OPEN' },
+        data: { status: 'CANCELLED', cancelledAt: new Date() },
+      });
+      if (!count) return null;
+      return rejectOutstandingOffers(loanId, tx);
+    });
+    if (!result) return res.status(409).json({ error: 'Loan request is no longer open' });
+
+    await notifyLenders(loanId, result, 'CANCELLED');
+
+    const updated = await prisma.loanRequest.findUnique({ where: { id: loanId } });
+    res.json({ message: 'Loan request cancelled', loanRequest: updated, offersRejected: result.length });
+  } catch (err) {
+    console.error('❌ Error cancelling loan request:', err);
+    res.status(500).json({ error: 'Failed to cancel loan request' });
+  }
+};
+
+// POST /api/loans/:loanId/relist — put a CANCELLED or EXPIRED request back on
+// the market with a fresh expiry (body may carry a new expiresAt).
+exports.relistLoanRequest = async (req, res) => {
+  const { loanId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const existing = await prisma.loanRequest.findUnique({
+      where: { id: loanId },
+      select: { borrowerId: true, status: true, loan: { select: { id: true } } },
+    });
+    if (!existing) return res.status(404).json({ error: 'Loan request not found' });
+    if (existing.borrowerId !== userId) return res.status(403).json({ error: 'Not authorized' });
+    if (!['CANCELLED', 'EXPIRED'].includes(existing.status) || existing.loan) {
+      return res.status(400).json({ error: 'Only cancelled or expired requests can be relisted' });
+    }
+
+    const now = new Date();
+    const expiry = resolveExpiresAt(req.body?.expiresAt, now);
+    if (expiry.error) return res.status(400).json({ error: expiry.error });
+
+    const updated = await prisma.loanRequest.update({
+      where: { id: loanId },
+      data: {
+        status: 'OPEN',
+        expiresAt: expiry.expiresAt,
+        relistedAt: now,
+        relistCount: { increment: 1 },
+        cancelledAt: null,
+        expiredAt: null,
+      },
+    });
+
+    res.json({ message: 'Loan request relisted', loanRequest: updated });
+
+    notifySavedSearchMatches(updated.id).catch((e) =>
+      console.error('⚠️ Saved-search notifications failed:', e)
+    );
+    evaluateLoanRequest(updated.id).catch((e) =>
+      console.error('⚠️ Auto-invest evaluation failed:', e)
+    );
+  } catch (err) {
+    console.error('❌ Error relisting loan request:', err);
+    res.status(500).json({ error: 'Failed to relist loan request' });
+  }
+};
+
 // Get detailed loan request with messages and offers
 exports.getLoanDetails = async (req, res) => {
   const { loanId } = req.params;
@@ -0,0 +1,147 @@
+// src/controllers/marketplaceController.js
+const prisma = require('../utils/prisma');
+const {
+  SORTS,
+  parseMarketplaceFilters,
+  searchMarketplace,
+} = require('../services/marketplaceService');
+
+const MAX_SAVED_SEARCHES = 20;
+const isObjectId = (v) => /^[a-f0-9]{24}$/i.test(String(v || ''));
+
+function resolveSort(sort) {
+  if (sort == null || sort === '') return { sort: 'newest' };
+  if (!SORTS[sort]) return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+  return { sort };
+}
+
+/**
+ * GET /api/marketplace
+ * OPEN loan requests. Filters (all optional): minAmount, maxAmount, duration,
+ * minDuration, maxDuration, minRate, maxRate, q, verifiedOnly,
+ * minCompletedLoans, maxLatePayments, minOnTimeRate, excludeDefaults.
+ * ?sort=newest|oldest|amount_asc|amount_desc|rate_asc|rate_desc|duration_asc|duration_desc
+ * ?limit=20 (max 100) &cursor=<nextCursor from the previous page>
+ */
+exports.searchLoanRequests = async (req, res) => {
+  const { filters, errors } = parseMarketplaceFilters(req.query);
+  if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+
+  const { sort, error } = resolveSort(req.query.sort);
+  if (error) return res.status(400).json({ error });
+
+  const { cursor } = req.query;
+  if (cursor && !isObjectId(cursor)) return res.status(400).json({ error: 'Invalid cursor' });
+
+  try {
+    const page = await searchMarketplace({ filters, sort, cursor, limit: req.query.limit });
+    res.json({ ...page, filters, sort });
+  } catch (err) {
+    console.error('Error searching marketplace:', err);
+    res.status(500).json({ error: 'Failed to search loan requests' });
+  }
+};
+
+/* ------------------------- Saved searches --------------------------- */
+
+// GET /api/marketplace/saved-searches
+exports.listSavedSearches = async (req, res) => {
+  try {
+    const searches = await prisma.savedSearch.findMany({
+      where: { userId: req.user.userId },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(searches);
+  } catch (err) {
+    console.error('Error fetching saved searches:', err);
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+};
+
+// POST /api/marketplace/saved-searches  { name, filters, sort?, notify? }
+exports.createSavedSearch = async (req, res) => {
+  const userId = req.user.userId;
+  const { name, sort: rawSort, notify } = req.body || {};
+
+  if (!name || !String(name).trim()) return res.status(400).json({ error: 'name is required' });
+
+  const { filters, errors } = parseMarketplaceFilters(req.body?.filters || {});
+  if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+
+  const { sort, error } = resolveSort(rawSort);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const count = await prisma.savedSearch.count({ where: { userId } });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const saved = await prisma.savedSearch.create({
+      data: {
+        userId,
+        name: String(name).trim().slice(0, 100),
+        filters,
+        sort,
+        notify: notify === undefined ? true : Boolean(notify),
+      },
+    });
+    res.status(201).json(saved);
+  } catch (err) {
+    console.error('Error creating saved search:', err);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+};
+
+// PATCH /api/marketplace/saved-searches/:id  { name?, filters?, sort?, notify? }
+exports.updateSavedSearch = async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Saved search not found' });
+
+  const data = {};
+  if (body.name !== undefined) {
+    if (!String(body.name).trim()) return res.status(400).json({ error: 'name cannot be empty' });
+    data.name = String(body.name).trim().slice(0, 100);
+  }
+  if (body.filters !== undefined) {
+    const { filters, errors } = parseMarketplaceFilters(body.filters || {});
+    if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+    data.filters = filters;
+  }
+  if (body.sort !== undefined) {
+    const { sort, error } = resolveSort(body.sort);
+    if (error) return res.status(400).json({ error });
+    data.sort = sort;
+  }
+  if (body.notify !== undefined) data.notify = Boolean(body.notify);
+
+  try {
+    const existing = await prisma.savedSearch.findUnique({ where: { id } });
+    if (!existing || existing.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    const saved = await prisma.savedSearch.update({ where: { id }, data });
+    res.json(saved);
+  } catch (err) {
+    console.error('Error updating saved search:', err);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+};
+
+// DELETE /api/marketplace/saved-searches/:id
+exports.deleteSavedSearch = async (req, res) => {
+  const { id } = req.params;
+  if (!isObjectId(id)) return res.status(404).json({ error: 'Saved search not found' });
+
+  try {
+    const { count } = await prisma.savedSearch.deleteMany({
+      where: { id, userId: req.user.userId },
+    });
+    if (!count) return res.status(404).json({ error: 'Saved search not found' });
+    res.json({ message: 'Saved search deleted' });
+  } catch (err) {
+    console.error('Error deleting saved search:', err);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+};
@@ -0,0 +1,73 @@
+// src/controllers/reconciliationController.js
+const prisma = require('../utils/prisma');
+const { runReconciliation } = require('../services/reconciliationService');
+
+/**
+ * GET /api/admin/reconciliation
+ * Latest report in full plus a short history (without the issue lists).
+ * ?limit=20 (max 100)
+ */
+exports.getReconciliationReports = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const [latest, history] = await Promise.all([
+      prisma.reconciliationReport.findFirst({ orderBy: { startedAt: 'desc' } }),
+      prisma.reconciliationReport.findMany({
+        orderBy: { startedAt: 'desc' },
+        take: limit,
+        select: {
+          id: true,
+          status: true,
+          trigger: true,
+          startedAt: true,
+          finishedAt: true,
+          walletsChecked: true,
+          repaymentsChecked: true,
+          issueCount: true,
+          error: true,
+        },
+      }),
+    ]);
+
+    res.json({ latest, history });
+  } catch (err) {
+    console.error('Error fetching reconciliation reports:', err);
+    res.status(500).json({ error: 'Failed to fetch reconciliation reports' });
+  }
+};
+
+/**
+ * GET /api/admin/reconciliation/:id
+ * One report with its findings; ?kind=WALLET_AVAILABLE_DRIFT filters them.
+ */
+exports.getReconciliationReport = async (req, res) => {
+  try {
+    const report = await prisma.reconciliationReport.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+
+    if (req.query.kind && Array.isArray(report.issues)) {
+      report.issues = report.issues.filter((i) => i.kind === req.query.kind);
+    }
+    res.json(report);
+  } catch (err) {
+    console.error('Error fetching reconciliation report:', err);
+    res.status(500).json({ error: 'Failed to fetch reconciliation report' });
+  }
+};
+
+/**
+ * POST /api/admin/reconciliation/run
+ * Run a reconciliation now instead of waiting for the nightly job.
+ */
+exports.runReconciliationNow = async (_req, res) => {
+  try {
+    const report = await runReconciliation({ trigger: 'MANUAL' });
+    res.status(201).json(report);
+  } catch (err) {
+    console.error('Manual reconciliation failed:', err);
+    res.status(500).json({ error: 'Reconciliation failed' });
+  }
+};
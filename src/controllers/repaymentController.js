@@ -1,93 +1,31 @@
 // src/controllers/repaymentController.js
 const prisma = require('../utils/prisma');
-const { PEERFUND_FEE_RATE, BANKING_FEE_RATE, calcFees } = require('../utils/fees');
-const { WalletEntryType } = require('@prisma/client');
-const { getWalletOrCreate } = require('../utils/wallet');
-
-// Platform user that receives platform + bank fees
-const PLATFORM_USER_ID =
-  process.env.PLATFORM_FEE_USER_ID || '68f523b619356751fcb1ed4b';
+const { calcFees } = require('../utils/fees');
+const {
+  DEFAULT_SCHEDULE_METHOD,
+  DEFAULT_PAYMENT_FREQUENCY,
+  DEFAULT_DAY_COUNT,
+  buildSchedule,
+  scheduleToRepaymentRows,
+} = require('../utils/repaymentUtils');
+const { buildPayoffQuote, defaultGoodThrough } = require('../services/payoffService');
+const { postRepayment } = require('../services/ledgerPostings');
+const { UNPAID_REPAYMENT_STATUSES, SERVICING_LOAN_STATUSES } = require('../utils/delinquency');
+const { refreshLoanStatus } = require('../services/delinquencyService');
+const { refreshScoreForLoan } = require('../services/creditScoreService');
 
 // helper: round to 2 decimals
 const r2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
 
-// helper: push repayment money into wallets (lender + platform)
-async function applyWalletCreditsForRepayment({ loan, loanId, base, bankingFee, platformFee }) {
-  try {
-    const lenderId = loan?.lender?.id;
-
-    console.log('💸 applyWalletCreditsForRepayment', {
-      loanId,
-      lenderId,
-      base,
-      bankingFee,
-      platformFee,
-    });
-
-    const baseCents     = Math.round((Number(base)        || 0) * 100);
-    const bankCents     = Math.round((Number(bankingFee)  || 0) * 100);
-    const platformCents = Math.round((Number(platformFee) || 0) * 100);
-    const totalFeeCents = bankCents + platformCents;
-
-    // 1) Credit lender wallet with base repayment
-    if (lenderId && baseCents > 0) {
-      const lenderWallet = await getWalletOrCreate(lenderId);
-      const newBal = (lenderWallet.availableCents || 0) + baseCents;
-
-      await prisma.wallet.update({
-        where: { id: lenderWallet.id },
-        data: { availableCents: newBal },
-      });
-
-      await prisma.walletLedger.create({
-        data: {
-          walletId: lenderWallet.id,
-          type: WalletEntryType.DISBURSE, // reuse DISBURSE for loan-related inflow
-          amountCents: baseCents,
-          direction: 'CREDIT',
-          balanceAfterCents: newBal,
-          referenceType: 'Loan',
-          referenceId: loanId,
-          metadata: {
-            loanId,
-            reason: 'REPAYMENT_BASE',
-          },
-        },
-      });
-    }
+// helper: dollars → integer cents
+const toCents = (n) => Math.round((Number(n) || 0) * 100);
 
-    // 2) Credit platform wallet with BANK_FEE + PLATFORM_FEE
-    if (PLATFORM_USER_ID && totalFeeCents > 0) {
-      const platformWallet = await getWalletOrCreate(PLATFORM_USER_ID);
-      const newBal = (platformWallet.availableCents || 0) + totalFeeCents;
-
-      await prisma.wallet.update({
-        where: { id: platformWallet.id },
-        data: { availableCents: newBal },
-      });
-
-      await prisma.walletLedger.create({
-        data: {
-          walletId: platformWallet.id,
-          type: WalletEntryType.ADJUSTMENT, // generic “system” credit
-          amountCents: totalFeeCents,
-          direction: 'CREDIT',
-          balanceAfterCents: newBal,
-          referenceType: 'Loan',
-          referenceId: loanId,
-          metadata: {
-            loanId,
-            reason: 'REPAYMENT_FEES',
-            bankCents,
-            platformCents,
-          },
-        },
-      });
-    }
-  } catch (e) {
-    console.error('⚠️ Failed to apply wallet credits for repayment:', e);
-  }
-}
+// helper: the installments changed under a payoff / prepayment
+const staleSchedule = () => {
+  const err = new Error('The loan changed, reload and try again');
+  err.code = 'STALE_SCHEDULE';
+  return err;
+};
 
 // GET /api/repayments/:loanId – List repayments
 exports.getLoanRepayments = async (req, res) => {
@@ -120,6 +58,7 @@ exports.recordRepayment = async (req, res) => {
         paidAt: amountPaid > 0 ? new Date() : null,
       },
     });
+    refreshScoreForLoan(repayment.loanId, amountPaid > 0 ? 'REPAYMENT_PAID' : 'REPAYMENT_RECORDED');
 
     res.status(200).json(repayment);
   } catch (err) {
@@ -152,6 +91,8 @@ exports.makeRepayment = async (req, res) => {
             id: true,
             status: true,
             basePayment: true,
+            principalCents: true,
+            lateFee: true,
           },
         },
       },
@@ -161,7 +102,9 @@ exports.makeRepayment = async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized or loan not found' });
     }
 
-    const nextRepayment = loan.repayments.find((r) => r.status === 'PENDING');
+    const nextRepayment = loan.repayments.find((r) =>
+      UNPAID_REPAYMENT_STATUSES.includes(r.status)
+    );
     if (!nextRepayment) {
       return res.status(400).json({ error: 'No pending repayments' });
     }
@@ -179,6 +122,10 @@ exports.makeRepayment = async (req, res) => {
       totalCharge = r2(base + totalFees);
     }
 
+    // Late fee assessed by the delinquency sweep (already on the Fee table)
+    const lateFee = r2(nextRepayment.lateFee || 0);
+    totalCharge = r2(totalCharge + lateFee);
+
     const paymentAmount = Number(amount);
     if (!Number.isFinite(paymentAmount)) {
       return res.status(400).json({ error: 'Amount must be a number' });
@@ -191,103 +138,47 @@ exports.makeRepayment = async (req, res) => {
       });
     }
 
-    // ── 1) Mark repayment as paid (MVP: no real gateway call yet) ─────────
+    // Normalize final fee values we’ll use for accounting
+    const finalBanking = r2(bankingFee);
+    const finalPeerfund = r2(peerfundFee);
+
+    // ── 1) Post to the journal: lenders' base + platform fees ─────────────
+    // (MVP: no real gateway call yet, so the money comes in via Stripe clearing)
+    await postRepayment({
+      loanId,
+      repaymentId: nextRepayment.id,
+      borrowerId: loan.borrowerId,
+      source: 'EXTERNAL',
+      baseCents: toCents(base),
+      principalCents: nextRepayment.principalCents ?? undefined,
+      bankingFeeCents: toCents(finalBanking),
+      peerfundFeeCents: toCents(finalPeerfund),
+      lateFeeCents: toCents(lateFee),
+    });
+
+    // ── 2) Mark repayment as paid ─────────────────────────────────────────
     const paidAt = new Date();
-    const updated = await prisma.repayment.update({
+    await prisma.repayment.update({
       where: { id: nextRepayment.id },
       data: {
         amountPaid: paymentAmount,
         basePayment: base,
-        bankingFee: r2(bankingFee),
-        peerfundFee: r2(peerfundFee),
+        bankingFee: finalBanking,
+        peerfundFee: finalPeerfund,
         totalCharged: r2(totalCharge),
         status: 'PAID',
         paidAt,
+        statusChangedAt: paidAt,
       },
     });
 
-    // Normalize final fee values we’ll use for accounting
-    const finalBanking = r2(bankingFee);
-    const finalPeerfund = r2(peerfundFee);
-
-    // ── 2) Fee audit rows (existing fee table) ────────────────────────────
-    try {
-      const feeRecords = [];
-      if (finalBanking > 0) {
-        feeRecords.push({
-          loanId,
-          repaymentId: updated.id,
-          type: 'BANK_FEE',
-          amount: finalBanking,
-        });
-      }
-      if (finalPeerfund > 0) {
-        feeRecords.push({
-          loanId,
-          repaymentId: updated.id,
-          type: 'PLATFORM_FEE',
-          amount: finalPeerfund,
-        });
-      }
-      if (feeRecords.length) {
-        await prisma.fee.createMany({ data: feeRecords });
-      }
-    } catch (e) {
-      console.error('⚠️ Failed to log fees into fee table:', e);
-    }
-
-    // ── 3) Transactions for history & accounting ──────────────────────────
+    // ── 3) Loan status follows the worst installment still unpaid ─────────
     try {
-      const txRows = [];
-
-      // a) REPAYMENT → lender (base amount only)
-      if (loan.lender?.id) {
-        txRows.push({
-          type: 'REPAYMENT',
-          amount: r2(base),
-          fromUserId: loan.borrowerId,
-          toUserId: loan.lender.id,
-          loanId,
-        });
-      }
-
-      // b) BANK_FEE → platform
-      if (finalBanking > 0) {
-        txRows.push({
-          type: 'BANK_FEE',
-          amount: finalBanking,
-          fromUserId: loan.borrowerId,
-          toUserId: PLATFORM_USER_ID,
-          loanId,
-        });
-      }
-
-      // c) PLATFORM_FEE → platform
-      if (finalPeerfund > 0) {
-        txRows.push({
-          type: 'PLATFORM_FEE',
-          amount: finalPeerfund,
-          fromUserId: loan.borrowerId,
-          toUserId: PLATFORM_USER_ID,
-          loanId,
-        });
-      }
-
-      if (txRows.length) {
-        await prisma.transaction.createMany({ data: txRows });
-      }
+      await refreshLoanStatus(loanId);
     } catch (e) {
-      console.error('⚠️ Failed to log repayment transactions:', e);
+      console.error('⚠️ Failed to refresh loan status:', e);
     }
-
-    // ── 4) Wallet credits: lender base + platform fees ────────────────────
-    await applyWalletCreditsForRepayment({
-      loan,
-      loanId,
-      base,
-      bankingFee: finalBanking,
-      platformFee: finalPeerfund,
-    });
+    refreshScoreForLoan(loanId, 'REPAYMENT_PAID');
 
     res.status(200).json({
       message: 'Repayment submitted successfully',
@@ -296,6 +187,7 @@ exports.makeRepayment = async (req, res) => {
         base,
         bankingFee: finalBanking,
         peerfundFee: finalPeerfund,
+        lateFee,
         total: r2(totalCharge),
       },
     });
@@ -337,7 +229,7 @@ exports.payNextRepayment = async (req, res) => {
 
     // 2) Next pending repayment
     const next = await prisma.repayment.findFirst({
-      where: { loanId: loan.id, status: 'PENDING' },
+      where: { loanId: loan.id, status: { in: UNPAID_REPAYMENT_STATUSES } },
       orderBy: { dueDate: 'asc' },
       select: {
         id: true,
@@ -345,6 +237,8 @@ exports.payNextRepayment = async (req, res) => {
         bankingFee: true,
         peerfundFee: true,
         totalCharged: true,
+        principalCents: true,
+        lateFee: true,
         dueDate: true,
       },
     });
@@ -367,15 +261,14 @@ exports.payNextRepayment = async (req, res) => {
       typeof next.peerfundFee === 'number' ? next.peerfundFee : r2(peerfundFee);
     const finalBanking =
       typeof next.bankingFee === 'number' ? next.bankingFee : r2(bankingFee);
-    const finalTotal =
-      typeof next.totalCharged === 'number'
-        ? next.totalCharged
-        : r2(base + finalPeerfund + finalBanking);
+    const lateFee = r2(next.lateFee || 0);
+    const finalTotal = r2(base + finalPeerfund + finalBanking + lateFee);
 
     console.log('💳 Computed installment amounts', {
       base,
       finalBanking,
       finalPeerfund,
+      lateFee,
       finalTotal,
       paymentSource,
     });
@@ -394,180 +287,428 @@ exports.payNextRepayment = async (req, res) => {
       paymentMethodId = pm.id;
     }
 
-    // 5) CHARGE (MVP): mark repayment as paid
+    // 5) CHARGE: post to the journal (wallet debit, or bank pull via Stripe clearing)
+    try {
+      await postRepayment({
+        loanId,
+        repaymentId: next.id,
+        borrowerId,
+        source: paymentSource === 'wallet' ? 'WALLET' : 'EXTERNAL',
+        baseCents: toCents(base),
+        principalCents: next.principalCents ?? undefined,
+        bankingFeeCents: toCents(finalBanking),
+        peerfundFeeCents: toCents(finalPeerfund),
+        lateFeeCents: toCents(lateFee),
+        metadata: { paymentMethodId },
+      });
+    } catch (e) {
+      if (e.code === 'INSUFFICIENT_FUNDS') {
+        console.warn('payNextRepayment: insufficient wallet balance', {
+          borrowerId,
+          available: e.availableCents,
+          required: e.requiredCents,
+        });
+        return res.status(400).json({ error: 'Insufficient wallet balance' });
+      }
+      throw e;
+    }
+
+    // 6) Mark repayment as paid
     const paidAt = new Date();
     const updated = await prisma.repayment.update({
       where: { id: next.id },
       data: {
         status: 'PAID',
         paidAt,
+        statusChangedAt: paidAt,
         basePayment: base,
         peerfundFee: r2(finalPeerfund),
         bankingFee: r2(finalBanking),
-        totalCharged: r2(finalTotal),
-        amountPaid: r2(finalTotal),
+        totalCharged: finalTotal,
+        amountPaid: finalTotal,
       },
       select: { id: true, status: true, paidAt: true, totalCharged: true },
     });
 
-    // 6) Fee audit rows
+    // ---------------------------------------------------------------------
+    // 7) If no unpaid repayments remain, mark loan as COMPLETED
+    // ---------------------------------------------------------------------
     try {
-      const feeRecords = [];
-      if (finalBanking > 0) {
-        feeRecords.push({
-          loanId,
-          repaymentId: next.id,
-          type: 'BANK_FEE',
-          amount: r2(finalBanking),
-        });
-      }
-      if (finalPeerfund > 0) {
-        feeRecords.push({
-          loanId,
-          repaymentId: next.id,
-          type: 'PLATFORM_FEE',
-          amount: r2(finalPeerfund),
+      const remaining = await prisma.repayment.count({
+        where: { loanId, status: { in: UNPAID_REPAYMENT_STATUSES } },
+      });
+
+      if (remaining === 0) {
+        console.log(`🎉 Loan ${loanId} fully repaid — marking COMPLETED`);
+        await prisma.loan.update({
+          where: { id: loanId },
+          data: {
+            status: 'COMPLETED',
+            // If you add this column later:
+            // paidOffAt: new Date(),
+          },
         });
-      }
-      if (feeRecords.length) {
-        await prisma.fee.createMany({ data: feeRecords });
+      } else {
+        await refreshLoanStatus(loanId);
       }
     } catch (e) {
-      console.error('⚠️ Failed to log fees (payNextRepayment):', e);
+      console.error('⚠️ Failed to mark loan as COMPLETED:', e);
     }
+    refreshScoreForLoan(loanId, 'REPAYMENT_PAID');
+    // ---------------------------------------------------------------------
 
-    // 7) Transactions + wallet logic
-    try {
-      const txRows = [];
-
-      // a) REPAYMENT → lender (base amount)
-      if (loan.lender?.id && base > 0) {
-        txRows.push({
-          type: 'REPAYMENT',
-          amount: r2(base),
-          fromUserId: borrowerId,
-          toUserId:   loan.lender.id,
-          loanId,
-        });
-      }
+    return res.json({
+      ok: true,
+      repaymentId: updated.id,
+      status: updated.status,
+      paidAt: updated.paidAt,
+      amount: updated.totalCharged,
+    });
+  } catch (err) {
+    console.error('💥 payNextRepayment error:', err);
+    return res.status(500).json({ error: 'Payment failed' });
+  }
+};
 
-      // b) BANK_FEE → platform
-      if (finalBanking > 0) {
-        txRows.push({
-          type: 'BANK_FEE',
-          amount: r2(finalBanking),
-          fromUserId: borrowerId,
-          toUserId:   PLATFORM_USER_ID,
-          loanId,
-        });
-      }
+/**
+ * GET /api/loans/:loanId/payoff-quote?goodThrough=YYYY-MM-DD
+ * Amount needed to close the loan if paid by the good-through date.
+ */
+exports.getPayoffQuote = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { loanId } = req.params;
 
-      // c) PLATFORM_FEE → platform
-      if (finalPeerfund > 0) {
-        txRows.push({
-          type: 'PLATFORM_FEE',
-          amount: r2(finalPeerfund),
-          fromUserId: borrowerId,
-          toUserId:   PLATFORM_USER_ID,
-          loanId,
-        });
+    let goodThrough = defaultGoodThrough();
+    if (req.query.goodThrough) {
+      goodThrough = new Date(req.query.goodThrough);
+      if (Number.isNaN(goodThrough.getTime())) {
+        return res.status(400).json({ error: 'goodThrough must be a date (YYYY-MM-DD)' });
       }
-
-      if (txRows.length) {
-        await prisma.transaction.createMany({ data: txRows });
+      if (goodThrough < new Date(new Date().toDateString())) {
+        return res.status(400).json({ error: 'goodThrough cannot be in the past' });
       }
+    }
 
-      // WALLET LOGIC
-      if (paymentSource === 'wallet') {
-        const totalCents = Math.round(finalTotal * 100);
+    const quote = await buildPayoffQuote(loanId, goodThrough);
+    if (!quote || quote.borrowerId !== userId) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+    if (!SERVICING_LOAN_STATUSES.includes(quote.loanStatus)) {
+      return res.status(400).json({ error: 'Only funded loans can be paid off' });
+    }
 
-        const borrowerWallet = await getWalletOrCreate(borrowerId);
-        if (!borrowerWallet || borrowerWallet.availableCents < totalCents) {
-          console.warn('payNextRepayment: insufficient wallet balance', {
-            borrowerId,
-            available: borrowerWallet?.availableCents,
-            required: totalCents,
-          });
-          return res.status(400).json({ error: 'Insufficient wallet balance' });
-        }
+    const { lines, borrowerId, ...summary } = quote;
+    return res.json({ ...summary, payoffAmount: quote.totalCents / 100 });
+  } catch (err) {
+    console.error('💥 getPayoffQuote error:', err);
+    return res.status(500).json({ error: 'Failed to build payoff quote' });
+  }
+};
 
-        const newBorrowerBal = borrowerWallet.availableCents - totalCents;
-        await prisma.wallet.update({
-          where: { id: borrowerWallet.id },
-          data: { availableCents: newBorrowerBal },
-        });
+/**
+ * POST /api/loans/:loanId/payoff
+ * Borrower settles every remaining installment from their wallet.
+ * Interest is charged up to today; the loan becomes COMPLETED.
+ */
+exports.payoffLoan = async (req, res) => {
+  try {
+    const borrowerId = req.user.userId;
+    const { loanId } = req.params;
 
-        await prisma.walletLedger.create({
-          data: {
-            walletId: borrowerWallet.id,
-            type: WalletEntryType.REPAYMENT,
-            amountCents: totalCents,
-            direction: 'DEBIT',
-            balanceAfterCents: newBorrowerBal,
-            referenceType: 'Loan',
-            referenceId: loanId,
-            metadata: {
-              loanId,
-              repaymentId: next.id,
-              reason: 'REPAYMENT_DEBIT',
-              source: 'WALLET',
+    const quote = await buildPayoffQuote(loanId, new Date());
+    if (!quote || quote.borrowerId !== borrowerId) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+    if (!SERVICING_LOAN_STATUSES.includes(quote.loanStatus)) {
+      return res.status(400).json({ error: 'Only funded loans can be paid off' });
+    }
+    if (!quote.lines.length) {
+      return res.status(400).json({ error: 'No pending repayment' });
+    }
+
+    // 1) Settle every quoted row (fees land on the first one), post the
+    //    payoff (borrower wallet → lenders pro-rata + platform fees) and close
+    //    the loan in one transaction. Rows are only settled while still
+    //    unpaid, so a concurrent payment aborts instead of charging twice.
+    const firstId = quote.lines[0].repaymentId;
+    const paidAt = new Date();
+    let allocations;
+    try {
+      ({ allocations } = await prisma.$transaction(async (tx) => {
+        let settled = 0;
+        for (const [i, l] of quote.lines.entries()) {
+          const baseCents = l.principalCents + l.interestCents;
+          const feeCents = i === 0 ? quote.peerfundFeeCents + quote.bankingFeeCents : 0;
+          const totalCents = baseCents + l.lateFeeCents + feeCents;
+          const { count } = await tx.repayment.updateMany({
+            where: { id: l.repaymentId, status: { in: UNPAID_REPAYMENT_STATUSES } },
+            data: {
+              status: 'PAID',
+              paidAt,
+              statusChangedAt: paidAt,
+              principalCents: l.principalCents,
+              interestCents: l.interestCents,
+              basePayment: baseCents / 100,
+              peerfundFee: i === 0 ? quote.peerfundFeeCents / 100 : 0,
+              bankingFee: i === 0 ? quote.bankingFeeCents / 100 : 0,
+              totalCharged: totalCents / 100,
+              amountPaid: totalCents / 100,
             },
-          },
-        });
+          });
+          settled += count;
+        }
+        if (settled !== quote.lines.length) throw staleSchedule();
 
-        await applyWalletCreditsForRepayment({
-          loan,
-          loanId,
-          base,
-          bankingFee: finalBanking,
-          platformFee: finalPeerfund,
-        });
-      } else {
-        await applyWalletCreditsForRepayment({
-          loan,
-          loanId,
-          base,
-          bankingFee: finalBanking,
-          platformFee: finalPeerfund,
-        });
-      }
+        const posted = await postRepayment(
+          {
+            kind: 'PAYOFF',
+            loanId,
+            repaymentId: firstId,
+            borrowerId,
+            source: 'WALLET',
+            baseCents: quote.principalCents + quote.interestCents,
+            principalCents: quote.principalCents,
+            bankingFeeCents: quote.bankingFeeCents,
+            peerfundFeeCents: quote.peerfundFeeCents,
+            lateFeeCents: quote.lateFeeCents,
+          },
+          tx
+        );
+        await tx.loan.update({ where: { id: loanId }, data: { status: 'COMPLETED' } });
+        return posted;
+      }));
     } catch (e) {
-      console.error('⚠️ Failed to log repayment transactions/wallet movements:', e);
+      if (e.code === 'INSUFFICIENT_FUNDS') {
+        return res.status(400).json({ error: 'Insufficient wallet balance' });
+      }
+      if (e.code === 'STALE_SCHEDULE' || e.code === 'P2034') {
+        return res.status(409).json({ error: 'The loan changed while paying it off, request a new quote' });
+      }
+      throw e;
     }
 
-    // ---------------------------------------------------------------------
-    // 8) NEW — If no pending repayments remain, mark loan as PAID_OFF
-    // ---------------------------------------------------------------------
+    const finalBanking = quote.bankingFeeCents / 100;
+    const finalPeerfund = quote.peerfundFeeCents / 100;
+    const lateFee = quote.lateFeeCents / 100;
+
+    // 2) Let everyone know
+    console.log(`🎉 Loan ${loanId} paid off early — marking COMPLETED`);
+    refreshScoreForLoan(loanId, 'LOAN_PAID_OFF');
+
     try {
-      const remaining = await prisma.repayment.count({
-        where: { loanId, status: 'PENDING' },
+      await prisma.notification.createMany({
+        data: [
+          {
+            userId: borrowerId,
+            type: 'REPAYMENT',
+            message: `🎉 Your loan is paid off. $${(quote.totalCents / 100).toFixed(2)} was charged to your wallet.`,
+            data: { loanId },
+          },
+          ...[...new Set(allocations.map((a) => a.lenderId))].map((userId) => ({
+            userId,
+            type: 'REPAYMENT',
+            message: '🎉 A loan you funded was paid off early. Your share has been credited to your wallet.',
+            data: { loanId },
+          })),
+        ],
       });
+    } catch (e) {
+      console.error('⚠️ Failed to send payoff notifications:', e);
+    }
 
-      if (remaining === 0) {
-        console.log(`🎉 Loan ${loanId} fully repaid — marking PAID_OFF`);
-        await prisma.loan.update({
-          where: { id: loanId },
-          data: {
-            status: 'PAID_OFF',
-            // If you add this column later:
-            // paidOffAt: new Date(),
+    return res.json({
+      ok: true,
+      loanId,
+      status: 'COMPLETED',
+      amount: quote.totalCents / 100,
+      breakdown: {
+        principal: quote.principalCents / 100,
+        interest: quote.interestCents / 100,
+        lateFee,
+        bankingFee: finalBanking,
+        peerfundFee: finalPeerfund,
+        total: quote.totalCents / 100,
+      },
+    });
+  } catch (err) {
+    console.error('💥 payoffLoan error:', err);
+    return res.status(500).json({ error: 'Payoff failed' });
+  }
+};
+
+/**
+ * POST /api/loans/:loanId/prepay
+ * Body: { amount, mode: 'REAMORTIZE' | 'SHORTEN_TERM' }
+ * Extra payment straight to principal. REAMORTIZE keeps the remaining due
+ * dates and lowers each installment; SHORTEN_TERM keeps the installment size
+ * and drops installments off the end.
+ */
+exports.prepayLoan = async (req, res) => {
+  try {
+    const borrowerId = req.user.userId;
+    const { loanId } = req.params;
+    const { amount, mode = 'REAMORTIZE' } = req.body || {};
+
+    if (!['REAMORTIZE', 'SHORTEN_TERM'].includes(mode)) {
+      return res.status(400).json({ error: "mode must be 'REAMORTIZE' or 'SHORTEN_TERM'" });
+    }
+    const amountCents = Math.round(Number(amount) * 100);
+    if (!Number.isFinite(amountCents) || amountCents <= 0) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+
+    const loan = await prisma.loan.findFirst({
+      where: { id: loanId, borrowerId },
+      select: {
+        id: true,
+        status: true,
+        interestRateBps: true,
+        scheduleMethod: true,
+        paymentFrequency: true,
+        dayCount: true,
+        fundedDate: true,
+        createdAt: true,
+        borrower: { select: { isSuperUser: true } },
+        repayments: {
+          orderBy: { dueDate: 'asc' },
+          select: {
+            id: true,
+            status: true,
+            dueDate: true,
+            installmentNo: true,
+            principalCents: true,
+            interestCents: true,
+            peerfundFee: true,
+          },
+        },
+      },
+    });
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+    if (loan.status !== 'FUNDED') {
+      return res.status(400).json({ error: 'Prepayments are only accepted on funded loans that are up to date' });
+    }
+
+    const paid = loan.repayments.filter((r) => r.status === 'PAID');
+    const unpaid = loan.repayments.filter((r) => UNPAID_REPAYMENT_STATUSES.includes(r.status));
+    if (!unpaid.length) {
+      return res.status(400).json({ error: 'No pending repayment' });
+    }
+    if (unpaid.some((r) => !Number.isFinite(r.principalCents))) {
+      return res.status(400).json({ error: 'This loan has no principal/interest split on its schedule, so it cannot be prepaid' });
+    }
+
+    const outstandingCents = unpaid.reduce((s, r) => s + r.principalCents, 0);
+    if (amountCents >= outstandingCents) {
+      return res.status(400).json({
+        error: 'Amount covers the whole balance; request a payoff quote instead',
+        outstandingPrincipal: outstandingCents / 100,
+      });
+    }
+
+    // Fees on the prepaid principal, same rules as an installment
+    const base = amountCents / 100;
+    let { peerfundFee, bankingFee, totalCharge } = calcFees(base);
+    const peerfundWaived = unpaid.every((r) => !(Number(r.peerfundFee) > 0));
+    if (loan.borrower.isSuperUser || peerfundWaived) {
+      peerfundFee = 0;
+      totalCharge = r2(base + bankingFee);
+    }
+
+    const finalBanking = r2(bankingFee);
+    const finalPeerfund = r2(peerfundFee);
+
+    // 1) Re-schedule what's left on the remaining due dates
+    const method = loan.scheduleMethod || DEFAULT_SCHEDULE_METHOD;
+    const first = unpaid[0];
+    const newBalance = outstandingCents - amountCents;
+    const schedule = buildSchedule({
+      principalCents: newBalance,
+      interestRateBps: loan.interestRateBps,
+      method,
+      frequency: loan.paymentFrequency || DEFAULT_PAYMENT_FREQUENCY,
+      dayCount: loan.dayCount || DEFAULT_DAY_COUNT,
+      startDate: paid.length ? paid[paid.length - 1].dueDate : loan.fundedDate || loan.createdAt,
+      dueDates: unpaid.map((r) => r.dueDate),
+      firstInstallmentNo: first.installmentNo || paid.length + 1,
+      // FLAT: the unearned finance charge shrinks with the balance
+      ...(method === 'FLAT' && {
+        flatInterestCents: Math.round(
+          (unpaid.reduce((s, r) => s + (r.interestCents || 0), 0) * newBalance) / outstandingCents
+        ),
+      }),
+      ...(mode === 'SHORTEN_TERM' &&
+        (method === 'AMORTIZING'
+          ? { paymentCents: first.principalCents + (first.interestCents || 0) }
+          : { principalPartCents: first.principalCents })),
+    });
+    const newRows = scheduleToRepaymentRows(schedule, { peerfundWaived });
+
+    // 2) Rewrite the unpaid rows (only while still unpaid) and post the
+    //    prepayment (borrower wallet → lenders, all principal + fees) in one
+    //    transaction, so a concurrent payment aborts instead of charging twice
+    try {
+      await prisma.$transaction(async (tx) => {
+        let rewritten = 0;
+        for (const [i, row] of newRows.entries()) {
+          const { status, amountPaid, ...fields } = row;
+          const { count } = await tx.repayment.updateMany({
+            where: { id: unpaid[i].id, status: { in: UNPAID_REPAYMENT_STATUSES } },
+            data: fields,
+          });
+          rewritten += count;
+        }
+        const { count: dropped } = await tx.repayment.deleteMany({
+          where: {
+            id: { in: unpaid.slice(newRows.length).map((r) => r.id) },
+            status: { in: UNPAID_REPAYMENT_STATUSES },
           },
         });
-      }
+        if (rewritten + dropped !== unpaid.length) throw staleSchedule();
+
+        await postRepayment(
+          {
+            kind: 'PREPAYMENT',
+            loanId,
+            borrowerId,
+            source: 'WALLET',
+            baseCents: amountCents,
+            principalCents: amountCents,
+            bankingFeeCents: toCents(finalBanking),
+            peerfundFeeCents: toCents(finalPeerfund),
+            metadata: { mode },
+          },
+          tx
+        );
+      });
     } catch (e) {
-      console.error('⚠️ Failed to mark loan as PAID_OFF:', e);
+      if (e.code === 'INSUFFICIENT_FUNDS') {
+        return res.status(400).json({ error: 'Insufficient wallet balance' });
+      }
+      if (e.code === 'STALE_SCHEDULE' || e.code === 'P2034') {
+        return res.status(409).json({ error: 'The loan changed while prepaying, reload and try again' });
+      }
+      throw e;
     }
-    // ---------------------------------------------------------------------
 
     return res.json({
       ok: true,
-      repaymentId: updated.id,
-      status: updated.status,
-      paidAt: updated.paidAt,
-      amount: updated.totalCharged,
+      mode,
+      amountApplied: base,
+      breakdown: {
+        principal: base,
+        bankingFee: finalBanking,
+        peerfundFee: finalPeerfund,
+        total: r2(totalCharge),
+      },
+      remainingPrincipal: newBalance / 100,
+      installmentsRemaining: newRows.length,
+      nextPayment: newRows[0]?.totalCharged ?? 0,
     });
   } catch (err) {
-    console.error('💥 payNextRepayment error:', err);
-    return res.status(500).json({ error: 'Payment failed' });
+    console.error('💥 prepayLoan error:', err);
+    return res.status(500).json({ error: 'Prepayment failed' });
   }
 };
@@ -11,6 +11,7 @@ const {
   createConnectOnboardingLink,    // (accountId, refreshUrl?, returnUrl?) -> accountLinks.create(...)
   getConnectAccount,              // (accountId) -> stripe.accounts.retrieve(...)
 } = require('../lib/stripeIdentities');
+const { refreshScoreForUser } = require('../services/creditScoreService');
 
 /* ------------------------------------------------------------------ */
 /* Utility: get authenticated user + id                               */
@@ -147,6 +148,7 @@ exports.getConnectAccountStatus = async (req, res) => {
         where: { id: me.id },
         data: { connectOnboardingCompleted: completed },
       });
+      refreshScoreForUser(me.id, 'PAYOUT_SETUP');
     }
 
     return res.json({
@@ -186,6 +188,7 @@ exports.handleOnboardingReturn = async (req, res) => {
         where: { id: me.id },
         data: { connectOnboardingCompleted: true },
       });
+      refreshScoreForUser(me.id, 'PAYOUT_SETUP');
     }
 
     // Send them back to Payment Method with a status flag
@@ -5,6 +5,27 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-
 
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { postDeposit } = require('../services/ledgerPostings');
+const { handlePayoutPaid, handlePayoutFailed } = require('../services/withdrawalService');
+
+// Payout events happen on connected accounts, so they come in through a
+// Connect webhook endpoint with its own signing secret
+const WEBHOOK_SECRETS = [
+  process.env.STRIPE_WEBHOOK_SECRET,
+  process.env.STRIPE_CONNECT_WEBHOOK_SECRET,
+].filter(Boolean);
+
+function constructEvent(rawBody, sig) {
+  let lastErr;
+  for (const secret of WEBHOOK_SECRETS) {
+    try {
+      return Stripe.webhooks.constructEvent(rawBody, sig, secret);
+    } catch (err) {
+      lastErr = err;
+    }
+  }
+  throw lastErr || new Error('No Stripe webhook secret configured');
+}
 
 exports.handleStripeWebhook = async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -12,7 +33,7 @@ exports.handleStripeWebhook = async (req, res) => {
 
   // IMPORTANT: verify against raw body
   try {
-    event = Stripe.webhooks.constructEvent(req.rawBody, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    event = constructEvent(req.rawBody, sig);
     console.log('✅ Stripe webhook:', event.type);
   } catch (err) {
     console.error('❌ Webhook signature verification failed:', err.message);
@@ -81,6 +102,24 @@ exports.handleStripeWebhook = async (req, res) => {
       case 'payment_intent.succeeded': {
         // For ACH this is "submitted/confirmed" — funds not necessarily available yet.
         const pi = event.data.object;
+
+        // Wallet top-up from /api/wallet/deposit-intent → post once per PaymentIntent
+        if (pi.metadata?.purpose === 'wallet_deposit' && pi.metadata?.userId) {
+          const already = await prisma.journalEntry.findFirst({
+            where: { kind: 'DEPOSIT', externalId: pi.id },
+            select: { id: true },
+          });
+          if (!already) {
+            await postDeposit({
+              userId: pi.metadata.userId,
+              amountCents: pi.amount_received || pi.amount,
+              externalId: pi.id,
+              metadata: { status: 'SUCCEEDED', via: 'webhook' },
+            });
+          }
+          break;
+        }
+
         const loanId = pi.metadata?.loanId;
         if (loanId) {
           await prisma.loan.update({
@@ -125,6 +164,19 @@ exports.handleStripeWebhook = async (req, res) => {
         break;
       }
 
+      /**
+       * ========= Wallet withdrawals (Connect payouts) =========
+       */
+      case 'payout.paid': {
+        await handlePayoutPaid(event.data.object);
+        break;
+      }
+
+      case 'payout.failed': {
+        await handlePayoutFailed(event.data.object);
+        break;
+      }
+
       default: {
         // No-op for other events for now
         break;
@@ -0,0 +1,82 @@
+// src/controllers/taxController.js
+const {
+  INT_1099_THRESHOLD,
+  parseTaxYear,
+  buildStatement,
+  statementToCsv,
+  statementToPdf,
+  build1099IntRecords,
+  records1099ToCsv,
+} = require('../services/taxStatementService');
+
+const FORMATS = ['json', 'csv', 'pdf'];
+
+/**
+ * GET /api/tax/statements/:year
+ * The caller's year-end statement: interest earned / paid, principal
+ * returned / repaid, fees paid and charged-off principal.
+ * ?format=json|csv|pdf (default json)
+ */
+exports.getMyStatement = async (req, res) => {
+  const taxYear = parseTaxYear(req.params.year);
+  if (!taxYear) return res.status(400).json({ error: 'Invalid tax year' });
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+  }
+
+  try {
+    const statement = await buildStatement(req.user.userId, taxYear);
+    if (!statement) return res.status(404).json({ error: 'User not found' });
+
+    const fileName = `peerfund_statement_${taxYear}`;
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(statementToCsv(statement));
+    }
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+      return res.send(await statementToPdf(statement));
+    }
+    res.json(statement);
+  } catch (err) {
+    console.error('Error building tax statement:', err);
+    res.status(500).json({ error: 'Failed to build tax statement' });
+  }
+};
+
+/**
+ * GET /api/admin/tax/1099-int?year=2025
+ * 1099-INT style records for every lender with at least `threshold` dollars
+ * of interest income (default TAX_1099_INT_THRESHOLD, 10).
+ * ?threshold= &format=json|csv
+ */
+exports.export1099Int = async (req, res) => {
+  const taxYear = parseTaxYear(req.query.year);
+  if (!taxYear) return res.status(400).json({ error: 'year is required (e.g. ?year=2025)' });
+
+  let threshold = INT_1099_THRESHOLD;
+  if (req.query.threshold !== undefined) {
+    threshold = Number(req.query.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0) {
+      return res.status(400).json({ error: 'threshold must be a non-negative amount' });
+    }
+  }
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!['json', 'csv'].includes(format)) return res.status(400).json({ error: 'format must be json or csv' });
+
+  try {
+    const records = await build1099IntRecords(taxYear, threshold);
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="1099-int_${taxYear}.csv"`);
+      return res.send(records1099ToCsv(records));
+    }
+    res.json({ taxYear, threshold, count: records.length, records });
+  } catch (err) {
+    console.error('Error exporting 1099-INT records:', err);
+    res.status(500).json({ error: 'Failed to export 1099-INT records' });
+  }
+};
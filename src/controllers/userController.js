@@ -1,5 +1,7 @@
 // controllers/userController.js
 const prisma = require('../utils/prisma');
+const { postFeeCharge, PLATFORM_USER_ID } = require('../services/ledgerPostings');
+const { getCreditScore } = require('../services/creditScoreService');
 
 /* ----------------------------- helpers ----------------------------- */
 
@@ -242,38 +244,26 @@ const upgradeSuperuserFromWallet = async (req, res) => {
 
   try {
     const result = await prisma.$transaction(async (tx) => {
-      // 1) Get or create wallet for this user
-      let wallet = await tx.wallet.findUnique({
-        where: { userId },
-      });
-
-      if (!wallet) {
-        wallet = await tx.wallet.create({
-          data: {
-            userId,
-            availableCents: 0,
-            pendingCents: 0,
-            lockedCents: 0,
-          },
-        });
-      }
-
-      // 2) Check wallet balance
-      if (wallet.availableCents < SUBSCRIPTION_CENTS) {
-        const err = new Error('INSUFFICIENT_FUNDS');
-        err.code = 'INSUFFICIENT_FUNDS';
-        throw err;
-      }
-
-      // 3) Deduct $1 from wallet
-      const updatedWallet = await tx.wallet.update({
-        where: { id: wallet.id },
-        data: {
-          availableCents: wallet.availableCents - SUBSCRIPTION_CENTS,
+      // 1) Charge $1 from the wallet to the platform (throws INSUFFICIENT_FUNDS)
+      await postFeeCharge(
+        {
+          fromUserId: userId,
+          peerfundFeeCents: SUBSCRIPTION_CENTS,
+          transactions: [
+            {
+              type: 'SUPERUSER_SUBSCRIPTION',
+              amount: SUBSCRIPTION_CENTS / 100, // store in dollars
+              fromUserId: userId,
+              toUserId: PLATFORM_USER_ID,
+            },
+          ],
+          metadata: { kind: 'SUPERUSER_SUBSCRIPTION' },
         },
-      });
+        tx
+      );
+      const updatedWallet = await tx.wallet.findUnique({ where: { userId } });
 
-      // 4) Flag user as SuperUser
+      // 2) Flag user as SuperUser
       const updatedUser = await tx.user.update({
         where: { id: userId },
         data: {
@@ -283,15 +273,6 @@ const upgradeSuperuserFromWallet = async (req, res) => {
         },
       });
 
-      // 5) Log a transaction (simple, wallet-based)
-      await tx.transaction.create({
-        data: {
-          type: 'SUPERUSER_SUBSCRIPTION',
-          amount: SUBSCRIPTION_CENTS / 100, // store in dollars
-          fromUserId: userId,
-        },
-      });
-
       return { wallet: updatedWallet, user: updatedUser };
     });
 
@@ -335,7 +316,7 @@ const getPublicUserProfileById = async (req, res) => {
 
     const terms = normalizeTerms(user.lendingTerms || {});
 
-    const [givenAgg, receivedAgg, openRequestsCount] = await Promise.all([
+    const [givenAgg, receivedAgg, openRequestsCount, trustScore] = await Promise.all([
       prisma.loan.aggregate({
         where: { lenderId: id },
         _count: true,
@@ -347,6 +328,7 @@ const getPublicUserProfileById = async (req, res) => {
         _sum: { amount: true },
       }),
       prisma.loanRequest.count({ where: { borrowerId: id, status: 'OPEN' } }),
+      getCreditScore(id),
     ]);
 
     return res.json({
@@ -364,6 +346,7 @@ const getPublicUserProfileById = async (req, res) => {
         totalBorrowed: Number(receivedAgg._sum.amount || 0),
         openRequestsCount,
       },
+      trustScore,
       lastActiveAt: user.createdAt,
     });
   } catch (err) {
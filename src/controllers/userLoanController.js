@@ -1,13 +1,16 @@
 // src/controllers/userLoanController.js
 const prisma = require('../utils/prisma');
+const { UNPAID_REPAYMENT_STATUSES } = require('../utils/delinquency');
 
 exports.getMoneySummary = async (req, res) => {
   const userId = req.user.userId;
 
   try {
-    // 1) Loans where the user is the LENDER
+    // 1) Loans where the user is a LENDER (lead lender or fractional share)
     const loansGivenRaw = await prisma.loan.findMany({
-      where: { lenderId: userId },
+      where: {
+        OR: [{ lenderId: userId }, { shares: { some: { lenderId: userId } } }],
+      },
       select: {
         id: true,
         status: true,
@@ -23,8 +26,12 @@ exports.getMoneySummary = async (req, res) => {
             isSuperUser: true,
           },
         },
+        shares: {
+          where: { lenderId: userId },
+          select: { principalCents: true, status: true },
+        },
         repayments: {
-          where: { status: 'PENDING' },
+          where: { status: { in: UNPAID_REPAYMENT_STATUSES } },
           orderBy: { dueDate: 'asc' },
           take: 1,
           select: {
@@ -34,6 +41,7 @@ exports.getMoneySummary = async (req, res) => {
             bankingFee: true,
             peerfundFee: true,
             totalCharged: true,
+            lateFee: true,
             status: true,
           },
         },
@@ -63,7 +71,7 @@ exports.getMoneySummary = async (req, res) => {
           },
         },
         repayments: {
-          where: { status: 'PENDING' },
+          where: { status: { in: UNPAID_REPAYMENT_STATUSES } },
           orderBy: { dueDate: 'asc' },
           take: 1,
           select: {
@@ -73,6 +81,7 @@ exports.getMoneySummary = async (req, res) => {
             bankingFee: true,
             peerfundFee: true,
             totalCharged: true,
+            lateFee: true,
             status: true,
           },
         },
@@ -92,10 +101,11 @@ exports.getMoneySummary = async (req, res) => {
       const base = Number(next?.basePayment ?? 0);
       const bank = Number(next?.bankingFee ?? 0);
       const pf = Number(next?.peerfundFee ?? 0);
+      const lateFee = Number(next?.lateFee ?? 0);
       const total = Number(
         next?.totalCharged ??
           (base + bank + pf)
-      );
+      ) + lateFee;
 
       // Prefer canonical cents if amount is missing
       const amount =
@@ -133,8 +143,16 @@ exports.getMoneySummary = async (req, res) => {
         installmentAmount: base,
         bankingFee: bank,
         peerfundFee: pf,
+        lateFee,
+        nextDueStatus: next?.status ?? null,
         totalDue: total,
 
+        // Fractional funding: this lender's slice of the principal
+        myShareAmount:
+          role === 'LENDER' && loan.shares?.length
+            ? loan.shares.reduce((sum, s) => sum + s.principalCents, 0) / 100
+            : null,
+
         fundedDate: loan.fundedDate || null,
         contractDocumentId: loan.documents?.[0]?.id ?? null,
       };
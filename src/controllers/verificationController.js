@@ -1,6 +1,17 @@
 // controllers/verificationController.js
 const prisma = require('../utils/prisma');
-const { getVerificationChecklist, REQUIRED_PAYSTUBS } = require('../utils/verification');
+const {
+  getVerificationChecklist,
+  REQUIRED_PAYSTUBS,
+  VERIFICATION_ITEMS,
+  REQUIRED_ITEMS,
+  currentDocWhere,
+} = require('../utils/verification');
+const kycService = require('../services/kycService');
+const reviewService = require('../services/verificationReviewService');
+const { putBlob } = require('../services/blobStorageService');
+const { processUpload, sendUploadError } = require('../services/uploadPolicyService');
+const { evaluateAll } = require('../services/verificationPolicy');
 
 // GET /api/verification/status
 exports.getStatus = async (req, res) => {
@@ -14,28 +25,75 @@ exports.getStatus = async (req, res) => {
   }
 };
 
+// GET /api/verification/requirements
+exports.getRequirements = async (req, res) => {
+  try {
+    const actions = await evaluateAll(req.user.userId);
+    return res.json({ actions });
+  } catch (e) {
+    console.error('verification.getRequirements error', e);
+    return res.status(500).json({ error: 'Could not get verification requirements' });
+  }
+};
+
 /**
- * Helper to store a single verification image as a Document
+ * Helper to store a single verification image as a Document (superseding the
+ * previous upload of that item), run it through the KYC provider and
+ * re-evaluate the user (see kycService).
  * kind: 'ID_FRONT' | 'ID_BACK' | 'SELFIE'
  */
 async function saveVerificationImage({ userId, file, kind, title }) {
   if (!file) throw new Error('Missing file');
 
-  await prisma.document.create({
+  // While REJECTED only the rejected items are open for resubmission
+  await reviewService.assertCanUpload(userId, kind);
+
+  // Type / size checked, EXIF stripped and scanned before anything is stored
+  const upload = await processUpload({ buffer: file.buffer, fileName: file.originalname, documentType: kind });
+  const image = { ...file, buffer: upload.buffer, mimetype: upload.mimeType, size: upload.sizeBytes };
+
+  // Encrypted in the blob store; the buffer is kept for the KYC check below
+  const storage = await putBlob(image.buffer, { kind });
+  const doc = await prisma.document.create({
     data: {
       userId,
       type: kind,
       title,
-      fileName: file.originalname,
-      mimeType: file.mimetype,
-      content: file.buffer, // still store as Buffer
+      fileName: image.originalname,
+      mimeType: image.mimetype,
+      ...storage,
     },
   });
 
-  // Flip user back to PENDING whenever docs change
-  await prisma.user.update({
-    where: { id: userId },
-    data: { verificationStatus: 'PENDING' },
+  const { resubmitted } = await reviewService.recordUpload({ userId, itemType: kind, documentId: doc.id });
+  const check = await kycService.submitImage({ userId, documentId: doc.id, kind, file: image });
+
+  // Sets verificationStatus: PENDING until every image is in and only
+  // auto-decides on confident results
+  const evaluation = await kycService.evaluateUser(userId);
+
+  return {
+    check: {
+      id: check.id,
+      kind: check.kind,
+      verdict: check.verdict,
+      confidence: check.confidence,
+      signals: check.signals,
+    },
+    kycStatus: evaluation.kycStatus,
+    verificationStatus: evaluation.verificationStatus,
+    resubmitted,
+  };
+}
+
+/** 409 for uploads of items that aren't open for resubmission. */
+async function notReopened(res, userId, err) {
+  const checklist = await getVerificationChecklist(userId);
+  return res.status(409).json({
+    error: err.message,
+    code: err.code,
+    rejectedItems: checklist.rejectedItems,
+    checklist,
   });
 }
 
@@ -45,7 +103,7 @@ exports.uploadIdFront = async (req, res) => {
     const userId = req.user.userId;
     if (!req.file) return res.status(400).json({ error: 'Missing file' });
 
-    await saveVerificationImage({
+    const kyc = await saveVerificationImage({
       userId,
       file: req.file,
       kind: 'ID_FRONT',
@@ -53,8 +111,10 @@ exports.uploadIdFront = async (req, res) => {
     });
 
     const checklist = await getVerificationChecklist(userId);
-    return res.status(201).json({ message: 'Front of ID uploaded', checklist });
+    return res.status(201).json({ message: 'Front of ID uploaded', checklist, kyc });
   } catch (e) {
+    if (e.code === 'ITEM_NOT_REOPENED') return notReopened(res, req.user.userId, e);
+    if (sendUploadError(res, e)) return;
     console.error('verification.uploadIdFront error', e);
     return res.status(500).json({ error: 'Failed to upload front of ID' });
   }
@@ -66,7 +126,7 @@ exports.uploadIdBack = async (req, res) => {
     const userId = req.user.userId;
     if (!req.file) return res.status(400).json({ error: 'Missing file' });
 
-    await saveVerificationImage({
+    const kyc = await saveVerificationImage({
       userId,
       file: req.file,
       kind: 'ID_BACK',
@@ -74,8 +134,10 @@ exports.uploadIdBack = async (req, res) => {
     });
 
     const checklist = await getVerificationChecklist(userId);
-    return res.status(201).json({ message: 'Back of ID uploaded', checklist });
+    return res.status(201).json({ message: 'Back of ID uploaded', checklist, kyc });
   } catch (e) {
+    if (e.code === 'ITEM_NOT_REOPENED') return notReopened(res, req.user.userId, e);
+    if (sendUploadError(res, e)) return;
     console.error('verification.uploadIdBack error', e);
     return res.status(500).json({ error: 'Failed to upload back of ID' });
   }
@@ -87,7 +149,7 @@ exports.uploadSelfie = async (req, res) => {
     const userId = req.user.userId;
     if (!req.file) return res.status(400).json({ error: 'Missing file' });
 
-    await saveVerificationImage({
+    const kyc = await saveVerificationImage({
       userId,
       file: req.file,
       kind: 'SELFIE',
@@ -95,8 +157,10 @@ exports.uploadSelfie = async (req, res) => {
     });
 
     const checklist = await getVerificationChecklist(userId);
-    return res.status(201).json({ message: 'Selfie uploaded', checklist });
+    return res.status(201).json({ message: 'Selfie uploaded', checklist, kyc });
   } catch (e) {
+    if (e.code === 'ITEM_NOT_REOPENED') return notReopened(res, req.user.userId, e);
+    if (sendUploadError(res, e)) return;
     console.error('verification.uploadSelfie error', e);
     return res.status(500).json({ error: 'Failed to upload selfie' });
   }
@@ -109,44 +173,69 @@ exports.uploadPaystub = async (req, res) => {
     const userId = req.user.userId;
     if (!req.file) return res.status(400).json({ error: 'Missing file' });
 
-    await prisma.document.create({
+    await reviewService.assertCanUpload(userId, 'PAYSTUB');
+
+    const upload = await processUpload({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      documentType: 'PAYSTUB',
+    });
+    const storage = await putBlob(upload.buffer, { kind: 'PAYSTUB' });
+    const doc = await prisma.document.create({
       data: {
         userId,
         type: 'PAYSTUB',
         title: 'Paystub',
         fileName: req.file.originalname,
-        mimeType: req.file.mimetype,
-        content: req.file.buffer,
+        mimeType: upload.mimeType,
+        ...storage,
       },
     });
 
-    // Limit to most recent REQUIRED_PAYSTUBS (if you still care)
+    // Supersedes rejected paystubs; verified users go back to PENDING
+    await reviewService.recordUpload({ userId, itemType: 'PAYSTUB', documentId: doc.id });
+
+    // Limit to most recent REQUIRED_PAYSTUBS (if you still care). Older ones
+    // are superseded rather than deleted so the review history keeps them.
     const stubs = await prisma.document.findMany({
-      where: { userId, type: 'PAYSTUB' },
+      where: { userId, type: 'PAYSTUB', ...currentDocWhere },
       orderBy: { createdAt: 'desc' },
+      select: { id: true },
     });
 
     if (REQUIRED_PAYSTUBS && stubs.length > REQUIRED_PAYSTUBS) {
-      const toDelete = stubs.slice(REQUIRED_PAYSTUBS);
-      await prisma.document.deleteMany({
-        where: { id: { in: toDelete.map((s) => s.id) } },
+      const toSupersede = stubs.slice(REQUIRED_PAYSTUBS);
+      await prisma.document.updateMany({
+        where: { id: { in: toSupersede.map((s) => s.id) } },
+        data: { supersededAt: new Date(), supersededById: doc.id },
       });
     }
 
-    await prisma.user.update({
-      where: { id: userId },
-      data: { verificationStatus: 'PENDING' },
-    });
-
     const checklist = await getVerificationChecklist(userId);
     return res.status(201).json({ message: 'Paystub uploaded', checklist });
   } catch (e) {
+    if (e.code === 'ITEM_NOT_REOPENED') return notReopened(res, req.user.userId, e);
+    if (sendUploadError(res, e)) return;
     console.error('verification.uploadPaystub error', e);
     return res.status(500).json({ error: 'Failed to upload paystub' });
   }
 };
 
+/** 400 / 409 for reviewService.reviewItems() errors; false for anything else. */
+function sendReviewError(res, e) {
+  if (e.code === 'INVALID_DECISION' || e.code === 'ITEM_MISSING') {
+    res.status(400).json({ error: e.message, code: e.code });
+    return true;
+  }
+  if (e.code === 'STALE_ITEM') {
+    res.status(409).json({ error: e.message, code: e.code });
+    return true;
+  }
+  return false;
+}
+
 // ADMIN: POST /api/admin/verification/:userId/approve
+// body: { documentIds: { ID_FRONT: '<id>', ... }, notes? } — the uploads reviewed
 exports.adminApprove = async (req, res) => {
   try {
     const adminId = req.user.userId;
@@ -166,22 +255,34 @@ exports.adminApprove = async (req, res) => {
         .json({ error: 'User has not submitted all required verification photos' });
     }
 
-    // Minimal update: just mark as APPROVED
-    await prisma.user.update({
-      where: { id: userId },
-      data: {
-        verificationStatus: 'APPROVED',
-      },
+    // Approve every item that's been uploaded (paystubs included), each
+    // only if it is still the upload the admin looked at
+    const documentIds = req.body?.documentIds || {};
+    const decisions = Object.fromEntries(
+      VERIFICATION_ITEMS.filter((t) => checklist.items[t].status !== 'MISSING').map((t) => [
+        t,
+        { outcome: 'APPROVED', documentId: documentIds[t] },
+      ])
+    );
+    const result = await reviewService.reviewItems({
+      userId,
+      adminId,
+      decisions,
+      notes: req.body?.notes ? String(req.body.notes) : undefined,
     });
 
-    return res.json({ message: 'User approved', byAdmin: adminId });
+    return res.json({ message: 'User approved', byAdmin: adminId, ...result });
   } catch (e) {
+    if (sendReviewError(res, e)) return;
     console.error('verification.adminApprove error', e);
     return res.status(500).json({ error: 'Failed to approve user' });
   }
 };
 
 // ADMIN: POST /api/admin/verification/:userId/reject
+// body: { reason, items?: ['SELFIE', ...] | { SELFIE: 'blurry', ... }, documentIds: { SELFIE: '<id>', ... } }
+// Without `items`, every submitted required item is rejected with `reason`.
+// documentIds names the reviewed upload of each rejected item.
 exports.adminReject = async (req, res) => {
   try {
     if (req.user.role !== 'ADMIN') {
@@ -189,24 +290,67 @@ exports.adminReject = async (req, res) => {
     }
 
     const { userId } = req.params;
+    const { reason, items, documentIds = {} } = req.body || {};
+
+    let decisions;
+    if (items && !Array.isArray(items) && typeof items === 'object') {
+      decisions = Object.fromEntries(
+        Object.entries(items).map(([t, r]) => [
+          t,
+          { outcome: 'REJECTED', reason: r || reason, documentId: documentIds[t] },
+        ])
+      );
+    } else {
+      const checklist = await getVerificationChecklist(userId);
+      const types = Array.isArray(items)
+        ? items
+        : REQUIRED_ITEMS.filter((t) => checklist.items[t].status !== 'MISSING');
+      decisions = Object.fromEntries(
+        types.map((t) => [t, { outcome: 'REJECTED', reason, documentId: documentIds[t] }])
+      );
+    }
 
-    // For now we just flip status to REJECTED.
-    // (If you later add a verificationNotes field in schema,
-    //  we can save a reason as well.)
-    await prisma.user.update({
-      where: { id: userId },
-      data: {
-        verificationStatus: 'REJECTED',
-      },
+    const result = await reviewService.reviewItems({
+      userId,
+      adminId: req.user.userId,
+      decisions,
+      notes: reason ? String(reason) : undefined,
     });
 
-    return res.json({ message: 'User rejected' });
+    return res.json({ message: 'User rejected', ...result });
   } catch (e) {
+    if (sendReviewError(res, e)) return;
     console.error('verification.adminReject error', e);
     return res.status(500).json({ error: 'Failed to reject user' });
   }
 };
 
+// ADMIN: POST /api/admin/verification/:userId/review
+// body: { items: { ID_FRONT: { outcome: 'APPROVED', documentId }, SELFIE: { outcome: 'REJECTED', reason, documentId } }, notes? }
+exports.adminReviewItems = async (req, res) => {
+  try {
+    if (req.user.role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const { userId } = req.params;
+    const { items, notes } = req.body || {};
+
+    const result = await reviewService.reviewItems({
+      userId,
+      adminId: req.user.userId,
+      decisions: items,
+      notes: notes ? String(notes) : undefined,
+    });
+
+    return res.json({ message: 'Review saved', ...result });
+  } catch (e) {
+    if (sendReviewError(res, e)) return;
+    console.error('verification.adminReviewItems error', e);
+    return res.status(500).json({ error: 'Failed to save review' });
+  }
+};
+
 /**
  * Admin helpers for dashboard: list pending and get full detail (user + docs)
  */
@@ -218,15 +362,24 @@ exports.adminListPending = async (req, res) => {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
-    // 1) Find all users currently PENDING
+    // 1) Find all users currently PENDING that the KYC provider couldn't
+    //    decide (NEEDS_REVIEW), plus users from before automated KYC
     const users = await prisma.user.findMany({
-      where: { verificationStatus: 'PENDING' },
+      where: {
+        verificationStatus: 'PENDING',
+        OR: [
+          { kycStatus: 'NEEDS_REVIEW' },
+          { kycStatus: { isSet: false } },
+          { kycStatus: null },
+        ],
+      },
       select: {
         id: true,
         name: true,
         email: true,
         createdAt: true,
         verificationStatus: true,
+        kycStatus: true,
       },
       orderBy: { createdAt: 'asc' },
     });
@@ -251,6 +404,7 @@ exports.adminListPending = async (req, res) => {
           createdAt: u.createdAt,
           submittedAt,
           verificationStatus: u.verificationStatus || checklist.status || 'PENDING',
+          kycStatus: u.kycStatus || null,
           hasIdFront: !!checklist.hasIdFront,
           hasIdBack: !!checklist.hasIdBack,
           hasSelfie: !!checklist.hasSelfie,
@@ -284,11 +438,11 @@ exports.adminGetDetail = async (req, res) => {
         name: true,
         email: true,
         verificationStatus: true,
+        kycStatus: true,
         createdAt: true,
-        // ⚠️ leave these commented out unless you’ve added them to schema.prisma
-        // verificationNotes: true,
-        // verifiedAt: true,
-        // verifiedById: true,
+        verificationNotes: true,
+        verifiedAt: true,
+        verifiedById: true,
       },
     });
 
@@ -296,11 +450,11 @@ exports.adminGetDetail = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Fetch the three verification images
+    // Every verification upload, superseded ones included, with its outcome
     const docs = await prisma.document.findMany({
       where: {
         userId,
-        type: { in: ['ID_FRONT', 'ID_BACK', 'SELFIE'] },
+        type: { in: VERIFICATION_ITEMS },
       },
       orderBy: { createdAt: 'asc' },
       select: {
@@ -309,11 +463,47 @@ exports.adminGetDetail = async (req, res) => {
         title: true,
         mimeType: true,
         createdAt: true,
-        // do NOT select `content` here; we’ll stream it from /api/documents/:id
+        reviewStatus: true,
+        reviewReason: true,
+        reviewedAt: true,
+        reviewedById: true,
+        supersededAt: true,
+        supersededById: true,
+        // do NOT select `content` here; we’ll stream it from /api/documents/:id/content
+      },
+    });
+
+    // Current outcome per item + the full audit trail
+    const [checklist, history] = await Promise.all([
+      getVerificationChecklist(userId),
+      reviewService.getHistory(userId),
+    ]);
+
+    // Provider results, newest first, so the reviewer sees why it's here
+    const kycChecks = await prisma.kycCheck.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        documentId: true,
+        kind: true,
+        provider: true,
+        reference: true,
+        verdict: true,
+        confidence: true,
+        signals: true,
+        createdAt: true,
       },
     });
 
-    return res.json({ user, docs });
+    return res.json({
+      user,
+      docs,
+      items: checklist.items,
+      rejectedItems: checklist.rejectedItems,
+      history,
+      kycChecks,
+    });
   } catch (e) {
     console.error('verification.adminGetDetail error', e);
     return res
@@ -2,45 +2,13 @@
 const prisma = require('../utils/prisma');
 const { getWalletOrCreate } = require('../utils/wallet');
 const { getUserId } = require('../middleware/authMiddleware');
+const { stripeIdempotencyKey } = require('../middleware/idempotency');
+const { postDeposit, postWithdrawal } = require('../services/ledgerPostings');
+const { requestWithdrawal } = require('../services/withdrawalService');
 
 const stripeSecret = process.env.STRIPE_SECRET_KEY || '';
 const stripe = stripeSecret ? require('stripe')(stripeSecret) : null;
 
-/**
- * Create a ledger row compatible with WalletLedger model
- * and keep balanceAfterCents in sync.
- */
-async function createLedger(walletId, data) {
-  const wallet = await prisma.wallet.findUnique({ where: { id: walletId } });
-  const current = wallet?.availableCents ?? 0;
-
-  const amountCents = Number(data.amountCents || 0);
-  const direction = data.direction === 'DEBIT' ? 'DEBIT' : 'CREDIT';
-
-  const delta = direction === 'DEBIT' ? -amountCents : amountCents;
-  const balanceAfterCents = current + delta;
-
-  return prisma.walletLedger.create({
-    data: {
-      walletId,
-      type: data.type,                // WalletEntryType enum
-      amountCents,
-      direction,                      // "CREDIT" | "DEBIT"
-      balanceAfterCents,
-      referenceType: data.referenceType || null,
-      referenceId: data.referenceId || null,
-      metadata: data.metadata || {},  // Json field
-    },
-  });
-}
-
-async function incrementAvailable(walletId, amountCents) {
-  await prisma.wallet.update({
-    where: { id: walletId },
-    data: { availableCents: { increment: amountCents } },
-  });
-}
-
 /** GET /api/wallet/me */
 exports.getMyWallet = async (req, res) => {
   try {
@@ -116,14 +84,11 @@ exports.createDepositIntent = async (req, res) => {
     }
 
     // Fallback: no Stripe configured → simulate instant deposit
-    await incrementAvailable(wallet.id, amountCents);
-    await createLedger(wallet.id, {
-      type: 'DEPOSIT',
+    await postDeposit({
+      userId,
       amountCents,
-      direction: 'CREDIT',
-      referenceType: 'Simulated',
-      referenceId: null,
-      metadata: { status: 'SETTLED', provider: 'simulated' },
+      provider: 'simulated',
+      metadata: { status: 'SETTLED' },
     });
 
     const updated = await prisma.wallet.findUnique({ where: { id: wallet.id } });
@@ -196,7 +161,7 @@ exports.depositFromFundingCard = async (req, res) => {
       payment_method: user.fundingPaymentMethodId,
       off_session: true,
       confirm: true,
-    });
+    }, { idempotencyKey: stripeIdempotencyKey(req, 'wallet_deposit') });
 
     if (pi.status !== 'succeeded') {
       return res.status(400).json({
@@ -205,31 +170,23 @@ exports.depositFromFundingCard = async (req, res) => {
       });
     }
 
-    // Update wallet
-    await prisma.wallet.update({
-      where: { id: wallet.id },
-      data: { availableCents: { increment: amountCents } },
+    // Stripe clearing → user wallet (once per PaymentIntent: a retried key
+    // gets the same PaymentIntent back from Stripe)
+    const alreadyPosted = await prisma.journalEntry.findFirst({
+      where: { kind: 'DEPOSIT', externalId: pi.id },
+      select: { id: true },
     });
+    if (!alreadyPosted) {
+      await postDeposit({
+        userId,
+        amountCents,
+        externalId: pi.id,
+        metadata: { status: 'SUCCEEDED' },
+      });
+    }
 
     const updatedWallet = await prisma.wallet.findUnique({ where: { id: wallet.id } });
 
-    await prisma.walletLedger.create({
-      data: {
-        walletId: wallet.id,
-        type: 'DEPOSIT',
-        amountCents,
-        direction: 'CREDIT',
-        balanceAfterCents: updatedWallet.availableCents,
-        referenceType: 'StripePI',
-        referenceId: updatedWallet.id,
-        metadata: {
-          externalId: pi.id,
-          provider: 'stripe',
-          status: 'SUCCEEDED',
-        },
-      },
-    });
-
     return res.json({
       ok: true,
       availableCents: updatedWallet.availableCents,
@@ -248,12 +205,11 @@ exports.depositFromFundingCard = async (req, res) => {
  * POST /api/wallet/withdraw
  * Body: { amountDollars }
  *
- * For now this:
- *  - validates the amount
- *  - checks the user has enough wallet balance
- *  - decrements availableCents
- *  - writes a ledger row
- * No actual Stripe payout yet – that can be wired up later.
+ * With Stripe configured this pays out through the user's Connect account:
+ *  - the amount moves from available to pending right away
+ *  - the Withdrawal stays PENDING until payout.paid / payout.failed arrives
+ *  - a failed payout is reversed back to available automatically
+ * Without Stripe (local dev) the withdrawal completes immediately.
  */
 exports.withdrawFunds = async (req, res) => {
   try {
@@ -280,34 +236,92 @@ exports.withdrawFunds = async (req, res) => {
         .json({ error: 'Insufficient wallet balance for withdrawal' });
     }
 
-    // Decrement available balance
-    const updatedWallet = await prisma.wallet.update({
-      where: { id: wallet.id },
-      data: {
-        availableCents: { decrement: amountCents },
-      },
-    });
+    let withdrawal;
+    if (stripe) {
+      withdrawal = await requestWithdrawal({ userId, amountCents });
+    } else {
+      // No Stripe → simulated, settles immediately
+      withdrawal = await prisma.$transaction(async (tx) => {
+        await postWithdrawal(
+          {
+            userId,
+            amountCents,
+            provider: 'simulated',
+            metadata: { status: 'COMPLETED' },
+          },
+          tx
+        );
+        return tx.withdrawal.create({
+          data: { userId, amountCents, status: 'PAID', paidAt: new Date() },
+        });
+      });
+    }
 
-    // Record ledger entry – adjust `type` to match your enum
-    await createLedger(wallet.id, {
-      type: 'WITHDRAWAL',        // ✅ make sure this exists in your WalletEntryType enum
-      amountCents,
-      direction: 'DEBIT',        // money leaving wallet
-      referenceType: 'ManualPayout',
-      referenceId: null,
-      metadata: {
-        status: 'COMPLETED',
-        provider: stripe ? 'stripe' : 'simulated',
-      },
-    });
+    const updatedWallet = await prisma.wallet.findUnique({ where: { id: wallet.id } });
 
     return res.json({
       ok: true,
+      withdrawal,
       availableCents: updatedWallet.availableCents,
       available: updatedWallet.availableCents / 100,
+      pendingCents: updatedWallet.pendingCents,
     });
   } catch (err) {
+    if (err.code === 'INSUFFICIENT_FUNDS') {
+      return res
+        .status(400)
+        .json({ error: 'Insufficient wallet balance for withdrawal' });
+    }
+    if (err.code === 'NO_PAYOUT_ACCOUNT') {
+      return res
+        .status(400)
+        .json({ error: 'Set up your payout account before withdrawing' });
+    }
+    if (err.code === 'PAYOUT_FAILED') {
+      return res
+        .status(502)
+        .json({ error: `Payout failed, your wallet has not been charged: ${err.message}` });
+    }
     console.error('withdrawFunds error:', err);
     return res.status(500).json({ error: 'Failed to withdraw funds' });
   }
 };
+
+/**
+ * GET /api/wallet/withdrawals
+ * The user's withdrawals, newest first. ?status=PENDING|PAID|FAILED
+ */
+exports.listWithdrawals = async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    const take = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const withdrawals = await prisma.withdrawal.findMany({
+      where: { userId, ...(status && { status }) },
+      orderBy: { createdAt: 'desc' },
+      take,
+      select: {
+        id: true,
+        amountCents: true,
+        status: true,
+        externalAccount: true,
+        failureCode: true,
+        failureMessage: true,
+        arrivalDate: true,
+        paidAt: true,
+        failedAt: true,
+        createdAt: true,
+      },
+    });
+
+    return res.json({
+      withdrawals: withdrawals.map((w) => ({ ...w, amount: w.amountCents / 100 })),
+    });
+  } catch (err) {
+    console.error('listWithdrawals error:', err);
+    return res.status(500).json({ error: 'Failed to load withdrawals' });
+  }
+};
@@ -1,5 +1,7 @@
 const prisma = require('../utils/prisma');
 const { differenceInDays } = require('date-fns');
+const { postRepayment } = require('../services/ledgerPostings');
+const { refreshScoreForLoan } = require('../services/creditScoreService');
 
 async function runAutoRepayments() {
   console.log('⏰ Running auto-repayment job...');
@@ -33,6 +35,22 @@ async function runAutoRepayments() {
       // ❗ Replace with real Stripe/Dwolla call
       console.log(`💸 Simulating ACH pull for $${repayment.amountDue} from user ${borrower.id}`);
 
+      // Post the pull: Stripe clearing → lenders (pro-rata base) + platform fees
+      const base = Number(repayment.basePayment) || Number(repayment.amountDue) || 0;
+      const toCents = (n) => Math.round((Number(n) || 0) * 100);
+      await postRepayment({
+        loanId: repayment.loanId,
+        repaymentId: repayment.id,
+        borrowerId: borrower.id,
+        source: 'EXTERNAL',
+        baseCents: toCents(base),
+        principalCents: repayment.principalCents ?? undefined,
+        bankingFeeCents: toCents(repayment.bankingFee),
+        peerfundFeeCents: toCents(repayment.peerfundFee),
+        lateFeeCents: toCents(repayment.lateFee),
+        metadata: { source: 'AUTOPAY' },
+      });
+
       await prisma.repayment.update({
         where: { id: repayment.id },
         data: {
@@ -43,6 +61,7 @@ async function runAutoRepayments() {
           paidAt: new Date(),
         },
       });
+      await refreshScoreForLoan(repayment.loanId, 'REPAYMENT_PAID');
     } catch (err) {
       console.error('❌ ACH payment failed:', err.message);
       await prisma.repayment.update({
@@ -0,0 +1,158 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const prisma = require('../utils/prisma');
+
+// How long a stored response is replayed for
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS ?? 24);
+const MAX_KEY_LENGTH = 255;
+
+/** JSON with sorted object keys, so { a, b } and { b, a } hash the same. */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Idempotency-Key handling for money-moving POSTs (assumes authenticateToken
+ * ran already).
+ *
+ *  - no header: request runs as usual
+ *  - first request with a key: runs, and its response is stored
+ *  - retry with the same key + same body: stored response is replayed
+ *    (with `Idempotent-Replayed: true`)
+ *  - same key, different body or route: 422
+ *  - same key while the first request is still running: 409
+ *
+ * 5xx responses (including thrown errors) are not stored, so the client can
+ * retry with the same key. A dropped connection doesn't end the request: the
+ * key stays in progress until the handler responds.
+ * Handlers can pass `req.idempotencyKey` on to Stripe via stripeIdempotencyKey().
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: 'Unauthorized' });
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const requestHash = hashRequest(req);
+  const now = new Date();
+
+  try {
+    let record;
+    try {
+      record = await prisma.idempotencyKey.create({
+        data: {
+          userId,
+          key,
+          method: req.method,
+          path: `${req.baseUrl}${req.path}`,
+          requestHash,
+          expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_HOURS * 3600 * 1000),
+        },
+      });
+    } catch (err) {
+      if (err.code !== 'P2002') throw err;
+
+      const existing = await prisma.idempotencyKey.findUnique({
+        where: { userId_key: { userId, key } },
+      });
+
+      // Expired (or vanished): start over with a fresh record
+      if (!existing || existing.expiresAt < now) {
+        if (existing) await prisma.idempotencyKey.delete({ where: { id: existing.id } });
+        return idempotency(req, res, next);
+      }
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency-Key was already used for a different request',
+        });
+      }
+      if (existing.status !== 'COMPLETED') {
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still being processed',
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    req.idempotencyKey = key;
+
+    // Capture what the handler sends, store it once the response is out
+    let body;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    // Settle when the handler (or Express's error handler) sends its
+    // response, never on the socket closing: a client that hangs up mid-way
+    // must not free the key while the handler is still moving money.
+    let settled = false;
+    const settle = async (statusCode) => {
+      if (settled) return;
+      settled = true;
+      try {
+        if (statusCode < 500) {
+          await prisma.idempotencyKey.update({
+            where: { id: record.id },
+            data: {
+              status: 'COMPLETED',
+              responseStatus: statusCode,
+              responseBody: body === undefined ? null : body,
+              completedAt: new Date(),
+            },
+          });
+        } else {
+          await prisma.idempotencyKey.delete({ where: { id: record.id } });
+        }
+      } catch (e) {
+        console.error('idempotency: failed to store response:', e);
+      }
+    };
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      settle(res.statusCode);
+      return end(...args);
+    };
+
+    return next();
+  } catch (err) {
+    console.error('idempotency middleware error:', err);
+    return res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+  }
+}
+
+/**
+ * Stripe idempotency key for a call made while handling `req`, or undefined
+ * when the client didn't send one. `scope` keeps different Stripe calls in the
+ * same request (and different users' keys) apart.
+ */
+function stripeIdempotencyKey(req, scope) {
+  if (!req?.idempotencyKey) return undefined;
+  return `${scope}:${req.user?.id}:${req.idempotencyKey}`;
+}
+
+module.exports = {
+  idempotency,
+  stripeIdempotencyKey,
+};
@@ -1,11 +1,32 @@
 // middleware/requireVerified.js
-module.exports = function requireVerified(req, res, next) {
-  const user = req.user;
-  if (!user) return res.status(401).json({ error: 'Unauthorized' });
+const { evaluatePolicy, describeBlocked } = require('../services/verificationPolicy');
 
-  if (user.verificationStatus !== 'APPROVED') {
-    return res.status(403).json({ error: 'Verification required' });
-  }
+/**
+ * Gate a route on the verification policy for `action` (see
+ * services/verificationPolicy). Assumes authenticateToken ran already.
+ * Blocked requests get 403 with what is missing and how to fix it.
+ *
+ *   router.post('/withdraw', authenticateToken, requireVerified('WITHDRAW'), ...)
+ */
+module.exports = function requireVerified(action) {
+  return async function verificationGate(req, res, next) {
+    const userId = req.user?.userId;
+    if (!userId) return res.status(401).json({ error: 'Unauthorized' });
 
-  next();
+    try {
+      const result = await evaluatePolicy(userId, action);
+      if (result.allowed) return next();
+
+      return res.status(403).json({
+        error: describeBlocked(result),
+        code: 'REQUIREMENTS_NOT_MET',
+        action,
+        missing: result.missing,
+      });
+    } catch (err) {
+      if (err.code === 'USER_NOT_FOUND') return res.status(401).json({ error: 'Unauthorized' });
+      console.error(`requireVerified(${action}) error:`, err);
+      return res.status(500).json({ error: 'Could not check verification requirements' });
+    }
+  };
 };
@@ -0,0 +1,42 @@
+// middleware/upload.js
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES } = require('../services/uploadPolicyService');
+
+/**
+ * Single-file multipart upload held in memory (req.file.buffer), capped at
+ * the largest upload policy so oversized bodies are cut off while streaming.
+ * The per-type checks happen in uploadPolicyService.processUpload().
+ *
+ *   router.post('/upload', authenticateToken, singleUpload('file'), handler)
+ */
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: { status: 413, code: 'FILE_TOO_LARGE', error: `File exceeds ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB` },
+  LIMIT_FILE_COUNT: { status: 400, code: 'TOO_MANY_FILES', error: 'Only one file can be uploaded' },
+  LIMIT_UNEXPECTED_FILE: { status: 400, code: 'UNEXPECTED_FIELD', error: 'Unexpected file field' },
+};
+
+exports.singleUpload = (field = 'file') => {
+  const handle = parser.single(field);
+  return function uploadFile(req, res, next) {
+    handle(req, res, (err) => {
+      if (!err) return next();
+      const known = err instanceof multer.MulterError && MULTER_ERRORS[err.code];
+      if (known) {
+        return res.status(known.status).json({
+          error: known.error,
+          code: known.code,
+          ...(err.code === 'LIMIT_FILE_SIZE' && { details: { maxBytes: MAX_UPLOAD_BYTES } }),
+        });
+      }
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ error: err.message, code: 'INVALID_UPLOAD' });
+      }
+      return next(err);
+    });
+  };
+};
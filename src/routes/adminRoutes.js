@@ -3,6 +3,8 @@ const router = express.Router();
 const authenticate = require('../middleware/authMiddleware');
 const { requireAdmin } = require('../middleware/authMiddleware');
 const adminController = require('../controllers/adminController');
+const reconciliationController = require('../controllers/reconciliationController');
+const taxController = require('../controllers/taxController');
 
 // ...admin endpoints
 router.use(authenticate.authenticateToken);
@@ -17,4 +19,12 @@ router.put('/users/:id', authenticate.authenticateToken, requireAdmin, adminCont
 // Delete any user
 router.delete('/users/:id', authenticate.authenticateToken, requireAdmin, adminController.deleteUser);
 
+// Wallet / ledger reconciliation reports
+router.get('/reconciliation', reconciliationController.getReconciliationReports);
+router.post('/reconciliation/run', reconciliationController.runReconciliationNow);
+router.get('/reconciliation/:id', reconciliationController.getReconciliationReport);
+
+// Year-end 1099-INT style export for lenders over the reporting threshold
+router.get('/tax/1099-int', taxController.export1099Int);
+
 module.exports = router;
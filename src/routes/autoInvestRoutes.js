@@ -0,0 +1,15 @@
+// src/routes/autoInvestRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken } = require('../middleware/authMiddleware');
+const autoInvestController = require('../controllers/autoInvestController');
+
+// Standing rules (auto-invest settings on the lender's listings)
+router.get('/rules', authenticateToken, autoInvestController.getMyRules);
+router.patch('/rules/:listingId', authenticateToken, autoInvestController.updateRule);
+
+// Decision log
+router.get('/decisions', authenticateToken, autoInvestController.getMyDecisions);
+
+module.exports = router;
@@ -8,5 +8,11 @@ console.log('🪵 type of controller.createContract:', typeof controller.createC
 
 router.post('/create', authenticate.authenticateToken, controller.createContract); // ✅ RIGHT
 
+// Loan agreement: status, PDF, click-to-sign, hash check
+router.get('/loan/:loanId', authenticate.authenticateToken, controller.getAgreement);
+router.get('/loan/:loanId/pdf', authenticate.authenticateToken, controller.downloadAgreement);
+router.post('/loan/:loanId/sign', authenticate.authenticateToken, controller.signAgreement);
+router.get('/loan/:loanId/verify', authenticate.authenticateToken, controller.verifyAgreement);
+
 
 module.exports = router;
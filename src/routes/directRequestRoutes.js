@@ -1,18 +1,29 @@
 // src/routes/directRequestRoutes.js
 const express = require('express');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const requireVerified = require('../middleware/requireVerified');
 const c = require('../controllers/directRequestController');
 
 const router = express.Router();
 
 // Borrower creates direct request
-router.post('/', authenticateToken, c.createDirectRequest);
+router.post('/', authenticateToken, requireVerified('CREATE_DIRECT_REQUEST'), c.createDirectRequest);
 
 // Negotiation
 router.post('/:id/counter', authenticateToken, c.counterDirectRequest);
+router.get('/:id/proposals', authenticateToken, c.getProposals);
 
-// Lender actions
-router.post('/:id/approve', authenticateToken, c.approveDirectRequest);
+// Truth-in-Lending style disclosure (borrower acknowledges before approving)
+router.get('/:id/disclosure', authenticateToken, c.getDisclosure);
+router.post('/:id/disclosure/acknowledge', authenticateToken, c.acknowledgeDisclosure);
+
+// Answer the latest proposal (the party who didn't write it)
+router.post(
+  '/:id/approve',
+  authenticateToken,
+  requireVerified('APPROVE_DIRECT_REQUEST'),
+  c.approveDirectRequest
+);
 router.post('/:id/decline', authenticateToken, c.declineDirectRequest);
 
 // Views / listings
@@ -3,14 +3,14 @@ const express = require('express');
 const router = express.Router();
 
 const authenticate = require('../middleware/authMiddleware');
-const multer = require('multer');
-const upload = multer({ storage: multer.memoryStorage() });
+const { singleUpload } = require('../middleware/upload');
 
 const {
   saveContract,
   uploadDocument,
   getMyDocuments,
   getDocumentById,
+  getDocumentContent,
 } = require('../controllers/documentController');
 
 // list docs (metadata)
@@ -19,8 +19,11 @@ router.get('/', authenticate.authenticateToken, getMyDocuments);
 // view single doc (includes base64 for preview)
 router.get('/:documentId', authenticate.authenticateToken, getDocumentById);
 
+// stream the file itself (supports Range)
+router.get('/:documentId/content', authenticate.authenticateToken, getDocumentContent);
+
 // existing routes
 router.post('/contract', authenticate.authenticateToken, saveContract);
-router.post('/upload', authenticate.authenticateToken, upload.single('file'), uploadDocument);
+router.post('/upload', authenticate.authenticateToken, singleUpload('file'), uploadDocument);
 
 module.exports = router;
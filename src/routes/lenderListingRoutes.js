@@ -0,0 +1,30 @@
+// src/routes/lenderListingRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken } = require('../middleware/authMiddleware');
+const requireVerified = require('../middleware/requireVerified');
+const listingController = require('../controllers/lenderListingController');
+const directRequestController = require('../controllers/directRequestController');
+
+// Lender's own listings
+router.get('/mine', authenticateToken, listingController.getMyListings);
+router.post('/', authenticateToken, listingController.createListing);
+router.put('/:id', authenticateToken, listingController.updateListing);
+router.post('/:id/pause', authenticateToken, listingController.pauseListing);
+router.post('/:id/resume', authenticateToken, listingController.resumeListing);
+router.delete('/:id', authenticateToken, listingController.deleteListing);
+
+// Borrower: request a loan on a listing's terms
+router.post(
+  '/:id/request',
+  authenticateToken,
+  requireVerified('CREATE_DIRECT_REQUEST'),
+  directRequestController.createFromListing
+);
+
+// Public directory
+router.get('/', listingController.getDirectory);
+router.get('/:id', listingController.getListing);
+
+module.exports = router;
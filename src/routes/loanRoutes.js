@@ -2,6 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotency');
+const requireVerified = require('../middleware/requireVerified');
 
 const loanRequestController = require('../controllers/loanRequestController');
 const loanOfferController = require('../controllers/loanOfferController');
@@ -15,14 +17,34 @@ const loanMessageController = require('../controllers/loanMessageController');
 // Loan Requests (market)
 // ---------------------------------------------------------------------
 router.get('/open', authenticateToken, loanRequestController.getOpenLoanRequests);
-router.post('/', authenticateToken, loanRequestController.createLoanRequest);
+router.post(
+  '/',
+  authenticateToken,
+  requireVerified('CREATE_LOAN_REQUEST'),
+  loanRequestController.createLoanRequest
+);
 router.get('/:loanId', authenticateToken, loanRequestController.getLoanDetails);
 
+// Borrower manages their own request: edit while OPEN, cancel, relist after cancel/expiry
+router.put('/:loanId', authenticateToken, loanRequestController.updateLoanRequest);
+router.post('/:loanId/cancel', authenticateToken, loanRequestController.cancelLoanRequest);
+router.post(
+  '/:loanId/relist',
+  authenticateToken,
+  requireVerified('CREATE_LOAN_REQUEST'),
+  loanRequestController.relistLoanRequest
+);
+
 // ---------------------------------------------------------------------
 // Loan Offers
 // ---------------------------------------------------------------------
 router.get('/:loanId/offers', authenticateToken, loanOfferController.getLoanOffers);
-router.post('/:loanId/offers', authenticateToken, loanOfferController.submitLoanOffer);
+router.post(
+  '/:loanId/offers',
+  authenticateToken,
+  requireVerified('SUBMIT_OFFER'),
+  loanOfferController.submitLoanOffer
+);
 
 // Borrower accepts an offer -> creates Loan (status: ACCEPTED)
 router.post(
@@ -38,6 +60,36 @@ router.get(
   loanOfferController.getMyOfferRequests
 );
 
+// Lender amends (new revision) or withdraws their open offer
+router.put(
+  '/offers/:offerId',
+  authenticateToken,
+  requireVerified('SUBMIT_OFFER'),
+  loanOfferController.amendLoanOffer
+);
+router.post(
+  '/offers/:offerId/withdraw',
+  authenticateToken,
+  loanOfferController.withdrawLoanOffer
+);
+router.get(
+  '/offers/:offerId/revisions',
+  authenticateToken,
+  loanOfferController.getOfferRevisions
+);
+
+// Truth-in-Lending style disclosure; the borrower acknowledges it before accepting
+router.get(
+  '/offers/:offerId/disclosure',
+  authenticateToken,
+  loanOfferController.getOfferDisclosure
+);
+router.post(
+  '/offers/:offerId/disclosure/acknowledge',
+  authenticateToken,
+  loanOfferController.acknowledgeOfferDisclosure
+);
+
 // ---------------------------------------------------------------------
 // Repayments
 // ---------------------------------------------------------------------
@@ -50,9 +102,31 @@ router.get(
 router.post(
   '/:loanId/pay-next',
   authenticateToken,
+  idempotency,
   repaymentController.payNextRepayment
 );
 
+// Early payoff: quote (good-through date) and settle everything from wallet
+router.get(
+  '/:loanId/payoff-quote',
+  authenticateToken,
+  repaymentController.getPayoffQuote
+);
+router.post(
+  '/:loanId/payoff',
+  authenticateToken,
+  idempotency,
+  repaymentController.payoffLoan
+);
+
+// Partial prepayment toward principal (re-amortize or shorten term)
+router.post(
+  '/:loanId/prepay',
+  authenticateToken,
+  idempotency,
+  repaymentController.prepayLoan
+);
+
 // ---------------------------------------------------------------------
 // Messages
 // ---------------------------------------------------------------------
@@ -78,6 +152,8 @@ router.post(
 router.post(
   '/:loanId/fund',
   authenticateToken,
+  requireVerified('FUND_LOAN'),
+  idempotency,
   loanOfferController.fundLoanByLender
 );
 
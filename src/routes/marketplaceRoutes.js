@@ -0,0 +1,17 @@
+// src/routes/marketplaceRoutes.js
+const express = require('express');
+const router = express.Router();
+
+const { authenticateToken } = require('../middleware/authMiddleware');
+const marketplaceController = require('../controllers/marketplaceController');
+
+// Search open loan requests (filters, sort, cursor pagination)
+router.get('/', authenticateToken, marketplaceController.searchLoanRequests);
+
+// Saved searches (notify the lender when a new request matches)
+router.get('/saved-searches', authenticateToken, marketplaceController.listSavedSearches);
+router.post('/saved-searches', authenticateToken, marketplaceController.createSavedSearch);
+router.patch('/saved-searches/:id', authenticateToken, marketplaceController.updateSavedSearch);
+router.delete('/saved-searches/:id', authenticateToken, marketplaceController.deleteSavedSearch);
+
+module.exports = router;
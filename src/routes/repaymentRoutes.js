@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotency');
 const repaymentController = require('../controllers/repaymentController');
 
-router.post('/:loanId', auth.authenticateToken, repaymentController.makeRepayment);
+router.post('/:loanId', auth.authenticateToken, idempotency, repaymentController.makeRepayment);
 router.patch('/:repaymentId', auth.authenticateToken, repaymentController.recordRepayment);
 router.get('/:loanId', auth.authenticateToken, repaymentController.getLoanRepayments);
-router.post('/loans/:loanId/pay-next', auth.authenticateToken, repaymentController.payNextRepayment);
+router.post('/loans/:loanId/pay-next', auth.authenticateToken, idempotency, repaymentController.payNextRepayment);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+// src/routes/taxRoutes.js
+const express = require('express');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const taxController = require('../controllers/taxController');
+
+const router = express.Router();
+
+// Year-end statement for the caller (?format=json|csv|pdf)
+router.get('/statements/:year', authenticateToken, taxController.getMyStatement);
+
+module.exports = router;
@@ -1,7 +1,6 @@
 // routes/verificationRoutes.js
 const router = require('express').Router();
-const multer = require('multer');
-const upload = multer(); // memory storage
+const { singleUpload } = require('../middleware/upload');
 const auth = require('../middleware/authMiddleware');
 const ctrl = require('../controllers/verificationController');
 
@@ -12,17 +11,20 @@ const ctrl = require('../controllers/verificationController');
 // GET /api/verification/status
 router.get('/verification/status', auth.authenticateToken, ctrl.getStatus);
 
+// GET /api/verification/requirements  (what each gated action still needs)
+router.get('/verification/requirements', auth.authenticateToken, ctrl.getRequirements);
+
 // POST /api/verification/id/front
-router.post('/verification/id/front', auth.authenticateToken, upload.single('file'), ctrl.uploadIdFront);
+router.post('/verification/id/front', auth.authenticateToken, singleUpload('file'), ctrl.uploadIdFront);
 
 // POST /api/verification/id/back
-router.post('/verification/id/back', auth.authenticateToken, upload.single('file'), ctrl.uploadIdBack);
+router.post('/verification/id/back', auth.authenticateToken, singleUpload('file'), ctrl.uploadIdBack);
 
 // POST /api/verification/selfie
-router.post('/verification/selfie', auth.authenticateToken, upload.single('file'), ctrl.uploadSelfie);
+router.post('/verification/selfie', auth.authenticateToken, singleUpload('file'), ctrl.uploadSelfie);
 
 // OPTIONAL: POST /api/verification/paystub
-router.post('/verification/paystub', auth.authenticateToken, upload.single('file'), ctrl.uploadPaystub);
+router.post('/verification/paystub', auth.authenticateToken, singleUpload('file'), ctrl.uploadPaystub);
 
 // =======================
 // ADMIN ROUTES
@@ -40,4 +42,7 @@ router.post('/admin/verification/:userId/approve', auth.authenticateToken, ctrl.
 // POST /api/admin/verification/:userId/reject
 router.post('/admin/verification/:userId/reject', auth.authenticateToken, ctrl.adminReject);
 
+// POST /api/admin/verification/:userId/review  (per-item outcomes)
+router.post('/admin/verification/:userId/review', auth.authenticateToken, ctrl.adminReviewItems);
+
 module.exports = router;
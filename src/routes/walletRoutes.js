@@ -3,21 +3,28 @@ const express = require('express');
 const router = express.Router();
 
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { idempotency } = require('../middleware/idempotency');
+const requireVerified = require('../middleware/requireVerified');
 const walletController = require('../controllers/walletController');
 
 // Wallet balance / ledger
 router.get('/me', authenticateToken, walletController.getMyWallet);
 
 // NEW: deposit using saved funding card
-router.post('/deposit', authenticateToken, walletController.depositFromFundingCard);
+router.post('/deposit', authenticateToken, idempotency, walletController.depositFromFundingCard);
 
 // 🔹 NEW: withdraw from wallet
 router.post(
   '/withdraw',
   authenticateToken,
+  requireVerified('WITHDRAW'),
+  idempotency,
   walletController.withdrawFunds
 );
 
+// Withdrawal history with status (PENDING until the bank payout lands)
+router.get('/withdrawals', authenticateToken, walletController.listWithdrawals);
+
 // Dev helper (if you still use it)
 router.post(
   '/dev-confirm-deposit',
@@ -0,0 +1,73 @@
+// scripts/backfillJournalOpeningBalances.js
+// Bring wallets that predate the double-entry journal onto it, and check that
+// every wallet matches what the journal says it should hold.
+// Usage (from project root):
+//   node src/scripts/backfillJournalOpeningBalances.js --check
+//   node src/scripts/backfillJournalOpeningBalances.js --commit
+//
+// Flags:
+//   --check     Only list wallets whose balance differs from the journal
+//   --commit    Post OPENING_BALANCE entries for the differences (default: dry-run)
+//
+// Opening-balance entries are journal-only (the money is already in the
+// wallet), so they never change Wallet.availableCents.
+
+const path = require('path');
+const prisma = require(path.join(__dirname, '..', 'utils', 'prisma'));
+const {
+  ACCOUNTS,
+  debit,
+  credit,
+  postJournal,
+  checkWalletAgainstJournal,
+} = require(path.join(__dirname, '..', 'services', 'journalService'));
+const { PLATFORM_USER_ID } = require(path.join(__dirname, '..', 'services', 'ledgerPostings'));
+
+const argv = process.argv.slice(2);
+const CHECK_ONLY = argv.includes('--check');
+const COMMIT = argv.includes('--commit') && !CHECK_ONLY;
+
+function info(...args){ console.log('[journal]', ...args); }
+
+async function run() {
+  const wallets = await prisma.wallet.findMany({ select: { userId: true } });
+  info(`Checking ${wallets.length} wallet(s)`);
+  if (!CHECK_ONLY && !COMMIT) info('DRY RUN (no writes). Use --commit to post opening balances.');
+
+  let mismatched = 0;
+  for (const { userId } of wallets) {
+    const r = await checkWalletAgainstJournal(userId);
+    if (r.ok) continue;
+    mismatched++;
+    info(`  ${userId}: wallet=${r.walletCents}c journal=${r.journalCents}c diff=${r.diffCents}c` +
+      (r.pendingDiffCents ? ` | pending=${r.pendingCents}c held=${r.journalPendingCents}c` : ''));
+    // Only available balances predate the journal; held money never does
+    if (CHECK_ONLY || !r.diffCents) continue;
+
+    // Platform fees live in the platform user's wallet too
+    const account = userId === PLATFORM_USER_ID ? ACCOUNTS.PLATFORM_FEES : ACCOUNTS.USER_WALLET;
+    const cents = Math.abs(r.diffCents);
+    const lines = r.diffCents > 0
+      ? [debit(ACCOUNTS.OPENING_BALANCE, cents), credit(account, cents, { userId })]
+      : [debit(account, cents, { userId }), credit(ACCOUNTS.OPENING_BALANCE, cents)];
+
+    if (!COMMIT) {
+      info(`    [dry] would post OPENING_BALANCE ${r.diffCents > 0 ? 'credit' : 'debit'} of ${cents}c`);
+      continue;
+    }
+    await postJournal({
+      kind: 'OPENING_BALANCE',
+      memo: 'Wallet balance that predates the journal',
+      mirrorWallets: false,
+      lines,
+    });
+    info('    posted');
+  }
+
+  info(mismatched ? `${mismatched} wallet(s) out of line with the journal.` : 'All wallets match the journal.');
+  if (CHECK_ONLY && mismatched) process.exitCode = 2;
+}
+
+run()
+  .catch((e) => { console.error(e); process.exitCode = 1; })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,126 @@
+// scripts/migrateBlobsToStore.js
+// Move Document / VerificationMedia bytes still stored in Mongo (`content`)
+// into the blob store (see services/blobStorageService), encrypted with the
+// current BLOB_ENCRYPTION_KEY.
+// Usage (from project root):
+//   node src/scripts/migrateBlobsToStore.js
+//   node src/scripts/migrateBlobsToStore.js --commit --model=document --batch=50
+//
+// Flags:
+//   --model=document|verificationMedia|all   Which rows to migrate (default all)
+//   --batch=<n>                              Rows fetched per round (default 100)
+//   --limit=<n>                              Stop after n rows (default: no limit)
+//   --keepContent                            Leave `content` in Mongo after copying
+//   --commit                                 Actually write (default: dry-run)
+//
+// Each blob is read back and its sha256 compared before the row is switched
+// over, so an interrupted run can simply be started again.
+
+const path = require('path');
+const crypto = require('crypto');
+const prisma = require(path.join(__dirname, '..', 'utils', 'prisma'));
+const { putBlob, readBlob, deleteBlob } = require(path.join(__dirname, '..', 'services', 'blobStorageService'));
+
+const argv = process.argv.slice(2).reduce((acc, item) => {
+  const [k, v] = item.replace(/^--/, '').split('=');
+  acc[k] = v === undefined ? true : v;
+  return acc;
+}, {});
+
+const COMMIT = Boolean(argv.commit);
+const BATCH = Math.max(1, Number(argv.batch) || 100);
+const LIMIT = Number(argv.limit) || Infinity;
+const KEEP_CONTENT = Boolean(argv.keepContent);
+const MODELS = argv.model && argv.model !== 'all' ? [argv.model] : ['document', 'verificationMedia'];
+
+function info(...args){ console.log('[blobs]', ...args); }
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+// Rows with bytes in Mongo and no blob yet
+const pendingWhere = {
+  OR: [{ storageKey: { isSet: false } }, { storageKey: null }],
+  content: { isSet: true },
+  NOT: { content: null },
+};
+
+async function migrateModel(model, budget) {
+  const kindField = model === 'document' ? 'type' : 'kind';
+  let lastId;
+  let moved = 0;
+  let bytes = 0;
+  let failed = 0;
+
+  while (moved + failed < budget) {
+    const ids = await prisma[model].findMany({
+      where: { ...pendingWhere, ...(lastId && { id: { gt: lastId } }) },
+      orderBy: { id: 'asc' },
+      take: Math.min(BATCH, budget - moved - failed),
+      select: { id: true },
+    });
+    if (!ids.length) break;
+    lastId = ids[ids.length - 1].id;
+
+    // One row's bytes in memory at a time
+    for (const { id } of ids) {
+      const row = await prisma[model].findUnique({
+        where: { id },
+        select: { id: true, content: true, [kindField]: true },
+      });
+      const content = Buffer.from(row.content);
+
+      if (!COMMIT) {
+        info(`  [dry] ${model} ${id}: ${content.length} bytes (${row[kindField]})`);
+        moved++;
+        bytes += content.length;
+        continue;
+      }
+
+      let storage;
+      try {
+        storage = await putBlob(content, { kind: row[kindField] });
+        const check = await readBlob(storage);
+        if (sha256(check) !== sha256(content)) throw new Error('read-back hash mismatch');
+
+        await prisma[model].update({
+          where: { id },
+          data: { ...storage, ...(!KEEP_CONTENT && { content: null }) },
+        });
+        moved++;
+        bytes += content.length;
+        info(`  ${model} ${id}: ${content.length} bytes → ${storage.storageBackend}:${storage.storageKey}`);
+      } catch (e) {
+        failed++;
+        console.error(`  ❌ ${model} ${id}: ${e.message}`);
+        if (storage) await deleteBlob(storage).catch(() => {});
+      }
+    }
+  }
+
+  info(`${model}: ${moved} row(s), ${bytes} bytes ${COMMIT ? 'moved' : 'to move'}${failed ? `, ${failed} failed` : ''}`);
+  return { moved, failed };
+}
+
+async function run() {
+  if (!COMMIT) info('DRY RUN (no writes). Use --commit to move the blobs.');
+  if (COMMIT && !process.env.BLOB_ENCRYPTION_KEY) {
+    if (process.env.BLOB_ALLOW_PLAINTEXT !== 'true') {
+      throw new Error('BLOB_ENCRYPTION_KEY is not set (set BLOB_ALLOW_PLAINTEXT=true to store unencrypted)');
+    }
+    info('⚠️ BLOB_ENCRYPTION_KEY is not set, blobs will be stored unencrypted');
+  }
+
+  let budget = LIMIT;
+  let totalFailed = 0;
+  for (const model of MODELS) {
+    if (!['document', 'verificationMedia'].includes(model)) throw new Error(`Unknown --model=${model}`);
+    const { moved, failed } = await migrateModel(model, budget);
+    budget -= moved + failed;
+    totalFailed += failed;
+  }
+  if (totalFailed) process.exitCode = 2;
+}
+
+run()
+  .catch((e) => { console.error(e); process.exitCode = 1; })
+  .finally(() => prisma.$disconnect());
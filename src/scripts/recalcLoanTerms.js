@@ -1,34 +1,40 @@
 // scripts/recalcLoanTerms.js
-// Recalculate repayment schedule rows for specific loans.
+// Recalculate repayment schedule rows for specific loans using the shared
+// schedule engine (utils/repaymentUtils).
 // Usage examples (from project root):
-//   node scripts/recalcLoanTerms.js --ids=64f...,650... --mode=term --commit
-//   node scripts/recalcLoanTerms.js --fundedSince=2025-01-01 --mode=term --dry
-//   node scripts/recalcLoanTerms.js --ids=64f... --mode=apr --bump=2 --dry
+//   node src/scripts/recalcLoanTerms.js --ids=64f...,650... --commit
+//   node src/scripts/recalcLoanTerms.js --fundedSince=2025-01-01 --method=simple --dry
+//   node src/scripts/recalcLoanTerms.js --ids=64f... --frequency=biweekly --commit
 //
 // Flags:
 //   --ids=<comma separated loan ids>        Recalc only these loans
 //   --fundedSince=YYYY-MM-DD                Recalc loans funded on/after date (if --ids not given)
-//   --mode=term|apr                         Interest model (default: term)
-//   --bump=<number>                         Extra % points to add to loan.interestRate (default 2)
-//   --peerfund=<decimal>                    Override peerfund fee rate (default from utils/fees or 0.01)
-//   --bank=<decimal>                        Override banking fee rate (default from utils/fees or 0.01)
+//   --method=flat|simple|amortizing         Schedule method (default: loan.scheduleMethod or amortizing)
+//   --frequency=weekly|biweekly|monthly     Payment frequency (default: loan.paymentFrequency or monthly)
+//   --dayCount=30/360|actual/365            Day-count convention (default: loan.dayCount or 30/360)
+//   --mode=term|apr                         Legacy alias: term = flat, apr = amortizing
+//   --peerfund=<decimal>                    Override peerfund fee rate (default from utils/fees)
+//   --bank=<decimal>                        Override banking fee rate (default from utils/fees)
 //   --touchPaid                             Also update PAID rows (default false)
 //   --commit                                Actually write changes (default: dry-run)
 //   --dry                                   Force dry-run (no writes; default if --commit not set)
+//
+// When the new schedule has a different number of installments (e.g. a
+// frequency change) the loan's rows are rebuilt from scratch; loans that
+// already have PAID rows are skipped in that case.
 
 const path = require('path');
-const r2 = n => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
-
-// Try to load your existing fee constants; fall back to 1%
-let PEERFUND_FEE_RATE = 0.01;
-let BANKING_FEE_RATE = 0.01;
-try {
-  const fees = require(path.join(__dirname, '..', 'src', 'utils', 'fees'));
-  if (typeof fees.PEERFUND_FEE_RATE === 'number') PEERFUND_FEE_RATE = fees.PEERFUND_FEE_RATE;
-  if (typeof fees.BANKING_FEE_RATE === 'number') BANKING_FEE_RATE = fees.BANKING_FEE_RATE;
-} catch (_) {}
-
-const prisma = require(path.join(__dirname, '..', 'src', 'utils', 'prisma'));
+const { PEERFUND_FEE_RATE: DEFAULT_PEERFUND, BANKING_FEE_RATE: DEFAULT_BANK } = require(
+  path.join(__dirname, '..', 'utils', 'fees')
+);
+const {
+  SCHEDULE_METHODS,
+  PAYMENT_FREQUENCIES,
+  DAY_COUNTS,
+  buildScheduleForLoan,
+  scheduleToRepaymentRows,
+} = require(path.join(__dirname, '..', 'utils', 'repaymentUtils'));
+const prisma = require(path.join(__dirname, '..', 'utils', 'prisma'));
 
 // ----- simple arg parsing -----
 const argv = process.argv.slice(2).reduce((acc, item) => {
@@ -38,18 +44,30 @@ const argv = process.argv.slice(2).reduce((acc, item) => {
   return acc;
 }, {});
 
-const MODE = (argv.mode || 'term').toLowerCase(); // 'term' or 'apr'
-const BUMP = Number(argv.bump ?? 2);
+const LEGACY_MODES = { term: 'FLAT', apr: 'AMORTIZING' };
+
+const METHOD = argv.method
+  ? String(argv.method).toUpperCase()
+  : argv.mode
+  ? LEGACY_MODES[String(argv.mode).toLowerCase()]
+  : null;
+const FREQUENCY = argv.frequency ? String(argv.frequency).toUpperCase() : null;
+const DAY_COUNT = argv.dayCount ? String(argv.dayCount).toUpperCase() : null;
 const TOUCH_PAID = Boolean(argv.touchPaid);
 const COMMIT = Boolean(argv.commit) && !Boolean(argv.dry);
 
-if (!['term', 'apr'].includes(MODE)) {
-  console.error('Invalid --mode (use "term" or "apr").'); process.exit(1);
+if ((argv.method || argv.mode) && !SCHEDULE_METHODS.includes(METHOD)) {
+  console.error(`Invalid --method (use ${SCHEDULE_METHODS.join(', ').toLowerCase()}).`); process.exit(1);
+}
+if (FREQUENCY && !PAYMENT_FREQUENCIES.includes(FREQUENCY)) {
+  console.error(`Invalid --frequency (use ${PAYMENT_FREQUENCIES.join(', ').toLowerCase()}).`); process.exit(1);
 }
-if (!Number.isFinite(BUMP)) {
-  console.error('Invalid --bump (must be a number).'); process.exit(1);
+if (DAY_COUNT && !DAY_COUNTS.includes(DAY_COUNT)) {
+  console.error(`Invalid --dayCount (use ${DAY_COUNTS.join(', ').toLowerCase()}).`); process.exit(1);
 }
 
+let PEERFUND_FEE_RATE = DEFAULT_PEERFUND;
+let BANKING_FEE_RATE = DEFAULT_BANK;
 if (argv.peerfund !== undefined) {
   const pf = Number(argv.peerfund);
   if (!Number.isFinite(pf) || pf < 0) { console.error('Invalid --peerfund'); process.exit(1); }
@@ -63,28 +81,20 @@ if (argv.bank !== undefined) {
 
 function info(...args){ console.log('[recalc]', ...args); }
 
-// ----- interest helpers -----
-function baseMonthly_TERM(amount, baseRatePct, duration) {
-  const termRate = baseRatePct / 100;
-  const totalBase = r2(amount * (1 + termRate));
-  return r2(totalBase / duration);
-}
-function baseMonthly_APR(amount, baseRatePct, duration) {
-  const monthly = (baseRatePct / 100) / 12;
-  return r2((amount * monthly) / (1 - Math.pow(1 + monthly, -duration)));
-}
-
 async function fetchLoans() {
+  const include = {
+    lender: { select: { isSuperUser: true } },
+    shares: { select: { lender: { select: { isSuperUser: true } } } },
+    repayments: { orderBy: { dueDate: 'asc' } },
+  };
+
   if (argv.ids) {
     const ids = String(argv.ids).split(',').map(s => s.trim()).filter(Boolean);
     if (ids.length === 0) {
       console.error('No valid ids in --ids'); process.exit(1);
     }
     info(`Targeting ${ids.length} loan(s) by id.`);
-    return prisma.loan.findMany({
-      where: { id: { in: ids } },
-      include: { lender: { select: { isSuperUser: true } }, repayments: true }
-    });
+    return prisma.loan.findMany({ where: { id: { in: ids } }, include });
   }
 
   if (argv.fundedSince) {
@@ -93,10 +103,7 @@ async function fetchLoans() {
       console.error('Bad --fundedSince date. Use YYYY-MM-DD.'); process.exit(1);
     }
     info(`Targeting loans funded on/after ${since.toISOString().slice(0,10)}`);
-    return prisma.loan.findMany({
-      where: { fundedDate: { gte: since } },
-      include: { lender: { select: { isSuperUser: true } }, repayments: true }
-    });
+    return prisma.loan.findMany({ where: { fundedDate: { gte: since } }, include });
   }
 
   console.error('Provide --ids=<...> or --fundedSince=YYYY-MM-DD'); process.exit(1);
@@ -106,38 +113,73 @@ async function run() {
   const loans = await fetchLoans();
   if (loans.length === 0) { info('No loans matched.'); return; }
 
-  info(`Mode = ${MODE.toUpperCase()}, bump = +${BUMP}%  | fees: PF=${PEERFUND_FEE_RATE}, BANK=${BANKING_FEE_RATE}`);
+  info(`method=${METHOD || '(loan)'} frequency=${FREQUENCY || '(loan)'} dayCount=${DAY_COUNT || '(loan)'}  | fees: PF=${PEERFUND_FEE_RATE}, BANK=${BANKING_FEE_RATE}`);
   if (!COMMIT) info('DRY RUN (no writes). Use --commit to save changes.');
   if (TOUCH_PAID) info('Will update PAID rows as well (history change).');
 
   for (const loan of loans) {
-    const baseRatePct = (Number(loan.interestRate) || 0) + BUMP;
-    const amount = Number(loan.amount) || 0;
-    const duration = Number(loan.duration) || 1;
+    const settings = {
+      ...(METHOD && { method: METHOD }),
+      ...(FREQUENCY && { frequency: FREQUENCY }),
+      ...(DAY_COUNT && { dayCount: DAY_COUNT }),
+    };
+    const schedule = buildScheduleForLoan(loan, settings);
+    // Same rule as acceptance: waived only when every lender is a SuperUser
+    // (legacy loans without shares: the one lender)
+    const lenders = loan.shares?.length ? loan.shares.map(s => s.lender) : [loan.lender];
+    const newRows = scheduleToRepaymentRows(schedule, {
+      loanId: loan.id,
+      peerfundWaived: lenders.every(l => Boolean(l?.isSuperUser)),
+      peerfundRate: PEERFUND_FEE_RATE,
+      bankingRate: BANKING_FEE_RATE,
+    });
 
-    const baseMonthly =
-      MODE === 'term'
-        ? baseMonthly_TERM(amount, baseRatePct, duration)
-        : baseMonthly_APR(amount, baseRatePct, duration);
+    const rows = loan.repayments || [];
+    const paidCount = rows.filter(r => r.status === 'PAID').length;
 
-    const pfEach   = loan.lender?.isSuperUser ? 0 : r2(baseMonthly * PEERFUND_FEE_RATE);
-    const bankEach = r2(baseMonthly * BANKING_FEE_RATE);
-    const totalEach = r2(baseMonthly + pfEach + bankEach);
+    info(`Loan ${loan.id}  principal=${schedule.totalPaymentCents - schedule.totalInterestCents}c  rate=${loan.interestRateBps}bps  ${schedule.method}/${schedule.frequency}/${schedule.dayCount}  -> ${newRows.length} installment(s), interest=${schedule.totalInterestCents}c`);
 
-    const rows = loan.repayments || [];
-    const toChange = rows.filter(r => TOUCH_PAID || r.status !== 'PAID');
+    // Installment count changed → rebuild the whole schedule
+    if (newRows.length !== rows.length) {
+      if (paidCount > 0) {
+        info(`  SKIP: ${rows.length} existing row(s) with ${paidCount} PAID; cannot rebuild to ${newRows.length}.`);
+        continue;
+      }
+      if (!COMMIT) {
+        info(`  [dry] would replace ${rows.length} row(s) with ${newRows.length}`);
+        continue;
+      }
+      await prisma.$transaction([
+        prisma.repayment.deleteMany({ where: { loanId: loan.id } }),
+        prisma.repayment.createMany({ data: newRows }),
+        prisma.loan.update({
+          where: { id: loan.id },
+          data: {
+            scheduleMethod: schedule.method,
+            paymentFrequency: schedule.frequency,
+            dayCount: schedule.dayCount,
+          },
+        }),
+      ]);
+      info(`  rebuilt ${newRows.length} row(s)`);
+      continue;
+    }
 
-    info(`Loan ${loan.id}  amount=$${amount}  rate=${baseRatePct}%  duration=${duration}  -> baseMonthly=$${baseMonthly}`);
+    // Same shape → update amounts in place, installment by installment
+    const toChange = rows
+      .map((rp, i) => ({ rp, next: newRows[i] }))
+      .filter(({ rp }) => TOUCH_PAID || rp.status !== 'PAID');
     info(`  Updating ${toChange.length}/${rows.length} repayment row(s)`);
 
-    for (const rp of toChange) {
+    for (const { rp, next } of toChange) {
       const before = {
         basePayment: rp.basePayment, bankingFee: rp.bankingFee,
         peerfundFee: rp.peerfundFee, total: rp.totalCharged
       };
       const after = {
-        basePayment: baseMonthly, bankingFee: bankEach,
-        peerfundFee: pfEach, total: totalEach
+        basePayment: next.basePayment, bankingFee: next.bankingFee,
+        peerfundFee: next.peerfundFee, total: next.totalCharged,
+        principalCents: next.principalCents, interestCents: next.interestCents,
       };
 
       if (!COMMIT) {
@@ -146,16 +188,30 @@ async function run() {
         await prisma.repayment.update({
           where: { id: rp.id },
           data: {
-            basePayment: baseMonthly,
-            bankingFee: bankEach,
-            peerfundFee: pfEach,
-            totalCharged: totalEach,
-            amountDue: totalEach,
+            installmentNo: next.installmentNo,
+            principalCents: next.principalCents,
+            interestCents: next.interestCents,
+            basePayment: next.basePayment,
+            bankingFee: next.bankingFee,
+            peerfundFee: next.peerfundFee,
+            totalCharged: next.totalCharged,
+            amountDue: next.amountDue + (rp.lateFee || 0),
           }
         });
         info(`    saved ${rp.id}`);
       }
     }
+
+    if (COMMIT) {
+      await prisma.loan.update({
+        where: { id: loan.id },
+        data: {
+          scheduleMethod: schedule.method,
+          paymentFrequency: schedule.frequency,
+          dayCount: schedule.dayCount,
+        },
+      });
+    }
   }
 
   info('Done.');
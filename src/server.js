@@ -8,6 +8,12 @@ const cron = require('node-cron');
 const cookieParser = require('cookie-parser');
 
 const runAutoRepayments = require('./cron/processAutoRepayments');
+const { runDelinquencySweep } = require('./services/delinquencyService');
+const { runReconciliation } = require('./services/reconciliationService');
+const { sweepExpiredHolds } = require('./services/walletHoldService');
+const { expireLoanRequests } = require('./services/loanRequestService');
+const { expireDirectProposals } = require('./services/directRequestService');
+const { expireLoanOffers } = require('./services/loanOfferService');
 const { authenticateToken } = require('./middleware/authMiddleware');
 
 // Routers
@@ -15,7 +21,10 @@ const authRoutes = require('./routes/authRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const offerRoutes = require('./routes/offerRoutes');
 const contractRoutes = require('./routes/contractRoutes');
-const matchRoutes = require('./routes/matchRoutes');
+const marketplaceRoutes = require('./routes/marketplaceRoutes');
+const autoInvestRoutes = require('./routes/autoInvestRoutes');
+const lenderListingRoutes = require('./routes/lenderListingRoutes');
+const taxRoutes = require('./routes/taxRoutes');
 const userRoutes = require('./routes/userRoutes');
 const loanRoutes = require('./routes/loanRoutes');
 const messageRoutes = require('./routes/messageRoutes');
@@ -76,8 +85,9 @@ app.use((req, res, next) => {
     const reqHeaders = req.headers['access-control-request-headers'];
     res.setHeader(
       'Access-Control-Allow-Headers',
-      reqHeaders || 'Content-Type, Authorization'
+      reqHeaders || 'Content-Type, Authorization, Idempotency-Key'
     );
+    res.setHeader('Access-Control-Expose-Headers', 'Idempotent-Replayed');
   }
   if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
@@ -137,7 +147,10 @@ app.use('/api/admin', adminRoutes);
 
 app.use('/api/offers', offerRoutes);
 app.use('/api/contracts', contractRoutes);
-app.use('/api/match-loans', matchRoutes);
+app.use('/api/marketplace', marketplaceRoutes);
+app.use('/api/auto-invest', autoInvestRoutes);
+app.use('/api/listings', lenderListingRoutes);
+app.use('/api/tax', taxRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/loans', loanRoutes);
 app.use('/api/messages', messageRoutes);
@@ -200,6 +213,62 @@ cron.schedule('0 0 * * *', async () => {
   }
 });
 
+// After autopay has had its chance: escalate overdue installments, charge late fees
+cron.schedule('30 0 * * *', async () => {
+  console.log('🔁 Running scheduled delinquency sweep...');
+  try {
+    await runDelinquencySweep();
+  } catch (err) {
+    console.error('❌ Delinquency sweep failed:', err);
+  }
+});
+
+// Hourly: take stale loan requests off the market (rejects their offers)...
+cron.schedule('10 * * * *', async () => {
+  try {
+    await expireLoanRequests();
+  } catch (err) {
+    console.error('❌ Loan request sweep failed:', err);
+  }
+});
+
+// ...and lapse offers past their lender-set expiry (before the hold sweep)
+cron.schedule('12 * * * *', async () => {
+  try {
+    await expireLoanOffers();
+  } catch (err) {
+    console.error('❌ Loan offer sweep failed:', err);
+  }
+});
+
+// ...and give back lender money reserved by holds that have run out
+cron.schedule('15 * * * *', async () => {
+  try {
+    await sweepExpiredHolds();
+  } catch (err) {
+    console.error('❌ Wallet hold sweep failed:', err);
+  }
+});
+
+// ...and close direct-request negotiations nobody answered in time
+cron.schedule('20 * * * *', async () => {
+  try {
+    await expireDirectProposals();
+  } catch (err) {
+    console.error('❌ Direct request sweep failed:', err);
+  }
+});
+
+// Nightly, once the money-moving jobs are done: replay wallets, check PAID repayments
+cron.schedule('0 3 * * *', async () => {
+  console.log('🔁 Running nightly reconciliation...');
+  try {
+    await runReconciliation();
+  } catch (err) {
+    console.error('❌ Reconciliation failed:', err);
+  }
+});
+
 /* --------------------------- Error handler --------------------------- */
 app.use((err, _req, res, _next) => {
   console.error('Unhandled error:', err);
@@ -0,0 +1,396 @@
+// src/services/autoInvestService.js
+const prisma = require('../utils/prisma');
+const { startOfDay } = require('date-fns');
+const { getBorrowerHistories } = require('./borrowerHistoryService');
+const { getCreditScore } = require('./creditScoreService');
+const { getSubscribedCents, createOfferWithHold } = require('./loanOfferService');
+const { approveDirectRequest } = require('./directRequestService');
+const { assertAllowed } = require('./verificationPolicy');
+
+/**
+ * Auto-invest: a lender's active LenderListings with autoApprove on are
+ * standing rules. New marketplace LoanRequests get an offer at the listing's
+ * APR, and DirectLoanRequests sent to the lender are approved outright, when
+ *
+ *  - the lender may still make offers / approve direct requests
+ *    (verificationPolicy SUBMIT_OFFER / APPROVE_DIRECT_REQUEST)
+ *  - the terms fit the listing (months, APR, amount range / autoApproveUpTo)
+ *  - the borrower meets the listing's criteria (verified, late payments,
+ *    trust score)
+ *  - today's automatic commitments stay under dailyAutoApproveCap
+ *  - the lender's wallet can reserve the money
+ *
+ * Every decision on a matching listing is written to AutoInvestDecision.
+ */
+
+// RESERVED: cap claimed, offer / approval still being made (see reserveDailyCap)
+const COMMITTED_OUTCOMES = ['RESERVED', 'OFFERED', 'APPROVED'];
+const toCents = (n) => Math.round(Number(n || 0) * 100);
+const dollars = (cents) => `$${(cents / 100).toFixed(2)}`;
+
+async function logDecision(data) {
+  try {
+    return await prisma.autoInvestDecision.create({ data });
+  } catch (e) {
+    console.error('⚠️ Failed to log auto-invest decision:', e);
+    return null;
+  }
+}
+
+async function notify(userId, type, message, data) {
+  try {
+    await prisma.notification.create({ data: { userId, type, message, data } });
+  } catch (e) {
+    console.error('⚠️ Failed to create auto-invest notification:', e);
+  }
+}
+
+/** Cents a listing has committed automatically since midnight. */
+async function getCommittedTodayCents(listingId, now = new Date()) {
+  const agg = await prisma.autoInvestDecision.aggregate({
+    where: {
+      listingId,
+      outcome: { in: COMMITTED_OUTCOMES },
+      createdAt: { gte: startOfDay(now) },
+    },
+    _sum: { amountCents: true },
+  });
+  return agg._sum.amountCents || 0;
+}
+
+/** Largest amount a listing will commit to a single request. */
+const perRequestCapCents = (listing) =>
+  toCents(listing.autoApproveUpTo != null ? listing.autoApproveUpTo : listing.maxAmount);
+
+/** Cents left under the listing's daily cap (Infinity when uncapped). */
+async function dailyRoomCents(listing, now) {
+  if (listing.dailyAutoApproveCap == null) return Infinity;
+  return toCents(listing.dailyAutoApproveCap) - (await getCommittedTodayCents(listing.id, now));
+}
+
+/**
+ * Claim `amountCents` of the listing's daily cap before committing money.
+ * The decision is written first as RESERVED and today's total (every other
+ * reservation included) checked afterwards, so two evaluations racing for
+ * the end of the cap can't both get it. Returns the decision row to settle
+ * with settleDecision(), or null (nothing kept) when the cap would be passed.
+ */
+async function reserveDailyCap(listing, decision, amountCents, now) {
+  const row = await prisma.autoInvestDecision.create({
+    data: { ...decision, outcome: 'RESERVED', reason: 'MATCHED', amountCents },
+  });
+  if (listing.dailyAutoApproveCap == null) return row;
+  if ((await getCommittedTodayCents(listing.id, now)) <= toCents(listing.dailyAutoApproveCap)) return row;
+
+  await prisma.autoInvestDecision.delete({ where: { id: row.id } });
+  return null;
+}
+
+/** Final outcome of a reserved decision; skipped / failed ones commit nothing. */
+async function settleDecision(row, data) {
+  try {
+    return await prisma.autoInvestDecision.update({
+      where: { id: row.id },
+      data: { ...data, ...(!COMMITTED_OUTCOMES.includes(data.outcome) && { amountCents: 0 }) },
+    });
+  } catch (e) {
+    console.error('⚠️ Failed to settle auto-invest decision:', e);
+    return null;
+  }
+}
+
+const capReachedDetail = (listing, room) =>
+  `Only ${dollars(Math.max(0, room))} left of today's ${dollars(toCents(listing.dailyAutoApproveCap))} cap`;
+
+/** What the listing criteria look at, loaded once per borrower. */
+async function loadBorrowerProfile(borrowerId) {
+  const [user, histories, score] = await Promise.all([
+    prisma.user.findUnique({ where: { id: borrowerId }, select: { verificationStatus: true } }),
+    getBorrowerHistories([borrowerId]),
+    getCreditScore(borrowerId),
+  ]);
+  return {
+    verified: user?.verificationStatus === 'APPROVED',
+    history: histories.get(String(borrowerId)),
+    score: score?.score ?? null,
+  };
+}
+
+/** First borrower criterion the listing rejects, or null. */
+function criteriaFailure(listing, profile) {
+  if (listing.autoRequireVerified && !profile.verified) {
+    return { reason: 'BORROWER_NOT_VERIFIED', detail: 'Borrower is not verified' };
+  }
+  if (listing.autoMaxLatePayments != null && profile.history.latePayments > listing.autoMaxLatePayments) {
+    return {
+      reason: 'TOO_MANY_LATE_PAYMENTS',
+      detail: `Borrower has ${profile.history.latePayments} late payment(s), limit ${listing.autoMaxLatePayments}`,
+    };
+  }
+  if (listing.autoMinTrustScore != null && (profile.score == null || profile.score < listing.autoMinTrustScore)) {
+    return {
+      reason: 'TRUST_SCORE_TOO_LOW',
+      detail: `Borrower trust score ${profile.score ?? 'n/a'}, minimum ${listing.autoMinTrustScore}`,
+    };
+  }
+  return null;
+}
+
+/** Why the lender may not perform `action` themselves right now, or null. */
+async function lenderBlocked(lenderId, action) {
+  try {
+    await assertAllowed(lenderId, action);
+    return null;
+  } catch (err) {
+    if (err.code !== 'REQUIREMENTS_NOT_MET') throw err;
+    return { reason: 'REQUIREMENTS_NOT_MET', detail: err.message };
+  }
+}
+
+/* --------------------------- Marketplace ---------------------------- */
+
+/**
+ * Run every lender's rules against an OPEN LoanRequest. Lenders are taken
+ * oldest rule first; each gets at most one offer and the request stops
+ * taking offers once they (with the accepted ones) cover the whole amount.
+ */
+async function evaluateLoanRequest(loanRequestId, now = new Date()) {
+  const lr = await prisma.loanRequest.findUnique({ where: { id: loanRequestId } });
+  if (!lr || lr.status !== 'OPEN' || (lr.expiresAt && lr.expiresAt <= now)) return { offers: 0 };
+
+  const listings = await prisma.lenderListing.findMany({
+    where: {
+      isActive: true,
+      autoApprove: true,
+      autoInvestMarketplace: true,
+      lenderId: { not: lr.borrowerId },
+      minMonths: { lte: lr.duration },
+      maxMonths: { gte: lr.duration },
+      apr: { lte: lr.interestRate }, // never offer above what the borrower asked for
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+  if (!listings.length) return { offers: 0 };
+
+  const existing = await prisma.loanOffer.findMany({
+    where: { loanRequestId: lr.id, status: { in: ['OPEN', 'ACCEPTED'] } },
+    select: { lenderId: true },
+  });
+  const seenLenders = new Set(existing.map((o) => o.lenderId));
+
+  const profile = await loadBorrowerProfile(lr.borrowerId);
+  const requestCents = toCents(lr.amount);
+  const base = { loanRequestId: lr.id, borrowerId: lr.borrowerId };
+  let offers = 0;
+  let offeredCents = 0; // OPEN offers placed below, not yet counted as subscribed
+
+  for (const listing of listings) {
+    if (seenLenders.has(listing.lenderId)) continue;
+    seenLenders.add(listing.lenderId);
+
+    const remainingCents = requestCents - (await getSubscribedCents(lr.id)) - offeredCents;
+    if (remainingCents <= 0) break;
+
+    const decision = { ...base, lenderId: listing.lenderId, listingId: listing.id };
+
+    const failed =
+      criteriaFailure(listing, profile) || (await lenderBlocked(listing.lenderId, 'SUBMIT_OFFER'));
+    if (failed) {
+      await logDecision({ ...decision, outcome: 'SKIPPED', ...failed });
+      continue;
+    }
+
+    const minCents = toCents(listing.minAmount);
+    const room = await dailyRoomCents(listing, now);
+    const amountCents = Math.min(remainingCents, perRequestCapCents(listing), room);
+    if (amountCents < minCents || amountCents <= 0) {
+      const capped = room < Math.min(remainingCents, perRequestCapCents(listing));
+      await logDecision({
+        ...decision,
+        outcome: 'SKIPPED',
+        reason: capped ? 'DAILY_CAP_REACHED' : 'BELOW_MIN_AMOUNT',
+        detail: capped
+          ? capReachedDetail(listing, room)
+          : `${dollars(amountCents)} left on the request is below the listing minimum ${dollars(minCents)}`,
+      });
+      continue;
+    }
+
+    const reserved = await reserveDailyCap(listing, decision, amountCents, now);
+    if (!reserved) {
+      await logDecision({
+        ...decision,
+        outcome: 'SKIPPED',
+        reason: 'DAILY_CAP_REACHED',
+        detail: capReachedDetail(listing, await dailyRoomCents(listing, now)),
+      });
+      continue;
+    }
+
+    try {
+      const offer = await createOfferWithHold({
+        loanRequestId: lr.id,
+        lenderId: listing.lenderId,
+        amountCents,
+        duration: lr.duration,
+        interestRate: listing.apr,
+        message: 'Automatic offer from my auto-invest rules.',
+      });
+      offers++;
+      offeredCents += amountCents;
+
+      await settleDecision(reserved, {
+        outcome: 'OFFERED',
+        reason: 'MATCHED',
+        detail: `Offered ${dollars(amountCents)} at ${listing.apr}%`,
+        amountCents,
+        offerId: offer.id,
+      });
+      await notify(
+        listing.lenderId,
+        'OFFER',
+        `🤖 Auto-invest offered ${dollars(amountCents)} at ${listing.apr}% on a new loan request.`,
+        { loanRequestId: lr.id, offerId: offer.id, listingId: listing.id }
+      );
+    } catch (err) {
+      if (err.code === 'INSUFFICIENT_FUNDS') {
+        await settleDecision(reserved, {
+          outcome: 'SKIPPED',
+          reason: 'INSUFFICIENT_FUNDS',
+          detail: `Wallet could not reserve ${dollars(amountCents)}`,
+        });
+      } else {
+        console.error(`❌ Auto-invest offer failed for listing ${listing.id}:`, err);
+        await settleDecision(reserved, { outcome: 'FAILED', reason: 'ERROR', detail: err.message });
+      }
+    }
+  }
+
+  if (offers) console.log(`🤖 Auto-invest: ${offers} offer(s) placed on loan request ${lr.id}`);
+  return { offers };
+}
+
+/* ------------------------- Direct requests -------------------------- */
+
+/** Why a direct request's terms don't fit a listing, or null. */
+function directTermsFailure(listing, dr) {
+  const amountCents = toCents(dr.amount);
+  if (amountCents < toCents(listing.minAmount) || amountCents > toCents(listing.maxAmount)) {
+    return `Amount ${dollars(amountCents)} is outside ${dollars(toCents(listing.minAmount))}–${dollars(toCents(listing.maxAmount))}`;
+  }
+  if (amountCents > perRequestCapCents(listing)) {
+    return `Amount ${dollars(amountCents)} is above the auto-approve limit ${dollars(perRequestCapCents(listing))}`;
+  }
+  if (dr.months < listing.minMonths || dr.months > listing.maxMonths) {
+    return `${dr.months} month(s) is outside ${listing.minMonths}–${listing.maxMonths}`;
+  }
+  if (Number(dr.apr) < Number(listing.apr)) {
+    return `APR ${dr.apr}% is below the listing's ${listing.apr}%`;
+  }
+  return null;
+}
+
+/**
+ * Auto-approve a PENDING DirectLoanRequest when the lender has a matching
+ * rule: the request's own listing if it came from one, otherwise the
+ * lender's first active auto-approve listing whose terms fit.
+ */
+async function evaluateDirectRequest(directReqId, now = new Date()) {
+  const dr = await prisma.directLoanRequest.findUnique({ where: { id: directReqId } });
+  if (!dr || dr.status !== 'PENDING') return { approved: false };
+
+  const candidates = await prisma.lenderListing.findMany({
+    where: {
+      lenderId: dr.lenderId,
+      isActive: true,
+      autoApprove: true,
+      ...(dr.listingId && { id: dr.listingId }),
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+  if (!candidates.length) return { approved: false };
+
+  const listing = candidates.find((l) => !directTermsFailure(l, dr)) || candidates[0];
+  const decision = {
+    lenderId: dr.lenderId,
+    listingId: listing.id,
+    directReqId: dr.id,
+    borrowerId: dr.borrowerId,
+  };
+
+  const termsFailure = directTermsFailure(listing, dr);
+  if (termsFailure) {
+    await logDecision({ ...decision, outcome: 'SKIPPED', reason: 'TERMS_MISMATCH', detail: termsFailure });
+    return { approved: false };
+  }
+
+  const failed =
+    criteriaFailure(listing, await loadBorrowerProfile(dr.borrowerId)) ||
+    (await lenderBlocked(dr.lenderId, 'APPROVE_DIRECT_REQUEST'));
+  if (failed) {
+    await logDecision({ ...decision, outcome: 'SKIPPED', ...failed });
+    return { approved: false };
+  }
+
+  const amountCents = toCents(dr.amount);
+  const room = await dailyRoomCents(listing, now);
+  const reserved = amountCents <= room && (await reserveDailyCap(listing, decision, amountCents, now));
+  if (!reserved) {
+    await logDecision({
+      ...decision,
+      outcome: 'SKIPPED',
+      reason: 'DAILY_CAP_REACHED',
+      detail: capReachedDetail(listing, await dailyRoomCents(listing, now)),
+    });
+    return { approved: false };
+  }
+
+  try {
+    const { loan } = await approveDirectRequest(dr, { status: 'AUTO_APPROVED' });
+
+    await settleDecision(reserved, {
+      outcome: 'APPROVED',
+      reason: 'MATCHED',
+      detail: `Approved ${dollars(amountCents)} for ${dr.months} month(s) at ${dr.apr}%`,
+      amountCents,
+      loanId: loan.id,
+    });
+    await notify(
+      dr.lenderId,
+      'LOAN',
+      `🤖 Auto-invest approved a ${dollars(amountCents)} direct loan request.`,
+      { directReqId: dr.id, loanId: loan.id, listingId: listing.id }
+    );
+    await notify(
+      dr.borrowerId,
+      'LOAN',
+      `✅ Your ${dollars(amountCents)} loan request was approved. Sign the loan agreement to receive the money.`,
+      { directReqId: dr.id, loanId: loan.id }
+    );
+    return { approved: true, loanId: loan.id };
+  } catch (err) {
+    if (err.code === 'INSUFFICIENT_FUNDS') {
+      await settleDecision(reserved, {
+        outcome: 'SKIPPED',
+        reason: 'INSUFFICIENT_FUNDS',
+        detail: `Wallet could not reserve ${dollars(amountCents)}`,
+      });
+    } else if (err.code === 'STALE_PROPOSAL' || err.code === 'P2034') {
+      await settleDecision(reserved, {
+        outcome: 'SKIPPED',
+        reason: 'REQUEST_CHANGED',
+        detail: 'The request was countered, declined or approved meanwhile',
+      });
+    } else {
+      console.error(`❌ Auto-approve failed for direct request ${dr.id}:`, err);
+      await settleDecision(reserved, { outcome: 'FAILED', reason: 'ERROR', detail: err.message });
+    }
+    return { approved: false };
+  }
+}
+
+module.exports = {
+  getCommittedTodayCents,
+  evaluateLoanRequest,
+  evaluateDirectRequest,
+};
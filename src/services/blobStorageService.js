@@ -0,0 +1,317 @@
+// src/services/blobStorageService.js
+const crypto = require('crypto');
+const { Readable, Transform, pipeline } = require('stream');
+
+/**
+ * Binary content of Documents / VerificationMedia lives in a blob store, not
+ * in Mongo. A backend is an object with
+ *
+ *   name
+ *   put(key, readable)
+ *   getStream(key, { start, end })   → Readable (end inclusive)
+ *   delete(key)
+ *
+ * BLOB_STORE picks one from BACKENDS (default: local filesystem).
+ *
+ * Blobs are encrypted before they reach the backend with AES-256-CTR and a
+ * random IV per blob. CTR keeps ciphertext offsets equal to plaintext
+ * offsets, so range downloads only fetch and decrypt the bytes asked for;
+ * integrity comes from the plaintext sha256 stored on the row.
+ *
+ *   BLOB_ENCRYPTION_KEY        32 bytes, hex or base64 (required)
+ *   BLOB_ENCRYPTION_KEY_ID     id stored with each blob (default k1)
+ *   BLOB_ENCRYPTION_OLD_KEYS   "id:key,id:key" still accepted for reads
+ *   BLOB_ALLOW_PLAINTEXT=true  store unencrypted when no key is set (dev only)
+ *
+ * Rows keep the legacy `content` column readable, so documents that haven't
+ * been migrated (scripts/migrateBlobsToStore.js) keep working.
+ */
+
+const BACKENDS = {
+  local: () => require('./blobStores/localStore'),
+  s3: () => require('./blobStores/s3Store'),
+};
+
+function blobError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function getBackend(name = process.env.BLOB_STORE || 'local') {
+  const load = BACKENDS[name];
+  if (!load) throw new Error(`Unknown blob store: ${name}`);
+  return load();
+}
+
+// ---------------------------------------------------------------------
+// Keys
+// ---------------------------------------------------------------------
+
+function parseKey(value) {
+  const raw = String(value || '').trim();
+  const buf = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (buf.length !== 32) throw new Error('Blob encryption keys must be 32 bytes (hex or base64)');
+  return buf;
+}
+
+let keyring;
+function getKeyring() {
+  if (keyring) return keyring;
+  keyring = { currentId: null, keys: {} };
+  for (const pair of String(process.env.BLOB_ENCRYPTION_OLD_KEYS || '').split(',').filter(Boolean)) {
+    const [id, key] = pair.split(':');
+    keyring.keys[id.trim()] = parseKey(key);
+  }
+  if (process.env.BLOB_ENCRYPTION_KEY) {
+    keyring.currentId = process.env.BLOB_ENCRYPTION_KEY_ID || 'k1';
+    keyring.keys[keyring.currentId] = parseKey(process.env.BLOB_ENCRYPTION_KEY);
+  }
+  return keyring;
+}
+
+let warnedPlaintext = false;
+function currentKey() {
+  const { currentId, keys } = getKeyring();
+  if (currentId) return { keyId: currentId, key: keys[currentId] };
+  if (process.env.BLOB_ALLOW_PLAINTEXT !== 'true') {
+    throw blobError('BLOB_KEY_MISSING', 'BLOB_ENCRYPTION_KEY is not set; refusing to store files unencrypted');
+  }
+  if (!warnedPlaintext) {
+    console.warn('⚠️ BLOB_ENCRYPTION_KEY is not set and BLOB_ALLOW_PLAINTEXT=true, storing files unencrypted');
+    warnedPlaintext = true;
+  }
+  return null;
+}
+
+function keyFor(keyId) {
+  const key = getKeyring().keys[keyId];
+  if (!key) throw blobError('BLOB_KEY_UNKNOWN', `No encryption key with id ${keyId}`);
+  return key;
+}
+
+/** IV for the CTR block `blockIndex` blocks after `iv` (128-bit big-endian add). */
+function ivAtBlock(iv, blockIndex) {
+  const n = (BigInt(`0x${iv.toString('hex')}`) + BigInt(blockIndex)) % (1n << 128n);
+  return Buffer.from(n.toString(16).padStart(32, '0'), 'hex');
+}
+
+// ---------------------------------------------------------------------
+// Streams
+// ---------------------------------------------------------------------
+
+function toReadable(source) {
+  return Buffer.isBuffer(source) || source instanceof Uint8Array ? Readable.from([Buffer.from(source)]) : source;
+}
+
+/** Drop the first `count` bytes of a stream. */
+function skipBytes(count) {
+  let left = count;
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      if (left >= chunk.length) {
+        left -= chunk.length;
+        return cb();
+      }
+      const out = chunk.subarray(left);
+      left = 0;
+      return cb(null, out);
+    },
+  });
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+// ---------------------------------------------------------------------
+// Blobs
+// ---------------------------------------------------------------------
+
+function newStorageKey(kind) {
+  const now = new Date();
+  const prefix = String(kind || 'misc').toLowerCase().replace(/[^a-z0-9_-]/g, '') || 'misc';
+  const month = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  return `${prefix}/${month}/${crypto.randomUUID()}`;
+}
+
+/**
+ * Store `source` (Buffer or Readable). Returns the storage fields to put on
+ * the Document / VerificationMedia row:
+ *   { storageBackend, storageKey, sizeBytes, sha256, encKeyId, encIv }
+ */
+async function putBlob(source, { kind } = {}) {
+  const backend = getBackend();
+  const storageKey = newStorageKey(kind);
+  const enc = currentKey();
+  const iv = enc ? crypto.randomBytes(16) : null;
+
+  const hash = crypto.createHash('sha256');
+  let sizeBytes = 0;
+  const meter = new Transform({
+    transform(chunk, _enc, cb) {
+      hash.update(chunk);
+      sizeBytes += chunk.length;
+      cb(null, chunk);
+    },
+  });
+
+  const stages = [toReadable(source), meter];
+  if (enc) stages.push(crypto.createCipheriv('aes-256-ctr', enc.key, iv));
+  let failed;
+  const body = pipeline(...stages, (err) => {
+    if (err) failed = err;
+  });
+
+  await backend.put(storageKey, body);
+  if (failed) throw failed;
+
+  return {
+    storageBackend: backend.name,
+    storageKey,
+    sizeBytes,
+    sha256: hash.digest('hex'),
+    encKeyId: enc ? enc.keyId : null,
+    encIv: iv ? iv.toString('base64') : null,
+  };
+}
+
+/**
+ * Decrypted Readable of a stored blob, optionally only bytes [start, end]
+ * (inclusive, plaintext offsets).
+ */
+async function openBlobStream(meta, { start, end } = {}) {
+  const backend = getBackend(meta.storageBackend);
+  if (!meta.encKeyId) return backend.getStream(meta.storageKey, { start, end });
+
+  const from = start ?? 0;
+  const blockStart = Math.floor(from / 16) * 16;
+  const decipher = crypto.createDecipheriv(
+    'aes-256-ctr',
+    keyFor(meta.encKeyId),
+    ivAtBlock(Buffer.from(meta.encIv, 'base64'), blockStart / 16)
+  );
+  const raw = await backend.getStream(meta.storageKey, { start: blockStart, end });
+  return pipeline(raw, decipher, skipBytes(from - blockStart), () => {});
+}
+
+async function readBlob(meta) {
+  return streamToBuffer(await openBlobStream(meta));
+}
+
+async function deleteBlob(meta) {
+  if (!meta?.storageKey) return;
+  await getBackend(meta.storageBackend).delete(meta.storageKey);
+}
+
+// ---------------------------------------------------------------------
+// Documents (and VerificationMedia): stored blob or legacy `content`
+// ---------------------------------------------------------------------
+
+// Fields to select wherever content is read
+const STORAGE_SELECT = {
+  storageBackend: true,
+  storageKey: true,
+  sizeBytes: true,
+  sha256: true,
+  encKeyId: true,
+  encIv: true,
+};
+
+/** Whole content of a row as a Buffer (blob store or legacy column). */
+async function readContent(row) {
+  if (row.storageKey) return readBlob(row);
+  if (row.content == null) return null;
+  return Buffer.isBuffer(row.content) ? row.content : Buffer.from(row.content);
+}
+
+/** Size in bytes of a row's content. */
+function contentSize(row) {
+  if (row.storageKey) return row.sizeBytes;
+  return row.content == null ? 0 : Buffer.from(row.content).length;
+}
+
+/**
+ * Single byte range from a Range header, for a body of `size` bytes.
+ * Returns null (send everything), { start, end } or { unsatisfiable: true }.
+ * Multiple ranges aren't supported and get the full body.
+ */
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+
+  let start;
+  let end;
+  if (m[1] === '') {
+    // suffix: last N bytes
+    const n = Number(m[2]);
+    if (!n) return { unsatisfiable: true };
+    start = Math.max(0, size - n);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+}
+
+/**
+ * Stream a row's content to `res`, honouring Range (206 / 416).
+ *   disposition: 'inline' | 'attachment'
+ */
+async function sendContent(req, res, row, { disposition = 'inline', fileName, mimeType } = {}) {
+  const size = contentSize(row);
+  const range = parseRange(req.headers.range, size);
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Content-Type', mimeType || row.mimeType || 'application/octet-stream');
+  res.setHeader(
+    'Content-Disposition',
+    `${disposition}; filename="${String(fileName || row.fileName || 'file').replace(/"/g, '')}"`
+  );
+  res.setHeader('Cache-Control', 'private, no-store');
+  if (row.sha256) res.setHeader('ETag', `"${row.sha256}"`);
+
+  if (range?.unsatisfiable) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  const { start, end } = range || { start: 0, end: size - 1 };
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+  res.setHeader('Content-Length', size ? end - start + 1 : 0);
+  if (req.method === 'HEAD' || !size) return res.end();
+
+  if (!row.storageKey) {
+    return res.end(Buffer.from(row.content).subarray(start, end + 1));
+  }
+
+  const stream = await openBlobStream(row, { start, end });
+  return new Promise((resolve) => {
+    pipeline(stream, res, (err) => {
+      if (err && !res.headersSent) res.status(500).end();
+      if (err) console.error('⚠️ Blob stream failed:', err.message);
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  BACKENDS,
+  STORAGE_SELECT,
+  getBackend,
+  putBlob,
+  openBlobStream,
+  readBlob,
+  deleteBlob,
+  readContent,
+  contentSize,
+  parseRange,
+  sendContent,
+};
@@ -0,0 +1,48 @@
+// src/services/blobStores/localStore.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Blob backend on the local filesystem, under BLOB_LOCAL_DIR
+ * (default <project>/storage/blobs). Writes go to a temp file first and are
+ * renamed into place, so a half-written blob is never visible.
+ */
+
+const ROOT = path.resolve(process.env.BLOB_LOCAL_DIR || path.join(__dirname, '..', '..', '..', 'storage', 'blobs'));
+
+function fullPath(key) {
+  const p = path.resolve(ROOT, ...String(key).split('/'));
+  if (!p.startsWith(ROOT + path.sep)) throw new Error(`Invalid blob key: ${key}`);
+  return p;
+}
+
+module.exports = {
+  name: 'local',
+
+  /** Write `body` (a Readable) under `key`. */
+  async put(key, body) {
+    const dest = fullPath(key);
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+    const tmp = `${dest}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await pipeline(body, fs.createWriteStream(tmp, { flags: 'wx', mode: 0o600 }));
+      await fs.promises.rename(tmp, dest);
+    } catch (err) {
+      await fs.promises.rm(tmp, { force: true });
+      throw err;
+    }
+  },
+
+  /** Readable of the stored bytes, optionally only [start, end] (inclusive). */
+  async getStream(key, { start, end } = {}) {
+    const p = fullPath(key);
+    await fs.promises.access(p);
+    return fs.createReadStream(p, { start, end });
+  },
+
+  async delete(key) {
+    await fs.promises.rm(fullPath(key), { force: true });
+  },
+};
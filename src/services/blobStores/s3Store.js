@@ -0,0 +1,68 @@
+// src/services/blobStores/s3Store.js
+const { S3Client, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+/**
+ * Blob backend on S3 or anything S3-compatible (MinIO, R2, Spaces...).
+ *
+ *   S3_BUCKET                  required
+ *   S3_REGION                  default us-east-1
+ *   S3_ENDPOINT                custom endpoint for S3-compatible services
+ *   S3_FORCE_PATH_STYLE=true   path-style URLs (MinIO)
+ *   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY
+ *                              otherwise the default AWS credential chain
+ *   S3_SERVER_SIDE_ENCRYPTION  e.g. AES256 or aws:kms, on top of our own
+ *                              encryption (see blobStorageService)
+ */
+
+const BUCKET = process.env.S3_BUCKET;
+
+let client;
+function getClient() {
+  if (!BUCKET) throw new Error('S3_BUCKET is not set');
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+  }
+  return client;
+}
+
+module.exports = {
+  name: 's3',
+
+  /** Multipart upload of `body` (a Readable of unknown length) under `key`. */
+  async put(key, body) {
+    const upload = new Upload({
+      client: getClient(),
+      params: {
+        Bucket: BUCKET,
+        Key: key,
+        Body: body,
+        ContentType: 'application/octet-stream',
+        ServerSideEncryption: process.env.S3_SERVER_SIDE_ENCRYPTION || undefined,
+      },
+    });
+    await upload.done();
+  },
+
+  /** Readable of the stored bytes, optionally only [start, end] (inclusive). */
+  async getStream(key, { start, end } = {}) {
+    const range =
+      start !== undefined || end !== undefined ? `bytes=${start ?? 0}-${end ?? ''}` : undefined;
+    const out = await getClient().send(new GetObjectCommand({ Bucket: BUCKET, Key: key, Range: range }));
+    return out.Body;
+  },
+
+  async delete(key) {
+    await getClient().send(new DeleteObjectCommand({ Bucket: BUCKET, Key: key }));
+  },
+};
@@ -0,0 +1,77 @@
+// src/services/borrowerHistoryService.js
+const prisma = require('../utils/prisma');
+const { DELINQUENCY_LADDER, SERVICING_LOAN_STATUSES } = require('../utils/delinquency');
+
+// Installment statuses that mean "went past due" (everything after PENDING)
+const PAST_DUE_STATUSES = DELINQUENCY_LADDER.slice(1);
+
+function emptyHistory(borrowerId) {
+  return {
+    borrowerId,
+    totalLoans: 0,
+    completedLoans: 0,
+    activeLoans: 0,
+    defaultedLoans: 0,
+    paidInstallments: 0,
+    latePayments: 0,
+    pastDueInstallments: 0, // unpaid and past due right now
+    onTimeRate: null, // % of paid installments that were never late; null = no history
+  };
+}
+
+/**
+ * Repayment history for a set of borrowers, as a Map(borrowerId → history).
+ *
+ * An installment counts as late when it was ever assessed a late fee (i.e. it
+ * left PENDING after the grace period) or is past due right now.
+ */
+async function getBorrowerHistories(borrowerIds, db = prisma) {
+  const ids = [...new Set(borrowerIds.filter(Boolean).map(String))];
+  const out = new Map(ids.map((id) => [id, emptyHistory(id)]));
+  if (!ids.length) return out;
+
+  const loans = await db.loan.findMany({
+    where: { borrowerId: { in: ids } },
+    select: { id: true, borrowerId: true, status: true },
+  });
+  const loanOwner = new Map(loans.map((l) => [l.id, l.borrowerId]));
+
+  for (const l of loans) {
+    const h = out.get(l.borrowerId);
+    h.totalLoans++;
+    if (l.status === 'COMPLETED') h.completedLoans++;
+    else if (l.status === 'DEFAULTED') h.defaultedLoans++;
+    else if (SERVICING_LOAN_STATUSES.includes(l.status)) h.activeLoans++;
+  }
+
+  if (loans.length) {
+    const repayments = await db.repayment.findMany({
+      where: { loanId: { in: loans.map((l) => l.id) } },
+      select: { loanId: true, status: true, lateFeeAssessedAt: true },
+    });
+    const paidLate = new Map();
+    for (const r of repayments) {
+      const h = out.get(loanOwner.get(r.loanId));
+      const wasLate = Boolean(r.lateFeeAssessedAt) || PAST_DUE_STATUSES.includes(r.status);
+      if (wasLate) h.latePayments++;
+      if (PAST_DUE_STATUSES.includes(r.status)) h.pastDueInstallments++;
+      if (r.status === 'PAID') {
+        h.paidInstallments++;
+        if (wasLate) paidLate.set(h.borrowerId, (paidLate.get(h.borrowerId) || 0) + 1);
+      }
+    }
+    for (const h of out.values()) {
+      if (h.paidInstallments) {
+        const onTime = h.paidInstallments - (paidLate.get(h.borrowerId) || 0);
+        h.onTimeRate = Math.round((onTime / h.paidInstallments) * 1000) / 10;
+      }
+    }
+  }
+
+  return out;
+}
+
+module.exports = {
+  PAST_DUE_STATUSES,
+  getBorrowerHistories,
+};
@@ -0,0 +1,439 @@
+// src/services/contractService.js
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const prisma = require('../utils/prisma');
+const { PEERFUND_FEE_RATE, BANKING_FEE_RATE } = require('../utils/fees');
+const { scheduleToRepaymentRows, buildScheduleForLoan } = require('../utils/repaymentUtils');
+const { getLoanShares } = require('./loanShareService');
+const { summarizeRows } = require('./disclosureService');
+const { putBlob, readContent, deleteBlob } = require('./blobStorageService');
+
+/**
+ * Loan agreements are rendered server-side from a terms snapshot
+ * (LoanAgreement.terms) into a PDF Document. Every party signs the same
+ * unsigned PDF (contentHash) through click-to-sign; once the last signature
+ * lands the PDF is re-rendered with a signature certificate and its hash is
+ * stored as signedHash. Funding is blocked until then (loanFundingService).
+ *
+ *   PENDING_SIGNATURES ──last signature──▶ SIGNED
+ */
+
+const TEMPLATE_VERSION = 2; // 2: TILA-style APR / finance charge box
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+const money = (cents) => `$${(cents / 100).toFixed(2)}`;
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+
+function agreementError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Snapshot everything the agreement shows, so the PDF can be re-rendered
+ * byte-for-byte from the stored terms.
+ *
+ *   borrower: { id, name }
+ *   lenders:  [{ id, name, amount (dollars), interestRate (%) }]
+ *   rate:     the loan's (blended) base rate in %
+ */
+function buildAgreementTerms({ loanId, borrower, lenders, amount, termMonths, rate, peerfundWaived, schedule, acceptedAt }) {
+  const rows = scheduleToRepaymentRows(schedule, { peerfundWaived });
+  const { amountFinancedCents, financeChargeCents, totalOfPaymentsCents, apr } = summarizeRows(
+    Math.round(Number(amount) * 100),
+    rows,
+    schedule.frequency
+  );
+  return {
+    loanId,
+    borrower: { id: borrower.id, name: borrower.name || 'Borrower' },
+    lenders: lenders.map((l) => ({
+      id: l.id,
+      name: l.name || 'Lender',
+      amount: Number(l.amount),
+      interestRate: Number(l.interestRate),
+    })),
+    amount: Number(amount),
+    termMonths: Number(termMonths),
+    rate: Number(rate),
+    fees: {
+      peerfundRate: peerfundWaived ? 0 : PEERFUND_FEE_RATE,
+      peerfundWaived: Boolean(peerfundWaived),
+      bankingRate: BANKING_FEE_RATE,
+    },
+    disclosure: { apr, amountFinancedCents, financeChargeCents, totalOfPaymentsCents },
+    schedule: {
+      method: schedule.method,
+      frequency: schedule.frequency,
+      dayCount: schedule.dayCount,
+      totalInterestCents: schedule.totalInterestCents,
+      installments: rows.map((r) => ({
+        installmentNo: r.installmentNo,
+        dueDate: day(r.dueDate),
+        principalCents: r.principalCents,
+        interestCents: r.interestCents,
+        feesCents: Math.round((r.peerfundFee + r.bankingFee) * 100),
+        totalCents: Math.round(r.totalCharged * 100),
+      })),
+    },
+    acceptedAt: new Date(acceptedAt).toISOString(),
+  };
+}
+
+/** Everyone who has to sign: the borrower and each distinct lender. */
+function requiredSigners(terms) {
+  const lenderIds = [...new Set(terms.lenders.map((l) => l.id))];
+  return [
+    { userId: terms.borrower.id, role: 'BORROWER' },
+    ...lenderIds.map((userId) => ({ userId, role: 'LENDER' })),
+  ];
+}
+
+/* ------------------------------ Rendering ------------------------------ */
+
+/**
+ * Render the agreement PDF. With `signatures` (the final version) a
+ * signature certificate page is appended, bound to `contentHash`.
+ */
+function renderAgreementPdf(terms, { signatures = [], contentHash = null } = {}) {
+  return new Promise((resolve, reject) => {
+    // Fixed metadata date so the same terms always render the same bytes
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: 54,
+      info: { Title: `Loan Agreement ${terms.loanId}`, Author: 'PeerFund', CreationDate: new Date(terms.acceptedAt) },
+    });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const multi = terms.lenders.length > 1;
+    const heading = (text) => doc.moveDown(0.8).font('Helvetica-Bold').fontSize(12).text(text).font('Helvetica').fontSize(10);
+
+    doc.font('Helvetica-Bold').fontSize(18).text('Loan Contract Agreement', { align: 'center' });
+    doc.font('Helvetica').fontSize(9).text(`Agreement for loan ${terms.loanId} (template v${TEMPLATE_VERSION})`, { align: 'center' });
+
+    heading('Parties');
+    doc.text(`Borrower: ${terms.borrower.name}`);
+    doc.text(`Lender${multi ? 's' : ''}:`);
+    for (const l of terms.lenders) {
+      doc.text(`  - ${l.name}: $${l.amount.toFixed(2)} at ${l.interestRate}%`);
+    }
+
+    heading('Terms');
+    doc.text(`Amount: $${terms.amount.toFixed(2)}`);
+    doc.text(`Duration: ${terms.termMonths} months`);
+    doc.text(`Base Interest Rate: ${terms.rate}%${multi ? ' (weighted across lenders)' : ''}`);
+    doc.text(
+      `Schedule: ${terms.schedule.installments.length} ${terms.schedule.frequency.toLowerCase()} installments ` +
+        `(${terms.schedule.method.toLowerCase()}, ${terms.schedule.dayCount})`
+    );
+    doc.text(`Total interest: ${money(terms.schedule.totalInterestCents)}`);
+    doc.text(`Accepted At: ${terms.acceptedAt}`);
+
+    if (terms.disclosure) {
+      heading('Truth-in-Lending Disclosure');
+      doc.text(`Annual Percentage Rate (APR): ${terms.disclosure.apr.toFixed(2)}% (interest plus all fees, as a yearly rate)`);
+      doc.text(`Finance Charge: ${money(terms.disclosure.financeChargeCents)} (interest plus all fees)`);
+      doc.text(`Amount Financed: ${money(terms.disclosure.amountFinancedCents)}`);
+      doc.text(`Total of Payments: ${money(terms.disclosure.totalOfPaymentsCents)}`);
+    }
+
+    heading('Fees');
+    doc.text('Charged to the borrower on each installment, on top of the base payment:');
+    doc.text(
+      `  - PeerFund: ${terms.fees.peerfundWaived ? 'WAIVED (Super User)' : `${(terms.fees.peerfundRate * 100).toFixed(2)}% of base`}`
+    );
+    doc.text(`  - Banking/Stripe: ${(terms.fees.bankingRate * 100).toFixed(2)}% of base`);
+    doc.text('Repayments are split between lenders in proportion to their share.');
+
+    heading('Repayment Schedule');
+    const cols = [
+      ['#', 30],
+      ['Due', 80],
+      ['Principal', 85],
+      ['Interest', 85],
+      ['Fees', 80],
+      ['Total', 90],
+    ];
+    const row = (values, bold = false) => {
+      if (doc.y > doc.page.height - 90) doc.addPage();
+      const y = doc.y;
+      let x = doc.page.margins.left;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      values.forEach((v, i) => {
+        doc.text(String(v), x, y, { width: cols[i][1], lineBreak: false });
+        x += cols[i][1];
+      });
+      doc.font('Helvetica');
+      doc.x = doc.page.margins.left;
+      doc.y = y + 14;
+    };
+    row(cols.map((c) => c[0]), true);
+    for (const i of terms.schedule.installments) {
+      row([i.installmentNo, i.dueDate, money(i.principalCents), money(i.interestCents), money(i.feesCents), money(i.totalCents)]);
+    }
+    const sum = (k) => terms.schedule.installments.reduce((s, i) => s + i[k], 0);
+    row(['', 'Total', money(sum('principalCents')), money(sum('interestCents')), money(sum('feesCents')), money(sum('totalCents'))], true);
+
+    heading('Signatures');
+    doc.text(
+      'Each party signs electronically on PeerFund. Signing records the time, IP address and browser of the signer ' +
+        'and binds them to the SHA-256 hash of this document.'
+    );
+    for (const s of requiredSigners(terms)) {
+      const name = s.role === 'BORROWER' ? terms.borrower.name : terms.lenders.find((l) => l.id === s.userId)?.name;
+      doc.text(`  ${s.role === 'BORROWER' ? 'Borrower' : 'Lender'}: ${name}`);
+    }
+
+    if (signatures.length) {
+      doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(14).text('Signature Certificate');
+      doc.font('Helvetica').fontSize(10).moveDown(0.5);
+      doc.text(`Signed document SHA-256: ${contentHash}`);
+      for (const s of signatures) {
+        doc.moveDown(0.6);
+        doc.font('Helvetica-Bold').text(`${s.role === 'BORROWER' ? 'Borrower' : 'Lender'}: ${s.name}`).font('Helvetica');
+        doc.text(`Signed at: ${new Date(s.signedAt).toISOString()}`);
+        doc.text(`IP address: ${s.ipAddress || 'unknown'}`);
+        doc.text(`User agent: ${s.userAgent || 'unknown'}`);
+      }
+    }
+
+    doc.end();
+  });
+}
+
+/* ------------------------------ Lifecycle ------------------------------ */
+
+/**
+ * Id for a loan that is about to be created (ObjectId layout: 4-byte
+ * seconds + 8 random bytes), so its agreement can be rendered up front.
+ */
+function newLoanId() {
+  const seconds = Buffer.alloc(4);
+  seconds.writeUInt32BE(Math.floor(Date.now() / 1000));
+  return Buffer.concat([seconds, crypto.randomBytes(8)]).toString('hex');
+}
+
+/**
+ * Render the unsigned agreement and store its PDF. Runs before the
+ * loan-creating transaction opens: rendering is slow and the blob store
+ * can't roll back. Returns { terms, storage, contentHash } for
+ * createLoanAgreement, or discardLoanAgreement when the transaction fails.
+ */
+async function prepareLoanAgreement(terms) {
+  const pdf = await renderAgreementPdf(terms);
+  const storage = await putBlob(pdf, { kind: 'contract' });
+  return { terms, storage, contentHash: sha256(pdf) };
+}
+
+/** Drop the stored PDF of an agreement whose loan was never created. */
+async function discardLoanAgreement({ storage }) {
+  await deleteBlob(storage).catch((e) => console.error('⚠️ Failed to delete agreement blob:', e.message));
+}
+
+/**
+ * Record a prepared agreement as the borrower's contract Document plus its
+ * LoanAgreement. Run inside the loan-creating transaction.
+ */
+async function createLoanAgreement({ terms, storage, contentHash }, tx) {
+  const lead = terms.lenders.reduce((best, l) => (l.amount > best.amount ? l : best));
+
+  const document = await tx.document.create({
+    data: {
+      userId: terms.borrower.id,
+      loanId: terms.loanId,
+      type: 'contract',
+      title: `Loan Agreement with ${lead.name}`,
+      fileName: `loan_agreement_${terms.loanId}.pdf`,
+      mimeType: 'application/pdf',
+      ...storage,
+    },
+  });
+
+  return tx.loanAgreement.create({
+    data: {
+      loanId: terms.loanId,
+      documentId: document.id,
+      templateVersion: TEMPLATE_VERSION,
+      terms,
+      contentHash,
+    },
+  });
+}
+
+/**
+ * Agreement for a loan created before agreements were generated: terms are
+ * rebuilt from the Loan, its shares and its stored schedule. Returns the
+ * existing agreement when there already is one.
+ */
+async function ensureLoanAgreement(loanId) {
+  const existing = await prisma.loanAgreement.findUnique({ where: { loanId } });
+  if (existing) return existing;
+
+  const loan = await prisma.loan.findUnique({
+    where: { id: loanId },
+    include: { borrower: { select: { id: true, name: true, isSuperUser: true } } },
+  });
+  if (!loan) throw agreementError('LOAN_NOT_FOUND', 'Loan not found');
+
+  const shares = await getLoanShares(loan.id);
+  const users = await prisma.user.findMany({
+    where: { id: { in: shares.map((s) => s.lenderId) } },
+    select: { id: true, name: true, isSuperUser: true },
+  });
+  const byId = new Map(users.map((u) => [u.id, u]));
+  const rate = loan.interestRateBps != null ? loan.interestRateBps / 100 : Number(loan.interestRate) || 0;
+
+  const terms = buildAgreementTerms({
+    loanId: loan.id,
+    borrower: loan.borrower,
+    lenders: shares.map((s) => ({
+      id: s.lenderId,
+      name: byId.get(s.lenderId)?.name,
+      amount: s.principalCents / 100,
+      interestRate: rate,
+    })),
+    amount: loan.principalCents != null ? loan.principalCents / 100 : loan.amount,
+    termMonths: loan.termMonths ?? loan.duration,
+    rate,
+    peerfundWaived: users.length > 0 && users.every((u) => u.isSuperUser),
+    schedule: buildScheduleForLoan(loan, { startDate: loan.createdAt }),
+    acceptedAt: loan.createdAt,
+  });
+
+  const prepared = await prepareLoanAgreement(terms);
+  return prisma.$transaction((tx) => createLoanAgreement(prepared, tx)).catch(async (e) => {
+    await discardLoanAgreement(prepared);
+    throw e;
+  });
+}
+
+/**
+ * Click-to-sign. `documentHash` (optional) must match the PDF the signer was
+ * shown. When the last party signs, the final PDF with the signature
+ * certificate replaces the unsigned one and its hash is stored.
+ * Returns { agreement, completed }.
+ * Throws err.code: AGREEMENT_NOT_FOUND | NOT_A_PARTY | ALREADY_SIGNED | HASH_MISMATCH.
+ */
+async function signAgreement({ loanId, userId, documentHash, ipAddress, userAgent }) {
+  const agreement = await prisma.loanAgreement.findUnique({
+    where: { loanId },
+    include: { signatures: true },
+  });
+  if (!agreement) throw agreementError('AGREEMENT_NOT_FOUND', 'Loan agreement not found');
+
+  const signer = requiredSigners(agreement.terms).find((s) => s.userId === userId);
+  if (!signer) throw agreementError('NOT_A_PARTY', 'Only parties to the loan can sign its agreement');
+  if (agreement.status === 'SIGNED' || agreement.signatures.some((s) => s.userId === userId)) {
+    throw agreementError('ALREADY_SIGNED', 'You have already signed this agreement');
+  }
+  if (documentHash && documentHash !== agreement.contentHash) {
+    throw agreementError('HASH_MISMATCH', 'The agreement changed since you opened it, reload and review it again');
+  }
+
+  try {
+    await prisma.agreementSignature.create({
+      data: {
+        agreementId: agreement.id,
+        userId,
+        role: signer.role,
+        documentHash: agreement.contentHash,
+        ipAddress: ipAddress ? String(ipAddress).slice(0, 100) : null,
+        userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+      },
+    });
+  } catch (err) {
+    if (err.code === 'P2002') throw agreementError('ALREADY_SIGNED', 'You have already signed this agreement');
+    throw err;
+  }
+
+  const signatures = await prisma.agreementSignature.findMany({
+    where: { agreementId: agreement.id },
+    orderBy: { signedAt: 'asc' },
+  });
+  const pending = requiredSigners(agreement.terms).filter(
+    (s) => !signatures.some((sig) => sig.userId === s.userId)
+  );
+  if (pending.length) {
+    return { agreement: { ...agreement, signatures }, completed: false };
+  }
+
+  // Last signature → final PDF with certificate, tamper-evident hash
+  const { terms } = agreement;
+  const nameOf = (id) => (id === terms.borrower.id ? terms.borrower.name : terms.lenders.find((l) => l.id === id)?.name);
+  const signedPdf = await renderAgreementPdf(terms, {
+    contentHash: agreement.contentHash,
+    signatures: signatures.map((s) => ({ ...s, name: nameOf(s.userId) })),
+  });
+  const signedAt = new Date();
+  const previous = await prisma.document.findUnique({
+    where: { id: agreement.documentId },
+    select: { storageBackend: true, storageKey: true },
+  });
+  const storage = await putBlob(signedPdf, { kind: 'contract' });
+
+  const completed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.loanAgreement.updateMany({
+      where: { id: agreement.id, status: 'PENDING_SIGNATURES' },
+      data: { status: 'SIGNED', signedAt, signedHash: sha256(signedPdf) },
+    });
+    if (!count) return false;
+    await tx.document.update({
+      where: { id: agreement.documentId },
+      data: { ...storage, content: null, fileName: `loan_agreement_${loanId}_signed.pdf` },
+    });
+    return true;
+  });
+
+  // The unsigned PDF's hash stays on the agreement (contentHash); the file
+  // itself is replaced. Lost the race → drop the blob we just wrote instead.
+  await deleteBlob(completed ? previous : storage).catch((e) =>
+    console.error('⚠️ Failed to delete agreement blob:', e.message)
+  );
+
+  if (completed) {
+    try {
+      await prisma.notification.createMany({
+        data: requiredSigners(terms).map((s) => ({
+          userId: s.userId,
+          type: 'DOCUMENT',
+          message:
+            s.role === 'LENDER'
+              ? '✍️ The loan agreement is signed by everyone. You can now fund your share.'
+              : '✍️ Your loan agreement is signed by everyone. Funding can go ahead.',
+          data: { loanId, agreementId: agreement.id },
+        })),
+      });
+    } catch (e) {
+      console.error('⚠️ Failed to send agreement notifications:', e);
+    }
+  }
+
+  const updated = await prisma.loanAgreement.findUnique({ where: { id: agreement.id } });
+  return { agreement: { ...updated, signatures }, completed };
+}
+
+/** Recompute the stored PDF's hash and compare it with the recorded one. */
+async function verifyAgreement(agreement, document) {
+  const expectedHash = agreement.status === 'SIGNED' ? agreement.signedHash : agreement.contentHash;
+  const actualHash = sha256(await readContent(document));
+  return { valid: expectedHash === actualHash, expectedHash, actualHash };
+}
+
+module.exports = {
+  TEMPLATE_VERSION,
+  buildAgreementTerms,
+  requiredSigners,
+  renderAgreementPdf,
+  newLoanId,
+  prepareLoanAgreement,
+  discardLoanAgreement,
+  createLoanAgreement,
+  ensureLoanAgreement,
+  signAgreement,
+  verifyAgreement,
+};
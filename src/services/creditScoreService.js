@@ -0,0 +1,215 @@
+// src/services/creditScoreService.js
+const prisma = require('../utils/prisma');
+const { differenceInDays } = require('date-fns');
+const { getBorrowerHistories } = require('./borrowerHistoryService');
+
+/**
+ * PeerFund trust score: 300–850, built only from on-platform history.
+ *
+ * Bump SCORE_VERSION whenever the factors or weights below change; stored
+ * scores from an older version, or older than CREDIT_SCORE_MAX_AGE_HOURS
+ * (account age keeps moving), are recomputed the next time they are read.
+ * Repayments, verification decisions and Connect onboarding also refresh it.
+ *
+ *   factor              max   source
+ *   repaymentHistory    200   % of paid installments that were on time
+ *   currentStanding      60   no installment past due right now
+ *   defaults             80   no defaulted loans
+ *   completedLoans       80   16 per fully repaid loan, up to 5
+ *   verification         70   verificationStatus APPROVED
+ *   accountAge           40   linear up to one year
+ *   payoutSetup          20   Stripe Connect onboarding completed
+ */
+const SCORE_VERSION = 1;
+const SCORE_MAX_AGE_HOURS = Number(process.env.CREDIT_SCORE_MAX_AGE_HOURS ?? 24);
+const MIN_SCORE = 300;
+const MAX_SCORE = 850;
+
+const BANDS = [
+  [800, 'EXCELLENT'],
+  [740, 'VERY_GOOD'],
+  [670, 'GOOD'],
+  [580, 'FAIR'],
+  [MIN_SCORE, 'POOR'],
+];
+
+const bandFor = (score) => BANDS.find(([min]) => score >= min)[1];
+
+function factor(key, label, points, maxPoints, detail) {
+  return { key, label, points: Math.round(points), maxPoints, detail };
+}
+
+/** Pure scoring: user row + borrower history → { score, band, version, factors }. */
+function scoreFromInputs(user, history, now = new Date()) {
+  const ageDays = Math.max(0, differenceInDays(now, user.createdAt));
+
+  const factors = [
+    factor(
+      'repaymentHistory',
+      'On-time repayments',
+      // No paid installments yet → neutral half credit
+      history.onTimeRate == null ? 100 : (history.onTimeRate / 100) * 200,
+      200,
+      history.onTimeRate == null
+        ? 'No repayment history yet'
+        : `${history.onTimeRate}% of ${history.paidInstallments} paid installment(s) on time`
+    ),
+    factor(
+      'currentStanding',
+      'Current standing',
+      history.pastDueInstallments ? 0 : 60,
+      60,
+      history.pastDueInstallments
+        ? `${history.pastDueInstallments} installment(s) past due`
+        : 'Nothing past due'
+    ),
+    factor(
+      'defaults',
+      'Defaults',
+      history.defaultedLoans ? 0 : 80,
+      80,
+      history.defaultedLoans ? `${history.defaultedLoans} defaulted loan(s)` : 'No defaults'
+    ),
+    factor(
+      'completedLoans',
+      'Loans repaid',
+      Math.min(history.completedLoans, 5) * 16,
+      80,
+      `${history.completedLoans} loan(s) fully repaid`
+    ),
+    factor(
+      'verification',
+      'Identity verification',
+      user.verificationStatus === 'APPROVED' ? 70 : 0,
+      70,
+      user.verificationStatus === 'APPROVED' ? 'Verified' : 'Not verified'
+    ),
+    factor(
+      'accountAge',
+      'Account age',
+      Math.min(ageDays / 365, 1) * 40,
+      40,
+      `${ageDays} day(s) on PeerFund`
+    ),
+    factor(
+      'payoutSetup',
+      'Payout account',
+      user.connectOnboardingCompleted ? 20 : 0,
+      20,
+      user.connectOnboardingCompleted ? 'Payout account set up' : 'No payout account'
+    ),
+  ];
+
+  const score = Math.min(
+    MAX_SCORE,
+    MIN_SCORE + factors.reduce((sum, f) => sum + f.points, 0)
+  );
+  return { score, band: bandFor(score), version: SCORE_VERSION, factors };
+}
+
+/** Compute (without saving) scores for a set of users → Map(userId → score). */
+async function computeCreditScores(userIds, now = new Date()) {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+
+  const [users, histories] = await Promise.all([
+    prisma.user.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, createdAt: true, verificationStatus: true, connectOnboardingCompleted: true },
+    }),
+    getBorrowerHistories(ids),
+  ]);
+
+  return new Map(users.map((u) => [u.id, scoreFromInputs(u, histories.get(u.id), now)]));
+}
+
+/** Recompute and store a user's score. `reason` is kept for debugging. */
+async function recomputeCreditScore(userId, reason = null) {
+  const computed = (await computeCreditScores([userId])).get(String(userId));
+  if (!computed) return null;
+
+  const data = { ...computed, reason, computedAt: new Date() };
+  return prisma.creditScore.upsert({
+    where: { userId: String(userId) },
+    update: data,
+    create: { userId: String(userId), ...data },
+  });
+}
+
+/**
+ * Fire-and-forget refresh after something the score reads changed for the
+ * user (verification decision, payout account). Never throws.
+ */
+async function refreshScoreForUser(userId, reason) {
+  try {
+    await recomputeCreditScore(userId, reason);
+  } catch (e) {
+    console.error(`⚠️ Failed to refresh credit score for user ${userId}:`, e);
+  }
+}
+
+/**
+ * Fire-and-forget refresh after a repayment on `loanId` was paid or missed.
+ * Never throws: a failed recompute is picked up on the next read.
+ */
+async function refreshScoreForLoan(loanId, reason) {
+  try {
+    const loan = await prisma.loan.findUnique({
+      where: { id: loanId },
+      select: { borrowerId: true },
+    });
+    if (loan?.borrowerId) await recomputeCreditScore(loan.borrowerId, reason);
+  } catch (e) {
+    console.error(`⚠️ Failed to refresh credit score for loan ${loanId}:`, e);
+  }
+}
+
+const toPublic = (s) => ({
+  score: s.score,
+  band: s.band,
+  version: s.version,
+  factors: s.factors,
+  computedAt: s.computedAt,
+});
+
+/**
+ * Current scores for display → Map(userId → { score, band, version, factors,
+ * computedAt }). Missing, older-version or stale scores are computed and
+ * stored.
+ */
+async function getCreditScores(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+
+  const freshAfter = new Date(Date.now() - SCORE_MAX_AGE_HOURS * 3600 * 1000);
+  const stored = await prisma.creditScore.findMany({ where: { userId: { in: ids } } });
+  const byUser = new Map(stored.map((s) => [s.userId, s]));
+  const out = new Map();
+
+  for (const id of ids) {
+    const s = byUser.get(id);
+    if (s && s.version === SCORE_VERSION && s.computedAt >= freshAfter) {
+      out.set(id, toPublic(s));
+      continue;
+    }
+    const reason = !s ? 'INITIAL' : s.version !== SCORE_VERSION ? 'VERSION' : 'STALE';
+    const saved = await recomputeCreditScore(id, reason);
+    if (saved) out.set(id, toPublic(saved));
+  }
+  return out;
+}
+
+async function getCreditScore(userId) {
+  return (await getCreditScores([userId])).get(String(userId)) || null;
+}
+
+module.exports = {
+  SCORE_VERSION,
+  scoreFromInputs,
+  computeCreditScores,
+  recomputeCreditScore,
+  refreshScoreForUser,
+  refreshScoreForLoan,
+  getCreditScores,
+  getCreditScore,
+};
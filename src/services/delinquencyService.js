@@ -0,0 +1,190 @@
+// src/services/delinquencyService.js
+const prisma = require('../utils/prisma');
+const { calcLateFee } = require('../utils/fees');
+const {
+  UNPAID_REPAYMENT_STATUSES,
+  SERVICING_LOAN_STATUSES,
+  severity,
+  delinquencyStatusFor,
+  worstStatus,
+} = require('../utils/delinquency');
+const { getLoanShares } = require('./loanShareService');
+const { refreshScoreForLoan } = require('./creditScoreService');
+
+// Platform user that receives platform + bank fees (and late fees)
+const PLATFORM_USER_ID =
+  process.env.PLATFORM_FEE_USER_ID || '68f523b619356751fcb1ed4b';
+
+// A DEFAULTED loan is written off; its installments stop moving
+const SWEPT_LOAN_STATUSES = SERVICING_LOAN_STATUSES.filter((s) => s !== 'DEFAULTED');
+
+const r2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+const STATUS_LABELS = {
+  LATE: 'late',
+  DELINQUENT_30: '30+ days past due',
+  DELINQUENT_60: '60+ days past due',
+  DELINQUENT_90: '90+ days past due',
+  DEFAULTED: 'in default',
+};
+
+/**
+ * Tell the borrower and every lender on the loan that an installment moved
+ * to a new delinquency status.
+ */
+async function notifyTransition({ loan, repayment, from, to, lateFee }) {
+  const shares = await getLoanShares(loan.id);
+  const lenderIds = [...new Set(shares.map((s) => s.lenderId).filter(Boolean))];
+  const due = new Date(repayment.dueDate).toISOString().slice(0, 10);
+  const label = STATUS_LABELS[to] || to;
+  const data = { loanId: loan.id, repaymentId: repayment.id, from, to, lateFee };
+
+  const rows = [
+    {
+      userId: loan.borrowerId,
+      type: 'REPAYMENT',
+      message:
+        `Your installment due ${due} is now ${label}.` +
+        (lateFee > 0 ? ` A late fee of $${lateFee.toFixed(2)} has been added.` : ''),
+      data,
+    },
+    ...lenderIds.map((userId) => ({
+      userId,
+      type: 'REPAYMENT',
+      message: `A borrower installment due ${due} on a loan you funded is now ${label}.`,
+      data,
+    })),
+  ];
+
+  await prisma.notification.createMany({ data: rows });
+}
+
+/**
+ * Set Loan.status to the worst status among its unpaid installments
+ * (or back to FUNDED once nothing is overdue). Loans outside servicing
+ * (ACCEPTED, COMPLETED, …) are left untouched. The first time a loan goes
+ * DEFAULTED its outstanding principal is recorded as charged off.
+ */
+async function refreshLoanStatus(loanId) {
+  const loan = await prisma.loan.findUnique({
+    where: { id: loanId },
+    select: { id: true, status: true, defaultedAt: true },
+  });
+  if (!loan || !SERVICING_LOAN_STATUSES.includes(loan.status)) return loan?.status;
+
+  const unpaid = await prisma.repayment.findMany({
+    where: { loanId, status: { in: UNPAID_REPAYMENT_STATUSES } },
+    select: { status: true, principalCents: true },
+  });
+
+  const worst = worstStatus(unpaid.map((r) => r.status));
+  const next = !worst || worst === 'PENDING' ? 'FUNDED' : worst;
+
+  if (next !== loan.status) {
+    const chargeOff = next === 'DEFAULTED' && !loan.defaultedAt;
+    await prisma.loan.update({
+      where: { id: loanId },
+      data: {
+        status: next,
+        ...(chargeOff && {
+          defaultedAt: new Date(),
+          chargedOffPrincipalCents: unpaid.reduce((s, r) => s + (r.principalCents || 0), 0),
+        }),
+      },
+    });
+  }
+  return next;
+}
+
+/**
+ * Walk every overdue unpaid installment and move it down the delinquency
+ * ladder. The late fee is charged once, on the first move out of PENDING.
+ */
+async function runDelinquencySweep(now = new Date()) {
+  console.log('⏰ Running delinquency sweep...');
+
+  const overdue = await prisma.repayment.findMany({
+    where: {
+      status: { in: UNPAID_REPAYMENT_STATUSES },
+      dueDate: { lt: now },
+      // Only loans being serviced: not unfunded, completed or already defaulted
+      loan: { status: { in: SWEPT_LOAN_STATUSES } },
+    },
+    include: {
+      loan: { select: { id: true, borrowerId: true, status: true } },
+    },
+  });
+
+  const touchedLoans = new Set();
+  let transitions = 0;
+
+  for (const repayment of overdue) {
+    const target = delinquencyStatusFor(repayment.dueDate, now);
+    if (severity(target) <= severity(repayment.status)) continue;
+
+    try {
+      const chargeLateFee = !repayment.lateFeeAssessedAt;
+      const lateFee = chargeLateFee
+        ? calcLateFee(repayment.basePayment || repayment.amountDue)
+        : 0;
+
+      await prisma.$transaction(async (tx) => {
+        await tx.repayment.update({
+          where: { id: repayment.id },
+          data: {
+            status: target,
+            statusChangedAt: now,
+            ...(chargeLateFee && {
+              lateFee,
+              lateFeeAssessedAt: now,
+              amountDue: r2((repayment.amountDue || 0) + lateFee),
+            }),
+          },
+        });
+
+        if (chargeLateFee && lateFee > 0) {
+          await tx.fee.create({
+            data: {
+              loanId: repayment.loanId,
+              repaymentId: repayment.id,
+              type: 'LATE_FEE',
+              amount: lateFee,
+              toUserId: PLATFORM_USER_ID,
+            },
+          });
+        }
+      });
+
+      transitions += 1;
+      touchedLoans.add(repayment.loanId);
+      console.log(`⚠️ Repayment ${repayment.id}: ${repayment.status} → ${target}`);
+
+      await notifyTransition({
+        loan: repayment.loan,
+        repayment,
+        from: repayment.status,
+        to: target,
+        lateFee,
+      });
+    } catch (e) {
+      console.error(`❌ Delinquency update failed for repayment ${repayment.id}:`, e);
+    }
+  }
+
+  for (const loanId of touchedLoans) {
+    try {
+      await refreshLoanStatus(loanId);
+    } catch (e) {
+      console.error(`❌ Failed to refresh loan status for ${loanId}:`, e);
+    }
+    await refreshScoreForLoan(loanId, 'REPAYMENT_MISSED');
+  }
+
+  console.log(`✅ Delinquency sweep done: ${transitions} transition(s) across ${touchedLoans.size} loan(s)`);
+  return { transitions, loans: touchedLoans.size };
+}
+
+module.exports = {
+  runDelinquencySweep,
+  refreshLoanStatus,
+};
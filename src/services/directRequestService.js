@@ -0,0 +1,388 @@
+// src/services/directRequestService.js
+const prisma = require('../utils/prisma');
+const { addHours } = require('date-fns');
+const {
+  buildSchedule,
+  scheduleToRepaymentRows,
+  scheduleOptionsFor,
+} = require('../utils/repaymentUtils');
+const { placeHold } = require('./walletHoldService');
+const {
+  buildAgreementTerms,
+  newLoanId,
+  prepareLoanAgreement,
+  discardLoanAgreement,
+  createLoanAgreement,
+} = require('./contractService');
+const { fundLoanShare } = require('./loanFundingService');
+const { evaluatePolicy, describeBlocked } = require('./verificationPolicy');
+
+// How long the other party has to answer a proposal before it lapses
+const PROPOSAL_TTL_HOURS = Number(process.env.DIRECT_PROPOSAL_TTL_HOURS ?? 72);
+
+/**
+ * Negotiation on a DirectLoanRequest is a chain of versioned proposals
+ * (DirectRequestProposal). v1 is the borrower's request; each counter
+ * supersedes the previous one and mirrors its terms onto the request.
+ * Only the party who did NOT author the latest proposal may approve it.
+ */
+
+const dollars = (n) => `$${Number(n).toFixed(2)}`;
+
+/** Who wrote the latest terms. Rows from before proposals existed → borrower. */
+function latestAuthorId(request) {
+  return request.lastProposedById || request.borrowerId;
+}
+
+function roleOf(request, userId) {
+  if (userId === request.borrowerId) return 'BORROWER';
+  if (userId === request.lenderId) return 'LENDER';
+  return null;
+}
+
+/** The party allowed to approve (or decline) the latest proposal. */
+function approverId(request) {
+  return latestAuthorId(request) === request.lenderId ? request.borrowerId : request.lenderId;
+}
+
+const proposalExpired = (request, now = new Date()) =>
+  Boolean(request.proposalExpiresAt && request.proposalExpiresAt <= now);
+
+async function notifyParties(request, messages, data) {
+  try {
+    await prisma.notification.createMany({
+      data: Object.entries(messages).map(([userId, message]) => ({
+        userId,
+        type: 'LOAN',
+        message,
+        data: { directReqId: request.id, ...data },
+      })),
+    });
+  } catch (e) {
+    console.error('⚠️ Failed to send direct request notification:', e);
+  }
+}
+
+/**
+ * Write v1 for a just-created request (the borrower's terms) and start its
+ * expiry clock.
+ */
+async function recordInitialProposal(request) {
+  const expiresAt = addHours(new Date(), PROPOSAL_TTL_HOURS);
+  await prisma.$transaction([
+    prisma.directRequestProposal.create({
+      data: {
+        directReqId: request.id,
+        version: 1,
+        authorId: request.borrowerId,
+        authorRole: 'BORROWER',
+        amount: request.amount,
+        months: request.months,
+        apr: request.apr,
+        notes: request.notes || null,
+        expiresAt,
+      },
+    }),
+    prisma.directLoanRequest.update({
+      where: { id: request.id },
+      data: { currentVersion: 1, lastProposedById: request.borrowerId, proposalExpiresAt: expiresAt },
+    }),
+  ]);
+  return expiresAt;
+}
+
+/**
+ * `authorId` counters with new terms: the open proposal is superseded, a new
+ * version is written and mirrored onto the request, and both parties are
+ * notified. Returns the updated request.
+ */
+async function counterProposal(request, authorId, terms) {
+  const now = new Date();
+  const expiresAt = addHours(now, PROPOSAL_TTL_HOURS);
+  const authorRole = roleOf(request, authorId);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Bump the version first so two concurrent counters can't both land
+    const { count } = await tx.directLoanRequest.updateMany({
+      where: { id: request.id, status: 'PENDING', currentVersion: request.currentVersion },
+      data: {
+        currentVersion: { increment: 1 },
+        amount: terms.amount,
+        months: terms.months,
+        apr: terms.apr,
+        notes: terms.notes,
+        lastProposedById: authorId,
+        proposalExpiresAt: expiresAt,
+        decidedAt: null,
+      },
+    });
+    if (!count) {
+      const err = new Error('The request changed, reload and try again');
+      err.code = 'STALE_PROPOSAL';
+      throw err;
+    }
+
+    await tx.directRequestProposal.updateMany({
+      where: { directReqId: request.id, status: 'OPEN' },
+      data: { status: 'SUPERSEDED', resolvedAt: now },
+    });
+    await tx.directRequestProposal.create({
+      data: {
+        directReqId: request.id,
+        version: request.currentVersion + 1,
+        authorId,
+        authorRole,
+        amount: terms.amount,
+        months: terms.months,
+        apr: terms.apr,
+        notes: terms.notes || null,
+        expiresAt,
+      },
+    });
+
+    return tx.directLoanRequest.findUnique({ where: { id: request.id } });
+  });
+
+  const otherId = authorRole === 'LENDER' ? request.borrowerId : request.lenderId;
+  const summary = `${dollars(terms.amount)} for ${terms.months} month(s) at ${terms.apr}%`;
+  await notifyParties(
+    request,
+    {
+      [otherId]: `🔁 New counteroffer on your direct loan request: ${summary}. Review it before it expires.`,
+      [authorId]: `📨 Your counteroffer (${summary}) was sent.`,
+    },
+    { version: updated.currentVersion }
+  );
+
+  return updated;
+}
+
+/** Close the open proposal as ACCEPTED / DECLINED / EXPIRED. */
+async function resolveOpenProposal(directReqId, status, db = prisma) {
+  await db.directRequestProposal.updateMany({
+    where: { directReqId, status: 'OPEN' },
+    data: { status, resolvedAt: new Date() },
+  });
+}
+
+/**
+ * Sweep: PENDING direct requests whose latest proposal lapsed are EXPIRED
+ * and both parties are told.
+ */
+async function expireDirectProposals(now = new Date()) {
+  const due = await prisma.directLoanRequest.findMany({
+    where: { status: 'PENDING', proposalExpiresAt: { lte: now } },
+  });
+
+  let expired = 0;
+  for (const request of due) {
+    try {
+      const { count } = await prisma.directLoanRequest.updateMany({
+        where: { id: request.id, status: 'PENDING', currentVersion: request.currentVersion },
+        data: { status: 'EXPIRED', decidedAt: now },
+      });
+      if (!count) continue;
+      await resolveOpenProposal(request.id, 'EXPIRED');
+      expired++;
+
+      const summary = `${dollars(request.amount)} for ${request.months} month(s) at ${request.apr}%`;
+      const msg = `⌛ The direct loan request (${summary}) expired without an answer.`;
+      await notifyParties(request, { [request.borrowerId]: msg, [request.lenderId]: msg }, {});
+    } catch (err) {
+      console.error(`❌ Failed to expire direct request ${request.id}:`, err);
+    }
+  }
+
+  console.log(`⌛ Direct request sweep: ${expired} request(s) expired`);
+  return { expired };
+}
+
+/**
+ * A PENDING direct request's latest proposal is accepted. Builds the same
+ * loan package as offer acceptance — Loan (ACCEPTED) with canonical cents
+ * fields, one LoanShare for the lender, repayment schedule, PDF agreement —
+ * reserves the lender's money and marks the request `status` (APPROVED, or
+ * AUTO_APPROVED from auto-invest). Funding waits for both signatures (see
+ * fundIfAutoApproved). Returns { loan }.
+ * Throws err.code = 'INSUFFICIENT_FUNDS' from placeHold, or STALE_PROPOSAL when the
+ * request is no longer PENDING on `request.currentVersion`.
+ */
+async function approveDirectRequest(request, { status = 'APPROVED' } = {}) {
+  const now = new Date();
+  const principalCents = Math.round(Number(request.amount) * 100);
+  const interestRateBps = Math.round(Number(request.apr) * 100);
+  const termMonths = Number(request.months);
+
+  const [borrower, lender] = await Promise.all([
+    prisma.user.findUnique({ where: { id: request.borrowerId }, select: { name: true } }),
+    prisma.user.findUnique({ where: { id: request.lenderId }, select: { name: true, isSuperUser: true } }),
+  ]);
+
+  // Same rule as offer acceptance: SuperUser lenders waive the PeerFund fee
+  const peerfundWaived = Boolean(lender?.isSuperUser);
+  const lenderName = lender?.name || 'Lender';
+  const schedule = buildSchedule({
+    principalCents,
+    interestRateBps,
+    termMonths,
+    ...scheduleOptionsFor(request),
+    startDate: now,
+  });
+
+  // Rendered and stored up front; the transaction only records it
+  const loanId = newLoanId();
+  const agreement = await prepareLoanAgreement(
+    buildAgreementTerms({
+      loanId,
+      borrower: { id: request.borrowerId, name: borrower?.name },
+      lenders: [{ id: request.lenderId, name: lenderName, amount: request.amount, interestRate: request.apr }],
+      amount: request.amount,
+      termMonths,
+      rate: request.apr,
+      peerfundWaived,
+      schedule,
+      acceptedAt: now,
+    })
+  );
+
+  const loan = await prisma.$transaction(async (tx) => {
+    // Claim the request first, on the same version the approver saw, so a
+    // concurrent counter / decline / approval can't slip in underneath
+    const { count } = await tx.directLoanRequest.updateMany({
+      where: { id: String(request.id), status: 'PENDING', currentVersion: request.currentVersion },
+      data: { status, decidedAt: now },
+    });
+    if (!count) {
+      const err = new Error('The request changed, reload and try again');
+      err.code = 'STALE_PROPOSAL';
+      throw err;
+    }
+
+    const created = await tx.loan.create({
+      data: {
+        id: loanId,
+
+        // canonical
+        principalCents,
+        interestRateBps,
+        termMonths,
+        scheduleMethod: schedule.method,
+        paymentFrequency: schedule.frequency,
+        dayCount: schedule.dayCount,
+
+        // legacy mirrors
+        amount: request.amount,
+        interestRate: request.apr,
+        duration: termMonths,
+
+        borrowerId: request.borrowerId,
+        lenderId: request.lenderId,
+        status: 'ACCEPTED',
+        createdAt: now,
+        updatedAt: now,
+        disbursedAmount: 0,
+      },
+    });
+
+    // Single lender → one share covering the whole principal
+    await tx.loanShare.create({
+      data: {
+        loanId: created.id,
+        lenderId: request.lenderId,
+        principalCents,
+        shareBps: 10000,
+        status: 'PENDING',
+      },
+    });
+
+    await tx.repayment.createMany({
+      data: scheduleToRepaymentRows(schedule, { loanId: created.id, peerfundWaived }),
+    });
+
+    // Reserve the lender's money until they fund
+    await placeHold(
+      {
+        userId: request.lenderId,
+        amountCents: principalCents,
+        reason: 'DirectLoanRequest',
+        directReqId: request.id,
+        loanId: created.id,
+      },
+      tx
+    );
+
+    await createLoanAgreement(agreement, tx);
+
+    await tx.directLoanRequest.update({
+      where: { id: String(request.id) },
+      data: { loanId: created.id },
+    });
+    await resolveOpenProposal(String(request.id), 'ACCEPTED', tx);
+
+    await tx.notification.create({
+      data: {
+        userId: request.borrowerId,
+        type: 'DOCUMENT',
+        message: `✍️ Your loan agreement with ${lenderName} is ready to sign.`,
+        data: { loanId: created.id, directReqId: request.id },
+      },
+    });
+
+    return created;
+  }).catch(async (e) => {
+    await discardLoanAgreement(agreement);
+    throw e;
+  });
+
+  await notifyParties(
+    request,
+    { [request.lenderId]: `✍️ Sign the agreement for your ${dollars(request.amount)} direct loan, then fund it.` },
+    { loanId: loan.id }
+  );
+
+  return { loan };
+}
+
+/**
+ * Once a direct loan's agreement is fully signed, a request that came
+ * through an auto-approve listing is funded straight away, moving it on to
+ * DISBURSED (see loanFundingService). Never throws; returns whether it funded.
+ */
+async function fundIfAutoApproved(loanId) {
+  try {
+    const request = await prisma.directLoanRequest.findFirst({
+      where: { loanId, status: { in: ['APPROVED', 'AUTO_APPROVED'] } },
+      include: { listing: { select: { autoApprove: true } } },
+    });
+    if (!request?.listing?.autoApprove) return false;
+
+    // Same gate as funding by hand
+    const policy = await evaluatePolicy(request.lenderId, 'FUND_LOAN');
+    if (!policy.allowed) {
+      console.warn(`⚠️ Auto-funding skipped for loan ${loanId}: lender ${request.lenderId} blocked. ${describeBlocked(policy)}`);
+      return false;
+    }
+
+    const { fullyFunded } = await fundLoanShare({ loanId, lenderId: request.lenderId });
+    return fullyFunded;
+  } catch (err) {
+    // The hold stays in place; the lender can still fund by hand
+    console.error(`⚠️ Auto-funding failed for loan ${loanId}:`, err);
+    return false;
+  }
+}
+
+module.exports = {
+  PROPOSAL_TTL_HOURS,
+  latestAuthorId,
+  roleOf,
+  approverId,
+  proposalExpired,
+  notifyParties,
+  recordInitialProposal,
+  counterProposal,
+  resolveOpenProposal,
+  expireDirectProposals,
+  approveDirectRequest,
+  fundIfAutoApproved,
+};
@@ -7,82 +7,14 @@ const prisma = require('../utils/prisma');
 const { stripe } = require('../lib/stripeIdentities');
 const { calcFees } = require('../utils/fees'); // peerfund/banking fee utils
 
-// Wallet helpers
+// Journal
 const { WalletEntryType } = require('@prisma/client');
-const { getWalletOrCreate } = require('../utils/wallet');
+const { ACCOUNTS, debit, credit, postJournal } = require('./journalService');
 
 // Platform user that should receive disbursement-time fees
 const PLATFORM_USER_ID =
   process.env.PLATFORM_FEE_USER_ID || '68f523b619356751fcb1ed4b';
 
-// Small helper: credit borrower + platform wallets after disbursement
-async function applyWalletCreditsForDisbursement({ loanId, borrowerId, netCents, platformFeeCents }) {
-  try {
-    console.log('💸 applyWalletCreditsForDisbursement', {
-      loanId,
-      borrowerId,
-      netCents,
-      platformFeeCents,
-    });
-
-    // 1) Borrower wallet gets the net proceeds of the loan
-    if (borrowerId && netCents > 0) {
-      const borrowerWallet = await getWalletOrCreate(borrowerId);
-      const newBal = (borrowerWallet.availableCents || 0) + netCents;
-
-      await prisma.wallet.update({
-        where: { id: borrowerWallet.id },
-        data: { availableCents: newBal },
-      });
-
-      await prisma.walletLedger.create({
-        data: {
-          walletId: borrowerWallet.id,
-          type: WalletEntryType.DISBURSE,      // loan disbursement inflow
-          amountCents: netCents,
-          direction: 'CREDIT',
-          balanceAfterCents: newBal,
-          referenceType: 'Loan',
-          referenceId: loanId,
-          metadata: {
-            loanId,
-            reason: 'LOAN_DISBURSE_NET',
-          },
-        },
-      });
-    }
-
-    // 2) Platform wallet gets the fee portion from this disbursement
-    if (PLATFORM_USER_ID && platformFeeCents > 0) {
-      const platformWallet = await getWalletOrCreate(PLATFORM_USER_ID);
-      const newBal = (platformWallet.availableCents || 0) + platformFeeCents;
-
-      await prisma.wallet.update({
-        where: { id: platformWallet.id },
-        data: { availableCents: newBal },
-      });
-
-      await prisma.walletLedger.create({
-        data: {
-          walletId: platformWallet.id,
-          type: WalletEntryType.ADJUSTMENT,   // generic system credit
-          amountCents: platformFeeCents,
-          direction: 'CREDIT',
-          balanceAfterCents: newBal,
-          referenceType: 'Loan',
-          referenceId: loanId,
-          metadata: {
-            loanId,
-            reason: 'LOAN_DISBURSE_FEES',
-          },
-        },
-      });
-    }
-  } catch (e) {
-    console.error('⚠️ Failed to apply wallet credits for disbursement:', e);
-  }
-}
-
 /**
  * Disburse a loan from platform balance to the borrower’s Connect account.
  *
@@ -90,12 +22,16 @@ async function applyWalletCreditsForDisbursement({ loanId, borrowerId, netCents,
  * - Platform already has funds (from lender deposits or float).
  * - Borrower has a Stripe Connect account with payouts enabled enough to accept transfers.
  *
+ * Options:
+ *   idempotencyKey – passed to Stripe (defaults to one per loan, so a loan
+ *                    can never be transferred twice)
+ *
  * Returns:
  *   { ok: true, transferId, netCents, platformFeeCents }
  * or
  *   { ok: false, error }
  */
-async function disburseLoanNow(loanId) {
+async function disburseLoanNow(loanId, { idempotencyKey } = {}) {
   try {
     // 1) Load loan with borrower & lender
     const loan = await prisma.loan.findUnique({
@@ -165,7 +101,7 @@ async function disburseLoanNow(loanId) {
           lenderId: loan.lenderId,
           platformFeeCents: String(platformFeeCents),
         },
-      });
+      }, { idempotencyKey: idempotencyKey || `disburse:${loan.id}` });
     } catch (e) {
       return { ok: false, error: `Stripe transfer failed: ${e?.message || String(e)}` };
     }
@@ -190,51 +126,44 @@ async function disburseLoanNow(loanId) {
         },
       });
 
-      // Platform-level ledger entries (if you still use ledgerEntry)
-      await tx.ledgerEntry.createMany({
-        data: [
-          {
-            loanId: loan.id,
-            type: 'DISBURSE',
-            amountCents: netCents,
-            currency: 'usd',
-            direction: 'debit',
-            stripeXferId: transfer.id,
-            meta: { borrowerAccount: acctId },
-          },
-          {
-            loanId: loan.id,
-            type: 'FEE',
-            amountCents: platformFeeCents,
-            currency: 'usd',
-            direction: 'credit',
-            meta: { breakdown: { peerfundFee, bankingFee } },
-          },
-        ],
-      });
-
-      // Transaction history line so it appears in Transaction History UI
-      await tx.transaction.create({
-        data: {
-          type: 'DISBURSEMENT',
-          fromUserId: loan.lenderId,
-          toUserId: loan.borrowerId,
+      // Journal: the lender's settled charge sits in Stripe clearing; the net
+      // leaves in the transfer to the borrower's Connect account and the fee
+      // stays with the platform. The lender now holds the receivable.
+      await postJournal(
+        {
+          kind: 'DISBURSEMENT',
           loanId: loan.id,
-          amount: disbursedAmount,        // dollars
-          peerfundFee,
-          bankingFee,
-          processedAt: fundedAt,
-          timestamp: fundedAt,
+          externalId: transfer.id,
+          stripeXferId: transfer.id,
+          walletEntryType: WalletEntryType.FEE,
+          metadata: { borrowerAccount: acctId, breakdown: { peerfundFee, bankingFee } },
+          lines: [
+            debit(ACCOUNTS.STRIPE_CLEARING, principalCents, { meta: { reason: 'LENDER_FUNDS' } }),
+            credit(ACCOUNTS.STRIPE_CLEARING, netCents, { meta: { reason: 'TRANSFER_TO_BORROWER' } }),
+            credit(ACCOUNTS.PLATFORM_FEES, platformFeeCents, {
+              userId: PLATFORM_USER_ID,
+              meta: { reason: 'LOAN_DISBURSE_FEES' },
+            }),
+            debit(ACCOUNTS.LENDER_RECEIVABLE, principalCents, { userId: loan.lenderId }),
+            credit(ACCOUNTS.BORROWER_LOAN_PAYABLE, principalCents, { userId: loan.borrowerId }),
+          ],
+          // Transaction history line so it appears in Transaction History UI
+          transactions: [
+            {
+              type: 'DISBURSEMENT',
+              fromUserId: loan.lenderId,
+              toUserId: loan.borrowerId,
+              loanId: loan.id,
+              amount: disbursedAmount,        // dollars
+              peerfundFee,
+              bankingFee,
+              processedAt: fundedAt,
+              timestamp: fundedAt,
+            },
+          ],
         },
-      });
-    });
-
-    // 5) Apply wallet credits for borrower + platform
-    await applyWalletCreditsForDisbursement({
-      loanId: loan.id,
-      borrowerId: loan.borrowerId,
-      netCents,
-      platformFeeCents,
+        tx
+      );
     });
 
     return { ok: true, transferId: transfer.id, netCents, platformFeeCents };
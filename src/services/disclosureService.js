@@ -0,0 +1,271 @@
+// src/services/disclosureService.js
+const crypto = require('crypto');
+const prisma = require('../utils/prisma');
+const { PEERFUND_FEE_RATE, BANKING_FEE_RATE } = require('../utils/fees');
+const {
+  PERIODS_PER_YEAR,
+  DEFAULT_PAYMENT_FREQUENCY,
+  scheduleOptionsFor,
+  buildSchedule,
+  scheduleToRepaymentRows,
+} = require('../utils/repaymentUtils');
+
+/**
+ * Truth-in-Lending style disclosure for a LoanOffer or DirectLoanRequest,
+ * computed from the same schedule and fee rows the loan would get:
+ *
+ *   amount financed  = principal (fees are charged on installments, not
+ *                      deducted from the proceeds)
+ *   total of payments = every installment incl. PeerFund + banking fees
+ *   finance charge   = total of payments - amount financed
+ *   APR              = actuarial rate that discounts the payments back to the
+ *                      amount financed, × periods per year
+ *
+ * `version` is a hash of the terms the numbers come from, so any change to
+ * the offer (amendment, counter) needs a fresh acknowledgement.
+ */
+
+// Bump when the disclosure's content or math changes
+const DISCLOSURE_TEMPLATE = 1;
+
+function disclosureError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * True APR (%) for `amountFinancedCents` repaid by `paymentsCents`, one per
+ * unit period. Solves amountFinanced = Σ p_k / (1 + i)^k for i by bisection.
+ */
+function computeApr(amountFinancedCents, paymentsCents, frequency = DEFAULT_PAYMENT_FREQUENCY) {
+  const pv = (i) => paymentsCents.reduce((sum, p, k) => sum + p / Math.pow(1 + i, k + 1), 0);
+  const total = paymentsCents.reduce((s, p) => s + p, 0);
+  if (!(amountFinancedCents > 0) || total <= amountFinancedCents) return 0;
+
+  let lo = 0;
+  let hi = 1; // 100% per period is far beyond anything the platform allows
+  for (let n = 0; n < 200 && hi - lo > 1e-12; n++) {
+    const mid = (lo + hi) / 2;
+    if (pv(mid) > amountFinancedCents) lo = mid;
+    else hi = mid;
+  }
+  const apr = ((lo + hi) / 2) * PERIODS_PER_YEAR[frequency] * 100;
+  return Math.round(apr * 100) / 100;
+}
+
+/** Itemized totals and APR for a set of repayment rows (see scheduleToRepaymentRows). */
+function summarizeRows(principalCents, rows, frequency) {
+  const cents = (dollars) => Math.round(Number(dollars) * 100);
+  const payments = rows.map((r) => cents(r.totalCharged));
+  const totalOfPaymentsCents = payments.reduce((s, p) => s + p, 0);
+  return {
+    amountFinancedCents: principalCents,
+    totalOfPaymentsCents,
+    financeChargeCents: totalOfPaymentsCents - principalCents,
+    interestCents: rows.reduce((s, r) => s + r.interestCents, 0),
+    peerfundFeesCents: rows.reduce((s, r) => s + cents(r.peerfundFee), 0),
+    bankingFeesCents: rows.reduce((s, r) => s + cents(r.bankingFee), 0),
+    apr: computeApr(principalCents, payments, frequency),
+  };
+}
+
+/**
+ * Build the disclosure for plain terms.
+ *   { principalCents, interestRateBps, termMonths, peerfundWaived, startDate,
+ *     scheduleMethod, paymentFrequency }
+ */
+function buildDisclosure({
+  principalCents,
+  interestRateBps,
+  termMonths,
+  peerfundWaived,
+  startDate = new Date(),
+  scheduleMethod,
+  paymentFrequency,
+}) {
+  const schedule = buildSchedule({
+    principalCents,
+    interestRateBps,
+    termMonths,
+    ...scheduleOptionsFor({ scheduleMethod, paymentFrequency }),
+    startDate,
+  });
+  const rows = scheduleToRepaymentRows(schedule, { peerfundWaived });
+  const fees = {
+    peerfundRate: peerfundWaived ? 0 : PEERFUND_FEE_RATE,
+    peerfundWaived: Boolean(peerfundWaived),
+    bankingRate: BANKING_FEE_RATE,
+  };
+
+  const version = crypto
+    .createHash('sha256')
+    .update(JSON.stringify([DISCLOSURE_TEMPLATE, principalCents, interestRateBps, termMonths, schedule.method, schedule.frequency, schedule.dayCount, fees]))
+    .digest('hex')
+    .slice(0, 16);
+
+  return {
+    version,
+    noteRate: interestRateBps / 100,
+    termMonths,
+    ...summarizeRows(principalCents, rows, schedule.frequency),
+    fees,
+    schedule: {
+      method: schedule.method,
+      frequency: schedule.frequency,
+      dayCount: schedule.dayCount,
+      installments: rows.map((r) => ({
+        installmentNo: r.installmentNo,
+        dueDate: r.dueDate,
+        principalCents: r.principalCents,
+        interestCents: r.interestCents,
+        peerfundFee: r.peerfundFee,
+        bankingFee: r.bankingFee,
+        totalCharged: r.totalCharged,
+      })),
+    },
+  };
+}
+
+/**
+ * Note rate (bps) of a loan made of `offers` on a request for `requestAmount`:
+ * each offer's rate weighted by its share of the principal.
+ */
+function blendedRateBps(offers, requestAmount) {
+  const weighted =
+    offers.reduce((sum, o) => sum + Number(o.amount) * (Number(o.interestRate) || 0), 0) / Number(requestAmount);
+  return Math.round(weighted * 100);
+}
+
+/**
+ * Disclosure for a LoanOffer, as seen by the request's borrower or the
+ * offering lender. Same PeerFund waiver rule as acceptance: waived only when
+ * every lender on the loan (accepted offers + this one) is a SuperUser.
+ * When accepting the offer would fill the request (`fillsRequest`), it
+ * discloses the loan that acceptance creates: the full principal at the
+ * blended rate of every accepted offer.
+ */
+async function disclosureForOffer(offerId, userId) {
+  const offer = await prisma.loanOffer.findUnique({
+    where: { id: offerId },
+    include: {
+      loanRequest: {
+        select: { id: true, borrowerId: true, amount: true, scheduleMethod: true, paymentFrequency: true },
+      },
+      lender: { select: { isSuperUser: true } },
+    },
+  });
+  if (!offer || (offer.lenderId !== userId && offer.loanRequest?.borrowerId !== userId)) {
+    throw disclosureError('NOT_FOUND', 'Loan offer not found');
+  }
+
+  const accepted = await prisma.loanOffer.findMany({
+    where: { loanRequestId: offer.loanRequestId, status: 'ACCEPTED', NOT: { id: offer.id } },
+    select: { amount: true, interestRate: true, lender: { select: { isSuperUser: true } } },
+  });
+  const shares = [offer, ...accepted];
+  const peerfundWaived = shares.every((o) => o.lender?.isSuperUser);
+
+  const offerCents = Math.round(Number(offer.amount) * 100);
+  const requestCents = Math.round(Number(offer.loanRequest.amount) * 100);
+  const fillsRequest = shares.reduce((s, o) => s + Math.round(Number(o.amount) * 100), 0) === requestCents;
+
+  return {
+    kind: 'LOAN_OFFER',
+    offerId: offer.id,
+    loanRequestId: offer.loanRequestId,
+    borrowerId: offer.loanRequest.borrowerId,
+    fillsRequest,
+    ...buildDisclosure({
+      principalCents: fillsRequest ? requestCents : offerCents,
+      interestRateBps: fillsRequest
+        ? blendedRateBps(shares, offer.loanRequest.amount)
+        : Math.round(Number(offer.interestRate) * 100),
+      termMonths: Number(offer.duration),
+      peerfundWaived,
+      scheduleMethod: offer.loanRequest.scheduleMethod,
+      paymentFrequency: offer.loanRequest.paymentFrequency,
+    }),
+  };
+}
+
+/** Disclosure for a DirectLoanRequest's current terms, for either party. */
+async function disclosureForDirectRequest(directReqId, userId) {
+  const request = await prisma.directLoanRequest.findUnique({
+    where: { id: directReqId },
+    include: { lender: { select: { isSuperUser: true } } },
+  });
+  if (!request || (request.lenderId !== userId && request.borrowerId !== userId)) {
+    throw disclosureError('NOT_FOUND', 'Request not found');
+  }
+
+  return {
+    kind: 'DIRECT_REQUEST',
+    directReqId: request.id,
+    proposalVersion: request.currentVersion || 1,
+    borrowerId: request.borrowerId,
+    ...buildDisclosure({
+      principalCents: Math.round(Number(request.amount) * 100),
+      interestRateBps: Math.round(Number(request.apr) * 100),
+      termMonths: Number(request.months),
+      peerfundWaived: Boolean(request.lender?.isSuperUser),
+      scheduleMethod: request.scheduleMethod,
+      paymentFrequency: request.paymentFrequency,
+    }),
+  };
+}
+
+const targetWhere = (disclosure) =>
+  disclosure.kind === 'LOAN_OFFER' ? { offerId: disclosure.offerId } : { directReqId: disclosure.directReqId };
+
+/**
+ * The borrower acknowledges `version`, which must be the current one.
+ * Throws err.code = NOT_BORROWER | STALE_DISCLOSURE.
+ */
+async function acknowledgeDisclosure(disclosure, { userId, version, ipAddress, userAgent }) {
+  if (disclosure.borrowerId !== userId) {
+    throw disclosureError('NOT_BORROWER', 'Only the borrower acknowledges the disclosure');
+  }
+  if (version !== disclosure.version) {
+    throw disclosureError('STALE_DISCLOSURE', 'The terms changed, review the current disclosure');
+  }
+
+  const existing = await prisma.disclosureAcknowledgement.findFirst({
+    where: { userId, version, ...targetWhere(disclosure) },
+  });
+  if (existing) return existing;
+
+  return prisma.disclosureAcknowledgement.create({
+    data: {
+      userId,
+      ...targetWhere(disclosure),
+      version,
+      apr: disclosure.apr,
+      financeChargeCents: disclosure.financeChargeCents,
+      totalOfPaymentsCents: disclosure.totalOfPaymentsCents,
+      ipAddress: ipAddress ? String(ipAddress).slice(0, 100) : null,
+      userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+    },
+  });
+}
+
+/** Has the borrower acknowledged the disclosure's current version? */
+async function hasAcknowledged(disclosure) {
+  const ack = await prisma.disclosureAcknowledgement.findFirst({
+    where: { userId: disclosure.borrowerId, version: disclosure.version, ...targetWhere(disclosure) },
+    select: { id: true },
+  });
+  return Boolean(ack);
+}
+
+module.exports = {
+  DISCLOSURE_TEMPLATE,
+  computeApr,
+  summarizeRows,
+  buildDisclosure,
+  blendedRateBps,
+  disclosureForOffer,
+  disclosureForDirectRequest,
+  acknowledgeDisclosure,
+  hasAcknowledged,
+};
@@ -1,12 +1,13 @@
 // src/services/feeRoutingService.js
-const prisma = require('../utils/prisma');
-const { getWalletOrCreate } = require('../utils/wallet');
+const { postFeeCharge, PLATFORM_USER_ID } = require('./ledgerPostings');
 
-const PLATFORM_FEE_USER_ID = process.env.PLATFORM_FEE_USER_ID || null;
-const BANK_FEE_USER_ID     = process.env.BANK_FEE_USER_ID || null;
+const PLATFORM_FEE_USER_ID = process.env.PLATFORM_FEE_USER_ID || PLATFORM_USER_ID;
+const BANK_FEE_USER_ID     = process.env.BANK_FEE_USER_ID || PLATFORM_FEE_USER_ID;
 
 /**
  * Route peerfundFeeCents and bankingFeeCents to the appropriate wallets.
+ * Posted as one journal entry: the payer's wallet is debited, the platform
+ * (and bank-fee) accounts are credited.
  *
  * - sourceUserId: who is paying the fee (typically borrower on repayment,
  *   or borrower/lender on some flows)
@@ -24,88 +25,42 @@ async function routeFeesToSystemAccounts({
   // Nothing to do
   if (!peerfundFeeCents && !bankingFeeCents) return;
 
-  await prisma.$transaction(async (tx) => {
-    // ADMIN / PLATFORM FEE → PLATFORM_FEE_USER_ID
-    if (peerfundFeeCents > 0 && PLATFORM_FEE_USER_ID) {
-      const platformWallet = await getWalletOrCreate(PLATFORM_FEE_USER_ID, tx);
+  const transactions = [];
+  if (peerfundFeeCents > 0) {
+    transactions.push({
+      type: 'ADMIN_FEE',
+      fromUserId: sourceUserId,
+      toUserId: PLATFORM_FEE_USER_ID,
+      loanId,
+      repaymentId,
+      amount: peerfundFeeCents / 100,
+      peerfundFee: peerfundFeeCents / 100,
+      bankingFee: 0,
+    });
+  }
+  if (bankingFeeCents > 0) {
+    transactions.push({
+      type: 'BANK_FEE',
+      fromUserId: sourceUserId,
+      toUserId: BANK_FEE_USER_ID,
+      loanId,
+      repaymentId,
+      amount: bankingFeeCents / 100,
+      peerfundFee: 0,
+      bankingFee: bankingFeeCents / 100,
+    });
+  }
 
-      // Credit platform wallet
-      await tx.wallet.update({
-        where: { id: platformWallet.id },
-        data: { availableCents: { increment: peerfundFeeCents } },
-      });
-
-      await tx.walletLedger.create({
-        data: {
-          walletId: platformWallet.id,
-          type: 'FEE',                  // WalletEntryType
-          amountCents: peerfundFeeCents,
-          direction: 'CREDIT',
-          balanceAfterCents: platformWallet.availableCents + peerfundFeeCents,
-          referenceType: 'ADMIN_FEE',
-          referenceId: loanId,
-          metadata: {
-            kind: 'ADMIN_FEE',
-            loanId,
-            repaymentId,
-          },
-        },
-      });
-
-      // Optional: create a Transaction row of type ADMIN_FEE
-      await tx.transaction.create({
-        data: {
-          type: 'ADMIN_FEE',
-          fromUserId: sourceUserId,
-          toUserId: PLATFORM_FEE_USER_ID,
-          loanId,
-          repaymentId,
-          amount: peerfundFeeCents / 100,
-          peerfundFee: peerfundFeeCents / 100,
-          bankingFee: 0,
-        },
-      });
-    }
-
-    // BANK FEE → BANK_FEE_USER_ID
-    if (bankingFeeCents > 0 && BANK_FEE_USER_ID) {
-      const bankWallet = await getWalletOrCreate(BANK_FEE_USER_ID, tx);
-
-      await tx.wallet.update({
-        where: { id: bankWallet.id },
-        data: { availableCents: { increment: bankingFeeCents } },
-      });
-
-      await tx.walletLedger.create({
-        data: {
-          walletId: bankWallet.id,
-          type: 'FEE',
-          amountCents: bankingFeeCents,
-          direction: 'CREDIT',
-          balanceAfterCents: bankWallet.availableCents + bankingFeeCents,
-          referenceType: 'BANK_FEE',
-          referenceId: loanId,
-          metadata: {
-            kind: 'BANK_FEE',
-            loanId,
-            repaymentId,
-          },
-        },
-      });
-
-      await tx.transaction.create({
-        data: {
-          type: 'BANK_FEE',
-          fromUserId: sourceUserId,
-          toUserId: BANK_FEE_USER_ID,
-          loanId,
-          repaymentId,
-          amount: bankingFeeCents / 100,
-          peerfundFee: 0,
-          bankingFee: bankingFeeCents / 100,
-        },
-      });
-    }
+  return postFeeCharge({
+    fromUserId: sourceUserId,
+    loanId,
+    repaymentId,
+    peerfundFeeCents,
+    bankingFeeCents,
+    platformUserId: PLATFORM_FEE_USER_ID,
+    bankFeeUserId: BANK_FEE_USER_ID,
+    transactions,
+    metadata: { kind: 'FEE_ROUTING' },
   });
 }
 
@@ -0,0 +1,239 @@
+// src/services/journalService.js
+const prisma = require('../utils/prisma');
+const { WalletEntryType } = require('@prisma/client');
+
+/**
+ * Double-entry journal in integer cents.
+ *
+ * Every money movement is one JournalEntry with LedgerEntry lines whose debits
+ * and credits add up to the same amount. Lines on wallet-backed accounts are
+ * mirrored into the Wallet in the same DB transaction (USER_WALLET and
+ * PLATFORM_FEES into availableCents plus a WalletLedger row, USER_WALLET_HELD
+ * into pendingCents), so the wallet can always be checked against the journal.
+ */
+const ACCOUNTS = {
+  USER_WALLET: 'USER_WALLET', //                 what we owe a user (their spendable wallet)
+  USER_WALLET_HELD: 'USER_WALLET_HELD', //       a user's money reserved by a WalletHold
+  LENDER_RECEIVABLE: 'LENDER_RECEIVABLE', //     principal a borrower still owes a lender
+  BORROWER_LOAN_PAYABLE: 'BORROWER_LOAN_PAYABLE', // the same principal, from the borrower's side
+  PLATFORM_FEES: 'PLATFORM_FEES', //             fees earned (held in the platform user's wallet)
+  STRIPE_CLEARING: 'STRIPE_CLEARING', //         money in flight to/from Stripe
+  OPENING_BALANCE: 'OPENING_BALANCE', //         wallet balances that predate the journal
+};
+
+// Accounts whose balance grows with credits (liabilities from the platform's side)
+const CREDIT_NORMAL = new Set([
+  ACCOUNTS.USER_WALLET,
+  ACCOUNTS.USER_WALLET_HELD,
+  ACCOUNTS.BORROWER_LOAN_PAYABLE,
+  ACCOUNTS.PLATFORM_FEES,
+  ACCOUNTS.OPENING_BALANCE,
+]);
+
+// Accounts mirrored into the Wallet, and which balance they move
+const WALLET_FIELDS = {
+  [ACCOUNTS.USER_WALLET]: 'availableCents',
+  [ACCOUNTS.PLATFORM_FEES]: 'availableCents',
+  [ACCOUNTS.USER_WALLET_HELD]: 'pendingCents',
+};
+const WALLET_ACCOUNTS = new Set(Object.keys(WALLET_FIELDS));
+
+/** Line helpers: debit(ACCOUNTS.STRIPE_CLEARING, 500), credit(ACCOUNTS.USER_WALLET, 500, { userId }) */
+const debit = (account, amountCents, extra = {}) => ({ account, direction: 'debit', amountCents, ...extra });
+const credit = (account, amountCents, extra = {}) => ({ account, direction: 'credit', amountCents, ...extra });
+
+function validateLines(lines) {
+  const kept = lines.filter((l) => l.amountCents !== 0);
+  if (!kept.length) throw new Error('Journal entry has no lines');
+
+  let debits = 0;
+  let credits = 0;
+  for (const l of kept) {
+    if (!Object.values(ACCOUNTS).includes(l.account)) {
+      throw new Error(`Unknown ledger account: ${l.account}`);
+    }
+    if (!Number.isInteger(l.amountCents) || l.amountCents < 0) {
+      throw new Error(`Ledger amounts must be positive integer cents (got ${l.amountCents})`);
+    }
+    if (WALLET_ACCOUNTS.has(l.account) && !l.userId) {
+      throw new Error(`${l.account} lines need a userId`);
+    }
+    if (l.direction === 'debit') debits += l.amountCents;
+    else if (l.direction === 'credit') credits += l.amountCents;
+    else throw new Error(`Bad line direction: ${l.direction}`);
+  }
+  if (debits !== credits) {
+    throw new Error(`Unbalanced journal entry: debits ${debits} ≠ credits ${credits}`);
+  }
+  return kept;
+}
+
+/**
+ * Apply one wallet-backed line to the user's Wallet. Only available-balance
+ * moves get a WalletLedger row (balanceAfterCents is the available balance).
+ */
+async function mirrorToWallet(tx, line, entry, journalId) {
+  const field = WALLET_FIELDS[line.account];
+  const wallet = await tx.wallet.upsert({
+    where: { userId: line.userId },
+    update: {},
+    create: { userId: line.userId, availableCents: 0, pendingCents: 0 },
+  });
+
+  const isCredit = line.direction === 'credit';
+  if (!isCredit && !line.allowNegative && wallet[field] < line.amountCents) {
+    const err = new Error('INSUFFICIENT_FUNDS');
+    err.code = 'INSUFFICIENT_FUNDS';
+    err.userId = line.userId;
+    err.availableCents = wallet.availableCents;
+    err.pendingCents = wallet.pendingCents;
+    err.requiredCents = line.amountCents;
+    throw err;
+  }
+
+  const updated = await tx.wallet.update({
+    where: { id: wallet.id },
+    data: {
+      [field]: isCredit
+        ? { increment: line.amountCents }
+        : { decrement: line.amountCents },
+    },
+  });
+  if (field !== 'availableCents') return;
+
+  await tx.walletLedger.create({
+    data: {
+      walletId: wallet.id,
+      type: line.walletEntryType || entry.walletEntryType || WalletEntryType.ADJUSTMENT,
+      amountCents: line.amountCents,
+      direction: isCredit ? 'CREDIT' : 'DEBIT',
+      balanceAfterCents: updated.availableCents,
+      referenceType: entry.referenceType || (entry.loanId ? 'Loan' : null),
+      referenceId: entry.referenceId || entry.loanId || null,
+      journalEntryId: journalId,
+      metadata: {
+        kind: entry.kind,
+        loanId: entry.loanId || null,
+        repaymentId: entry.repaymentId || null,
+        ...(entry.metadata || {}),
+        ...(line.meta || {}),
+      },
+    },
+  });
+}
+
+/**
+ * Post a balanced journal entry.
+ *
+ * entry: {
+ *   kind, memo, loanId, repaymentId, externalId,
+ *   lines: [debit(...)/credit(...)],          // { account, direction, amountCents, userId?, loanId?, walletEntryType?, meta?, allowNegative? }
+ *   walletEntryType, referenceType, referenceId, metadata,   // for mirrored WalletLedger rows
+ *   transactions: [...], fees: [...],          // Transaction / Fee rows written in the same DB tx
+ * }
+ *
+ * Runs in its own DB transaction unless `tx` is given. Throws (err.code =
+ * 'INSUFFICIENT_FUNDS') when a wallet debit would overdraw. `mirrorWallets:
+ * false` records the lines without touching Wallet (used when backfilling
+ * balances that are already in the wallet).
+ */
+async function postJournal(entry, tx) {
+  if (!tx) return prisma.$transaction((t) => postJournal(entry, t));
+
+  const lines = validateLines(entry.lines || []);
+
+  const journal = await tx.journalEntry.create({
+    data: {
+      kind: entry.kind,
+      memo: entry.memo || null,
+      loanId: entry.loanId || null,
+      repaymentId: entry.repaymentId || null,
+      externalId: entry.externalId || null,
+    },
+  });
+
+  await tx.ledgerEntry.createMany({
+    data: lines.map((l) => ({
+      journalId: journal.id,
+      account: l.account,
+      userId: l.userId || null,
+      loanId: l.loanId || entry.loanId || null,
+      repaymentId: entry.repaymentId || null,
+      type: entry.kind,
+      amountCents: l.amountCents,
+      direction: l.direction,
+      stripePiId: entry.stripePiId || null,
+      stripeXferId: entry.stripeXferId || null,
+      meta: l.meta || null,
+    })),
+  });
+
+  if (entry.mirrorWallets !== false) {
+    for (const l of lines) {
+      if (WALLET_ACCOUNTS.has(l.account)) await mirrorToWallet(tx, l, entry, journal.id);
+    }
+  }
+
+  if (entry.transactions?.length) {
+    await tx.transaction.createMany({
+      data: entry.transactions.map((t) => ({ ...t, journalEntryId: journal.id })),
+    });
+  }
+  if (entry.fees?.length) {
+    await tx.fee.createMany({
+      data: entry.fees.map((f) => ({ ...f, journalEntryId: journal.id })),
+    });
+  }
+
+  return journal;
+}
+
+/**
+ * Balance of an account (optionally for one user / loan) from the journal,
+ * signed by the account's normal side.
+ */
+async function getAccountBalance(account, { userId, loanId } = {}, db = prisma) {
+  const where = { account, ...(userId && { userId }), ...(loanId && { loanId }) };
+  const grouped = await db.ledgerEntry.groupBy({
+    by: ['direction'],
+    where,
+    _sum: { amountCents: true },
+  });
+  const sum = (dir) => grouped.find((g) => g.direction === dir)?._sum.amountCents || 0;
+  return CREDIT_NORMAL.has(account) ? sum('credit') - sum('debit') : sum('debit') - sum('credit');
+}
+
+/**
+ * Compare a user's Wallet balances with what the journal says they should be.
+ * The platform user's wallet also carries the PLATFORM_FEES account; held
+ * money (USER_WALLET_HELD) is checked against pendingCents.
+ */
+async function checkWalletAgainstJournal(userId, db = prisma) {
+  const wallet = await db.wallet.findUnique({ where: { userId } });
+  const journalCents =
+    (await getAccountBalance(ACCOUNTS.USER_WALLET, { userId }, db)) +
+    (await getAccountBalance(ACCOUNTS.PLATFORM_FEES, { userId }, db));
+  const journalPendingCents = await getAccountBalance(ACCOUNTS.USER_WALLET_HELD, { userId }, db);
+  const walletCents = wallet?.availableCents || 0;
+  const pendingCents = wallet?.pendingCents || 0;
+
+  return {
+    userId,
+    walletCents,
+    journalCents,
+    diffCents: walletCents - journalCents,
+    pendingCents,
+    journalPendingCents,
+    pendingDiffCents: pendingCents - journalPendingCents,
+    ok: walletCents === journalCents && pendingCents === journalPendingCents,
+  };
+}
+
+module.exports = {
+  ACCOUNTS,
+  debit,
+  credit,
+  postJournal,
+  getAccountBalance,
+  checkWalletAgainstJournal,
+};
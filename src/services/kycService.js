@@ -0,0 +1,229 @@
+// src/services/kycService.js
+const prisma = require('../utils/prisma');
+const { getVerificationChecklist } = require('../utils/verification');
+const { reviewItems } = require('./verificationReviewService');
+const { readContent, STORAGE_SELECT } = require('./blobStorageService');
+
+/**
+ * Verification images are checked by a pluggable KYC provider. A provider is
+ * an object with
+ *
+ *   name
+ *   checkDocument({ userId, kind, buffer, mimeType, fileName })
+ *   checkSelfie({ userId, kind, buffer, mimeType, fileName, referenceImage })
+ *
+ * both resolving to { verdict: PASS|FAIL|REVIEW, confidence (0..1),
+ * reference, signals: [{ code, severity: LOW|MEDIUM|HIGH, detail }] }.
+ * KYC_PROVIDER picks one from PROVIDERS (default: the local mock).
+ *
+ * After each check the user's latest ID_FRONT / ID_BACK / SELFIE results
+ * decide the outcome: all confident passes → APPROVED, any confident fail →
+ * that item REJECTED, anything else → NEEDS_REVIEW in the admin pending
+ * queue. Items an admin already reviewed keep the admin's outcome.
+ *
+ * The mock only decides when NODE_ENV is explicitly development or test:
+ * otherwise (unset, production, ...) its checks are recorded but always go
+ * to manual review.
+ */
+
+const PROVIDERS = {
+  mock: require('./kycProviders/mockProvider'),
+};
+
+const REQUIRED_KINDS = ['ID_FRONT', 'ID_BACK', 'SELFIE'];
+const AUTO_APPROVE_CONFIDENCE = Number(process.env.KYC_AUTO_APPROVE_CONFIDENCE ?? 0.9);
+const AUTO_REJECT_CONFIDENCE = Number(process.env.KYC_AUTO_REJECT_CONFIDENCE ?? 0.9);
+
+/** Whether mock verdicts may approve / reject on their own (dev and test only). */
+function mockDecides() {
+  return ['development', 'test'].includes(process.env.NODE_ENV);
+}
+
+let warnedMock = false;
+function getProvider(name = process.env.KYC_PROVIDER || 'mock') {
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown KYC provider: ${name}`);
+  if (provider === PROVIDERS.mock && !mockDecides() && !warnedMock) {
+    console.warn(
+      `⚠️ KYC_PROVIDER is the mock with NODE_ENV=${process.env.NODE_ENV || '(unset)'}; every check goes to manual review`
+    );
+    warnedMock = true;
+  }
+  return provider;
+}
+
+/** Plug in another provider (e.g. a vendor SDK wrapper) under `name`. */
+function registerProvider(name, provider) {
+  PROVIDERS[name] = provider;
+}
+
+/**
+ * Send one uploaded image to the provider and record the result. Provider
+ * errors are recorded as verdict ERROR (→ manual review), never thrown.
+ */
+async function submitImage({ userId, documentId, kind, file }) {
+  let provider;
+  let result;
+  try {
+    provider = getProvider();
+    const input = {
+      userId,
+      kind,
+      buffer: file.buffer,
+      mimeType: file.mimetype,
+      fileName: file.originalname,
+    };
+    if (kind === 'SELFIE') {
+      const idFront = await prisma.document.findFirst({
+        where: { userId, type: 'ID_FRONT' },
+        orderBy: { createdAt: 'desc' },
+        select: { content: true, ...STORAGE_SELECT },
+      });
+      input.referenceImage = idFront ? await readContent(idFront) : null;
+      result = await provider.checkSelfie(input);
+    } else {
+      result = await provider.checkDocument(input);
+    }
+  } catch (err) {
+    console.error(`❌ KYC provider check failed for user ${userId} (${kind}):`, err);
+    result = {
+      verdict: 'ERROR',
+      confidence: null,
+      reference: null,
+      signals: [{ code: 'PROVIDER_ERROR', severity: 'HIGH', detail: err.message }],
+    };
+  }
+
+  return prisma.kycCheck.create({
+    data: {
+      userId,
+      documentId,
+      kind,
+      provider: provider?.name || String(process.env.KYC_PROVIDER || 'mock'),
+      reference: result.reference || null,
+      verdict: result.verdict,
+      confidence: Number.isFinite(result.confidence) ? result.confidence : null,
+      signals: result.signals || [],
+    },
+  });
+}
+
+/** PASS / FAIL when the provider is confident, REVIEW otherwise. */
+function classify(check) {
+  if (check.provider === PROVIDERS.mock.name && !mockDecides()) return 'REVIEW';
+  const signals = Array.isArray(check.signals) ? check.signals : [];
+  const highRisk = signals.some((s) => s.severity === 'HIGH');
+  const confidence = check.confidence ?? 0;
+
+  if (check.verdict === 'PASS' && !highRisk && confidence >= AUTO_APPROVE_CONFIDENCE) return 'PASS';
+  if (check.verdict === 'FAIL' && confidence >= AUTO_REJECT_CONFIDENCE) return 'FAIL';
+  return 'REVIEW';
+}
+
+/** Latest check per required kind. */
+async function latestChecks(userId) {
+  const checks = await prisma.kycCheck.findMany({
+    where: { userId, kind: { in: REQUIRED_KINDS } },
+    orderBy: { createdAt: 'desc' },
+  });
+  const latest = {};
+  for (const c of checks) if (!latest[c.kind]) latest[c.kind] = c;
+  return latest;
+}
+
+/** Reason shown to the user for an automatically rejected item. */
+function failureReason(check) {
+  const signals = Array.isArray(check.signals) ? check.signals : [];
+  const details = signals.map((s) => s.detail || s.code).filter(Boolean);
+  return `Automatic check failed: ${details.join('; ') || 'the image could not be verified'}`;
+}
+
+/**
+ * reviewItems() for automatic decisions. Returns null when a newer upload
+ * replaced one of the checked images meanwhile; its own evaluation decides.
+ */
+async function autoReview(userId, decisions, notes) {
+  try {
+    return await reviewItems({ userId, decisions, notes });
+  } catch (err) {
+    if (err.code !== 'STALE_ITEM') throw err;
+    return null;
+  }
+}
+
+/**
+ * Re-decide the user's verification from their current items and latest
+ * checks and store it. Returns { kycStatus, verificationStatus, outcomes }.
+ */
+async function evaluateUser(userId) {
+  const [checklist, latest] = await Promise.all([getVerificationChecklist(userId), latestChecks(userId)]);
+  const outcomes = Object.fromEntries(
+    REQUIRED_KINDS.map((k) => {
+      const item = checklist.items[k];
+      if (item.status === 'MISSING') return [k, 'MISSING'];
+      if (item.status === 'REJECTED') return [k, 'REJECTED']; // awaiting resubmission
+      if (item.status === 'APPROVED') return [k, 'PASS'];
+      const check = latest[k];
+      return [k, check && check.documentId === item.documentId ? classify(check) : 'REVIEW'];
+    })
+  );
+  const values = Object.values(outcomes);
+
+  // Still waiting on the user to resubmit rejected items
+  if (values.includes('REJECTED')) {
+    return { kycStatus: null, verificationStatus: checklist.status, outcomes };
+  }
+
+  let kycStatus = 'NEEDS_REVIEW';
+  let verificationStatus = 'PENDING';
+  if (values.includes('FAIL')) {
+    kycStatus = 'AUTO_REJECTED';
+    const failed = REQUIRED_KINDS.filter((k) => outcomes[k] === 'FAIL');
+    const reviewed = await autoReview(
+      userId,
+      Object.fromEntries(
+        failed.map((k) => [
+          k,
+          { outcome: 'REJECTED', reason: failureReason(latest[k]), documentId: latest[k].documentId },
+        ])
+      )
+    );
+    if (!reviewed) return { kycStatus: null, verificationStatus: checklist.status, outcomes };
+    ({ verificationStatus } = reviewed);
+  } else if (values.includes('MISSING')) {
+    kycStatus = 'IN_PROGRESS';
+  } else if (values.every((v) => v === 'PASS')) {
+    kycStatus = 'AUTO_APPROVED';
+    const unreviewed = REQUIRED_KINDS.filter((k) => checklist.items[k].status !== 'APPROVED');
+    if (unreviewed.length) {
+      const reviewed = await autoReview(
+        userId,
+        Object.fromEntries(
+          unreviewed.map((k) => [k, { outcome: 'APPROVED', documentId: checklist.items[k].documentId }])
+        ),
+        'Automatically approved by KYC provider'
+      );
+      if (!reviewed) return { kycStatus: null, verificationStatus: checklist.status, outcomes };
+      ({ verificationStatus } = reviewed);
+    } else {
+      verificationStatus = 'APPROVED';
+    }
+  }
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { kycStatus, verificationStatus },
+  });
+
+  return { kycStatus, verificationStatus, outcomes };
+}
+
+module.exports = {
+  REQUIRED_KINDS,
+  getProvider,
+  registerProvider,
+  submitImage,
+  classify,
+  latestChecks,
+  evaluateUser,
+};
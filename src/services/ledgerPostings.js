@@ -0,0 +1,290 @@
+// src/services/ledgerPostings.js
+// The journal entries for each kind of money movement. Controllers call these
+// instead of touching Wallet / WalletLedger / Transaction / Fee directly.
+const prisma = require('../utils/prisma');
+const { WalletEntryType } = require('@prisma/client');
+const { ACCOUNTS, debit, credit, postJournal } = require('./journalService');
+const { allocateToLenders } = require('./loanShareService');
+
+// Platform user that receives platform + bank fees
+const PLATFORM_USER_ID =
+  process.env.PLATFORM_FEE_USER_ID || '68f523b619356751fcb1ed4b';
+
+/** Money in from Stripe (card / bank) → user wallet. */
+function postDeposit({ userId, amountCents, externalId = null, provider = 'stripe', metadata = {} }, tx) {
+  return postJournal(
+    {
+      kind: 'DEPOSIT',
+      externalId,
+      stripePiId: externalId,
+      walletEntryType: WalletEntryType.DEPOSIT,
+      referenceType: provider === 'stripe' ? 'StripePI' : 'Simulated',
+      metadata: { provider, externalId, ...metadata },
+      lines: [
+        debit(ACCOUNTS.STRIPE_CLEARING, amountCents),
+        credit(ACCOUNTS.USER_WALLET, amountCents, { userId }),
+      ],
+    },
+    tx
+  );
+}
+
+/**
+ * User wallet → out to their bank via Stripe. `fromHeld` when the amount was
+ * already moved to held while the payout was in flight.
+ */
+function postWithdrawal(
+  { userId, amountCents, externalId = null, provider = 'stripe', fromHeld = false, metadata = {} },
+  tx
+) {
+  return postJournal(
+    {
+      kind: 'WITHDRAWAL',
+      externalId,
+      walletEntryType: WalletEntryType.WITHDRAWAL,
+      referenceType: 'Payout',
+      metadata: { provider, externalId, ...metadata },
+      lines: [
+        debit(fromHeld ? ACCOUNTS.USER_WALLET_HELD : ACCOUNTS.USER_WALLET, amountCents, { userId }),
+        credit(ACCOUNTS.STRIPE_CLEARING, amountCents),
+      ],
+    },
+    tx
+  );
+}
+
+/** Reserve part of a user's available balance (WalletHold placed). */
+function postHold({ userId, amountCents, holdId, referenceType = null, referenceId = null }, tx) {
+  return postJournal(
+    {
+      kind: 'HOLD',
+      walletEntryType: WalletEntryType.HOLD,
+      referenceType,
+      referenceId,
+      metadata: { holdId },
+      lines: [
+        debit(ACCOUNTS.USER_WALLET, amountCents, { userId }),
+        credit(ACCOUNTS.USER_WALLET_HELD, amountCents, { userId }),
+      ],
+    },
+    tx
+  );
+}
+
+/** Give reserved money back to the available balance (hold released / expired). */
+function postHoldRelease({ userId, amountCents, holdId, referenceType = null, referenceId = null }, tx) {
+  return postJournal(
+    {
+      kind: 'RELEASE',
+      walletEntryType: WalletEntryType.RELEASE,
+      referenceType,
+      referenceId,
+      metadata: { holdId },
+      lines: [
+        debit(ACCOUNTS.USER_WALLET_HELD, amountCents, { userId }),
+        credit(ACCOUNTS.USER_WALLET, amountCents, { userId }),
+      ],
+    },
+    tx
+  );
+}
+
+/**
+ * A lender funds (their share of) a loan from their wallet: lender wallet →
+ * borrower wallet, and the lender now holds a receivable for that principal.
+ * `heldCents` of it comes out of the lender's held money (consumed holds), the
+ * rest out of their available balance.
+ */
+function postLoanFunding({ loanId, lenderId, borrowerId, amountCents, heldCents = 0, shareIds = [] }, tx) {
+  const fromHeld = Math.min(heldCents, amountCents);
+  return postJournal(
+    {
+      kind: 'FUNDING',
+      loanId,
+      walletEntryType: WalletEntryType.DISBURSE,
+      metadata: { lenderId, borrowerId, shareIds },
+      lines: [
+        debit(ACCOUNTS.USER_WALLET_HELD, fromHeld, {
+          userId: lenderId,
+          meta: { reason: 'LOAN_FUNDED_HOLD_CONSUMED' },
+        }),
+        debit(ACCOUNTS.USER_WALLET, amountCents - fromHeld, {
+          userId: lenderId,
+          meta: { reason: 'LOAN_FUNDED_LENDER_DEBIT' },
+        }),
+        credit(ACCOUNTS.USER_WALLET, amountCents, {
+          userId: borrowerId,
+          meta: { reason: 'LOAN_FUNDED_BORROWER_CREDIT' },
+        }),
+        debit(ACCOUNTS.LENDER_RECEIVABLE, amountCents, { userId: lenderId }),
+        credit(ACCOUNTS.BORROWER_LOAN_PAYABLE, amountCents, { userId: borrowerId }),
+      ],
+      transactions: [
+        {
+          type: 'DISBURSEMENT',
+          amount: amountCents / 100,
+          loanId,
+          fromUserId: lenderId,
+          toUserId: borrowerId,
+        },
+      ],
+    },
+    tx
+  );
+}
+
+/**
+ * A borrower payment on a loan (installment, payoff or prepayment).
+ *
+ * The base (principal + interest) is split pro-rata across the lenders, the
+ * fees go to the platform, and the principal part runs down the lenders'
+ * receivables. `source` is WALLET (borrower's wallet) or EXTERNAL (card / ACH
+ * pulled through Stripe).
+ *
+ * Writes the REPAYMENT / fee Transaction rows and BANK_FEE / PLATFORM_FEE Fee
+ * rows in the same DB transaction. Late fees already have their Fee row from
+ * when they were assessed.
+ */
+async function postRepayment(
+  {
+    kind = 'REPAYMENT',
+    loanId,
+    repaymentId = null,
+    borrowerId,
+    source = 'WALLET',
+    baseCents,
+    principalCents = baseCents,
+    bankingFeeCents = 0,
+    peerfundFeeCents = 0,
+    lateFeeCents = 0,
+    externalId = null,
+    metadata = {},
+  },
+  tx
+) {
+  const db = tx || prisma;
+  const allocations = await allocateToLenders(loanId, baseCents, db);
+  const principalAllocations = await allocateToLenders(
+    loanId,
+    Math.min(principalCents, baseCents),
+    db
+  );
+  const feeCents = bankingFeeCents + peerfundFeeCents + lateFeeCents;
+  const totalCents = baseCents + feeCents;
+  const principalTotal = principalAllocations.reduce((s, a) => s + a.amountCents, 0);
+
+  const lines = [
+    source === 'WALLET'
+      ? debit(ACCOUNTS.USER_WALLET, totalCents, {
+          userId: borrowerId,
+          meta: { reason: `${kind}_DEBIT`, source },
+        })
+      : debit(ACCOUNTS.STRIPE_CLEARING, totalCents, { meta: { source } }),
+    ...allocations.map((a) =>
+      credit(ACCOUNTS.USER_WALLET, a.amountCents, {
+        userId: a.lenderId,
+        meta: { reason: `${kind}_BASE`, shareId: a.shareId },
+      })
+    ),
+    credit(ACCOUNTS.PLATFORM_FEES, feeCents, {
+      userId: PLATFORM_USER_ID,
+      walletEntryType: WalletEntryType.FEE,
+      meta: { reason: `${kind}_FEES`, bankingFeeCents, peerfundFeeCents, lateFeeCents },
+    }),
+    ...principalAllocations.map((a) =>
+      credit(ACCOUNTS.LENDER_RECEIVABLE, a.amountCents, { userId: a.lenderId })
+    ),
+    debit(ACCOUNTS.BORROWER_LOAN_PAYABLE, principalTotal, { userId: borrowerId }),
+  ];
+
+  const transactions = allocations.map((a) => ({
+    type: 'REPAYMENT',
+    amount: a.amountCents / 100,
+    fromUserId: borrowerId,
+    toUserId: a.lenderId,
+    loanId,
+    repaymentId,
+  }));
+  const fees = [];
+  if (bankingFeeCents > 0) {
+    transactions.push({ type: 'BANK_FEE', amount: bankingFeeCents / 100, fromUserId: borrowerId, toUserId: PLATFORM_USER_ID, loanId, repaymentId });
+    fees.push({ loanId, repaymentId, type: 'BANK_FEE', amount: bankingFeeCents / 100, toUserId: PLATFORM_USER_ID });
+  }
+  if (peerfundFeeCents > 0) {
+    transactions.push({ type: 'PLATFORM_FEE', amount: peerfundFeeCents / 100, fromUserId: borrowerId, toUserId: PLATFORM_USER_ID, loanId, repaymentId });
+    fees.push({ loanId, repaymentId, type: 'PLATFORM_FEE', amount: peerfundFeeCents / 100, toUserId: PLATFORM_USER_ID });
+  }
+  if (lateFeeCents > 0) {
+    transactions.push({ type: 'LATE_FEE', amount: lateFeeCents / 100, fromUserId: borrowerId, toUserId: PLATFORM_USER_ID, loanId, repaymentId });
+  }
+
+  const journal = await postJournal(
+    {
+      kind,
+      loanId,
+      repaymentId,
+      externalId,
+      walletEntryType: WalletEntryType.REPAYMENT,
+      metadata: { source, ...metadata },
+      lines,
+      transactions,
+      fees,
+    },
+    tx
+  );
+
+  return { journal, allocations, totalCents };
+}
+
+/**
+ * A user pays a fee straight from their wallet (e.g. SuperUser subscription,
+ * fee routing). Bank fees can go to a separate fee user.
+ */
+function postFeeCharge(
+  {
+    fromUserId,
+    loanId = null,
+    repaymentId = null,
+    peerfundFeeCents = 0,
+    bankingFeeCents = 0,
+    platformUserId = PLATFORM_USER_ID,
+    bankFeeUserId = PLATFORM_USER_ID,
+    transactions = [],
+    metadata = {},
+  },
+  tx
+) {
+  return postJournal(
+    {
+      kind: 'FEE',
+      loanId,
+      repaymentId,
+      walletEntryType: WalletEntryType.FEE,
+      metadata,
+      lines: [
+        debit(ACCOUNTS.USER_WALLET, peerfundFeeCents + bankingFeeCents, { userId: fromUserId }),
+        credit(ACCOUNTS.PLATFORM_FEES, peerfundFeeCents, {
+          userId: platformUserId,
+          meta: { kind: 'ADMIN_FEE' },
+        }),
+        credit(ACCOUNTS.PLATFORM_FEES, bankingFeeCents, {
+          userId: bankFeeUserId,
+          meta: { kind: 'BANK_FEE' },
+        }),
+      ],
+      transactions,
+    },
+    tx
+  );
+}
+
+module.exports = {
+  PLATFORM_USER_ID,
+  postDeposit,
+  postWithdrawal,
+  postHold,
+  postHoldRelease,
+  postLoanFunding,
+  postRepayment,
+  postFeeCharge,
+};
@@ -0,0 +1,279 @@
+// src/services/lenderListingService.js
+const prisma = require('../utils/prisma');
+const { MIN_LOAN_AMOUNT, MAX_LOAN_AMOUNT } = require('../utils/loanTiers');
+const { SERVICING_LOAN_STATUSES } = require('../utils/delinquency');
+const { getCreditScores } = require('./creditScoreService');
+
+const MIN_MONTHS = 1;
+const MAX_MONTHS = 60;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Listings a lender deleted are kept (direct requests point at them) but hidden
+const NOT_DELETED = { OR: [{ deletedAt: { isSet: false } }, { deletedAt: null }] };
+
+// Loans that actually had money go out
+const FUNDED_LOAN_STATUSES = [...SERVICING_LOAN_STATUSES, 'COMPLETED'];
+
+const DIRECTORY_SORTS = {
+  newest: [{ createdAt: 'desc' }, { id: 'desc' }],
+  apr_asc: [{ apr: 'asc' }, { id: 'asc' }],
+  apr_desc: [{ apr: 'desc' }, { id: 'desc' }],
+  amount_desc: [{ maxAmount: 'desc' }, { id: 'desc' }],
+  term_desc: [{ maxMonths: 'desc' }, { id: 'desc' }],
+};
+
+function listingError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+/**
+ * Validate listing terms. `input` is a create body or a partial update
+ * merged over `current`. Returns { data } (only the fields given) or { error }.
+ */
+function parseListingInput(input = {}, current = null) {
+  const data = {};
+
+  for (const key of ['apr', 'minAmount', 'maxAmount']) {
+    if (input[key] === undefined) continue;
+    const n = Number(input[key]);
+    if (!Number.isFinite(n)) return { error: `${key} must be a number` };
+    data[key] = round2(n);
+  }
+  for (const key of ['minMonths', 'maxMonths']) {
+    if (input[key] === undefined) continue;
+    const n = Number(input[key]);
+    if (!Number.isInteger(n)) return { error: `${key} must be a whole number of months` };
+    data[key] = n;
+  }
+  for (const key of ['headline', 'description']) {
+    if (input[key] === undefined) continue;
+    data[key] = input[key] == null ? null : String(input[key]).trim().slice(0, key === 'headline' ? 120 : 2000) || null;
+  }
+
+  const merged = { ...(current || {}), ...data };
+  const required = ['apr', 'minAmount', 'maxAmount', 'minMonths', 'maxMonths'];
+  const missing = required.filter((k) => merged[k] == null);
+  if (missing.length) return { error: `Missing: ${missing.join(', ')}` };
+
+  if (merged.apr < 0 || merged.apr > 100) return { error: 'apr must be between 0 and 100' };
+  if (merged.minAmount < MIN_LOAN_AMOUNT || merged.maxAmount > MAX_LOAN_AMOUNT) {
+    return { error: `Amounts must be between $${MIN_LOAN_AMOUNT} and $${MAX_LOAN_AMOUNT}` };
+  }
+  if (merged.minAmount > merged.maxAmount) return { error: 'minAmount cannot be greater than maxAmount' };
+  if (merged.minMonths < MIN_MONTHS || merged.maxMonths > MAX_MONTHS) {
+    return { error: `Terms must be between ${MIN_MONTHS} and ${MAX_MONTHS} months` };
+  }
+  if (merged.minMonths > merged.maxMonths) return { error: 'minMonths cannot be greater than maxMonths' };
+
+  return { data };
+}
+
+/**
+ * Public track record per lender → Map(lenderId → stats). Counts fractional
+ * shares as well as legacy single-lender loans.
+ */
+async function getLenderStats(lenderIds) {
+  const ids = [...new Set(lenderIds.filter(Boolean).map(String))];
+  const empty = () => ({ loansFunded: 0, totalLentCents: 0, activeLoans: 0, completedLoans: 0, defaultedLoans: 0 });
+  const out = new Map(ids.map((id) => [id, empty()]));
+  if (!ids.length) return out;
+
+  const loans = await prisma.loan.findMany({
+    where: {
+      status: { in: FUNDED_LOAN_STATUSES },
+      OR: [{ lenderId: { in: ids } }, { shares: { some: { lenderId: { in: ids } } } }],
+    },
+    select: {
+      lenderId: true,
+      status: true,
+      principalCents: true,
+      amount: true,
+      shares: { select: { lenderId: true, principalCents: true } },
+    },
+  });
+
+  for (const loan of loans) {
+    const parts = loan.shares.length
+      ? loan.shares
+      : [{ lenderId: loan.lenderId, principalCents: loan.principalCents ?? Math.round((loan.amount || 0) * 100) }];
+    for (const part of parts) {
+      const s = out.get(part.lenderId);
+      if (!s) continue;
+      s.loansFunded++;
+      s.totalLentCents += part.principalCents || 0;
+      if (loan.status === 'COMPLETED') s.completedLoans++;
+      else if (loan.status === 'DEFAULTED') s.defaultedLoans++;
+      else s.activeLoans++;
+    }
+  }
+  return out;
+}
+
+/** Where clause for listings visible in the directory. */
+function directoryWhere(query = {}) {
+  const where = { isActive: true, AND: [NOT_DELETED] };
+
+  const amount = Number(query.amount);
+  if (query.amount != null && query.amount !== '' && Number.isFinite(amount)) {
+    where.minAmount = { lte: amount };
+    where.maxAmount = { gte: amount };
+  }
+  const months = Number(query.months);
+  if (query.months != null && query.months !== '' && Number.isInteger(months)) {
+    where.minMonths = { lte: months };
+    where.maxMonths = { gte: months };
+  }
+  const maxApr = Number(query.maxApr);
+  if (query.maxApr != null && query.maxApr !== '' && Number.isFinite(maxApr)) {
+    where.apr = { lte: maxApr };
+  }
+  if (query.lenderId) where.lenderId = String(query.lenderId);
+  if (query.q && String(query.q).trim()) {
+    const q = String(query.q).trim().slice(0, 200);
+    where.OR = [
+      { headline: { contains: q, mode: 'insensitive' } },
+      { description: { contains: q, mode: 'insensitive' } },
+      { lender: { is: { name: { contains: q, mode: 'insensitive' } } } },
+    ];
+  }
+  return where;
+}
+
+/**
+ * Directory page: active listings with the lender's public info, stats and
+ * trust score. Returns { items, nextCursor }.
+ */
+async function searchDirectory({ query = {}, sort = 'apr_asc', cursor = null, limit = DEFAULT_PAGE_SIZE }) {
+  const take = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const rows = await prisma.lenderListing.findMany({
+    where: directoryWhere(query),
+    orderBy: DIRECTORY_SORTS[sort] || DIRECTORY_SORTS.apr_asc,
+    take: take + 1,
+    ...(cursor && { cursor: { id: String(cursor) }, skip: 1 }),
+    include: {
+      lender: { select: { id: true, name: true, location: true, isSuperUser: true, createdAt: true } },
+    },
+  });
+
+  const page = rows.slice(0, take);
+  const items = await withLenderInfo(page);
+  return { items, nextCursor: rows.length > take ? page[page.length - 1].id : null };
+}
+
+/** Attach lender stats and trust score to listings that include `lender`. */
+async function withLenderInfo(listings) {
+  const lenderIds = listings.map((l) => l.lenderId);
+  const [stats, scores] = await Promise.all([getLenderStats(lenderIds), getCreditScores(lenderIds)]);
+  return listings.map((l) => ({
+    ...toPublicListing(l),
+    lender: l.lender && {
+      ...l.lender,
+      stats: stats.get(l.lenderId),
+      trustScore: scores.get(l.lenderId) || null,
+    },
+  }));
+}
+
+/** Listing fields safe to show borrowers (auto-invest settings stay private). */
+function toPublicListing(l) {
+  return {
+    id: l.id,
+    lenderId: l.lenderId,
+    apr: l.apr,
+    minAmount: l.minAmount,
+    maxAmount: l.maxAmount,
+    minMonths: l.minMonths,
+    maxMonths: l.maxMonths,
+    headline: l.headline,
+    description: l.description,
+    isActive: l.isActive,
+    createdAt: l.createdAt,
+    updatedAt: l.updatedAt,
+  };
+}
+
+/**
+ * Throws AMOUNT_OUT_OF_RANGE | TERM_OUT_OF_RANGE unless `amount` and `months`
+ * fall within the listing's bounds. Returns them normalised.
+ */
+function assertWithinListing(listing, { amount, months }) {
+  const amt = round2(amount);
+  if (!Number.isFinite(amt) || amt < listing.minAmount || amt > listing.maxAmount) {
+    throw listingError(
+      'AMOUNT_OUT_OF_RANGE',
+      `Amount must be between $${listing.minAmount} and $${listing.maxAmount}`
+    );
+  }
+  const m = Number(months);
+  if (!Number.isInteger(m) || m < listing.minMonths || m > listing.maxMonths) {
+    throw listingError(
+      'TERM_OUT_OF_RANGE',
+      `Term must be between ${listing.minMonths} and ${listing.maxMonths} months`
+    );
+  }
+  return { amount: amt, months: m };
+}
+
+/**
+ * Borrower asks for a loan on a listing's terms. The amount and term must
+ * fall within the listing's bounds and the APR is the listing's.
+ * Throws err.code: LISTING_NOT_FOUND | LISTING_INACTIVE | OWN_LISTING |
+ * AMOUNT_OUT_OF_RANGE | TERM_OUT_OF_RANGE.
+ */
+async function createRequestFromListing({ listingId, borrowerId, amount, months, notes = '', schedule = {} }) {
+  const listing = await prisma.lenderListing.findUnique({ where: { id: String(listingId) } });
+  if (!listing || listing.deletedAt) throw listingError('LISTING_NOT_FOUND', 'Listing not found');
+  if (!listing.isActive) throw listingError('LISTING_INACTIVE', 'This listing is paused');
+  if (listing.lenderId === String(borrowerId)) {
+    throw listingError('OWN_LISTING', 'Cannot request a loan from your own listing');
+  }
+
+  const { amount: amt, months: m } = assertWithinListing(listing, { amount, months });
+
+  return prisma.directLoanRequest.create({
+    data: {
+      listingId: listing.id,
+      lenderId: listing.lenderId,
+      borrowerId: String(borrowerId),
+      amount: amt,
+      months: m,
+      apr: listing.apr,
+      notes: notes ? String(notes).slice(0, 1000) : '',
+      scheduleMethod: schedule.scheduleMethod || null,
+      paymentFrequency: schedule.paymentFrequency || null,
+      status: 'PENDING',
+    },
+    select: {
+      id: true,
+      listingId: true,
+      status: true,
+      amount: true,
+      months: true,
+      apr: true,
+      scheduleMethod: true,
+      paymentFrequency: true,
+      notes: true,
+      lenderId: true,
+      borrowerId: true,
+      createdAt: true,
+    },
+  });
+}
+
+module.exports = {
+  NOT_DELETED,
+  DIRECTORY_SORTS,
+  parseListingInput,
+  getLenderStats,
+  searchDirectory,
+  withLenderInfo,
+  toPublicListing,
+  assertWithinListing,
+  createRequestFromListing,
+};
@@ -0,0 +1,165 @@
+// src/services/loanFundingService.js
+const prisma = require('../utils/prisma');
+const { getWalletOrCreate } = require('../utils/wallet');
+const { getLoanShares } = require('./loanShareService');
+const { postLoanFunding } = require('./ledgerPostings');
+const { consumeHolds, getHeldCents } = require('./walletHoldService');
+
+function fundingError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * One lender funds their own share(s) of an ACCEPTED loan, wallet → wallet:
+ *
+ *  1) debit the lender's wallet by their share (held money from their offer /
+ *     direct-request hold first, then availableCents)
+ *  2) credit the borrower's wallet by the same amount
+ *  3) mark the share FUNDED; once every share is funded the loan is FUNDED
+ *     and a DirectLoanRequest it came from moves to DISBURSED
+ *
+ * Throws err.code: LOAN_NOT_FOUND | NOT_A_LENDER | ALREADY_FUNDED |
+ * NOT_READY | AGREEMENT_UNSIGNED | INVALID_PRINCIPAL | INSUFFICIENT_FUNDS.
+ * Returns { loan, fullyFunded, shareCents }.
+ */
+async function fundLoanShare({ loanId, lenderId }) {
+  const loan = await prisma.loan.findUnique({ where: { id: loanId } });
+  if (!loan) throw fundingError('LOAN_NOT_FOUND', 'Loan not found');
+
+  const shares = await getLoanShares(loan.id);
+  const myShares = shares.filter((s) => String(s.lenderId) === String(lenderId));
+  if (!myShares.length) throw fundingError('NOT_A_LENDER', 'Only a lender on this loan can fund it');
+
+  const status = (loan.status || '').toUpperCase();
+  if (status === 'FUNDED') throw fundingError('ALREADY_FUNDED', 'Loan already funded');
+  if (status !== 'ACCEPTED') {
+    throw fundingError('NOT_READY', 'Loan is not ready to fund (status must be ACCEPTED)');
+  }
+
+  // Money only moves under an agreement every party has signed
+  const agreement = await prisma.loanAgreement.findUnique({
+    where: { loanId: loan.id },
+    select: { status: true },
+  });
+  if (agreement?.status !== 'SIGNED') {
+    throw fundingError(
+      'AGREEMENT_UNSIGNED',
+      agreement
+        ? 'The loan agreement must be signed by every party before funding'
+        : 'This loan has no agreement yet; generate and sign it before funding'
+    );
+  }
+
+  const pendingShares = myShares.filter((s) => s.status !== 'FUNDED');
+  if (!pendingShares.length) {
+    throw fundingError('ALREADY_FUNDED', 'Your share of this loan is already funded');
+  }
+
+  // Canonical amount in cents (this lender's part only)
+  const shareCents = pendingShares.reduce((sum, s) => sum + s.principalCents, 0);
+  if (!shareCents || shareCents <= 0) throw fundingError('INVALID_PRINCIPAL', 'Invalid principal amount');
+
+  // Holds reserved for this share (offer holds, or the direct-request hold)
+  const holdWhere = {
+    OR: [
+      { offerId: { in: pendingShares.map((s) => s.offerId).filter(Boolean) } },
+      { loanId: loan.id },
+    ],
+  };
+
+  // Quick pre-check: lender wallet exists & has balance
+  const lenderWallet = await getWalletOrCreate(lenderId);
+  if (!lenderWallet) throw new Error('Wallet not found for lender');
+  const heldForShare = await getHeldCents(lenderId, holdWhere);
+  if (lenderWallet.availableCents + heldForShare < shareCents) {
+    throw fundingError('INSUFFICIENT_FUNDS', 'Insufficient wallet balance to fund your share of this loan', {
+      availableCents: lenderWallet.availableCents,
+      heldCents: heldForShare,
+      requiredCents: shareCents,
+    });
+  }
+
+  // Single DB transaction: consume holds, journal (lender → borrower),
+  // mark share(s) FUNDED
+  const fundedAt = new Date();
+  const shareIds = pendingShares.map((s) => s.id).filter(Boolean);
+  const fullyFunded = await prisma.$transaction(async (tx) => {
+    // Claim the shares first: they were read outside this transaction, so a
+    // concurrent (or retried) funding must not post the journal again
+    if (shareIds.length) {
+      const { count } = await tx.loanShare.updateMany({
+        where: { id: { in: shareIds }, status: 'PENDING' },
+        data: { status: 'FUNDED', fundedAt },
+      });
+      if (count !== shareIds.length) {
+        throw fundingError('ALREADY_FUNDED', 'Your share of this loan is already funded');
+      }
+    }
+
+    // Holds beyond the share (e.g. a larger offer) are released, not stranded
+    const heldCents = await consumeHolds(lenderId, holdWhere, tx, shareCents);
+
+    // Lender wallet → borrower wallet, lender receivable, DISBURSEMENT row
+    await postLoanFunding(
+      {
+        loanId: loan.id,
+        lenderId,
+        borrowerId: loan.borrowerId,
+        amountCents: shareCents,
+        heldCents,
+        shareIds,
+      },
+      tx
+    );
+
+    // Legacy single-lender loans have no share rows → funded outright
+    const unfunded = shareIds.length
+      ? await tx.loanShare.count({
+          where: { loanId: loan.id, status: { not: 'FUNDED' } },
+        })
+      : 0;
+
+    await tx.loan.update({
+      where: { id: loan.id },
+      data: {
+        ...(unfunded === 0 ? { status: 'FUNDED', fundedDate: fundedAt } : {}),
+        disbursedAmount: { increment: shareCents / 100 }, // dollars
+        updatedAt: fundedAt,
+      },
+    });
+
+    if (unfunded === 0) {
+      await tx.directLoanRequest.updateMany({
+        where: { loanId: loan.id, status: { in: ['APPROVED', 'AUTO_APPROVED'] } },
+        data: { status: 'DISBURSED', disbursedAt: fundedAt },
+      });
+    }
+
+    return unfunded === 0;
+  });
+
+  if (fullyFunded) {
+    try {
+      await prisma.notification.create({
+        data: {
+          userId: loan.borrowerId,
+          type: 'LOAN',
+          message: `💰 Your $${Number(loan.amount || 0).toFixed(2)} loan is fully funded and the money is in your wallet.`,
+          data: { loanId: loan.id },
+        },
+      });
+    } catch (e) {
+      console.error('⚠️ Failed to send funding notification:', e);
+    }
+  }
+
+  const updated = await prisma.loan.findUnique({ where: { id: loan.id } });
+  return { loan: updated, fullyFunded, shareCents };
+}
+
+module.exports = {
+  fundLoanShare,
+};
@@ -0,0 +1,269 @@
+// src/services/loanOfferService.js
+const prisma = require('../utils/prisma');
+const { addDays } = require('date-fns');
+const { HOLD_TTL_DAYS, placeHold, releaseHolds } = require('./walletHoldService');
+
+/**
+ * Lender side of a LoanOffer:
+ *
+ *   OPEN ──amend────▶ OPEN (revision + 1, hold re-sized if the amount moved)
+ *        ──withdraw─▶ WITHDRAWN
+ *        ──expire───▶ EXPIRED   (past expiresAt, see expireLoanOffers)
+ *
+ * Every revision's terms are kept in LoanOfferRevision, and the borrower is
+ * told whenever an offer on their request changes.
+ */
+
+const dollars = (n) => `$${Number(n).toFixed(2)}`;
+
+function offerError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * Optional offer expiry from a request body: unset/'' → undefined,
+ * null → null (no expiry), else a future date.
+ */
+function parseOfferExpiry(value, now = new Date()) {
+  if (value === undefined || value === '') return { expiresAt: undefined };
+  if (value === null) return { expiresAt: null };
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return { error: 'expiresAt must be a valid date' };
+  if (d <= now) return { error: 'expiresAt must be in the future' };
+  return { expiresAt: d };
+}
+
+// Offers written before revisions existed have no `revision` field
+const revisionWhere = (revision) =>
+  revision > 1 ? { revision } : { OR: [{ revision: 1 }, { revision: { isSet: false } }] };
+
+/** Cents of a LoanRequest already taken by ACCEPTED (fractional) offers. */
+async function getSubscribedCents(loanRequestId, db = prisma) {
+  const agg = await db.loanOffer.aggregate({
+    where: { loanRequestId, status: 'ACCEPTED' },
+    _sum: { amount: true },
+  });
+  return Math.round(Number(agg._sum.amount || 0) * 100);
+}
+
+/**
+ * Create an OPEN offer and reserve its amount in the lender's wallet
+ * (available → pending until the offer is funded / rejected / expires).
+ * Throws err.code = 'INSUFFICIENT_FUNDS' from placeHold.
+ */
+async function createOfferWithHold(params, tx) {
+  if (!tx) return prisma.$transaction((t) => createOfferWithHold(params, t));
+
+  const { loanRequestId, lenderId, amountCents, duration, interestRate, message = null, expiresAt = null } =
+    params;
+
+  const created = await tx.loanOffer.create({
+    data: {
+      loanRequestId,
+      lenderId,
+      amount: amountCents / 100,
+      duration: Number(duration),
+      interestRate,
+      message,
+      revision: 1,
+      expiresAt,
+    },
+    include: { lender: { select: { id: true, name: true } } },
+  });
+
+  await tx.loanOfferRevision.create({
+    data: {
+      offerId: created.id,
+      revision: 1,
+      amount: created.amount,
+      duration: created.duration,
+      interestRate,
+      message,
+      expiresAt,
+    },
+  });
+
+  // An offer expiry also bounds how long the money stays reserved
+  const hold = await placeHold(
+    {
+      userId: lenderId,
+      amountCents,
+      reason: 'LoanOffer',
+      offerId: created.id,
+      loanRequestId,
+      ...(expiresAt && { expiresAt }),
+    },
+    tx
+  );
+
+  return { ...created, holdId: hold.id, holdExpiresAt: hold.expiresAt };
+}
+
+async function notifyBorrower(offer, message, data = {}) {
+  try {
+    const lr = await prisma.loanRequest.findUnique({
+      where: { id: offer.loanRequestId },
+      select: { borrowerId: true },
+    });
+    if (!lr) return;
+    await prisma.notification.create({
+      data: {
+        userId: lr.borrowerId,
+        type: 'OFFER',
+        message,
+        data: { loanRequestId: offer.loanRequestId, offerId: offer.id, ...data },
+      },
+    });
+  } catch (e) {
+    console.error('⚠️ Failed to notify borrower about offer change:', e);
+  }
+}
+
+/**
+ * The lender amends their OPEN offer. `changes` holds any of amountCents,
+ * interestRate, message, expiresAt (null clears it); the caller has already
+ * validated them. Writes the next revision, re-sizes the wallet hold when the
+ * amount changes and tells the borrower. Returns the updated offer.
+ * Throws err.code = STALE_OFFER | INSUFFICIENT_FUNDS.
+ */
+async function amendOffer(offer, changes) {
+  const now = new Date();
+  const data = { updatedAt: now };
+  if (changes.amountCents !== undefined) data.amount = changes.amountCents / 100;
+  if (changes.interestRate !== undefined) data.interestRate = changes.interestRate;
+  if (changes.message !== undefined) data.message = changes.message;
+  if (changes.expiresAt !== undefined) data.expiresAt = changes.expiresAt;
+
+  const currentRevision = offer.revision || 1;
+  const amountChanged =
+    changes.amountCents !== undefined && changes.amountCents !== Math.round(Number(offer.amount) * 100);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    // Bump the revision first so two concurrent amendments can't both land
+    const { count } = await tx.loanOffer.updateMany({
+      where: { id: offer.id, status: 'OPEN', ...revisionWhere(currentRevision) },
+      data: { ...data, revision: currentRevision + 1 },
+    });
+    if (!count) throw offerError('STALE_OFFER', 'The offer changed, reload and try again');
+
+    const next = await tx.loanOffer.findUnique({ where: { id: offer.id } });
+    await tx.loanOfferRevision.create({
+      data: {
+        offerId: next.id,
+        revision: next.revision,
+        amount: next.amount,
+        duration: next.duration,
+        interestRate: next.interestRate,
+        message: next.message,
+        expiresAt: next.expiresAt,
+      },
+    });
+
+    if (amountChanged) {
+      // Give back the old reservation and reserve the new amount
+      await releaseHolds({ offerId: offer.id }, {}, tx);
+      await placeHold(
+        {
+          userId: offer.lenderId,
+          amountCents: changes.amountCents,
+          reason: 'LoanOffer',
+          offerId: offer.id,
+          loanRequestId: offer.loanRequestId,
+          ...(next.expiresAt && { expiresAt: next.expiresAt }),
+        },
+        tx
+      );
+    } else if (changes.expiresAt !== undefined) {
+      // Clearing the offer's expiry puts the hold back on the default TTL
+      await tx.walletHold.updateMany({
+        where: { offerId: offer.id, status: 'ACTIVE' },
+        data: { expiresAt: next.expiresAt || addDays(now, HOLD_TTL_DAYS) },
+      });
+    }
+
+    return next;
+  });
+
+  await notifyBorrower(
+    updated,
+    `✏️ A lender updated their offer on your loan request: ${dollars(updated.amount)} at ${updated.interestRate}%.`,
+    { revision: updated.revision }
+  );
+  return updated;
+}
+
+/**
+ * The lender takes back their OPEN offer; the reserved money is released and
+ * the borrower is told. Throws err.code = STALE_OFFER.
+ */
+async function withdrawOffer(offer) {
+  const now = new Date();
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.loanOffer.updateMany({
+      where: { id: offer.id, status: 'OPEN' },
+      data: { status: 'WITHDRAWN', withdrawnAt: now, updatedAt: now },
+    });
+    if (!count) throw offerError('STALE_OFFER', 'Offer is no longer open');
+    await releaseHolds({ offerId: offer.id }, {}, tx);
+  });
+
+  await notifyBorrower(
+    offer,
+    `↩️ A lender withdrew their ${dollars(offer.amount)} offer on your loan request.`
+  );
+}
+
+/**
+ * Sweep: OPEN offers past their expiresAt are EXPIRED, their holds released,
+ * and both the lender and the borrower are told.
+ */
+async function expireLoanOffers(now = new Date()) {
+  const due = await prisma.loanOffer.findMany({
+    where: { status: 'OPEN', expiresAt: { lte: now } },
+  });
+
+  let expired = 0;
+  for (const offer of due) {
+    try {
+      const done = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.loanOffer.updateMany({
+          where: { id: offer.id, status: 'OPEN' },
+          data: { status: 'EXPIRED', updatedAt: now },
+        });
+        if (!count) return false;
+        await releaseHolds({ offerId: offer.id }, { status: 'EXPIRED' }, tx);
+        return true;
+      });
+      if (!done) continue;
+      expired++;
+
+      await prisma.notification.create({
+        data: {
+          userId: offer.lenderId,
+          type: 'OFFER',
+          message: `⌛ Your ${dollars(offer.amount)} offer expired. Any reserved funds are back in your wallet.`,
+          data: { loanRequestId: offer.loanRequestId, offerId: offer.id },
+        },
+      });
+      await notifyBorrower(offer, `⌛ A ${dollars(offer.amount)} offer on your loan request expired.`);
+    } catch (err) {
+      console.error(`❌ Failed to expire loan offer ${offer.id}:`, err);
+    }
+  }
+
+  console.log(`⌛ Loan offer sweep: ${expired} offer(s) expired`);
+  return { expired };
+}
+
+module.exports = {
+  revisionWhere,
+  parseOfferExpiry,
+  getSubscribedCents,
+  createOfferWithHold,
+  amendOffer,
+  withdrawOffer,
+  expireLoanOffers,
+};
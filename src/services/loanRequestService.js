@@ -0,0 +1,123 @@
+// src/services/loanRequestService.js
+const prisma = require('../utils/prisma');
+const { addDays } = require('date-fns');
+const { releaseHolds } = require('./walletHoldService');
+
+// How long a new (or relisted) request stays on the market by default
+const LOAN_REQUEST_TTL_DAYS = Number(process.env.LOAN_REQUEST_TTL_DAYS ?? 30);
+const MAX_LOAN_REQUEST_TTL_DAYS = Number(process.env.MAX_LOAN_REQUEST_TTL_DAYS ?? 90);
+
+/**
+ * Validate a client-supplied expiry. Returns { expiresAt } or { error }.
+ * Missing → the default TTL from `now`.
+ */
+function resolveExpiresAt(input, now = new Date()) {
+  if (input == null || input === '') return { expiresAt: addDays(now, LOAN_REQUEST_TTL_DAYS) };
+
+  const d = new Date(input);
+  if (Number.isNaN(d.getTime())) return { error: 'expiresAt must be a valid date' };
+  if (d <= now) return { error: 'expiresAt must be in the future' };
+  if (d > addDays(now, MAX_LOAN_REQUEST_TTL_DAYS)) {
+    return { error: `expiresAt can be at most ${MAX_LOAN_REQUEST_TTL_DAYS} days out` };
+  }
+  return { expiresAt: d };
+}
+
+/** Prisma filter for requests that haven't passed their expiry yet. */
+function notExpiredWhere(now = new Date()) {
+  return {
+    OR: [{ expiresAt: { isSet: false } }, { expiresAt: null }, { expiresAt: { gt: now } }],
+  };
+}
+
+/**
+ * Reject every OPEN / ACCEPTED offer on a request that is leaving the market
+ * (cancelled or expired) and give the lenders' reserved money back.
+ * Accepted offers only exist here while the request was still filling up,
+ * so no loan has been created from them. Returns the rejected offers.
+ */
+async function rejectOutstandingOffers(loanRequestId, tx) {
+  const offers = await tx.loanOffer.findMany({
+    where: { loanRequestId, status: { in: ['OPEN', 'ACCEPTED'] } },
+    select: { id: true, lenderId: true, amount: true, status: true },
+  });
+  if (!offers.length) return [];
+
+  const ids = offers.map((o) => o.id);
+  await tx.loanOffer.updateMany({
+    where: { id: { in: ids } },
+    data: { status: 'REJECTED' },
+  });
+  await releaseHolds({ offerId: { in: ids } }, {}, tx);
+  return offers;
+}
+
+/** Tell each lender whose offer was rejected because the request closed. */
+async function notifyLenders(loanRequestId, offers, reason) {
+  if (!offers.length) return;
+  const label = reason === 'EXPIRED' ? 'expired' : 'was cancelled by the borrower';
+  try {
+    await prisma.notification.createMany({
+      data: offers.map((o) => ({
+        userId: o.lenderId,
+        type: 'OFFER',
+        message: `📭 A loan request you offered $${Number(o.amount).toFixed(2)} on ${label}. Your offer was closed and any reserved funds are back in your wallet.`,
+        data: { loanRequestId, offerId: o.id, reason },
+      })),
+    });
+  } catch (e) {
+    console.error('⚠️ Failed to notify lenders about closed request:', e);
+  }
+}
+
+/**
+ * Sweep: mark OPEN requests past expiresAt as EXPIRED, reject their offers
+ * and notify lenders and the borrower.
+ */
+async function expireLoanRequests(now = new Date()) {
+  const due = await prisma.loanRequest.findMany({
+    where: { status: 'OPEN', expiresAt: { lte: now } },
+    select: { id: true, borrowerId: true, amount: true },
+  });
+
+  let expired = 0;
+  for (const lr of due) {
+    try {
+      const offers = await prisma.$transaction(async (tx) => {
+        // Re-check inside the tx: an offer may have just been accepted
+        const { count } = await tx.loanRequest.updateMany({
+          where: { id: lr.id, status: 'OPEN' },
+          data: { status: 'EXPIRED', expiredAt: now },
+        });
+        if (!count) return null;
+        return rejectOutstandingOffers(lr.id, tx);
+      });
+      if (!offers) continue;
+      expired++;
+
+      await notifyLenders(lr.id, offers, 'EXPIRED');
+      await prisma.notification.create({
+        data: {
+          userId: lr.borrowerId,
+          type: 'LOAN',
+          message: `⌛ Your $${Number(lr.amount).toFixed(2)} loan request expired. You can relist it from your dashboard.`,
+          data: { loanRequestId: lr.id },
+        },
+      });
+    } catch (err) {
+      console.error(`❌ Failed to expire loan request ${lr.id}:`, err);
+    }
+  }
+
+  console.log(`⌛ Loan request sweep: ${expired} request(s) expired`);
+  return { expired };
+}
+
+module.exports = {
+  LOAN_REQUEST_TTL_DAYS,
+  resolveExpiresAt,
+  notExpiredWhere,
+  rejectOutstandingOffers,
+  notifyLenders,
+  expireLoanRequests,
+};
@@ -0,0 +1,94 @@
+// src/services/loanShareService.js
+const prisma = require('../utils/prisma');
+
+/**
+ * Split `totalCents` across shares in proportion to each share's principal.
+ * Largest-remainder rounding, so the parts always add back up to the total
+ * (the leftover cents go to the shares with the biggest fractional part).
+ *
+ * Returns [{ share, amountCents }] in the same order as `shares`.
+ */
+function splitProRata(totalCents, shares) {
+  const total = Math.round(Number(totalCents) || 0);
+  const weights = shares.map((s) => Math.max(0, Number(s.principalCents) || 0));
+  const weightSum = weights.reduce((a, b) => a + b, 0);
+
+  if (!shares.length) return [];
+  if (weightSum <= 0) {
+    // Degenerate: no principal recorded → everything to the first share
+    return shares.map((share, i) => ({ share, amountCents: i === 0 ? total : 0 }));
+  }
+
+  const parts = weights.map((w, i) => {
+    const exact = (total * w) / weightSum;
+    const floor = Math.floor(exact);
+    return { i, floor, remainder: exact - floor };
+  });
+
+  let leftover = total - parts.reduce((a, p) => a + p.floor, 0);
+  const byRemainder = [...parts].sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+  for (const p of byRemainder) {
+    if (leftover <= 0) break;
+    p.floor += 1;
+    leftover -= 1;
+  }
+
+  return parts.map((p) => ({ share: shares[p.i], amountCents: p.floor }));
+}
+
+/**
+ * Load the lender shares of a loan.
+ * Loans created before fractional funding have no LoanShare rows, so their
+ * single lender is treated as holding 100% of the principal.
+ */
+async function getLoanShares(loanId, db = prisma) {
+  const shares = await db.loanShare.findMany({
+    where: { loanId },
+    orderBy: { createdAt: 'asc' },
+  });
+  if (shares.length) return shares;
+
+  const loan = await db.loan.findUnique({
+    where: { id: loanId },
+    select: { id: true, lenderId: true, principalCents: true, amount: true, status: true },
+  });
+  if (!loan) return [];
+
+  const principalCents = Number.isFinite(loan.principalCents)
+    ? loan.principalCents
+    : Math.round((loan.amount || 0) * 100);
+
+  return [
+    {
+      id: null, // synthetic (legacy single-lender loan)
+      loanId: loan.id,
+      lenderId: loan.lenderId,
+      offerId: null,
+      principalCents,
+      shareBps: 10000,
+      status: loan.status === 'ACCEPTED' ? 'PENDING' : 'FUNDED',
+      fundedAt: null,
+    },
+  ];
+}
+
+/**
+ * Work out how much of `totalCents` each lender on the loan receives.
+ * Returns [{ lenderId, shareId, amountCents }] (zero-cent rows dropped).
+ */
+async function allocateToLenders(loanId, totalCents, db = prisma) {
+  const shares = await getLoanShares(loanId, db);
+  return splitProRata(totalCents, shares)
+    .filter(({ amountCents }) => amountCents > 0)
+    .map(({ share, amountCents }) => ({
+      lenderId: share.lenderId,
+      shareId: share.id,
+      amountCents,
+    }));
+}
+
+module.exports = {
+  splitProRata,
+  getLoanShares,
+  allocateToLenders,
+};
@@ -0,0 +1,57 @@
+// src/services/malwareScanners/clamdScanner.js
+const net = require('net');
+
+/**
+ * Scans through a local ClamAV daemon (clamd) with the INSTREAM command, so
+ * the file never touches disk.
+ *
+ *   CLAMD_SOCKET       unix socket path (e.g. /var/run/clamav/clamd.ctl), or
+ *   CLAMD_HOST / CLAMD_PORT   TCP (default 127.0.0.1:3310)
+ *   CLAMD_TIMEOUT_MS   default 30000
+ */
+
+const CHUNK = 64 * 1024;
+
+function connect() {
+  if (process.env.CLAMD_SOCKET) return net.createConnection({ path: process.env.CLAMD_SOCKET });
+  return net.createConnection({
+    host: process.env.CLAMD_HOST || '127.0.0.1',
+    port: Number(process.env.CLAMD_PORT || 3310),
+  });
+}
+
+module.exports = {
+  name: 'clamd',
+
+  scan(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = connect();
+      const replies = [];
+      socket.setTimeout(Number(process.env.CLAMD_TIMEOUT_MS || 30000), () => {
+        socket.destroy(new Error('clamd timed out'));
+      });
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+        for (let i = 0; i < buffer.length; i += CHUNK) {
+          const chunk = buffer.subarray(i, i + CHUNK);
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length);
+          socket.write(size);
+          socket.write(chunk);
+        }
+        socket.end(Buffer.alloc(4)); // zero-length chunk = end of stream
+      });
+      socket.on('data', (d) => replies.push(d));
+      socket.on('error', reject);
+      socket.on('close', () => {
+        // "stream: OK" | "stream: <signature> FOUND" | "... ERROR"
+        const reply = Buffer.concat(replies).toString('utf8').replace(/\0/g, '').trim();
+        if (/:\s*OK$/.test(reply)) return resolve({ clean: true });
+        const found = /:\s*(.+)\s+FOUND$/.exec(reply);
+        if (found) return resolve({ clean: false, signature: found[1] });
+        return reject(new Error(`Unexpected clamd reply: ${reply || '(none)'}`));
+      });
+    });
+  },
+};
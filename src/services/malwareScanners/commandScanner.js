@@ -0,0 +1,46 @@
+// src/services/malwareScanners/commandScanner.js
+const { spawn } = require('child_process');
+
+/**
+ * Scans by piping the file to a local command-line scanner on stdin, e.g.
+ *
+ *   MALWARE_SCAN_COMMAND="clamdscan --no-summary -"
+ *   MALWARE_SCAN_COMMAND="clamscan --no-summary -"
+ *
+ * Exit code 0 = clean, 1 = infected (the ClamAV convention), anything else
+ * is a scanner error. MALWARE_SCAN_TIMEOUT_MS defaults to 60000.
+ */
+
+module.exports = {
+  name: 'command',
+
+  scan(buffer) {
+    const [cmd, ...args] = String(process.env.MALWARE_SCAN_COMMAND || '').split(/\s+/).filter(Boolean);
+    if (!cmd) return Promise.reject(new Error('MALWARE_SCAN_COMMAND is not set'));
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(cmd, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      let output = '';
+      const timer = setTimeout(() => child.kill('SIGKILL'), Number(process.env.MALWARE_SCAN_TIMEOUT_MS || 60000));
+
+      child.stdout.on('data', (d) => (output += d));
+      child.stderr.on('data', (d) => (output += d));
+      child.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (code === 0) return resolve({ clean: true });
+        if (code === 1) {
+          const found = /:\s*(.+?)\s+FOUND/.exec(output);
+          return resolve({ clean: false, signature: found ? found[1] : 'unknown' });
+        }
+        return reject(new Error(`Scanner exited with ${signal || code}: ${output.trim().slice(0, 200)}`));
+      });
+
+      child.stdin.on('error', () => {}); // scanner may close stdin early
+      child.stdin.end(buffer);
+    });
+  },
+};
@@ -0,0 +1,251 @@
+// src/services/marketplaceService.js
+const prisma = require('../utils/prisma');
+const { notExpiredWhere } = require('./loanRequestService');
+const { getBorrowerHistories } = require('./borrowerHistoryService');
+const { getCreditScores } = require('./creditScoreService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// sort key → Prisma orderBy (id last so the cursor order is stable)
+const SORTS = {
+  newest: [{ createdAt: 'desc' }, { id: 'desc' }],
+  oldest: [{ createdAt: 'asc' }, { id: 'asc' }],
+  amount_asc: [{ amount: 'asc' }, { id: 'asc' }],
+  amount_desc: [{ amount: 'desc' }, { id: 'desc' }],
+  rate_asc: [{ interestRate: 'asc' }, { id: 'asc' }],
+  rate_desc: [{ interestRate: 'desc' }, { id: 'desc' }],
+  duration_asc: [{ duration: 'asc' }, { id: 'asc' }],
+  duration_desc: [{ duration: 'desc' }, { id: 'desc' }],
+};
+
+const NUMBER_FILTERS = [
+  'minAmount',
+  'maxAmount',
+  'minDuration',
+  'maxDuration',
+  'minRate',
+  'maxRate',
+  'minCompletedLoans',
+  'maxLatePayments',
+  'minOnTimeRate',
+];
+const BOOLEAN_FILTERS = ['verifiedOnly', 'excludeDefaults'];
+
+const asBool = (v) => v === true || v === 'true' || v === '1';
+
+/**
+ * Normalize marketplace filters from a query string (or a saved search).
+ * Returns { filters, errors }; only filters that were given end up in
+ * `filters`, so it can be stored as-is on a SavedSearch.
+ *
+ *   minAmount / maxAmount          dollars
+ *   duration | minDuration / maxDuration   months
+ *   minRate / maxRate              interest %
+ *   q                              text in the purpose
+ *   verifiedOnly                   borrower verificationStatus APPROVED
+ *   minCompletedLoans              repayment history: loans fully repaid
+ *   maxLatePayments                repayment history: installments ever late
+ *   minOnTimeRate                  repayment history: % paid on time
+ *   excludeDefaults                no defaulted loans
+ */
+function parseMarketplaceFilters(input = {}) {
+  const filters = {};
+  const errors = [];
+
+  if (input.duration != null && input.duration !== '') {
+    input = { ...input, minDuration: input.duration, maxDuration: input.duration };
+  }
+
+  for (const key of NUMBER_FILTERS) {
+    const raw = input[key];
+    if (raw == null || raw === '') continue;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0) errors.push(`${key} must be a non-negative number`);
+    else filters[key] = n;
+  }
+  for (const key of BOOLEAN_FILTERS) {
+    if (input[key] != null && input[key] !== '' && asBool(input[key])) filters[key] = true;
+  }
+  if (input.q != null && String(input.q).trim()) {
+    filters.q = String(input.q).trim().slice(0, 200);
+  }
+
+  if (filters.minAmount != null && filters.maxAmount != null && filters.minAmount > filters.maxAmount) {
+    errors.push('minAmount cannot be greater than maxAmount');
+  }
+  if (filters.minRate != null && filters.maxRate != null && filters.minRate > filters.maxRate) {
+    errors.push('minRate cannot be greater than maxRate');
+  }
+  if (filters.minOnTimeRate != null && filters.minOnTimeRate > 100) {
+    errors.push('minOnTimeRate is a percentage (0-100)');
+  }
+
+  return { filters, errors };
+}
+
+function range(min, max) {
+  if (min == null && max == null) return undefined;
+  return { ...(min != null && { gte: min }), ...(max != null && { lte: max }) };
+}
+
+/** Prisma where for the request-level filters (everything except history). */
+function requestWhere(filters, now = new Date()) {
+  const where = { status: 'OPEN', AND: [notExpiredWhere(now)] };
+
+  const amount = range(filters.minAmount, filters.maxAmount);
+  if (amount) where.amount = amount;
+  const duration = range(filters.minDuration, filters.maxDuration);
+  if (duration) where.duration = duration;
+  const rate = range(filters.minRate, filters.maxRate);
+  if (rate) where.interestRate = rate;
+  if (filters.q) where.purpose = { contains: filters.q, mode: 'insensitive' };
+  if (filters.verifiedOnly) where.borrower = { is: { verificationStatus: 'APPROVED' } };
+
+  return where;
+}
+
+const hasHistoryFilter = (f) =>
+  f.minCompletedLoans != null || f.maxLatePayments != null || f.minOnTimeRate != null || f.excludeDefaults;
+
+/** Does a borrower's repayment history pass the history filters? */
+function historyMatches(filters, h) {
+  if (filters.minCompletedLoans != null && h.completedLoans < filters.minCompletedLoans) return false;
+  if (filters.maxLatePayments != null && h.latePayments > filters.maxLatePayments) return false;
+  if (filters.minOnTimeRate != null && (h.onTimeRate == null || h.onTimeRate < filters.minOnTimeRate)) return false;
+  if (filters.excludeDefaults && h.defaultedLoans > 0) return false;
+  return true;
+}
+
+/** In-memory version of the full filter set, for one request (saved-search alerts). */
+function requestMatches(filters, lr, borrower, history) {
+  const amount = Number(lr.amount);
+  const rate = Number(lr.interestRate);
+  if (filters.minAmount != null && amount < filters.minAmount) return false;
+  if (filters.maxAmount != null && amount > filters.maxAmount) return false;
+  if (filters.minDuration != null && lr.duration < filters.minDuration) return false;
+  if (filters.maxDuration != null && lr.duration > filters.maxDuration) return false;
+  if (filters.minRate != null && rate < filters.minRate) return false;
+  if (filters.maxRate != null && rate > filters.maxRate) return false;
+  if (filters.q && !String(lr.purpose || '').toLowerCase().includes(filters.q.toLowerCase())) return false;
+  if (filters.verifiedOnly && borrower?.verificationStatus !== 'APPROVED') return false;
+  return historyMatches(filters, history);
+}
+
+/**
+ * Marketplace page: OPEN, unexpired requests matching `filters`, sorted by
+ * `sort`, starting after `cursor` (the last id of the previous page).
+ * Returns { items, nextCursor }.
+ */
+async function searchMarketplace({ filters = {}, sort = 'newest', cursor = null, limit = DEFAULT_PAGE_SIZE }) {
+  const take = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const where = requestWhere(filters);
+
+  // History filters can't be expressed in the query → narrow to the
+  // borrowers that pass them first
+  if (hasHistoryFilter(filters)) {
+    const candidates = await prisma.loanRequest.findMany({
+      where,
+      select: { borrowerId: true },
+      distinct: ['borrowerId'],
+    });
+    const histories = await getBorrowerHistories(candidates.map((c) => c.borrowerId));
+    where.borrowerId = {
+      in: [...histories.values()].filter((h) => historyMatches(filters, h)).map((h) => h.borrowerId),
+    };
+  }
+
+  const rows = await prisma.loanRequest.findMany({
+    where,
+    orderBy: SORTS[sort] || SORTS.newest,
+    take: take + 1,
+    ...(cursor && { cursor: { id: String(cursor) }, skip: 1 }),
+    include: {
+      borrower: {
+        select: { id: true, name: true, location: true, isSuperUser: true, verificationStatus: true },
+      },
+    },
+  });
+
+  const page = rows.slice(0, take);
+  const borrowerIds = page.map((r) => r.borrowerId);
+  const [histories, scores] = await Promise.all([
+    getBorrowerHistories(borrowerIds),
+    getCreditScores(borrowerIds),
+  ]);
+
+  // Fractional funding: how much of each request is already spoken for
+  const subscribed = page.length
+    ? await prisma.loanOffer.groupBy({
+        by: ['loanRequestId'],
+        where: { loanRequestId: { in: page.map((r) => r.id) }, status: 'ACCEPTED' },
+        _sum: { amount: true },
+      })
+    : [];
+  const subscribedCents = new Map(
+    subscribed.map((s) => [s.loanRequestId, Math.round(Number(s._sum.amount || 0) * 100)])
+  );
+
+  const items = page.map((r) => {
+    const taken = subscribedCents.get(r.id) || 0;
+    return {
+      ...r,
+      subscribedCents: taken,
+      remainingCents: Math.max(0, Math.round(Number(r.amount) * 100) - taken),
+      borrowerHistory: histories.get(r.borrowerId),
+      borrowerScore: scores.get(r.borrowerId) || null,
+    };
+  });
+
+  return {
+    items,
+    nextCursor: rows.length > take ? page[page.length - 1].id : null,
+  };
+}
+
+/**
+ * A new (or relisted) request hit the market: notify every lender whose
+ * saved search (with notify on) matches it.
+ */
+async function notifySavedSearchMatches(loanRequestId) {
+  const lr = await prisma.loanRequest.findUnique({
+    where: { id: loanRequestId },
+    include: { borrower: { select: { id: true, verificationStatus: true } } },
+  });
+  if (!lr || lr.status !== 'OPEN') return { notified: 0 };
+
+  const searches = await prisma.savedSearch.findMany({
+    where: { notify: true, NOT: { userId: lr.borrowerId } },
+  });
+  if (!searches.length) return { notified: 0 };
+
+  const history = (await getBorrowerHistories([lr.borrowerId])).get(lr.borrowerId);
+  const matched = searches.filter((s) => requestMatches(s.filters || {}, lr, lr.borrower, history));
+  if (!matched.length) return { notified: 0 };
+
+  // One notification per lender, even if several of their searches match
+  const byUser = new Map();
+  for (const s of matched) if (!byUser.has(s.userId)) byUser.set(s.userId, s);
+
+  await prisma.notification.createMany({
+    data: [...byUser.values()].map((s) => ({
+      userId: s.userId,
+      type: 'MARKETPLACE',
+      message: `🔎 A new $${Number(lr.amount).toFixed(2)} loan request matches your saved search "${s.name}".`,
+      data: { loanRequestId: lr.id, savedSearchId: s.id },
+    })),
+  });
+  await prisma.savedSearch.updateMany({
+    where: { id: { in: matched.map((s) => s.id) } },
+    data: { lastNotifiedAt: new Date() },
+  });
+
+  return { notified: byUser.size };
+}
+
+module.exports = {
+  SORTS,
+  parseMarketplaceFilters,
+  searchMarketplace,
+  notifySavedSearchMatches,
+};
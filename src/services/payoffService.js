@@ -0,0 +1,137 @@
+// src/services/payoffService.js
+const prisma = require('../utils/prisma');
+const { addDays, differenceInCalendarDays, startOfDay, endOfDay } = require('date-fns');
+const { PEERFUND_FEE_RATE, BANKING_FEE_RATE } = require('../utils/fees');
+const { UNPAID_REPAYMENT_STATUSES } = require('../utils/delinquency');
+
+// How long a payoff quote stays valid when the caller doesn't pick a date
+const PAYOFF_QUOTE_VALID_DAYS = Number(process.env.PAYOFF_QUOTE_VALID_DAYS ?? 10);
+
+/** Principal still owed on a row; rows from before the split count in full. */
+function rowPrincipalCents(row) {
+  if (Number.isFinite(row.principalCents)) return row.principalCents;
+  return Math.round((Number(row.basePayment) || 0) * 100);
+}
+
+function rowInterestCents(row) {
+  return Number.isFinite(row.interestCents) ? row.interestCents : 0;
+}
+
+/**
+ * Payoff amount for a loan if paid on `goodThrough`.
+ *
+ *  - installments already due by then: full principal + interest
+ *  - the installment currently accruing: principal + interest earned so far
+ *    (pro-rated by days since the previous due date)
+ *  - later installments: principal only
+ *  - plus unpaid late fees, and the usual PeerFund / banking fees on the base
+ *
+ * Returns null when the loan doesn't exist. `lines` holds the per-row split so
+ * the payoff itself can settle each Repayment row.
+ */
+async function buildPayoffQuote(loanId, goodThrough = new Date()) {
+  const loan = await prisma.loan.findUnique({
+    where: { id: loanId },
+    select: {
+      id: true,
+      status: true,
+      borrowerId: true,
+      fundedDate: true,
+      createdAt: true,
+      borrower: { select: { isSuperUser: true } },
+      repayments: {
+        orderBy: { dueDate: 'asc' },
+        select: {
+          id: true,
+          status: true,
+          dueDate: true,
+          basePayment: true,
+          peerfundFee: true,
+          principalCents: true,
+          interestCents: true,
+          lateFee: true,
+        },
+      },
+    },
+  });
+  if (!loan) return null;
+
+  const through = endOfDay(new Date(goodThrough));
+  const paid = loan.repayments.filter((r) => r.status === 'PAID');
+  const unpaid = loan.repayments.filter((r) => UNPAID_REPAYMENT_STATUSES.includes(r.status));
+
+  // Interest on the accruing installment runs from the previous due date
+  let prevDate = paid.length
+    ? paid[paid.length - 1].dueDate
+    : loan.fundedDate || loan.createdAt;
+
+  let accruingFound = false;
+  let perDiemCents = 0;
+  const lines = unpaid.map((row) => {
+    const principalCents = rowPrincipalCents(row);
+    const fullInterest = rowInterestCents(row);
+    let interestCents = 0;
+
+    if (row.dueDate <= through) {
+      interestCents = fullInterest;
+    } else if (!accruingFound) {
+      accruingFound = true;
+      const periodDays = Math.max(1, differenceInCalendarDays(row.dueDate, prevDate));
+      const elapsedDays = Math.min(
+        periodDays,
+        Math.max(0, differenceInCalendarDays(through, prevDate))
+      );
+      interestCents = Math.round((fullInterest * elapsedDays) / periodDays);
+      perDiemCents = Math.round(fullInterest / periodDays);
+    }
+    prevDate = row.dueDate;
+
+    return {
+      repaymentId: row.id,
+      principalCents,
+      interestCents,
+      lateFeeCents: Math.round((Number(row.lateFee) || 0) * 100),
+    };
+  });
+
+  const principalCents = lines.reduce((s, l) => s + l.principalCents, 0);
+  const interestCents = lines.reduce((s, l) => s + l.interestCents, 0);
+  const lateFeeCents = lines.reduce((s, l) => s + l.lateFeeCents, 0);
+  const baseCents = principalCents + interestCents;
+
+  // Same fee rules as a regular installment
+  const peerfundWaived =
+    loan.borrower?.isSuperUser || unpaid.every((r) => !(Number(r.peerfundFee) > 0));
+  const peerfundFeeCents = peerfundWaived ? 0 : Math.round(baseCents * PEERFUND_FEE_RATE);
+  const bankingFeeCents = Math.round(baseCents * BANKING_FEE_RATE);
+  const totalCents = baseCents + lateFeeCents + peerfundFeeCents + bankingFeeCents;
+
+  return {
+    loanId: loan.id,
+    loanStatus: loan.status,
+    borrowerId: loan.borrowerId,
+    asOf: new Date(),
+    goodThrough: through,
+    installmentsRemaining: unpaid.length,
+    principalCents,
+    interestCents,
+    lateFeeCents,
+    peerfundFeeCents,
+    bankingFeeCents,
+    totalCents,
+    perDiemCents,
+    lines,
+  };
+}
+
+/** Default good-through date for a quote requested today. */
+function defaultGoodThrough(now = new Date()) {
+  return addDays(startOfDay(now), PAYOFF_QUOTE_VALID_DAYS);
+}
+
+module.exports = {
+  PAYOFF_QUOTE_VALID_DAYS,
+  rowPrincipalCents,
+  buildPayoffQuote,
+  defaultGoodThrough,
+};
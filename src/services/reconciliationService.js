@@ -0,0 +1,248 @@
+// src/services/reconciliationService.js
+const prisma = require('../utils/prisma');
+const { checkWalletAgainstJournal } = require('./journalService');
+
+// Keep stored reports readable; issueCount still has the full total
+const MAX_STORED_ISSUES = Number(process.env.RECON_MAX_STORED_ISSUES ?? 1000);
+const BATCH_SIZE = 500;
+
+const toCents = (dollars) => Math.round((Number(dollars) || 0) * 100);
+
+/* ----------------------------- Wallets ----------------------------- */
+
+/**
+ * Replay one wallet's WalletLedger from zero and compare with the stored
+ * balances:
+ *  - WALLET_AVAILABLE_DRIFT: replayed total ≠ availableCents
+ *  - BALANCE_AFTER_MISMATCH: first row whose balanceAfterCents disagrees
+ *    with the replay (later rows usually inherit the same gap)
+ *  - WALLET_PENDING_DRIFT: pendingCents ≠ sum of ACTIVE holds
+ *  - WALLET_JOURNAL_DRIFT: available / pending ≠ the double-entry journal
+ */
+async function checkWallet(wallet) {
+  const issues = [];
+  const rows = await prisma.walletLedger.findMany({
+    where: { walletId: wallet.id },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    select: { id: true, amountCents: true, direction: true, balanceAfterCents: true },
+  });
+
+  let replayed = 0;
+  let firstGapReported = false;
+  for (const row of rows) {
+    replayed += row.direction === 'DEBIT' ? -row.amountCents : row.amountCents;
+    if (!firstGapReported && row.balanceAfterCents !== replayed) {
+      firstGapReported = true;
+      issues.push({
+        kind: 'BALANCE_AFTER_MISMATCH',
+        walletId: wallet.id,
+        userId: wallet.userId,
+        ledgerId: row.id,
+        expected: replayed,
+        actual: row.balanceAfterCents,
+      });
+    }
+  }
+
+  if (replayed !== wallet.availableCents) {
+    issues.push({
+      kind: 'WALLET_AVAILABLE_DRIFT',
+      walletId: wallet.id,
+      userId: wallet.userId,
+      expected: replayed,
+      actual: wallet.availableCents,
+      detail: `${rows.length} ledger row(s) replayed`,
+    });
+  }
+
+  const held = await prisma.walletHold.aggregate({
+    where: { walletId: wallet.id, status: 'ACTIVE' },
+    _sum: { amountCents: true },
+  });
+  const heldCents = held._sum.amountCents || 0;
+  if (heldCents !== wallet.pendingCents) {
+    issues.push({
+      kind: 'WALLET_PENDING_DRIFT',
+      walletId: wallet.id,
+      userId: wallet.userId,
+      expected: heldCents,
+      actual: wallet.pendingCents,
+    });
+  }
+
+  const journal = await checkWalletAgainstJournal(wallet.userId);
+  if (journal.diffCents) {
+    issues.push({
+      kind: 'WALLET_JOURNAL_DRIFT',
+      walletId: wallet.id,
+      userId: wallet.userId,
+      expected: journal.journalCents,
+      actual: journal.walletCents,
+      detail: 'availableCents',
+    });
+  }
+  if (journal.pendingDiffCents) {
+    issues.push({
+      kind: 'WALLET_JOURNAL_DRIFT',
+      walletId: wallet.id,
+      userId: wallet.userId,
+      expected: journal.journalPendingCents,
+      actual: journal.pendingCents,
+      detail: 'pendingCents',
+    });
+  }
+
+  return issues;
+}
+
+/* ---------------------------- Repayments --------------------------- */
+
+/**
+ * Every PAID repayment should have its REPAYMENT Transaction rows (summing to
+ * the base payment) and a Fee row for each non-zero banking / PeerFund fee.
+ *
+ * A payoff books all of its Transaction / Fee rows against the first
+ * installment it settles, so the other rows it paid are accepted without
+ * their own.
+ */
+async function checkRepaymentBatch(repayments) {
+  const issues = [];
+  const ids = repayments.map((r) => r.id);
+  const loanIds = [...new Set(repayments.map((r) => r.loanId))];
+
+  const [txs, fees, payoffs] = await Promise.all([
+    prisma.transaction.findMany({
+      where: { repaymentId: { in: ids } },
+      select: { repaymentId: true, type: true, amount: true },
+    }),
+    prisma.fee.findMany({
+      where: { repaymentId: { in: ids } },
+      select: { repaymentId: true, type: true, amount: true },
+    }),
+    prisma.journalEntry.findMany({
+      where: { kind: 'PAYOFF', loanId: { in: loanIds } },
+      select: { loanId: true, repaymentId: true },
+    }),
+  ]);
+
+  const txByRepayment = new Map();
+  for (const t of txs) {
+    if (!txByRepayment.has(t.repaymentId)) txByRepayment.set(t.repaymentId, []);
+    txByRepayment.get(t.repaymentId).push(t);
+  }
+  const feesByRepayment = new Map();
+  for (const f of fees) {
+    if (!feesByRepayment.has(f.repaymentId)) feesByRepayment.set(f.repaymentId, []);
+    feesByRepayment.get(f.repaymentId).push(f);
+  }
+  const payoffLoans = new Set(payoffs.map((p) => p.loanId));
+  const payoffAnchors = new Set(payoffs.map((p) => p.repaymentId));
+
+  for (const r of repayments) {
+    const rowTxs = txByRepayment.get(r.id) || [];
+    const rowFees = feesByRepayment.get(r.id) || [];
+    const base = { repaymentId: r.id, loanId: r.loanId };
+
+    const repaymentTxs = rowTxs.filter((t) => t.type === 'REPAYMENT');
+    if (!repaymentTxs.length) {
+      if (!payoffLoans.has(r.loanId)) {
+        issues.push({ ...base, kind: 'MISSING_REPAYMENT_TRANSACTION', expected: toCents(r.basePayment), actual: 0 });
+      }
+      continue;
+    }
+
+    // A payoff anchor carries the whole payoff, not just its own installment
+    if (!payoffAnchors.has(r.id)) {
+      const txCents = repaymentTxs.reduce((s, t) => s + toCents(t.amount), 0);
+      if (Math.abs(txCents - toCents(r.basePayment)) > repaymentTxs.length) {
+        issues.push({ ...base, kind: 'REPAYMENT_TRANSACTION_AMOUNT_MISMATCH', expected: toCents(r.basePayment), actual: txCents });
+      }
+    }
+
+    for (const [type, amount] of [['BANK_FEE', r.bankingFee], ['PLATFORM_FEE', r.peerfundFee]]) {
+      if (!(Number(amount) > 0)) continue;
+      const feeRow = rowFees.find((f) => f.type === type);
+      if (!feeRow) {
+        issues.push({ ...base, kind: 'MISSING_FEE_ROW', detail: type, expected: toCents(amount), actual: 0 });
+      } else if (Math.abs(toCents(feeRow.amount) - toCents(amount)) > 1) {
+        issues.push({ ...base, kind: 'FEE_AMOUNT_MISMATCH', detail: type, expected: toCents(amount), actual: toCents(feeRow.amount) });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/* ------------------------------ Runner ----------------------------- */
+
+/**
+ * Run a full reconciliation and store it as a ReconciliationReport.
+ * Returns the saved report (status OK when nothing was found, DRIFT otherwise).
+ */
+async function runReconciliation({ trigger = 'CRON' } = {}) {
+  const report = await prisma.reconciliationReport.create({ data: { trigger } });
+  const issues = [];
+  let walletsChecked = 0;
+  let repaymentsChecked = 0;
+
+  try {
+    const wallets = await prisma.wallet.findMany({
+      select: { id: true, userId: true, availableCents: true, pendingCents: true },
+    });
+    for (const wallet of wallets) {
+      issues.push(...(await checkWallet(wallet)));
+      walletsChecked++;
+    }
+
+    let cursor;
+    for (;;) {
+      const batch = await prisma.repayment.findMany({
+        where: { status: 'PAID' },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+        ...(cursor && { skip: 1, cursor: { id: cursor } }),
+        select: { id: true, loanId: true, basePayment: true, bankingFee: true, peerfundFee: true },
+      });
+      if (!batch.length) break;
+      issues.push(...(await checkRepaymentBatch(batch)));
+      repaymentsChecked += batch.length;
+      cursor = batch[batch.length - 1].id;
+    }
+
+    const saved = await prisma.reconciliationReport.update({
+      where: { id: report.id },
+      data: {
+        status: issues.length ? 'DRIFT' : 'OK',
+        finishedAt: new Date(),
+        walletsChecked,
+        repaymentsChecked,
+        issueCount: issues.length,
+        issues: issues.slice(0, MAX_STORED_ISSUES),
+      },
+    });
+    console.log(
+      `🧮 Reconciliation ${saved.status}: ${walletsChecked} wallet(s), ${repaymentsChecked} PAID repayment(s), ${issues.length} issue(s)`
+    );
+    return saved;
+  } catch (err) {
+    await prisma.reconciliationReport.update({
+      where: { id: report.id },
+      data: {
+        status: 'FAILED',
+        finishedAt: new Date(),
+        walletsChecked,
+        repaymentsChecked,
+        issueCount: issues.length,
+        issues: issues.slice(0, MAX_STORED_ISSUES),
+        error: err?.message || String(err),
+      },
+    });
+    throw err;
+  }
+}
+
+module.exports = {
+  runReconciliation,
+  checkWallet,
+  checkRepaymentBatch,
+};
@@ -0,0 +1,366 @@
+// src/services/taxStatementService.js
+const PDFDocument = require('pdfkit');
+const prisma = require('../utils/prisma');
+
+/**
+ * Year-end tax statements built from Transaction + Repayment data.
+ *
+ * Each REPAYMENT transaction (borrower → lender, base payment only) is split
+ * into principal and interest:
+ *  - journaled payments: principal is what the same journal moved on
+ *    LENDER_RECEIVABLE (lender) / BORROWER_LOAN_PAYABLE (borrower) for that
+ *    user; the rest of the base is interest
+ *  - older rows without a journal: pro rata to the Repayment's
+ *    principalCents / interestCents, or all principal when it has no split
+ *
+ * Fees paid are the BANK_FEE / PLATFORM_FEE / LATE_FEE transactions; charged
+ * off principal is the principal still owed on loans that went DEFAULTED in
+ * the year (Loan.chargedOffPrincipalCents), split across lenders by share.
+ */
+
+const FEE_TYPES = ['BANK_FEE', 'PLATFORM_FEE', 'LATE_FEE'];
+
+// 1099-INT reporting threshold (dollars of interest in the year)
+const INT_1099_THRESHOLD = Number(process.env.TAX_1099_INT_THRESHOLD ?? 10);
+
+const toCents = (dollars) => Math.round((Number(dollars) || 0) * 100);
+const money = (cents) => (cents / 100).toFixed(2);
+
+function yearRange(taxYear) {
+  return { gte: new Date(Date.UTC(taxYear, 0, 1)), lt: new Date(Date.UTC(taxYear + 1, 0, 1)) };
+}
+
+/** Accept 2000..current year; returns the year or null. */
+function parseTaxYear(value, now = new Date()) {
+  const year = Number(value);
+  if (!Number.isInteger(year) || year < 2000 || year > now.getUTCFullYear()) return null;
+  return year;
+}
+
+const emptyTotals = () => ({ interestCents: 0, principalCents: 0, chargedOffPrincipalCents: 0 });
+
+function bucket(map, userId, loanId) {
+  if (!map.has(userId)) map.set(userId, { ...emptyTotals(), loans: new Map() });
+  const user = map.get(userId);
+  if (!user.loans.has(loanId)) user.loans.set(loanId, emptyTotals());
+  return [user, user.loans.get(loanId)];
+}
+
+function add(map, userId, loanId, field, cents) {
+  if (!cents) return;
+  const [user, loan] = bucket(map, userId, loanId || 'unknown');
+  user[field] += cents;
+  loan[field] += cents;
+}
+
+/**
+ * Principal / interest of REPAYMENT transactions in `taxYear`, per user and
+ * loan. side = 'LENDER' (money received) or 'BORROWER' (money paid).
+ * `userId` narrows to one user; without it every user on that side is
+ * included (1099 export). Returns Map userId → { interestCents, principalCents, loans }.
+ */
+async function splitRepayments(taxYear, side, userId = null) {
+  const userField = side === 'LENDER' ? 'toUserId' : 'fromUserId';
+  const txns = await prisma.transaction.findMany({
+    where: {
+      type: 'REPAYMENT',
+      timestamp: yearRange(taxYear),
+      ...(userId ? { [userField]: userId } : { [userField]: { not: null } }),
+    },
+    select: { amount: true, loanId: true, repaymentId: true, journalEntryId: true, toUserId: true, fromUserId: true },
+  });
+
+  // Journaled rows: group by (journal, user) and read that journal's principal lines
+  const journalIds = [...new Set(txns.map((t) => t.journalEntryId).filter(Boolean))];
+  const principalLines = journalIds.length
+    ? await prisma.ledgerEntry.findMany({
+        where: {
+          journalId: { in: journalIds },
+          account: side === 'LENDER' ? 'LENDER_RECEIVABLE' : 'BORROWER_LOAN_PAYABLE',
+          direction: side === 'LENDER' ? 'credit' : 'debit',
+        },
+        select: { journalId: true, userId: true, amountCents: true },
+      })
+    : [];
+  const principalByKey = new Map();
+  for (const l of principalLines) {
+    const key = `${l.journalId}:${l.userId}`;
+    principalByKey.set(key, (principalByKey.get(key) || 0) + l.amountCents);
+  }
+
+  const journaled = new Map(); // key → { userId, loanId, cents }
+  const legacy = [];
+  for (const t of txns) {
+    const uid = t[userField];
+    if (t.journalEntryId) {
+      const key = `${t.journalEntryId}:${uid}`;
+      const row = journaled.get(key) || { userId: uid, loanId: t.loanId, cents: 0 };
+      row.cents += toCents(t.amount);
+      journaled.set(key, row);
+    } else {
+      legacy.push(t);
+    }
+  }
+
+  const result = new Map();
+  for (const [key, row] of journaled) {
+    const principal = Math.min(row.cents, principalByKey.get(key) || 0);
+    add(result, row.userId, row.loanId, 'principalCents', principal);
+    add(result, row.userId, row.loanId, 'interestCents', row.cents - principal);
+  }
+
+  // Pre-journal history: pro rata to the installment's own split
+  const repaymentIds = [...new Set(legacy.map((t) => t.repaymentId).filter(Boolean))];
+  const repayments = repaymentIds.length
+    ? await prisma.repayment.findMany({
+        where: { id: { in: repaymentIds } },
+        select: { id: true, principalCents: true, interestCents: true },
+      })
+    : [];
+  const splitById = new Map(repayments.map((r) => [r.id, r]));
+  for (const t of legacy) {
+    const cents = toCents(t.amount);
+    const r = splitById.get(t.repaymentId);
+    const base = r ? (r.principalCents || 0) + (r.interestCents || 0) : 0;
+    const interest = base > 0 ? Math.round((cents * (r.interestCents || 0)) / base) : 0;
+    add(result, t[userField], t.loanId, 'principalCents', cents - interest);
+    add(result, t[userField], t.loanId, 'interestCents', interest);
+  }
+
+  return result;
+}
+
+/**
+ * Principal written off on loans that went DEFAULTED in `taxYear`, per
+ * lender (by share) or per borrower, for `userId`. Adds into `into`.
+ */
+async function addChargeOffs(into, taxYear, side, userId) {
+  const partyWhere =
+    side === 'LENDER'
+      ? { OR: [{ shares: { some: { lenderId: userId } } }, { lenderId: userId }] }
+      : { borrowerId: userId };
+  const defaulted = await prisma.loan.findMany({
+    where: { defaultedAt: yearRange(taxYear), ...partyWhere },
+    select: {
+      id: true,
+      lenderId: true,
+      chargedOffPrincipalCents: true,
+      shares: { select: { lenderId: true, shareBps: true } },
+    },
+  });
+
+  for (const loan of defaulted) {
+    const principal = loan.chargedOffPrincipalCents || 0;
+    if (side === 'BORROWER') {
+      add(into, userId, loan.id, 'chargedOffPrincipalCents', principal);
+      continue;
+    }
+    // Legacy single-lender loans have no share rows → 100%
+    const bps = loan.shares.length
+      ? loan.shares.filter((s) => s.lenderId === userId).reduce((sum, s) => sum + s.shareBps, 0)
+      : loan.lenderId === userId
+        ? 10000
+        : 0;
+    add(into, userId, loan.id, 'chargedOffPrincipalCents', Math.round((principal * bps) / 10000));
+  }
+}
+
+async function feesPaidCents(taxYear, userId) {
+  const agg = await prisma.transaction.aggregate({
+    where: { type: { in: FEE_TYPES }, fromUserId: userId, timestamp: yearRange(taxYear) },
+    _sum: { amount: true },
+  });
+  return toCents(agg._sum.amount);
+}
+
+function sideSummary(entry) {
+  const e = entry || { ...emptyTotals(), loans: new Map() };
+  return {
+    interestCents: e.interestCents,
+    principalCents: e.principalCents,
+    chargedOffPrincipalCents: e.chargedOffPrincipalCents,
+    loans: [...e.loans].map(([loanId, t]) => ({ loanId, ...t })),
+  };
+}
+
+/**
+ * One user's statement for `taxYear`:
+ *   lender:   interest income, principal returned, charged-off principal
+ *   borrower: interest paid, principal repaid, fees paid, charged-off principal
+ */
+async function buildStatement(userId, taxYear) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, name: true, email: true, location: true },
+  });
+  if (!user) return null;
+
+  const [lender, borrower, fees] = await Promise.all([
+    splitRepayments(taxYear, 'LENDER', userId),
+    splitRepayments(taxYear, 'BORROWER', userId),
+    feesPaidCents(taxYear, userId),
+  ]);
+  await addChargeOffs(lender, taxYear, 'LENDER', userId);
+  await addChargeOffs(borrower, taxYear, 'BORROWER', userId);
+
+  const l = sideSummary(lender.get(userId));
+  const b = sideSummary(borrower.get(userId));
+  return {
+    taxYear,
+    generatedAt: new Date().toISOString(),
+    user,
+    lender: {
+      interestIncomeCents: l.interestCents,
+      principalReturnedCents: l.principalCents,
+      chargedOffPrincipalCents: l.chargedOffPrincipalCents,
+      loans: l.loans,
+    },
+    borrower: {
+      interestPaidCents: b.interestCents,
+      principalRepaidCents: b.principalCents,
+      feesPaidCents: fees,
+      chargedOffPrincipalCents: b.chargedOffPrincipalCents,
+      loans: b.loans,
+    },
+  };
+}
+
+/* ------------------------------- Formats ------------------------------- */
+
+// Text starting with = + - @ (or tab / CR) would run as a spreadsheet
+// formula, so it gets a leading quote; plain numbers are left alone.
+const csvCell = (v) => {
+  let s = v == null ? '' : String(v);
+  if (/^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const toCsv = (rows) => rows.map((r) => r.map(csvCell).join(',')).join('\n') + '\n';
+
+function statementToCsv(s) {
+  const rows = [['tax_year', 'role', 'loan_id', 'interest', 'principal', 'charged_off_principal', 'fees_paid']];
+  for (const loan of s.lender.loans) {
+    rows.push([s.taxYear, 'LENDER', loan.loanId, money(loan.interestCents), money(loan.principalCents), money(loan.chargedOffPrincipalCents), '']);
+  }
+  rows.push([
+    s.taxYear,
+    'LENDER',
+    'TOTAL',
+    money(s.lender.interestIncomeCents),
+    money(s.lender.principalReturnedCents),
+    money(s.lender.chargedOffPrincipalCents),
+    '',
+  ]);
+  for (const loan of s.borrower.loans) {
+    rows.push([s.taxYear, 'BORROWER', loan.loanId, money(loan.interestCents), money(loan.principalCents), money(loan.chargedOffPrincipalCents), '']);
+  }
+  rows.push([
+    s.taxYear,
+    'BORROWER',
+    'TOTAL',
+    money(s.borrower.interestPaidCents),
+    money(s.borrower.principalRepaidCents),
+    money(s.borrower.chargedOffPrincipalCents),
+    money(s.borrower.feesPaidCents),
+  ]);
+  return toCsv(rows);
+}
+
+function statementToPdf(s) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 54, info: { Title: `PeerFund ${s.taxYear} tax statement` } });
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const line = (label, cents) => doc.text(`${label}: $${money(cents)}`);
+    const heading = (text) => doc.moveDown(0.8).font('Helvetica-Bold').fontSize(12).text(text).font('Helvetica').fontSize(10);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(`${s.taxYear} Year-End Statement`, { align: 'center' });
+    doc.font('Helvetica').fontSize(10).moveDown(0.5);
+    doc.text(`${s.user.name}${s.user.email ? ` <${s.user.email}>` : ''}`);
+    if (s.user.location) doc.text(s.user.location);
+    doc.fontSize(8).text(`Generated ${s.generatedAt}. Informational only; not a tax form.`).fontSize(10);
+
+    heading('As a lender');
+    line('Interest income', s.lender.interestIncomeCents);
+    line('Principal returned', s.lender.principalReturnedCents);
+    line('Charged-off principal', s.lender.chargedOffPrincipalCents);
+    for (const l of s.lender.loans) {
+      doc.fontSize(9).text(
+        `  Loan ${l.loanId}: interest $${money(l.interestCents)}, principal $${money(l.principalCents)}, charged off $${money(l.chargedOffPrincipalCents)}`
+      );
+    }
+    doc.fontSize(10);
+
+    heading('As a borrower');
+    line('Interest paid', s.borrower.interestPaidCents);
+    line('Principal repaid', s.borrower.principalRepaidCents);
+    line('Fees paid', s.borrower.feesPaidCents);
+    line('Charged-off principal', s.borrower.chargedOffPrincipalCents);
+    for (const l of s.borrower.loans) {
+      doc.fontSize(9).text(
+        `  Loan ${l.loanId}: interest $${money(l.interestCents)}, principal $${money(l.principalCents)}, charged off $${money(l.chargedOffPrincipalCents)}`
+      );
+    }
+
+    doc.end();
+  });
+}
+
+/* ---------------------------- 1099-INT export ---------------------------- */
+
+/**
+ * 1099-INT style records for every lender whose interest income in
+ * `taxYear` is at least `thresholdDollars`.
+ */
+async function build1099IntRecords(taxYear, thresholdDollars = INT_1099_THRESHOLD) {
+  const income = await splitRepayments(taxYear, 'LENDER');
+  const thresholdCents = toCents(thresholdDollars);
+  const reportable = [...income].filter(([, t]) => t.interestCents >= thresholdCents);
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: reportable.map(([id]) => id) } },
+    select: { id: true, name: true, email: true, location: true },
+  });
+  const byId = new Map(users.map((u) => [u.id, u]));
+
+  return reportable
+    .map(([recipientId, t]) => ({
+      taxYear,
+      payerName: process.env.TAX_PAYER_NAME || 'PeerFund',
+      payerTin: process.env.TAX_PAYER_TIN || null,
+      recipientId,
+      recipientName: byId.get(recipientId)?.name || null,
+      recipientEmail: byId.get(recipientId)?.email || null,
+      recipientAddress: byId.get(recipientId)?.location || null,
+      box1InterestIncome: money(t.interestCents),
+      principalReturned: money(t.principalCents),
+    }))
+    .sort((a, b) => Number(b.box1InterestIncome) - Number(a.box1InterestIncome));
+}
+
+function records1099ToCsv(records) {
+  const cols = [
+    'taxYear',
+    'payerName',
+    'payerTin',
+    'recipientId',
+    'recipientName',
+    'recipientEmail',
+    'recipientAddress',
+    'box1InterestIncome',
+    'principalReturned',
+  ];
+  return toCsv([cols, ...records.map((r) => cols.map((c) => r[c]))]);
+}
+
+module.exports = {
+  INT_1099_THRESHOLD,
+  parseTaxYear,
+  buildStatement,
+  statementToCsv,
+  statementToPdf,
+  build1099IntRecords,
+  records1099ToCsv,
+};
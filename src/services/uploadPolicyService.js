@@ -0,0 +1,172 @@
+// src/services/uploadPolicyService.js
+const { detectMimeType, countPdfPages, stripImageMetadata } = require('../utils/fileInspection');
+
+/**
+ * Every uploaded file goes through processUpload() before it is stored:
+ *
+ *   1. DocumentType must have a policy in UPLOAD_POLICIES
+ *   2. size ≤ policy.maxBytes
+ *   3. real type (magic bytes, not the client's Content-Type / extension)
+ *      in policy.mimeTypes
+ *   4. PDFs: readable and ≤ policy.maxPages
+ *   5. photos: EXIF / XMP / IPTC stripped (policy.stripMetadata)
+ *   6. malware scan
+ *
+ * Scanners are objects with `name` and `scan(buffer, { fileName })` →
+ * { clean, signature? }. MALWARE_SCANNER picks one from SCANNERS (default
+ * `none`). A scanner error rejects the upload (SCAN_FAILED) unless
+ * MALWARE_SCAN_FAIL_OPEN=true.
+ *
+ * Failures throw with err.code (see UPLOAD_ERROR_STATUS) and err.details.
+ */
+
+const MB = 1024 * 1024;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const UPLOAD_POLICIES = {
+  ID_FRONT: { mimeTypes: IMAGE_TYPES, maxBytes: 10 * MB, stripMetadata: true },
+  ID_BACK: { mimeTypes: IMAGE_TYPES, maxBytes: 10 * MB, stripMetadata: true },
+  PHOTO_ID: { mimeTypes: IMAGE_TYPES, maxBytes: 10 * MB, stripMetadata: true },
+  SELFIE: { mimeTypes: IMAGE_TYPES, maxBytes: 10 * MB, stripMetadata: true },
+  PAYSTUB: { mimeTypes: ['application/pdf', 'image/jpeg', 'image/png'], maxBytes: 10 * MB, maxPages: 10, stripMetadata: true },
+  CONTRACT: { mimeTypes: ['application/pdf'], maxBytes: 20 * MB, maxPages: 50 },
+};
+
+// Types POST /api/documents/upload accepts (policy key → stored Document.type,
+// lowercase like the server-generated agreements). Verification items (ID,
+// selfie, paystub) only come in through /api/verification, which reviews them.
+const GENERIC_UPLOAD_TYPES = { CONTRACT: 'contract' };
+
+// Hard cap for the multipart parser (largest policy)
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(UPLOAD_POLICIES).map((p) => p.maxBytes));
+
+const UPLOAD_ERROR_STATUS = {
+  INVALID_DOCUMENT_TYPE: 400,
+  MISSING_FILE: 400,
+  EMPTY_FILE: 400,
+  FILE_TOO_LARGE: 413,
+  UNSUPPORTED_FILE_TYPE: 415,
+  PDF_TOO_MANY_PAGES: 422,
+  PDF_UNREADABLE: 422,
+  IMAGE_UNREADABLE: 422,
+  MALWARE_DETECTED: 422,
+  SCAN_FAILED: 503,
+};
+
+const SCANNERS = {
+  none: { name: 'none', scan: async () => ({ clean: true }) },
+  clamd: require('./malwareScanners/clamdScanner'),
+  command: require('./malwareScanners/commandScanner'),
+};
+
+function uploadError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function getScanner(name = process.env.MALWARE_SCANNER || 'none') {
+  const scanner = SCANNERS[name];
+  if (!scanner) throw new Error(`Unknown malware scanner: ${name}`);
+  return scanner;
+}
+
+/** Plug in another scanner (e.g. a cloud AV API) under `name`. */
+function registerScanner(name, scanner) {
+  SCANNERS[name] = scanner;
+}
+
+function getPolicy(documentType) {
+  const policy = UPLOAD_POLICIES[documentType];
+  if (!policy) {
+    throw uploadError('INVALID_DOCUMENT_TYPE', `Invalid document type: ${documentType}`, {
+      allowed: Object.keys(UPLOAD_POLICIES),
+    });
+  }
+  return policy;
+}
+
+async function scanBuffer(buffer, fileName) {
+  let scanner;
+  let result;
+  try {
+    scanner = getScanner();
+    result = await scanner.scan(buffer, { fileName });
+  } catch (e) {
+    console.error(`❌ Malware scan (${scanner?.name || process.env.MALWARE_SCANNER}) failed:`, e.message);
+    if (process.env.MALWARE_SCAN_FAIL_OPEN === 'true') return;
+    throw uploadError('SCAN_FAILED', 'File could not be scanned, please try again later');
+  }
+  if (!result?.clean) {
+    console.warn(`🦠 Upload "${fileName}" rejected by ${scanner.name}: ${result?.signature || 'unknown'}`);
+    throw uploadError('MALWARE_DETECTED', 'File was flagged by the malware scanner', {
+      signature: result?.signature || null,
+    });
+  }
+}
+
+/**
+ * Validate, sanitise and scan one upload for `documentType`.
+ * Returns { buffer, mimeType, sizeBytes, pages } — store `buffer` (metadata
+ * stripped) and `mimeType` (detected), not what the client sent.
+ */
+async function processUpload({ buffer, fileName, documentType }) {
+  const policy = getPolicy(documentType);
+  if (!buffer) throw uploadError('MISSING_FILE', 'No file uploaded');
+  if (!buffer.length) throw uploadError('EMPTY_FILE', 'Uploaded file is empty');
+  if (buffer.length > policy.maxBytes) {
+    throw uploadError('FILE_TOO_LARGE', `File exceeds ${policy.maxBytes / MB} MB`, {
+      maxBytes: policy.maxBytes,
+      sizeBytes: buffer.length,
+    });
+  }
+
+  const mimeType = detectMimeType(buffer);
+  if (!mimeType || !policy.mimeTypes.includes(mimeType)) {
+    throw uploadError('UNSUPPORTED_FILE_TYPE', `File type not allowed for ${documentType}`, {
+      detected: mimeType,
+      allowed: policy.mimeTypes,
+    });
+  }
+
+  let pages = null;
+  let clean = buffer;
+  if (mimeType === 'application/pdf') {
+    pages = countPdfPages(buffer);
+    if (!pages) throw uploadError('PDF_UNREADABLE', 'PDF could not be read (damaged or encrypted)');
+    if (policy.maxPages && pages > policy.maxPages) {
+      throw uploadError('PDF_TOO_MANY_PAGES', `PDF has ${pages} pages, maximum is ${policy.maxPages}`, {
+        pages,
+        maxPages: policy.maxPages,
+      });
+    }
+  } else if (policy.stripMetadata) {
+    clean = stripImageMetadata(buffer, mimeType);
+  }
+
+  await scanBuffer(buffer, fileName);
+
+  return { buffer: clean, mimeType, sizeBytes: clean.length, pages };
+}
+
+/** Send a processUpload() error as JSON; returns false for unrelated errors. */
+function sendUploadError(res, err) {
+  const status = UPLOAD_ERROR_STATUS[err.code];
+  if (!status) return false;
+  res.status(status).json({ error: err.message, code: err.code, ...(err.details && { details: err.details }) });
+  return true;
+}
+
+module.exports = {
+  UPLOAD_POLICIES,
+  GENERIC_UPLOAD_TYPES,
+  MAX_UPLOAD_BYTES,
+  UPLOAD_ERROR_STATUS,
+  SCANNERS,
+  getScanner,
+  registerScanner,
+  getPolicy,
+  processUpload,
+  sendUploadError,
+};
@@ -0,0 +1,208 @@
+// src/services/verificationPolicy.js
+const prisma = require('../utils/prisma');
+const { getVerificationChecklist } = require('../utils/verification');
+
+/**
+ * Which money-related actions need what from the user:
+ *
+ *   VERIFIED          verificationStatus APPROVED (ID front/back + selfie)
+ *   CONNECT_ONBOARDED Stripe Connect account with onboarding completed
+ *                     (where withdrawals are paid out)
+ *   FUNDING_METHOD    a card/bank we can charge (repayments, autopay)
+ *
+ * Connect and funding-method requirements only apply when Stripe is
+ * configured; without it payments are simulated (see walletController).
+ *
+ * Routes use middleware/requireVerified(action); services that act on a
+ * user's behalf without a request can call assertAllowed().
+ */
+
+const POLICY = {
+  CREATE_LOAN_REQUEST: ['VERIFIED', 'FUNDING_METHOD'],
+  SUBMIT_OFFER: ['VERIFIED'],
+  FUND_LOAN: ['VERIFIED'],
+  WITHDRAW: ['VERIFIED', 'CONNECT_ONBOARDED'],
+  CREATE_DIRECT_REQUEST: ['VERIFIED', 'FUNDING_METHOD'],
+  APPROVE_DIRECT_REQUEST: ['VERIFIED'],
+};
+
+const ACTION_LABELS = {
+  CREATE_LOAN_REQUEST: 'request a loan',
+  SUBMIT_OFFER: 'make loan offers',
+  FUND_LOAN: 'fund loans',
+  WITHDRAW: 'withdraw funds',
+  CREATE_DIRECT_REQUEST: 'send direct loan requests',
+  APPROVE_DIRECT_REQUEST: 'approve direct loan requests',
+};
+
+const VERIFICATION_UPLOADS = [
+  { type: 'ID_FRONT', flag: 'hasIdFront', label: 'the front of your ID', endpoint: 'POST /api/verification/id/front' },
+  { type: 'ID_BACK', flag: 'hasIdBack', label: 'the back of your ID', endpoint: 'POST /api/verification/id/back' },
+  { type: 'SELFIE', flag: 'hasSelfie', label: 'a selfie', endpoint: 'POST /api/verification/selfie' },
+];
+
+const paymentsEnabled = () => Boolean(process.env.STRIPE_SECRET_KEY);
+
+const listOf = (items) =>
+  items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+
+// ---------------------------------------------------------------------
+// Requirement checks: null when met, otherwise what's missing + how to fix
+// ---------------------------------------------------------------------
+
+async function checkVerified(user) {
+  if (user.verificationStatus === 'APPROVED') return null;
+
+  const checklist = await getVerificationChecklist(user.id);
+  const missingUploads = VERIFICATION_UPLOADS.filter((u) => !checklist[u.flag]);
+
+  if (user.verificationStatus === 'REJECTED') {
+    const rejected = VERIFICATION_UPLOADS.filter((u) => checklist.rejectedItems.includes(u.type));
+    const reasons = rejected.map((u) => `${u.label}: ${checklist.items[u.type].reason}`);
+    return {
+      requirement: 'VERIFIED',
+      status: 'REJECTED',
+      message: 'Your identity verification was rejected.',
+      howToFix: rejected.length
+        ? `Upload a new copy of ${listOf(rejected.map((u) => u.label))} (${reasons.join('; ')}).`
+        : `Upload new verification photos.${user.verificationNotes ? ` Reviewer notes: ${user.verificationNotes}` : ''}`,
+      rejectedItems: checklist.rejectedItems,
+      endpoints: (rejected.length ? rejected : VERIFICATION_UPLOADS).map((u) => u.endpoint),
+    };
+  }
+
+  if (missingUploads.length) {
+    return {
+      requirement: 'VERIFIED',
+      status: user.verificationStatus || 'PENDING',
+      message: 'Your identity is not verified yet.',
+      howToFix: `Upload ${listOf(missingUploads.map((u) => u.label))}.`,
+      missingDocuments: missingUploads.map((u) => u.type),
+      endpoints: missingUploads.map((u) => u.endpoint),
+    };
+  }
+
+  return {
+    requirement: 'VERIFIED',
+    status: user.verificationStatus || 'PENDING',
+    message: 'Your identity verification is still under review.',
+    howToFix: "No action needed; we'll notify you once your documents are approved.",
+  };
+}
+
+async function checkConnectOnboarded(user) {
+  if (!paymentsEnabled() || (user.stripeAccountId && user.connectOnboardingCompleted)) return null;
+
+  if (!user.stripeAccountId) {
+    return {
+      requirement: 'CONNECT_ONBOARDED',
+      message: 'You have no payout account.',
+      howToFix: 'Create a payout account, then complete Stripe onboarding from the link.',
+      endpoints: ['POST /api/stripe/ensure-connect-account', 'POST /api/stripe/connect-onboarding-link'],
+    };
+  }
+  return {
+    requirement: 'CONNECT_ONBOARDED',
+    message: 'Your payout account onboarding is not finished.',
+    howToFix: 'Open a new onboarding link and submit the remaining details to Stripe.',
+    endpoints: ['POST /api/stripe/connect-onboarding-link', 'GET /api/stripe/connect-account'],
+  };
+}
+
+async function checkFundingMethod(user) {
+  if (!paymentsEnabled() || user.fundingPaymentMethodId) return null;
+
+  const defaultCharge = await prisma.paymentMethod.findFirst({
+    where: { userId: user.id, isDefaultCharge: true, status: 'ACTIVE', archivedAt: null },
+    select: { id: true },
+  });
+  if (defaultCharge) return null;
+
+  return {
+    requirement: 'FUNDING_METHOD',
+    message: 'You have no payment method on file for repayments.',
+    howToFix: 'Add a card (or bank account) and set it as your funding method.',
+    endpoints: ['POST /api/billing/card/setup-intent', 'POST /api/billing/card/set-funding-method'],
+  };
+}
+
+const CHECKS = {
+  VERIFIED: checkVerified,
+  CONNECT_ONBOARDED: checkConnectOnboarded,
+  FUNDING_METHOD: checkFundingMethod,
+};
+
+// ---------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------
+
+/**
+ * What `userId` still needs for `action`.
+ * Returns { action, allowed, required, missing: [{ requirement, message, howToFix, ... }] }.
+ */
+async function evaluatePolicy(userId, action) {
+  const required = POLICY[action];
+  if (!required) throw new Error(`Unknown policy action: ${action}`);
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      verificationStatus: true,
+      verificationNotes: true,
+      stripeAccountId: true,
+      connectOnboardingCompleted: true,
+      fundingPaymentMethodId: true,
+    },
+  });
+  if (!user) {
+    const err = new Error('User not found');
+    err.code = 'USER_NOT_FOUND';
+    throw err;
+  }
+
+  const missing = [];
+  for (const requirement of required) {
+    const gap = await CHECKS[requirement](user);
+    if (gap) missing.push(gap);
+  }
+  return { action, allowed: missing.length === 0, required, missing };
+}
+
+/** One-line summary for a blocked action, e.g. "To withdraw funds: ...". */
+function describeBlocked(result) {
+  const label = ACTION_LABELS[result.action] || result.action;
+  return `To ${label}: ${result.missing.map((m) => `${m.message} ${m.howToFix}`).join(' ')}`;
+}
+
+/**
+ * Throws err.code = REQUIREMENTS_NOT_MET (with err.policy = the evaluation)
+ * when the user may not perform `action`.
+ */
+async function assertAllowed(userId, action) {
+  const result = await evaluatePolicy(userId, action);
+  if (!result.allowed) {
+    const err = new Error(describeBlocked(result));
+    err.code = 'REQUIREMENTS_NOT_MET';
+    err.policy = result;
+    throw err;
+  }
+  return result;
+}
+
+/** Every action's evaluation, for showing the user what they can do. */
+async function evaluateAll(userId) {
+  const results = {};
+  for (const action of Object.keys(POLICY)) {
+    results[action] = await evaluatePolicy(userId, action);
+  }
+  return results;
+}
+
+module.exports = {
+  POLICY,
+  evaluatePolicy,
+  describeBlocked,
+  assertAllowed,
+  evaluateAll,
+};
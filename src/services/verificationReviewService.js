@@ -0,0 +1,272 @@
+// src/services/verificationReviewService.js
+const prisma = require('../utils/prisma');
+const {
+  getVerificationChecklist,
+  VERIFICATION_ITEMS,
+  REQUIRED_ITEMS,
+  currentDocWhere,
+} = require('../utils/verification');
+const { refreshScoreForUser } = require('./creditScoreService');
+
+/**
+ * Per-item verification review (ID_FRONT, ID_BACK, SELFIE, PAYSTUB):
+ *
+ *  - each upload supersedes the previous upload of that item (paystubs: only
+ *    rejected ones, since several can be current)
+ *  - an admin (or the KYC provider) approves / rejects items one by one,
+ *    rejections carry a reason the user sees
+ *  - the user's overall status follows the required items: any rejected →
+ *    REJECTED, all approved → APPROVED, otherwise PENDING. Optional items
+ *    (PAYSTUB) are reviewed the same way but never change it
+ *  - while REJECTED, only the rejected items can be uploaded again; once
+ *    they all are, the user goes back to PENDING for review
+ *
+ * Every step is written to VerificationEvent as the audit trail.
+ */
+
+function reviewError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const ITEM_LABELS = {
+  ID_FRONT: 'front of ID',
+  ID_BACK: 'back of ID',
+  SELFIE: 'selfie',
+  PAYSTUB: 'paystub',
+};
+
+async function recordEvent({ userId, actorId = null, action, itemType, documentId, reason, data }, db = prisma) {
+  return db.verificationEvent.create({
+    data: {
+      userId,
+      actorId,
+      action,
+      itemType: itemType || null,
+      documentId: documentId || null,
+      reason: reason || null,
+      data: data || undefined,
+    },
+  });
+}
+
+async function notify(userId, message, data) {
+  try {
+    await prisma.notification.create({
+      data: { userId, type: 'VERIFICATION', message, data },
+    });
+  } catch (e) {
+    console.error('⚠️ Failed to send verification notification:', e);
+  }
+}
+
+/**
+ * May the user upload `itemType` right now? While REJECTED only the rejected
+ * (or still missing) items are open. Throws err.code = ITEM_NOT_REOPENED.
+ */
+async function assertCanUpload(userId, itemType) {
+  const checklist = await getVerificationChecklist(userId);
+  if (checklist.status !== 'REJECTED') return checklist;
+
+  const item = checklist.items[itemType];
+  if (item && item.status !== 'REJECTED' && item.status !== 'MISSING') {
+    const open = checklist.rejectedItems.map((t) => ITEM_LABELS[t]).join(', ');
+    throw reviewError(
+      'ITEM_NOT_REOPENED',
+      `Your ${ITEM_LABELS[itemType]} was not rejected. Resubmit only: ${open || 'nothing'}`
+    );
+  }
+  return checklist;
+}
+
+const requiredRejected = (checklist) => checklist.rejectedItems.filter((t) => REQUIRED_ITEMS.includes(t));
+
+/**
+ * Record a new upload of `itemType`: supersede the document(s) it replaces,
+ * write the audit event and, if this completes a resubmission, reopen the
+ * user for review. A new required item also sends an APPROVED user back to
+ * review. Returns { resubmitted, reopened }.
+ */
+async function recordUpload({ userId, itemType, documentId }) {
+  const now = new Date();
+  const replaced = await prisma.document.findMany({
+    where: {
+      userId,
+      type: itemType,
+      id: { not: documentId },
+      ...currentDocWhere,
+      ...(itemType === 'PAYSTUB' && { reviewStatus: 'REJECTED' }),
+    },
+    select: { id: true, reviewStatus: true },
+  });
+
+  if (replaced.length) {
+    await prisma.document.updateMany({
+      where: { id: { in: replaced.map((d) => d.id) } },
+      data: { supersededAt: now, supersededById: documentId },
+    });
+  }
+  await prisma.document.update({
+    where: { id: documentId },
+    data: { reviewStatus: 'PENDING' },
+  });
+
+  const resubmitted = replaced.some((d) => d.reviewStatus === 'REJECTED');
+  await recordEvent({
+    userId,
+    actorId: userId,
+    action: resubmitted ? 'RESUBMITTED' : 'SUBMITTED',
+    itemType,
+    documentId,
+    data: replaced.length ? { supersedes: replaced.map((d) => d.id) } : undefined,
+  });
+
+  // Last rejected item replaced → back into the review queue
+  const checklist = await getVerificationChecklist(userId);
+  const reopened = checklist.status === 'REJECTED' && requiredRejected(checklist).length === 0;
+  const demoted = checklist.status === 'APPROVED' && REQUIRED_ITEMS.includes(itemType);
+  if (reopened || demoted) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { verificationStatus: 'PENDING' },
+    });
+    refreshScoreForUser(userId, 'VERIFICATION');
+  }
+  return { resubmitted, reopened };
+}
+
+/**
+ * Apply item outcomes and re-derive the user's overall status.
+ *
+ *   decisions: { ID_FRONT: { outcome: 'APPROVED'|'REJECTED', reason, documentId }, ... }
+ *              documentId is the upload that was looked at; it must still be
+ *              the item's current one, so a newer upload is never decided unseen
+ *   adminId:   reviewer, or null for automatic (KYC) decisions
+ *
+ * Returns { verificationStatus, items, rejectedItems }. Throws err.code =
+ * INVALID_DECISION | ITEM_MISSING | STALE_ITEM.
+ */
+async function reviewItems({ userId, adminId = null, decisions, notes }) {
+  const entries = Object.entries(decisions || {});
+  if (!entries.length) throw reviewError('INVALID_DECISION', 'No items to review');
+
+  for (const [itemType, d] of entries) {
+    if (!VERIFICATION_ITEMS.includes(itemType)) {
+      throw reviewError('INVALID_DECISION', `Unknown item: ${itemType}`);
+    }
+    if (!['APPROVED', 'REJECTED'].includes(d?.outcome)) {
+      throw reviewError('INVALID_DECISION', `${itemType}: outcome must be APPROVED or REJECTED`);
+    }
+    if (d.outcome === 'REJECTED' && !String(d.reason || '').trim()) {
+      throw reviewError('INVALID_DECISION', `${itemType}: a reason is required to reject`);
+    }
+    if (!d.documentId) {
+      throw reviewError('INVALID_DECISION', `${itemType}: documentId of the reviewed upload is required`);
+    }
+  }
+
+  const before = await getVerificationChecklist(userId);
+  const now = new Date();
+
+  for (const [itemType, d] of entries) {
+    const item = before.items[itemType];
+    if (item.status === 'MISSING') {
+      throw reviewError('ITEM_MISSING', `${ITEM_LABELS[itemType]} has not been uploaded`);
+    }
+    if (item.documentId !== String(d.documentId)) {
+      throw reviewError(
+        'STALE_ITEM',
+        `A newer ${ITEM_LABELS[itemType]} was uploaded since it was reviewed, reload and review it again`
+      );
+    }
+  }
+
+  for (const [itemType, d] of entries) {
+    const item = before.items[itemType];
+    const reason = d.outcome === 'REJECTED' ? String(d.reason).trim() : null;
+
+    await prisma.document.updateMany({
+      where: { id: { in: item.documentIds } },
+      data: { reviewStatus: d.outcome, reviewReason: reason, reviewedAt: now, reviewedById: adminId },
+    });
+    await recordEvent({
+      userId,
+      actorId: adminId,
+      action: d.outcome === 'APPROVED' ? 'ITEM_APPROVED' : 'ITEM_REJECTED',
+      itemType,
+      documentId: item.documentId,
+      reason,
+    });
+  }
+
+  // Overall status from the items
+  const after = await getVerificationChecklist(userId);
+  let verificationStatus = 'PENDING';
+  if (requiredRejected(after).length) verificationStatus = 'REJECTED';
+  else if (REQUIRED_ITEMS.every((t) => after.items[t].status === 'APPROVED')) verificationStatus = 'APPROVED';
+
+  const rejectionNotes = after.rejectedItems
+    .map((t) => `${ITEM_LABELS[t]}: ${after.items[t].reason}`)
+    .join('; ');
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      verificationStatus,
+      ...(verificationStatus === 'APPROVED' && { verifiedAt: now, verifiedById: adminId }),
+      ...(verificationStatus === 'REJECTED' && { verificationNotes: notes || rejectionNotes }),
+      ...(verificationStatus === 'APPROVED' && notes && { verificationNotes: notes }),
+    },
+  });
+
+  if (verificationStatus !== before.status) refreshScoreForUser(userId, 'VERIFICATION');
+
+  // Rejected optional items don't change the status, the user still hears about them
+  const optionalRejected = entries
+    .filter(([t, d]) => d.outcome === 'REJECTED' && !REQUIRED_ITEMS.includes(t))
+    .map(([t]) => t);
+  if (optionalRejected.length && verificationStatus !== 'REJECTED') {
+    const items = optionalRejected.map((t) => `${ITEM_LABELS[t]} (${after.items[t].reason})`);
+    await notify(userId, `⚠️ Please resubmit your ${items.join(', ')}.`, { rejectedItems: optionalRejected });
+  }
+
+  if (verificationStatus !== before.status && verificationStatus !== 'PENDING') {
+    await recordEvent({
+      userId,
+      actorId: adminId,
+      action: verificationStatus,
+      reason: verificationStatus === 'REJECTED' ? notes || rejectionNotes : notes,
+      data: { items: Object.fromEntries(VERIFICATION_ITEMS.map((t) => [t, after.items[t].status])) },
+    });
+
+    if (verificationStatus === 'APPROVED') {
+      await notify(userId, '✅ Your identity has been verified.', { verificationStatus });
+    } else {
+      const items = after.rejectedItems.map((t) => `${ITEM_LABELS[t]} (${after.items[t].reason})`);
+      await notify(userId, `⚠️ Please resubmit your ${items.join(', ')}.`, {
+        verificationStatus,
+        rejectedItems: after.rejectedItems,
+      });
+    }
+  }
+
+  return { verificationStatus, items: after.items, rejectedItems: after.rejectedItems };
+}
+
+/** A user's verification audit trail, oldest first. */
+async function getHistory(userId) {
+  return prisma.verificationEvent.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'asc' },
+  });
+}
+
+module.exports = {
+  ITEM_LABELS,
+  recordEvent,
+  assertCanUpload,
+  recordUpload,
+  reviewItems,
+  getHistory,
+};
@@ -0,0 +1,188 @@
+// src/services/walletHoldService.js
+const prisma = require('../utils/prisma');
+const { addDays } = require('date-fns');
+const { postHold, postHoldRelease } = require('./ledgerPostings');
+
+// How long lender money stays reserved for an offer / approved request
+const HOLD_TTL_DAYS = Number(process.env.WALLET_HOLD_TTL_DAYS ?? 14);
+
+/**
+ * Holds move money from a wallet's availableCents to pendingCents while an
+ * offer or an approved direct request waits to be funded:
+ *
+ *   ACTIVE ──release──▶ RELEASED   (offer rejected / withdrawn)
+ *          ──expire───▶ EXPIRED    (past expiresAt, see sweepExpiredHolds)
+ *          ──consume──▶ CONSUMED   (loan funded; the funding posting spends it)
+ *
+ * Each move is a journal posting, so Wallet.pendingCents always equals the
+ * sum of ACTIVE holds.
+ */
+
+function referenceFor(hold) {
+  if (hold.offerId) return { referenceType: 'LoanOffer', referenceId: hold.offerId };
+  if (hold.directReqId) return { referenceType: 'DirectLoanRequest', referenceId: hold.directReqId };
+  return { referenceType: null, referenceId: null };
+}
+
+/**
+ * Reserve `amountCents` of the user's available balance.
+ * Throws err.code = 'INSUFFICIENT_FUNDS' when the wallet can't cover it.
+ */
+async function placeHold(params, tx) {
+  if (!tx) return prisma.$transaction((t) => placeHold(params, t));
+
+  const {
+    userId,
+    amountCents,
+    reason = null,
+    offerId = null,
+    directReqId = null,
+    loanRequestId = null,
+    loanId = null,
+    expiresAt,
+  } = params;
+
+  const wallet = await tx.wallet.upsert({
+    where: { userId },
+    update: {},
+    create: { userId, availableCents: 0, pendingCents: 0 },
+  });
+
+  const hold = await tx.walletHold.create({
+    data: {
+      walletId: wallet.id,
+      amountCents,
+      reason,
+      offerId,
+      directReqId,
+      loanRequestId,
+      loanId,
+      // null = never expires (e.g. a withdrawal waiting on its payout)
+      expiresAt: expiresAt === undefined ? addDays(new Date(), HOLD_TTL_DAYS) : expiresAt,
+    },
+  });
+
+  await postHold({ userId, amountCents, holdId: hold.id, ...referenceFor(hold) }, tx);
+  return hold;
+}
+
+/**
+ * Release every ACTIVE hold matching `where` back to available.
+ * `status` is RELEASED (rejected / withdrawn) or EXPIRED (sweep).
+ * Returns the holds that were released.
+ */
+async function releaseHolds(where, { status = 'RELEASED' } = {}, tx) {
+  if (!tx) return prisma.$transaction((t) => releaseHolds(where, { status }, t));
+
+  const holds = await tx.walletHold.findMany({
+    where: { ...where, status: 'ACTIVE' },
+    include: { wallet: { select: { userId: true } } },
+  });
+
+  const now = new Date();
+  for (const hold of holds) {
+    await postHoldRelease(
+      { userId: hold.wallet.userId, amountCents: hold.amountCents, holdId: hold.id, ...referenceFor(hold) },
+      tx
+    );
+    await tx.walletHold.update({
+      where: { id: hold.id },
+      data: { status, releasedAt: now },
+    });
+  }
+  return holds;
+}
+
+/**
+ * Mark a lender's ACTIVE holds matching `where` as CONSUMED and return how
+ * many cents of them are spent (at most `maxCents`). The caller passes that
+ * on to postLoanFunding as `heldCents` in the same DB transaction, which
+ * takes the money out of held. Anything the holds reserved beyond
+ * `maxCents` goes back to available here, so no held money is left behind
+ * without an ACTIVE hold.
+ */
+async function consumeHolds(userId, where, tx, maxCents = Infinity) {
+  const holds = await tx.walletHold.findMany({
+    where: { ...where, status: 'ACTIVE', wallet: { userId } },
+  });
+  if (!holds.length) return 0;
+
+  await tx.walletHold.updateMany({
+    where: { id: { in: holds.map((h) => h.id) } },
+    data: { status: 'CONSUMED', consumedAt: new Date() },
+  });
+
+  const heldCents = holds.reduce((sum, h) => sum + h.amountCents, 0);
+  const surplusCents = heldCents - Math.min(heldCents, maxCents);
+  if (surplusCents > 0) {
+    const last = holds[holds.length - 1];
+    await postHoldRelease({ userId, amountCents: surplusCents, holdId: last.id, ...referenceFor(last) }, tx);
+  }
+  return heldCents - surplusCents;
+}
+
+/** Cents currently held for `userId` by holds matching `where`. */
+async function getHeldCents(userId, where, db = prisma) {
+  const agg = await db.walletHold.aggregate({
+    where: { ...where, status: 'ACTIVE', wallet: { userId } },
+    _sum: { amountCents: true },
+  });
+  return agg._sum.amountCents || 0;
+}
+
+/**
+ * Release holds past their expiresAt. An OPEN offer whose money is no longer
+ * reserved is expired with it, and the lender is told either way.
+ */
+async function sweepExpiredHolds(now = new Date()) {
+  const due = await prisma.walletHold.findMany({
+    where: { status: 'ACTIVE', expiresAt: { lte: now } },
+    select: { id: true },
+  });
+
+  let expired = 0;
+  for (const { id } of due) {
+    try {
+      const [hold] = await prisma.$transaction(async (tx) => {
+        const released = await releaseHolds({ id }, { status: 'EXPIRED' }, tx);
+        if (released[0]?.offerId) {
+          await tx.loanOffer.updateMany({
+            where: { id: released[0].offerId, status: 'OPEN' },
+            data: { status: 'EXPIRED' },
+          });
+        }
+        return released;
+      });
+      if (!hold) continue;
+      expired++;
+
+      await prisma.notification.create({
+        data: {
+          userId: hold.wallet.userId,
+          type: hold.offerId ? 'OFFER' : 'LOAN',
+          message: `⌛ $${(hold.amountCents / 100).toFixed(2)} reserved in your wallet has been released because it wasn't used in time.`,
+          data: {
+            holdId: hold.id,
+            offerId: hold.offerId,
+            directReqId: hold.directReqId,
+            loanId: hold.loanId,
+          },
+        },
+      });
+    } catch (err) {
+      console.error(`❌ Failed to expire wallet hold ${id}:`, err);
+    }
+  }
+
+  console.log(`⌛ Wallet hold sweep: ${expired} hold(s) expired`);
+  return { expired };
+}
+
+module.exports = {
+  HOLD_TTL_DAYS,
+  placeHold,
+  releaseHolds,
+  consumeHolds,
+  getHeldCents,
+  sweepExpiredHolds,
+};
@@ -0,0 +1,273 @@
+// src/services/withdrawalService.js
+const prisma = require('../utils/prisma');
+const { stripe } = require('../lib/stripeIdentities');
+const { postWithdrawal } = require('./ledgerPostings');
+const { placeHold, releaseHolds, consumeHolds } = require('./walletHoldService');
+
+/**
+ * Wallet withdrawals through Stripe Connect:
+ *
+ *  1) the amount moves to pending (WalletHold, no expiry) and a PENDING
+ *     Withdrawal row is written
+ *  2) platform → user's Connect account (transfer), then a payout from that
+ *     account to their bank (their isDefaultPayout bank when it is attached
+ *     to the Connect account, otherwise the account's default)
+ *  3) payout.paid   → hold consumed, WITHDRAWAL posted, status PAID
+ *     payout.failed → transfer reversed, hold released back to available,
+ *                     status FAILED
+ */
+
+function withdrawalError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+async function notify(userId, message, data) {
+  try {
+    await prisma.notification.create({
+      data: { userId, type: 'WALLET', message, data },
+    });
+  } catch (e) {
+    console.error('⚠️ Failed to create withdrawal notification:', e);
+  }
+}
+
+/**
+ * Connect external account matching the user's isDefaultPayout bank
+ * (by fingerprint), if it is attached to their Connect account.
+ */
+async function findPayoutDestination(userId, stripeAccountId) {
+  const pm = await prisma.paymentMethod.findFirst({
+    where: { userId, isDefaultPayout: true, status: 'ACTIVE', archivedAt: null },
+    select: { id: true, bankFingerprint: true },
+  });
+  if (!pm?.bankFingerprint) return { paymentMethodId: pm?.id || null, externalAccount: null };
+
+  try {
+    const list = await stripe.accounts.listExternalAccounts(stripeAccountId, {
+      object: 'bank_account',
+      limit: 100,
+    });
+    const match = list.data.find((ba) => ba.fingerprint === pm.bankFingerprint);
+    return { paymentMethodId: pm.id, externalAccount: match?.id || null };
+  } catch (e) {
+    console.warn('findPayoutDestination: could not list external accounts', e?.message);
+    return { paymentMethodId: pm.id, externalAccount: null };
+  }
+}
+
+/**
+ * Start a withdrawal. Throws err.code:
+ *  - INSUFFICIENT_FUNDS   wallet can't cover it
+ *  - NO_PAYOUT_ACCOUNT    user hasn't set up a Connect account
+ *  - PAYOUT_FAILED        Stripe refused the transfer / payout (already reversed)
+ */
+async function requestWithdrawal({ userId, amountCents }) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, stripeAccountId: true },
+  });
+  if (!user?.stripeAccountId) {
+    throw withdrawalError('NO_PAYOUT_ACCOUNT', 'Set up payouts before withdrawing');
+  }
+
+  const { paymentMethodId, externalAccount } = await findPayoutDestination(
+    userId,
+    user.stripeAccountId
+  );
+
+  // 1) available → pending
+  const withdrawal = await prisma.$transaction(async (tx) => {
+    const hold = await placeHold(
+      { userId, amountCents, reason: 'Withdrawal', expiresAt: null },
+      tx
+    );
+    return tx.withdrawal.create({
+      data: {
+        userId,
+        amountCents,
+        holdId: hold.id,
+        stripeAccountId: user.stripeAccountId,
+        paymentMethodId,
+        externalAccount,
+      },
+    });
+  });
+
+  // 2) platform → Connect account → bank
+  let transfer;
+  let payout;
+  try {
+    transfer = await stripe.transfers.create(
+      {
+        amount: amountCents,
+        currency: 'usd',
+        destination: user.stripeAccountId,
+        metadata: { withdrawalId: withdrawal.id, userId, purpose: 'wallet_withdrawal' },
+      },
+      { idempotencyKey: `withdrawal-transfer:${withdrawal.id}` }
+    );
+    await prisma.withdrawal.update({
+      where: { id: withdrawal.id },
+      data: { stripeTransferId: transfer.id },
+    });
+
+    payout = await stripe.payouts.create(
+      {
+        amount: amountCents,
+        currency: 'usd',
+        ...(externalAccount && { destination: externalAccount }),
+        metadata: { withdrawalId: withdrawal.id, userId },
+      },
+      {
+        stripeAccount: user.stripeAccountId,
+        idempotencyKey: `withdrawal-payout:${withdrawal.id}`,
+      }
+    );
+  } catch (e) {
+    console.error('❌ Withdrawal payout failed:', e?.message || e);
+    await failWithdrawal(withdrawal, {
+      transferId: transfer?.id,
+      failureCode: e?.code || 'stripe_error',
+      failureMessage: e?.message || String(e),
+    });
+    throw withdrawalError('PAYOUT_FAILED', e?.message || 'Payout failed');
+  }
+
+  // The payout is on its way: nothing from here on may reverse it. The
+  // webhooks find the row by payout.metadata.withdrawalId, so a failed write
+  // here (or a webhook that beats it) loses nothing.
+  const details = {
+    stripeTransferId: transfer.id,
+    stripePayoutId: payout.id,
+    arrivalDate: payout.arrival_date ? new Date(payout.arrival_date * 1000) : null,
+  };
+  try {
+    return await prisma.withdrawal.update({ where: { id: withdrawal.id }, data: details });
+  } catch (e) {
+    console.error(`⚠️ Could not record payout ${payout.id} on withdrawal ${withdrawal.id}:`, e);
+    return { ...withdrawal, ...details };
+  }
+}
+
+/** Withdrawal a payout webhook is about (metadata first, then the stored id). */
+async function findWithdrawalForPayout(payout) {
+  const withdrawalId = payout.metadata?.withdrawalId;
+  if (/^[a-f0-9]{24}$/i.test(String(withdrawalId || ''))) {
+    const withdrawal = await prisma.withdrawal.findUnique({ where: { id: withdrawalId } });
+    if (withdrawal) return withdrawal;
+  }
+  return prisma.withdrawal.findFirst({ where: { stripePayoutId: payout.id } });
+}
+
+/**
+ * Undo a withdrawal: reverse the transfer (if one was made) and release the
+ * hold back to available. If the reversal itself fails the money is in the
+ * user's Connect account, so the hold is kept and the row is flagged
+ * REVERSAL_FAILED for an admin.
+ */
+async function failWithdrawal(withdrawal, { transferId, failureCode, failureMessage }) {
+  const now = new Date();
+  const xferId = transferId || withdrawal.stripeTransferId;
+
+  if (xferId) {
+    try {
+      await stripe.transfers.createReversal(
+        xferId,
+        { metadata: { withdrawalId: withdrawal.id } },
+        { idempotencyKey: `withdrawal-reversal:${withdrawal.id}` }
+      );
+    } catch (e) {
+      console.error(`❌ Could not reverse transfer ${xferId} for withdrawal ${withdrawal.id}:`, e);
+      await prisma.withdrawal.update({
+        where: { id: withdrawal.id },
+        data: {
+          status: 'REVERSAL_FAILED',
+          stripeTransferId: xferId,
+          failureCode,
+          failureMessage,
+          failedAt: now,
+        },
+      });
+      return;
+    }
+  }
+
+  await prisma.$transaction(async (tx) => {
+    if (withdrawal.holdId) await releaseHolds({ id: withdrawal.holdId }, {}, tx);
+    await tx.withdrawal.update({
+      where: { id: withdrawal.id },
+      data: {
+        status: 'FAILED',
+        ...(xferId && { stripeTransferId: xferId }),
+        failureCode,
+        failureMessage,
+        failedAt: now,
+      },
+    });
+  });
+
+  await notify(
+    withdrawal.userId,
+    `⚠️ Your withdrawal of $${(withdrawal.amountCents / 100).toFixed(2)} failed and the money is back in your wallet.`,
+    { withdrawalId: withdrawal.id, failureCode }
+  );
+}
+
+/** payout.paid webhook: the money reached the bank. */
+async function handlePayoutPaid(payout) {
+  const withdrawal = await findWithdrawalForPayout(payout);
+  if (!withdrawal || withdrawal.status !== 'PENDING') return null;
+
+  const paidAt = new Date();
+  const done = await prisma.$transaction(async (tx) => {
+    // Claim the row first so a redelivered webhook can't post twice
+    const { count } = await tx.withdrawal.updateMany({
+      where: { id: withdrawal.id, status: 'PENDING' },
+      data: { status: 'PAID', paidAt, stripePayoutId: payout.id },
+    });
+    if (!count) return false;
+
+    const heldCents = withdrawal.holdId
+      ? await consumeHolds(withdrawal.userId, { id: withdrawal.holdId }, tx)
+      : 0;
+    await postWithdrawal(
+      {
+        userId: withdrawal.userId,
+        amountCents: withdrawal.amountCents,
+        externalId: payout.id,
+        fromHeld: heldCents >= withdrawal.amountCents,
+        metadata: { withdrawalId: withdrawal.id, status: 'PAID' },
+      },
+      tx
+    );
+    return true;
+  });
+  if (!done) return null;
+
+  await notify(
+    withdrawal.userId,
+    `🏦 Your withdrawal of $${(withdrawal.amountCents / 100).toFixed(2)} has been paid to your bank.`,
+    { withdrawalId: withdrawal.id }
+  );
+  return withdrawal;
+}
+
+/** payout.failed webhook: reverse back to the wallet. */
+async function handlePayoutFailed(payout) {
+  const withdrawal = await findWithdrawalForPayout(payout);
+  if (!withdrawal || withdrawal.status !== 'PENDING') return null;
+
+  await failWithdrawal(withdrawal, {
+    failureCode: payout.failure_code || 'payout_failed',
+    failureMessage: payout.failure_message || 'Payout failed',
+  });
+  return withdrawal;
+}
+
+module.exports = {
+  requestWithdrawal,
+  handlePayoutPaid,
+  handlePayoutFailed,
+};
@@ -0,0 +1,64 @@
+// utils/delinquency.js
+const { differenceInCalendarDays } = require('date-fns');
+
+// Days after dueDate before an unpaid installment counts as LATE (and the late fee is charged)
+const GRACE_PERIOD_DAYS = Number(process.env.REPAYMENT_GRACE_DAYS ?? 5);
+
+// Days past due at which an installment is written off as DEFAULTED
+const DEFAULT_AFTER_DAYS = Number(process.env.REPAYMENT_DEFAULT_DAYS ?? 120);
+
+/**
+ * Repayment.status ladder, mildest first. PAID sits outside the ladder.
+ * An installment only ever moves *down* this list until it is paid.
+ */
+const DELINQUENCY_LADDER = [
+  'PENDING',
+  'LATE',
+  'DELINQUENT_30',
+  'DELINQUENT_60',
+  'DELINQUENT_90',
+  'DEFAULTED',
+];
+
+// Every status that still has money owed on it
+const UNPAID_REPAYMENT_STATUSES = [...DELINQUENCY_LADDER];
+
+// Loan statuses the delinquency sweep is allowed to overwrite
+const SERVICING_LOAN_STATUSES = ['FUNDED', ...DELINQUENCY_LADDER.slice(1)];
+
+function severity(status) {
+  return DELINQUENCY_LADDER.indexOf(status);
+}
+
+/** Where an unpaid installment due on `dueDate` should sit as of `now`. */
+function delinquencyStatusFor(dueDate, now = new Date()) {
+  const daysPastDue = differenceInCalendarDays(now, new Date(dueDate));
+
+  if (daysPastDue >= DEFAULT_AFTER_DAYS) return 'DEFAULTED';
+  if (daysPastDue >= 90) return 'DELINQUENT_90';
+  if (daysPastDue >= 60) return 'DELINQUENT_60';
+  if (daysPastDue >= 30) return 'DELINQUENT_30';
+  if (daysPastDue > GRACE_PERIOD_DAYS) return 'LATE';
+  return 'PENDING';
+}
+
+/** Worst (most severe) status in a list; null when nothing is unpaid. */
+function worstStatus(statuses) {
+  let worst = null;
+  for (const s of statuses) {
+    if (severity(s) < 0) continue;
+    if (worst === null || severity(s) > severity(worst)) worst = s;
+  }
+  return worst;
+}
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  DEFAULT_AFTER_DAYS,
+  DELINQUENCY_LADDER,
+  UNPAID_REPAYMENT_STATUSES,
+  SERVICING_LOAN_STATUSES,
+  severity,
+  delinquencyStatusFor,
+  worstStatus,
+};
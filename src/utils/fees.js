@@ -2,6 +2,11 @@
 const PEERFUND_FEE_RATE = 0.02; // 2%
 const BANKING_FEE_RATE = 0.05;  // 5%
 
+// Late fee assessed once an installment is past its grace period:
+// LATE_FEE_RATE of the base installment, but never less than LATE_FEE_MIN dollars.
+const LATE_FEE_RATE = Number(process.env.LATE_FEE_RATE ?? 0.05);
+const LATE_FEE_MIN = Number(process.env.LATE_FEE_MIN_DOLLARS ?? 5);
+
 function calcFees(baseAmount) {
   const peerfundFee = Number((baseAmount * PEERFUND_FEE_RATE).toFixed(2));
   const bankingFee = Number((baseAmount * BANKING_FEE_RATE).toFixed(2));
@@ -26,9 +31,17 @@ function computePlatformFeeCentsFromBase(baseAmountDollars, borrower, lender) {
   return Math.round(adjustedFee * 100);
 }
 
+function calcLateFee(baseAmount) {
+  const pct = Number(((Number(baseAmount) || 0) * LATE_FEE_RATE).toFixed(2));
+  return Number(Math.max(pct, LATE_FEE_MIN).toFixed(2));
+}
+
 module.exports = {
   PEERFUND_FEE_RATE,
   BANKING_FEE_RATE,
+  LATE_FEE_RATE,
+  LATE_FEE_MIN,
   calcFees,
+  calcLateFee,
   computePlatformFeeCentsFromBase,
 };
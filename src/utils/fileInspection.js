@@ -0,0 +1,170 @@
+// utils/fileInspection.js
+const zlib = require('zlib');
+
+/**
+ * Buffer-level checks for uploads: real file type from magic bytes, PDF page
+ * count, and removal of photo metadata (EXIF / XMP / IPTC / text chunks,
+ * which carry GPS position, device ids, timestamps...).
+ */
+
+/** MIME type from the file's leading bytes, or null when unrecognised. */
+function detectMimeType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf.subarray(0, 5).toString('latin1') === '%PDF-') return 'application/pdf';
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------
+
+function countPagesIn(text) {
+  const pageObjects = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+  let treeCount = 0;
+  const pagesDict = /\/Type\s*\/Pages(?![a-zA-Z])[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages(?![a-zA-Z])/g;
+  for (let m = pagesDict.exec(text); m; m = pagesDict.exec(text)) {
+    treeCount = Math.max(treeCount, Number(m[1] || m[2]));
+  }
+  return Math.max(pageObjects, treeCount);
+}
+
+/**
+ * Number of pages in a PDF, or null when it can't be read. Looks at the
+ * page objects / page tree directly, then inside compressed object streams
+ * (PDF 1.5+ often keeps the page tree there).
+ */
+function countPdfPages(buf) {
+  const text = buf.toString('latin1');
+  if (/\/Encrypt\b/.test(text)) return null;
+
+  const direct = countPagesIn(text);
+  if (direct) return direct;
+
+  let found = 0;
+  const streams = /stream\r?\n/g;
+  for (let m = streams.exec(text); m; m = streams.exec(text)) {
+    const start = m.index + m[0].length;
+    const end = text.indexOf('endstream', start);
+    if (end < 0) break;
+    try {
+      found = Math.max(found, countPagesIn(zlib.inflateSync(buf.subarray(start, end)).toString('latin1')));
+    } catch (_) {
+      // not a Flate stream (images, fonts...)
+    }
+    streams.lastIndex = end;
+  }
+  return found || null;
+}
+
+// ---------------------------------------------------------------------
+// Photo metadata
+// ---------------------------------------------------------------------
+
+function imageError(message) {
+  const err = new Error(message);
+  err.code = 'IMAGE_UNREADABLE';
+  return err;
+}
+
+// JPEG: drop APP1 (EXIF, XMP), APP13 (IPTC) and comments; keep APP2 (ICC colour)
+function stripJpeg(buf) {
+  const out = [buf.subarray(0, 2)];
+  let i = 2;
+  while (i < buf.length) {
+    if (buf[i] !== 0xff) throw imageError('Corrupt JPEG segment');
+    const marker = buf[i + 1];
+    if (marker === 0xd9) { // EOI
+      out.push(buf.subarray(i, i + 2));
+      break;
+    }
+    if (marker === 0xda) { // SOS: entropy-coded data to the end
+      out.push(buf.subarray(i));
+      break;
+    }
+    if (marker === 0xff) { // fill byte
+      i += 1;
+      continue;
+    }
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      out.push(buf.subarray(i, i + 2));
+      i += 2;
+      continue;
+    }
+    if (i + 4 > buf.length) throw imageError('Truncated JPEG');
+    const len = buf.readUInt16BE(i + 2);
+    const end = i + 2 + len;
+    if (len < 2 || end > buf.length) throw imageError('Truncated JPEG');
+    if (marker !== 0xe1 && marker !== 0xed && marker !== 0xfe) out.push(buf.subarray(i, end));
+    i = end;
+  }
+  return Buffer.concat(out);
+}
+
+// PNG: drop eXIf and text / time chunks
+const PNG_DROP = new Set(['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME']);
+function stripPng(buf) {
+  const out = [buf.subarray(0, 8)];
+  let i = 8;
+  while (i + 12 <= buf.length) {
+    const len = buf.readUInt32BE(i);
+    const type = buf.subarray(i + 4, i + 8).toString('latin1');
+    const end = i + 12 + len;
+    if (end > buf.length) throw imageError('Truncated PNG');
+    if (!PNG_DROP.has(type)) out.push(buf.subarray(i, end));
+    i = end;
+    if (type === 'IEND') break;
+  }
+  return Buffer.concat(out);
+}
+
+// WebP: drop EXIF / XMP chunks and clear their VP8X flags
+function stripWebp(buf) {
+  const chunks = [];
+  let i = 12;
+  while (i + 8 <= buf.length) {
+    const fourcc = buf.subarray(i, i + 4).toString('latin1');
+    const size = buf.readUInt32LE(i + 4);
+    const end = i + 8 + size + (size % 2);
+    if (i + 8 + size > buf.length) throw imageError('Truncated WebP');
+    if (fourcc !== 'EXIF' && fourcc !== 'XMP ') {
+      const chunk = Buffer.from(buf.subarray(i, Math.min(end, buf.length)));
+      if (fourcc === 'VP8X') chunk[8] &= ~(0x08 | 0x04);
+      chunks.push(chunk);
+    }
+    i = end;
+  }
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Copy of the image without metadata. Pixels are untouched; note that the
+ * EXIF orientation tag goes too. Throws err.code = IMAGE_UNREADABLE.
+ */
+function stripImageMetadata(buf, mimeType) {
+  switch (mimeType) {
+    case 'image/jpeg':
+      return stripJpeg(buf);
+    case 'image/png':
+      return stripPng(buf);
+    case 'image/webp':
+      return stripWebp(buf);
+    default:
+      return buf;
+  }
+}
+
+module.exports = {
+  detectMimeType,
+  countPdfPages,
+  stripImageMetadata,
+};
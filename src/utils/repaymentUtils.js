@@ -1,32 +1,257 @@
-const generateRepaymentSchedule = async (loan) => {
-  const repaymentCount = loan.duration;
-  const monthlyRate = loan.interestRate / 100 / 12;
-  const amount = loan.amount;
+// utils/repaymentUtils.js
+// One schedule engine for every loan. All math is in integer cents.
+const { addMonths, addWeeks, differenceInCalendarDays } = require('date-fns');
+const { PEERFUND_FEE_RATE, BANKING_FEE_RATE } = require('./fees');
 
-  const monthlyPayment = (amount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -repaymentCount));
-  const repayments = [];
+const SCHEDULE_METHODS = ['FLAT', 'SIMPLE', 'AMORTIZING'];
+const PAYMENT_FREQUENCIES = ['WEEKLY', 'BIWEEKLY', 'MONTHLY'];
+const DAY_COUNTS = ['30/360', 'ACTUAL/365'];
 
-  let balance = amount;
-  let currentDueDate = new Date();
+const DEFAULT_SCHEDULE_METHOD = 'AMORTIZING';
+const DEFAULT_PAYMENT_FREQUENCY = 'MONTHLY';
+const DEFAULT_DAY_COUNT = '30/360';
 
-  for (let i = 0; i < repaymentCount; i++) {
-    const interest = balance * monthlyRate;
-    const principal = monthlyPayment - interest;
-    balance -= principal;
+const PERIODS_PER_YEAR = { WEEKLY: 52, BIWEEKLY: 26, MONTHLY: 12 };
+// 30/360 accrues a 360-day year evenly over the periods, matching the
+// nominal periodic rate the level payment is solved at
+const DAYS_PER_PERIOD_360 = { WEEKLY: 360 / 52, BIWEEKLY: 360 / 26, MONTHLY: 30 };
 
-    currentDueDate.setMonth(currentDueDate.getMonth() + 1);
+/** How many installments a term of `termMonths` has at this frequency. */
+function installmentCount(termMonths, frequency = DEFAULT_PAYMENT_FREQUENCY) {
+  const months = Math.max(1, Math.round(Number(termMonths) || 0));
+  if (frequency === 'MONTHLY') return months;
+  return Math.ceil((months * PERIODS_PER_YEAR[frequency]) / 12);
+}
 
-    repayments.push({
-      dueDate: new Date(currentDueDate),
-      amount: Number(monthlyPayment.toFixed(2)),
-      amountDue: Number(monthlyPayment.toFixed(2)),
-      amountPaid: 0,
-      status: 'PENDING',
-      loanId: loan.id,
+function dueDateFor(startDate, n, frequency) {
+  if (frequency === 'WEEKLY') return addWeeks(startDate, n);
+  if (frequency === 'BIWEEKLY') return addWeeks(startDate, 2 * n);
+  return addMonths(startDate, n);
+}
+
+/**
+ * Borrower-chosen schedule options from a request body; unset → null (the
+ * engine defaults). Returns { scheduleMethod, paymentFrequency } or { error }.
+ */
+function parseScheduleOptions({ scheduleMethod, paymentFrequency } = {}) {
+  const method = scheduleMethod == null || scheduleMethod === '' ? null : String(scheduleMethod).toUpperCase();
+  const frequency =
+    paymentFrequency == null || paymentFrequency === '' ? null : String(paymentFrequency).toUpperCase();
+  if (method && !SCHEDULE_METHODS.includes(method)) {
+    return { error: `scheduleMethod must be one of: ${SCHEDULE_METHODS.join(', ')}` };
+  }
+  if (frequency && !PAYMENT_FREQUENCIES.includes(frequency)) {
+    return { error: `paymentFrequency must be one of: ${PAYMENT_FREQUENCIES.join(', ')}` };
+  }
+  return { scheduleMethod: method, paymentFrequency: frequency };
+}
+
+/** buildSchedule options for a LoanRequest / DirectLoanRequest row. */
+function scheduleOptionsFor(request = {}) {
+  return {
+    method: request.scheduleMethod || DEFAULT_SCHEDULE_METHOD,
+    frequency: request.paymentFrequency || DEFAULT_PAYMENT_FREQUENCY,
+    dayCount: DEFAULT_DAY_COUNT,
+  };
+}
+
+/** Fraction of a year between two due dates under the day-count convention. */
+function yearFraction(from, to, frequency, dayCount) {
+  if (dayCount === 'ACTUAL/365') return differenceInCalendarDays(to, from) / 365;
+  return DAYS_PER_PERIOD_360[frequency] / 360;
+}
+
+/**
+ * Build a repayment schedule.
+ *
+ *  - FLAT:       the rate is a one-off finance charge on the principal for the
+ *                whole term, spread evenly across installments.
+ *  - SIMPLE:     equal principal parts; each installment pays the interest that
+ *                accrued on the outstanding balance since the previous one.
+ *  - AMORTIZING: level payments; interest on the outstanding balance, the rest
+ *                reduces principal.
+ *
+ * `interestRateBps` is the annual rate (FLAT: the term rate) in basis points.
+ * Rounding leftovers always land on the final installment, so principal parts
+ * add up to exactly `principalCents`.
+ *
+ * Re-scheduling an existing loan (prepayments) can pin the remaining due dates
+ * with `dueDates` and keep the old installment size with `paymentCents`
+ * (AMORTIZING) or `principalPartCents` (FLAT / SIMPLE); the schedule then ends
+ * as soon as the balance is paid, leaving later dates unused.
+ * `flatInterestCents` overrides the FLAT finance charge.
+ *
+ * Returns { method, frequency, dayCount, installments, paymentCents,
+ *           totalInterestCents, totalPaymentCents } where every installment is
+ *           { installmentNo, dueDate, principalCents, interestCents, paymentCents, balanceAfterCents }.
+ */
+function buildSchedule({
+  principalCents,
+  interestRateBps,
+  termMonths,
+  method = DEFAULT_SCHEDULE_METHOD,
+  frequency = DEFAULT_PAYMENT_FREQUENCY,
+  dayCount = DEFAULT_DAY_COUNT,
+  startDate = new Date(),
+  dueDates,
+  paymentCents,
+  principalPartCents,
+  flatInterestCents,
+  firstInstallmentNo = 1,
+}) {
+  if (!SCHEDULE_METHODS.includes(method)) throw new Error(`Unknown schedule method: ${method}`);
+  if (!PAYMENT_FREQUENCIES.includes(frequency)) throw new Error(`Unknown payment frequency: ${frequency}`);
+  if (!DAY_COUNTS.includes(dayCount)) throw new Error(`Unknown day count: ${dayCount}`);
+
+  const principal = Math.round(Number(principalCents) || 0);
+  const rate = (Number(interestRateBps) || 0) / 10000;
+  const start = new Date(startDate);
+  const dates = dueDates
+    ? dueDates.map((d) => new Date(d))
+    : Array.from({ length: installmentCount(termMonths, frequency) }, (_, i) =>
+        dueDateFor(start, i + 1, frequency)
+      );
+  const n = dates.length;
+
+  // Even principal part (FLAT / SIMPLE) and how many dates it needs
+  const principalEach = principalPartCents > 0 ? Math.round(principalPartCents) : Math.floor(principal / n);
+  const count =
+    method === 'AMORTIZING' || !(principalPartCents > 0)
+      ? n
+      : Math.min(n, Math.max(1, Math.ceil(principal / principalEach)));
+
+  // Level payment for AMORTIZING (nominal periodic rate), even split for FLAT
+  const periodicRate = rate / PERIODS_PER_YEAR[frequency];
+  let levelPayment = 0;
+  let flatInterestEach = 0;
+  let flatInterestTotal = 0;
+
+  if (method === 'AMORTIZING') {
+    if (paymentCents > 0) levelPayment = Math.round(paymentCents);
+    else
+      levelPayment =
+        periodicRate > 0
+          ? Math.round((principal * periodicRate) / (1 - Math.pow(1 + periodicRate, -n)))
+          : Math.round(principal / n);
+  } else if (method === 'FLAT') {
+    flatInterestTotal = flatInterestCents != null ? Math.round(flatInterestCents) : Math.round(principal * rate);
+    flatInterestEach = Math.floor(flatInterestTotal / count);
+  }
+
+  const installments = [];
+  let balance = principal;
+  let prevDate = start;
+
+  for (let i = 1; i <= count && balance > 0; i++) {
+    const dueDate = dates[i - 1];
+    const isLast = i === count;
+    let interestCents;
+    let principalPart;
+
+    if (method === 'FLAT') {
+      interestCents = isLast ? flatInterestTotal - flatInterestEach * (count - 1) : flatInterestEach;
+      principalPart = isLast ? balance : Math.min(balance, principalEach);
+    } else {
+      interestCents = Math.round(balance * rate * yearFraction(prevDate, dueDate, frequency, dayCount));
+      if (method === 'SIMPLE') {
+        principalPart = isLast ? balance : Math.min(balance, principalEach);
+      } else {
+        principalPart = isLast ? balance : Math.min(balance, Math.max(0, levelPayment - interestCents));
+      }
+    }
+
+    balance -= principalPart;
+    installments.push({
+      installmentNo: firstInstallmentNo + i - 1,
+      dueDate,
+      principalCents: principalPart,
+      interestCents,
+      paymentCents: principalPart + interestCents,
+      balanceAfterCents: balance,
     });
+    prevDate = dueDate;
   }
 
-  return repayments;
-};
+  const totalInterestCents = installments.reduce((s, r) => s + r.interestCents, 0);
+  return {
+    method,
+    frequency,
+    dayCount,
+    installments,
+    paymentCents: installments[0]?.paymentCents || 0,
+    totalInterestCents,
+    totalPaymentCents: principal + totalInterestCents,
+  };
+}
+
+/**
+ * Turn a schedule into Repayment rows (legacy dollar columns + cents split),
+ * adding the per-installment PeerFund and banking fees.
+ */
+function scheduleToRepaymentRows(
+  schedule,
+  {
+    loanId,
+    peerfundWaived = false,
+    peerfundRate = PEERFUND_FEE_RATE,
+    bankingRate = BANKING_FEE_RATE,
+  } = {}
+) {
+  return schedule.installments.map((inst) => {
+    const peerfundCents = peerfundWaived ? 0 : Math.round(inst.paymentCents * peerfundRate);
+    const bankingCents = Math.round(inst.paymentCents * bankingRate);
+    const totalCents = inst.paymentCents + peerfundCents + bankingCents;
 
-module.exports = { generateRepaymentSchedule };
+    return {
+      ...(loanId && { loanId }),
+      installmentNo: inst.installmentNo,
+      dueDate: inst.dueDate,
+      principalCents: inst.principalCents,
+      interestCents: inst.interestCents,
+      basePayment: inst.paymentCents / 100,
+      peerfundFee: peerfundCents / 100,
+      bankingFee: bankingCents / 100,
+      totalCharged: totalCents / 100,
+      amountDue: totalCents / 100,
+      amountPaid: 0,
+      status: 'PENDING',
+    };
+  });
+}
+
+/** Schedule for an existing Loan row (canonical cents fields, legacy fallbacks). */
+function buildScheduleForLoan(loan, overrides = {}) {
+  return buildSchedule({
+    principalCents: loan.principalCents ?? Math.round((Number(loan.amount) || 0) * 100),
+    interestRateBps: loan.interestRateBps ?? Math.round((Number(loan.interestRate) || 0) * 100),
+    termMonths: loan.termMonths ?? loan.duration,
+    method: loan.scheduleMethod || DEFAULT_SCHEDULE_METHOD,
+    frequency: loan.paymentFrequency || DEFAULT_PAYMENT_FREQUENCY,
+    dayCount: loan.dayCount || DEFAULT_DAY_COUNT,
+    startDate: loan.fundedDate || loan.createdAt || new Date(),
+    ...overrides,
+  });
+}
+
+// Kept for older callers: Repayment rows for a loan, starting today
+const generateRepaymentSchedule = async (loan) =>
+  scheduleToRepaymentRows(buildScheduleForLoan(loan, { startDate: new Date() }), {
+    loanId: loan.id,
+  });
+
+module.exports = {
+  SCHEDULE_METHODS,
+  PAYMENT_FREQUENCIES,
+  DAY_COUNTS,
+  DEFAULT_SCHEDULE_METHOD,
+  DEFAULT_PAYMENT_FREQUENCY,
+  DEFAULT_DAY_COUNT,
+  PERIODS_PER_YEAR,
+  installmentCount,
+  parseScheduleOptions,
+  scheduleOptionsFor,
+  buildSchedule,
+  buildScheduleForLoan,
+  scheduleToRepaymentRows,
+  generateRepaymentSchedule,
+};
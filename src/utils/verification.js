@@ -3,19 +3,64 @@ const prisma = require('../utils/prisma');
 
 const REQUIRED_PAYSTUBS = 0; // or keep >0 if you still want paystubs later
 
+// Items an admin reviews one by one; the first three are always required
+const VERIFICATION_ITEMS = ['ID_FRONT', 'ID_BACK', 'SELFIE', 'PAYSTUB'];
+const REQUIRED_ITEMS = ['ID_FRONT', 'ID_BACK', 'SELFIE'];
+
+// Documents not replaced by a newer upload of the same item
+const currentDocWhere = {
+  OR: [{ supersededAt: { isSet: false } }, { supersededAt: null }],
+};
+
+/**
+ * Review state of one item from its current document(s):
+ * MISSING | PENDING | APPROVED | REJECTED (any rejected paystub rejects PAYSTUB).
+ */
+function itemState(docs) {
+  if (!docs.length) return { status: 'MISSING' };
+  const statuses = docs.map((d) => d.reviewStatus || 'PENDING');
+  const rejected = docs.find((d) => d.reviewStatus === 'REJECTED');
+  const latest = docs[0];
+
+  let status = 'PENDING';
+  if (rejected) status = 'REJECTED';
+  else if (statuses.every((s) => s === 'APPROVED')) status = 'APPROVED';
+
+  return {
+    status,
+    reason: rejected?.reviewReason || null,
+    documentId: latest.id,
+    documentIds: docs.map((d) => d.id),
+    uploadedAt: latest.createdAt,
+    reviewedAt: (rejected || latest).reviewedAt || null,
+  };
+}
+
 async function getVerificationChecklist(userId) {
   const [docs, user] = await Promise.all([
     prisma.document.findMany({
-      where: { userId },
-      select: { type: true },
+      where: { userId, type: { in: VERIFICATION_ITEMS }, ...currentDocWhere },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        type: true,
+        createdAt: true,
+        reviewStatus: true,
+        reviewReason: true,
+        reviewedAt: true,
+      },
     }),
     prisma.user.findUnique({
       where: { id: userId },
-      select: { verificationStatus: true },
+      select: { verificationStatus: true, verificationNotes: true },
     }),
   ]);
 
   const types = docs.map((d) => d.type);
+  const items = Object.fromEntries(
+    VERIFICATION_ITEMS.map((t) => [t, itemState(docs.filter((d) => d.type === t))])
+  );
+  const rejectedItems = VERIFICATION_ITEMS.filter((t) => items[t].status === 'REJECTED');
 
   const hasIdFront = types.includes('ID_FRONT');
   const hasIdBack  = types.includes('ID_BACK');
@@ -31,10 +76,18 @@ async function getVerificationChecklist(userId) {
     paystubCount,
     // keep backwards-compat flags if you still reference them
     hasPhotoId: hasIdFront && hasIdBack,
+    notes: user?.verificationNotes || null,
+    // per-item review outcome; resubmit only what's in rejectedItems
+    items,
+    rejectedItems,
+    latestDocAt: docs[0]?.createdAt || null,
   };
 }
 
 module.exports = {
   getVerificationChecklist,
   REQUIRED_PAYSTUBS,
+  VERIFICATION_ITEMS,
+  REQUIRED_ITEMS,
+  currentDocWhere,
 };